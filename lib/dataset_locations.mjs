@@ -105,9 +105,74 @@ const US_STATE_DATASET_LOCATIONS = Object.freeze(
     }))
 );
 
+// Taken from the official GOV.UK list (`govukDivision`) for the years it covers,
+// and built offline from the rule sets in holiday_rules.js otherwise.
+const RULE_DATASET_LOCATIONS = Object.freeze([
+    {
+        datasetKey: 'GB-EAW',
+        countryCode: 'GB',
+        label: 'England & Wales',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom',
+        ruleSet: 'england-wales',
+        govukDivision: 'england-and-wales'
+    },
+    {
+        datasetKey: 'GB-SCT',
+        countryCode: 'GB',
+        label: 'Scotland',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom',
+        ruleSet: 'scotland',
+        govukDivision: 'scotland'
+    },
+    {
+        datasetKey: 'GB-NIR',
+        countryCode: 'GB',
+        label: 'Northern Ireland',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom',
+        ruleSet: 'northern-ireland',
+        govukDivision: 'northern-ireland'
+    },
+    {
+        datasetKey: 'IM',
+        countryCode: 'IM',
+        label: 'Isle of Man',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom',
+        ruleSet: 'isle-of-man'
+    },
+    {
+        datasetKey: 'JE',
+        countryCode: 'JE',
+        label: 'Jersey',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom',
+        ruleSet: 'jersey'
+    },
+    {
+        datasetKey: 'GG',
+        countryCode: 'GG',
+        label: 'Guernsey',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom',
+        ruleSet: 'guernsey'
+    },
+    {
+        datasetKey: 'IE',
+        countryCode: 'IE',
+        label: 'Ireland',
+        defaultWeekend: 'sat-sun',
+        group: 'Europe',
+        ruleSet: 'ireland'
+    }
+]);
+
 const DATASET_LOCATIONS = Object.freeze([
     ...COUNTRY_LEVEL_DATASET_LOCATIONS,
-    ...US_STATE_DATASET_LOCATIONS
+    ...US_STATE_DATASET_LOCATIONS,
+    ...RULE_DATASET_LOCATIONS
 ]);
 
 const DATASET_LOCATION_BY_KEY = Object.freeze(
@@ -122,6 +187,7 @@ export {
     DATASET_LOCATIONS,
     DATASET_LOCATION_BY_KEY,
     GULF_DATASET_LOCATIONS,
+    RULE_DATASET_LOCATIONS,
     US_NATIONAL_BASELINE,
     US_STATE_DATASET_LOCATIONS,
     US_STATE_DEFINITIONS
@@ -1,12 +1,15 @@
-import { normalizeCalendarific, normalizeTallyfy, mergeHolidayLists } from './holiday_utils.mjs';
+import { normalizeCalendarific, normalizeTallyfy, normalizeGovUk, mergeHolidayLists } from './holiday_utils.mjs';
+import holidayRules from './holiday_rules.js';
 import {
     COUNTRY_LEVEL_DATASET_LOCATIONS,
+    RULE_DATASET_LOCATIONS,
     US_NATIONAL_BASELINE,
     US_STATE_DATASET_LOCATIONS
 } from './dataset_locations.mjs';
 
 const CALENDARIFIC_URL = 'https://calendarific.com/api/v2/holidays';
 const TALLYFY_URL = 'https://tallyfy.com/national-holidays/api';
+const GOVUK_BANK_HOLIDAYS_URL = 'https://www.gov.uk/bank-holidays.json';
 const CALENDARIFIC_NATIONAL_TYPES = 'national,religious';
 const CALENDARIFIC_LOCAL_TYPES = 'local,religious';
 const YEARS_AHEAD = 5;
@@ -84,6 +87,34 @@ async function fetchCalendarificHolidays(fetchJson, apiKey, request, logger = co
     }
 }
 
+/**
+ * Fetches the official UK bank holidays, keyed by GOV.UK division
+ * ('england-and-wales', 'scotland', 'northern-ireland').
+ */
+async function fetchGovUkBankHolidays(fetchJson) {
+    const data = await fetchJson(GOVUK_BANK_HOLIDAYS_URL);
+    const divisions = {};
+    if (!data || typeof data !== 'object') return divisions;
+    Object.keys(data).forEach((division) => {
+        const entry = data[division];
+        divisions[division] = normalizeGovUk(entry ? entry.events : null);
+    });
+    return divisions;
+}
+
+function getRuleBasedHolidays(ruleSet, year) {
+    const rules = holidayRules.HOLIDAY_RULE_SETS[ruleSet];
+    if (!rules) return [];
+    const overrides = holidayRules.HOLIDAY_OVERRIDES[ruleSet] || [];
+    const holidays = holidayRules.applyHolidayOverrides(holidayRules.evaluateHolidayRules(rules, year), overrides, year);
+    return holidays.map((holiday) => ({
+        date: holiday.date,
+        name: holiday.name,
+        type: holiday.type || 'national',
+        source: 'rules'
+    }));
+}
+
 async function fetchTallyfyHolidays(fetchJson, countryCode, year) {
     const url = `${TALLYFY_URL}/${countryCode}/${year}.json`;
     const data = await fetchJson(url);
@@ -101,6 +132,12 @@ function createDatasetSkeleton(apiKey) {
             },
             tallyfy: {
                 enabled: true
+            },
+            rules: {
+                enabled: true
+            },
+            govuk: {
+                enabled: true
             }
         },
         locations: {}
@@ -197,6 +234,22 @@ async function buildHolidayDataset({
         return [location.datasetKey, createLocationEntry(location, yearsData)];
     }
 
+    function buildRuleLocation(location, officialDivisions) {
+        const official = officialDivisions[location.govukDivision] || [];
+        const yearsData = {};
+        years.forEach((year) => {
+            const prefix = `${year}-`;
+            const officialYear = official.filter((holiday) => holiday.date.startsWith(prefix));
+            yearsData[String(year)] = officialYear.length > 0
+                ? officialYear
+                : getRuleBasedHolidays(location.ruleSet, year);
+        });
+        // The override table ships with the location so the app picks up new proclamations.
+        const entry = createLocationEntry(location, yearsData);
+        entry.overrides = holidayRules.HOLIDAY_OVERRIDES[location.ruleSet] || [];
+        return [location.datasetKey, entry];
+    }
+
     const countryEntries = await mapWithConcurrency(
         COUNTRY_LOCATION_CONCURRENCY,
         COUNTRY_LEVEL_DATASET_LOCATIONS,
@@ -217,6 +270,18 @@ async function buildHolidayDataset({
         dataset.locations[datasetKey] = entry;
     });
 
+    let officialDivisions = {};
+    try {
+        officialDivisions = await fetchGovUkBankHolidays(fetchJson);
+    } catch (e) {
+        safeLogger.warn('Failed to fetch GOV.UK bank holidays. UK regions use the holiday rules.');
+    }
+
+    RULE_DATASET_LOCATIONS.forEach((location) => {
+        const [datasetKey, entry] = buildRuleLocation(location, officialDivisions);
+        dataset.locations[datasetKey] = entry;
+    });
+
     return dataset;
 }
 
@@ -224,11 +289,14 @@ export {
     CALENDARIFIC_LOCAL_TYPES,
     CALENDARIFIC_NATIONAL_TYPES,
     CALENDARIFIC_URL,
+    GOVUK_BANK_HOLIDAYS_URL,
     TALLYFY_URL,
     YEARS_AHEAD,
     buildHolidayDataset,
     fetchCalendarificHolidays,
+    fetchGovUkBankHolidays,
     fetchTallyfyHolidays,
+    getRuleBasedHolidays,
     getYearsToFetch,
     redactUrl
 };
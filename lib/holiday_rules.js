@@ -0,0 +1,360 @@
+/**
+ * Declarative public holiday rules.
+ * Loaded as a classic script by the app (and its optimizer worker) and imported by the dataset builder,
+ * so rule-based locations work offline in both.
+ *
+ * A rule is a plain object:
+ *   { name, month, day }                  fixed date (month is 1-based)
+ *   { name, month, weekday, nth }         nth weekday of the month (weekday 0 = Sunday, nth -1 = last)
+ *   { name, easterOffset }                days from Easter Sunday
+ * with optional fields:
+ *   substitute: 'next-weekday'            a holiday on a weekend or on another holiday's day moves
+ *                                         to the next free Monday–Friday
+ *   onlyOn: [weekdays], otherwise: {...}  the date is kept only on those weekdays; on any other
+ *                                         weekday the `otherwise` date (any of the forms above) is used
+ *   from / until                          first and last year the rule applies
+ *   type                                  holiday type label kept in the output
+ *
+ * One-off changes are dated overrides applied after the rules:
+ *   { action: 'add', date, name }         an extra holiday
+ *   { action: 'move', from, date, name? } the holiday on `from` moves to `date` (and may be renamed)
+ *   { action: 'rename', date, name }      the holiday on `date` is given a different name
+ *   { action: 'cancel', date }            the holiday on `date` is not observed
+ */
+(function (root) {
+    'use strict';
+
+    const SUBSTITUTE_RULES = Object.freeze(['next-weekday']);
+    const OVERRIDE_ACTIONS = Object.freeze(['add', 'move', 'rename', 'cancel']);
+
+    function toISODate(date) {
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1;
+        const day = date.getDate();
+        return year + (month < 10 ? '-0' : '-') + month + (day < 10 ? '-0' : '-') + day;
+    }
+
+    function isWeekendDay(date) {
+        const day = date.getDay();
+        return day === 0 || day === 6;
+    }
+
+    /**
+     * Calculates the date of Easter Sunday for a given year using the anonymous Gregorian algorithm.
+     * @param {number} year The year to calculate Easter for.
+     * @returns {Date} The date of Easter Sunday.
+     */
+    function getEasterDate(year) {
+        // Meeus/Jones/Butcher's algorithm
+        const goldenNumber = year % 19;
+        const century = Math.floor(year / 100);
+        const yearInCentury = year % 100;
+        const skippedLeapYears = Math.floor(century / 4);
+        const centuryMod4 = century % 4;
+        const lunarCorrection = Math.floor((century + 8) / 25);
+        const solarCorrection = Math.floor((century - lunarCorrection + 1) / 3);
+        const epact = (19 * goldenNumber + century - skippedLeapYears - solarCorrection + 15) % 30;
+        const leapYearsInCentury = Math.floor(yearInCentury / 4);
+        const yearInCenturyMod4 = yearInCentury % 4;
+        const dayCorrection = (32 + 2 * centuryMod4 + 2 * leapYearsInCentury - epact - yearInCenturyMod4) % 7;
+        const monthCorrection = Math.floor((goldenNumber + 11 * epact + 22 * dayCorrection) / 451);
+        const month = Math.floor((epact + dayCorrection - 7 * monthCorrection + 114) / 31);
+        const day = ((epact + dayCorrection - 7 * monthCorrection + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Finds a specific day of the week in a given month.
+     * @param {number} year The year.
+     * @param {number} month The month (0-indexed).
+     * @param {number} dayOfWeek The day of the week (0 for Sunday, 1 for Monday, etc.).
+     * @param {'first'|'last'|number} position First or last occurrence, or the nth (1-based; -1 is the last).
+     * @returns {Date|null} The date found, or null when the month has no such occurrence.
+     */
+    function findDayInMonth(year, month, dayOfWeek, position) {
+        const nth = position === 'first' ? 1 : (position === 'last' ? -1 : position);
+        if (nth < 0) {
+            const date = new Date(year, month + 1, 0);
+            date.setDate(date.getDate() - ((date.getDay() - dayOfWeek + 7) % 7) + (nth + 1) * 7);
+            return date.getMonth() === month ? date : null;
+        }
+        const date = new Date(year, month, 1);
+        date.setDate(1 + ((dayOfWeek - date.getDay() + 7) % 7) + (nth - 1) * 7);
+        return date.getMonth() === month ? date : null;
+    }
+
+    /**
+     * Works out the date a rule names in a year, before any substitution.
+     * @param {Object} rule A holiday rule.
+     * @param {number} year The year.
+     * @returns {Date|null} The date, or null when the rule does not apply that year.
+     */
+    function getRuleDate(rule, year) {
+        if ((rule.from && year < rule.from) || (rule.until && year > rule.until)) return null;
+        if (Array.isArray(rule.onlyOn) && rule.otherwise) {
+            const date = getRuleDate({ month: rule.month, day: rule.day }, year);
+            return rule.onlyOn.includes(date.getDay()) ? date : getRuleDate(rule.otherwise, year);
+        }
+        if (Number.isInteger(rule.easterOffset)) {
+            const date = getEasterDate(year);
+            date.setDate(date.getDate() + rule.easterOffset);
+            return date;
+        }
+        if (Number.isInteger(rule.weekday)) {
+            return findDayInMonth(year, rule.month - 1, rule.weekday, rule.nth);
+        }
+        return new Date(year, rule.month - 1, rule.day);
+    }
+
+    /**
+     * Evaluates a list of holiday rules for a year.
+     * Holidays that land on a free weekday keep it; the rest are substituted in rule order, so
+     * Christmas on a Sunday moves past a Monday Boxing Day.
+     * @param {Array<Object>} rules The rules to evaluate.
+     * @param {number} year The year.
+     * @returns {Array<{date: string, name: string, type?: string}>} Holidays in rule order.
+     */
+    function evaluateHolidayRules(rules, year) {
+        const dates = new Array(rules.length);
+        const moved = new Uint8Array(rules.length);
+        const taken = new Set();
+
+        for (let i = 0; i < rules.length; i++) {
+            const date = getRuleDate(rules[i], year);
+            dates[i] = date;
+            if (!date) continue;
+            const iso = toISODate(date);
+            if (rules[i].substitute && (isWeekendDay(date) || taken.has(iso))) {
+                moved[i] = 1;
+            } else {
+                taken.add(iso);
+            }
+        }
+
+        const holidays = [];
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
+            const date = dates[i];
+            if (!date) continue;
+
+            let name = rule.name;
+            if (moved[i]) {
+                do {
+                    date.setDate(date.getDate() + 1);
+                } while (isWeekendDay(date) || taken.has(toISODate(date)));
+                taken.add(toISODate(date));
+                name += ' (Substitute)';
+            }
+
+            const holiday = { date: toISODate(date), name };
+            if (rule.type) holiday.type = rule.type;
+            holidays.push(holiday);
+        }
+        return holidays;
+    }
+
+    /**
+     * Applies dated overrides to a year's holidays.
+     * Overrides belong to the year of their `from` date (moves) or `date`, and run in table order.
+     * @param {Array<{date: string, name: string}>} holidays Holidays from the rules.
+     * @param {Array<Object>} overrides The override table.
+     * @param {number} year The year the holidays belong to.
+     * @returns {Array<{date: string, name: string}>} A new list with the overrides applied.
+     */
+    function applyHolidayOverrides(holidays, overrides, year) {
+        let result = holidays;
+        const prefix = String(year) + '-';
+        for (let i = 0; i < overrides.length; i++) {
+            const override = overrides[i];
+            const ownDate = override.action === 'move' ? override.from : override.date;
+            if (!ownDate || !ownDate.startsWith(prefix)) continue;
+            if (result === holidays) result = holidays.slice();
+
+            if (override.action === 'cancel') {
+                result = result.filter(holiday => holiday.date !== override.date);
+                continue;
+            }
+            if (override.action === 'rename') {
+                const renamed = result.findIndex(holiday => holiday.date === override.date);
+                if (renamed !== -1 && override.name) result[renamed] = { ...result[renamed], name: override.name };
+                continue;
+            }
+
+            const index = override.action === 'move'
+                ? result.findIndex(holiday => holiday.date === override.from)
+                : -1;
+            if (index !== -1) {
+                result[index] = { ...result[index], date: override.date, name: override.name || result[index].name };
+            } else if (override.name && !result.some(holiday => holiday.date === override.date)) {
+                const holiday = { date: override.date, name: override.name };
+                if (override.type) holiday.type = override.type;
+                result.push(holiday);
+            }
+        }
+        return result;
+    }
+
+    const BANK_HOLIDAY = 'bank holiday';
+    const NEW_YEARS_DAY = { name: "New Year's Day", month: 1, day: 1, substitute: 'next-weekday', type: BANK_HOLIDAY };
+    const GOOD_FRIDAY = { name: 'Good Friday', easterOffset: -2, type: BANK_HOLIDAY };
+    const EASTER_MONDAY = { name: 'Easter Monday', easterOffset: 1, type: BANK_HOLIDAY };
+    const EARLY_MAY = { name: 'Early May Bank Holiday', month: 5, weekday: 1, nth: 1, type: BANK_HOLIDAY };
+    const SPRING_BANK = { name: 'Spring Bank Holiday', month: 5, weekday: 1, nth: -1, type: BANK_HOLIDAY };
+    const CHRISTMAS = [
+        { name: 'Christmas Day', month: 12, day: 25, substitute: 'next-weekday', type: BANK_HOLIDAY },
+        { name: 'Boxing Day', month: 12, day: 26, substitute: 'next-weekday', type: BANK_HOLIDAY }
+    ];
+
+    // The Crown Dependencies follow the UK calendar with their own days. Tynwald Day on a
+    // weekend moves to the Monday; Liberation Day is kept on 9 May whatever the weekday.
+    const ISLE_OF_MAN_RULES = Object.freeze([
+        NEW_YEARS_DAY,
+        GOOD_FRIDAY,
+        EASTER_MONDAY,
+        EARLY_MAY,
+        SPRING_BANK,
+        { name: 'TT Senior Race Day', month: 6, weekday: 5, nth: 1, type: BANK_HOLIDAY },
+        { name: 'Tynwald Day', month: 7, day: 5, substitute: 'next-weekday', type: BANK_HOLIDAY },
+        { name: 'Late Summer Bank Holiday', month: 8, weekday: 1, nth: -1, type: BANK_HOLIDAY },
+        ...CHRISTMAS
+    ]);
+    const CHANNEL_ISLANDS_RULES = Object.freeze([
+        NEW_YEARS_DAY,
+        GOOD_FRIDAY,
+        EASTER_MONDAY,
+        EARLY_MAY,
+        { name: 'Liberation Day', month: 5, day: 9, type: BANK_HOLIDAY },
+        SPRING_BANK,
+        { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1, type: BANK_HOLIDAY },
+        ...CHRISTMAS
+    ]);
+
+    const PUBLIC_HOLIDAY = 'public holiday';
+
+    // Irish public holidays falling on a weekend are given on the next free weekday,
+    // so St Stephen's Day on a Sunday after a Saturday Christmas is a Tuesday.
+    const IRELAND_RULES = Object.freeze([
+        { name: "New Year's Day", month: 1, day: 1, substitute: 'next-weekday', type: PUBLIC_HOLIDAY },
+        {
+            name: "St Brigid's Day",
+            month: 2,
+            day: 1,
+            onlyOn: [5],
+            otherwise: { month: 2, weekday: 1, nth: 1 },
+            from: 2023,
+            type: PUBLIC_HOLIDAY
+        },
+        { name: "St Patrick's Day", month: 3, day: 17, substitute: 'next-weekday', type: PUBLIC_HOLIDAY },
+        { name: 'Easter Monday', easterOffset: 1, type: PUBLIC_HOLIDAY },
+        { name: 'May Bank Holiday', month: 5, weekday: 1, nth: 1, type: PUBLIC_HOLIDAY },
+        { name: 'June Bank Holiday', month: 6, weekday: 1, nth: 1, type: PUBLIC_HOLIDAY },
+        { name: 'August Bank Holiday', month: 8, weekday: 1, nth: 1, type: PUBLIC_HOLIDAY },
+        { name: 'October Bank Holiday', month: 10, weekday: 1, nth: -1, type: PUBLIC_HOLIDAY },
+        { name: 'Christmas Day', month: 12, day: 25, substitute: 'next-weekday', type: PUBLIC_HOLIDAY },
+        { name: "St Stephen's Day", month: 12, day: 26, substitute: 'next-weekday', type: PUBLIC_HOLIDAY }
+    ]);
+
+    /** Rule sets by location code. */
+    const HOLIDAY_RULE_SETS = Object.freeze({
+        'england-wales': Object.freeze([
+            NEW_YEARS_DAY,
+            GOOD_FRIDAY,
+            EASTER_MONDAY,
+            EARLY_MAY,
+            SPRING_BANK,
+            { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1, type: BANK_HOLIDAY },
+            ...CHRISTMAS
+        ]),
+        scotland: Object.freeze([
+            NEW_YEARS_DAY,
+            { name: '2nd January', month: 1, day: 2, substitute: 'next-weekday', type: BANK_HOLIDAY },
+            GOOD_FRIDAY,
+            EARLY_MAY,
+            SPRING_BANK,
+            { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: 1, type: BANK_HOLIDAY },
+            { name: "St Andrew's Day", month: 11, day: 30, substitute: 'next-weekday', type: BANK_HOLIDAY },
+            ...CHRISTMAS
+        ]),
+        'northern-ireland': Object.freeze([
+            NEW_YEARS_DAY,
+            { name: "St Patrick's Day", month: 3, day: 17, substitute: 'next-weekday', type: BANK_HOLIDAY },
+            GOOD_FRIDAY,
+            EASTER_MONDAY,
+            EARLY_MAY,
+            SPRING_BANK,
+            { name: "Battle of the Boyne (Orangemen's Day)", month: 7, day: 12, substitute: 'next-weekday', type: BANK_HOLIDAY },
+            { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1, type: BANK_HOLIDAY },
+            ...CHRISTMAS
+        ]),
+        'isle-of-man': ISLE_OF_MAN_RULES,
+        jersey: CHANNEL_ISLANDS_RULES,
+        guernsey: CHANNEL_ISLANDS_RULES,
+        ireland: IRELAND_RULES
+    });
+
+    // Proclaimed one-off bank holidays and moved days, observed across the UK.
+    const UK_OVERRIDES = Object.freeze([
+        { action: 'add', date: '2011-04-29', name: 'Royal Wedding', type: BANK_HOLIDAY },
+        { action: 'move', from: '2012-05-28', date: '2012-06-04' },
+        { action: 'add', date: '2012-06-05', name: "Queen's Diamond Jubilee", type: BANK_HOLIDAY },
+        { action: 'move', from: '2020-05-04', date: '2020-05-08', name: 'Early May Bank Holiday (VE Day)' },
+        { action: 'move', from: '2022-05-30', date: '2022-06-02' },
+        { action: 'add', date: '2022-06-03', name: 'Platinum Jubilee Bank Holiday', type: BANK_HOLIDAY },
+        { action: 'add', date: '2022-09-19', name: 'State Funeral of Queen Elizabeth II', type: BANK_HOLIDAY },
+        { action: 'add', date: '2023-05-08', name: 'Coronation of King Charles III', type: BANK_HOLIDAY }
+    ]);
+
+    // With New Year's Day on a Sunday, GOV.UK names the Monday as its substitute and the
+    // Tuesday as 2nd January's (unlike Christmas on a Sunday, which keeps Boxing Day on the Monday).
+    const SCOTLAND_OVERRIDES = Object.freeze([
+        ...UK_OVERRIDES,
+        { action: 'rename', date: '2023-01-02', name: "New Year's Day (Substitute)" },
+        { action: 'rename', date: '2023-01-03', name: '2nd January (Substitute)' }
+    ]);
+
+    // The Crown Dependencies proclaimed the same one-off days as the UK.
+    const CROWN_DEPENDENCY_OVERRIDES = UK_OVERRIDES;
+
+    // TT Senior Race Day follows the race schedule. In these years it came a week after the
+    // first Friday in June; the moves run first so 3 June 2022 is free for the Platinum Jubilee.
+    const ISLE_OF_MAN_OVERRIDES = Object.freeze([
+        { action: 'move', from: '2015-06-05', date: '2015-06-12' },
+        { action: 'move', from: '2016-06-03', date: '2016-06-10' },
+        { action: 'move', from: '2017-06-02', date: '2017-06-09' },
+        { action: 'move', from: '2018-06-01', date: '2018-06-08' },
+        { action: 'move', from: '2022-06-03', date: '2022-06-10' },
+        { action: 'move', from: '2023-06-02', date: '2023-06-09' },
+        ...CROWN_DEPENDENCY_OVERRIDES
+    ]);
+
+    /** Override tables by rule set. */
+    const HOLIDAY_OVERRIDES = Object.freeze({
+        'england-wales': UK_OVERRIDES,
+        scotland: SCOTLAND_OVERRIDES,
+        'northern-ireland': UK_OVERRIDES,
+        'isle-of-man': ISLE_OF_MAN_OVERRIDES,
+        jersey: CROWN_DEPENDENCY_OVERRIDES,
+        guernsey: CROWN_DEPENDENCY_OVERRIDES,
+        ireland: Object.freeze([
+            { action: 'add', date: '2022-03-18', name: 'COVID-19 Recognition Public Holiday', type: PUBLIC_HOLIDAY }
+        ])
+    });
+
+    const HolidayRules = Object.freeze({
+        SUBSTITUTE_RULES,
+        OVERRIDE_ACTIONS,
+        HOLIDAY_RULE_SETS,
+        HOLIDAY_OVERRIDES,
+        getEasterDate,
+        findDayInMonth,
+        getRuleDate,
+        evaluateHolidayRules,
+        applyHolidayOverrides
+    });
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HolidayRules;
+    } else {
+        root.HolidayRules = HolidayRules;
+    }
+})(typeof self !== 'undefined' ? self : this);
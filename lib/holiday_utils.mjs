@@ -43,6 +43,19 @@ function normalizeTallyfy(holidays) {
         .filter(Boolean);
 }
 
+function normalizeGovUk(events) {
+    if (!Array.isArray(events)) return [];
+    return events
+        .map(event => {
+            const date = event && typeof event.date === 'string' ? event.date : null;
+            if (!isValidISODateString(date)) return null;
+            const title = typeof event.title === 'string' ? event.title : 'Bank holiday';
+            const isSubstitute = typeof event.notes === 'string' && /substitute/i.test(event.notes);
+            return { date, name: isSubstitute ? `${title} (Substitute)` : title, type: 'bank holiday', source: 'govuk' };
+        })
+        .filter(Boolean);
+}
+
 function mergeHolidayLists(calendarificList, tallyfyList) {
     const byDate = new Map();
 
@@ -87,5 +100,6 @@ export {
     isValidISODateString,
     normalizeCalendarific,
     normalizeTallyfy,
+    normalizeGovUk,
     mergeHolidayLists
 };
@@ -1,17 +1,90 @@
 /**
  * Vacation Maximiser Logic
  * Combined into one file to ensure it runs locally without a server.
+ * Holiday rules live in lib/holiday_rules.js, shared with the dataset builder; `npm run build`
+ * copies them next to this file.
  */
 
+// The page loads holiday_rules.js before this script; the optimizer worker loads it here.
+if (typeof module === 'undefined' && typeof importScripts === 'function' && typeof HolidayRules === 'undefined') {
+    importScripts('holiday_rules.js');
+}
+const HOLIDAY_RULES = typeof module !== 'undefined' && module.exports
+    ? require('../lib/holiday_rules.js')
+    : HolidayRules;
+const {
+    getEasterDate,
+    evaluateHolidayRules,
+    applyHolidayOverrides,
+    HOLIDAY_RULE_SETS,
+    HOLIDAY_OVERRIDES,
+    OVERRIDE_ACTIONS
+} = HOLIDAY_RULES;
+
 // --- STATE MANAGEMENT ---
 
 const MAX_CUSTOM_HOLIDAYS = 50;
+const MAX_HOLIDAY_OVERRIDES = 200;
 const MAX_BOOKED_DATES = 1000;
 
+const HALF_DAY_PERIODS = Object.freeze({
+    am: { label: 'Morning', shortLabel: 'AM' },
+    pm: { label: 'Afternoon', shortLabel: 'PM' }
+});
+// 'lock' marks approved leave that re-planning keeps; 'blackout' marks days leave can't be booked.
+const BOOKING_MODES = Object.freeze(['full', 'am', 'pm', 'lock', 'blackout']);
+const MAX_BLACKOUT_RANGES = 50;
+/** Upper bound for block length and gap rules (calendar days). */
+const MAX_BLOCK_RULE_DAYS = 366;
+/** Upper bound for the monthly leave policy limit (leave days). */
+const MAX_MONTHLY_LEAVE_DAYS = 31;
+/** How much the optimizer values a day off in a month or date range; 1 is neutral. */
+const PREFERENCE_LEVELS = Object.freeze([
+    { value: 0, label: 'Avoid' },
+    { value: 0.5, label: 'Less' },
+    { value: 1, label: 'Neutral' },
+    { value: 1.5, label: 'More' },
+    { value: 2, label: 'Prefer' }
+]);
+const MAX_PREFERENCE_RANGES = 50;
+/** Pool id of the main allowance (currentAllowance); other pools are kept in leavePools. */
+const ANNUAL_LEAVE_POOL_ID = 'annual';
+const MAX_LEAVE_POOLS = 8;
+const MAX_LEAVE_POOL_NAME_LENGTH = 30;
+// Spread goals give every single-day pool day its own part of the year, so at most this many are planned.
+const MAX_SINGLE_DAY_POOL_BLOCKS = 12;
+// Preference weights come in half steps, so objective scores count half days off.
+const PREFERENCE_SCORE_SCALE = 2;
+/** How often accrued leave is credited; day-based periods are pay periods of that length. */
+const ACCRUAL_PERIODS = Object.freeze({
+    month: { label: 'per month' },
+    fortnight: { label: 'per two weeks', days: 14 },
+    week: { label: 'per week', days: 7 }
+});
+const MAX_ACCRUAL_RATE = 31;
+/** How a pro-rated allowance is rounded: to multiples of `step` days with `round`. */
+const EMPLOYMENT_ROUNDING = Object.freeze({
+    'up-half': { label: 'Round up to a half day', step: 0.5, round: Math.ceil },
+    'nearest-half': { label: 'Round to the nearest half day', step: 0.5, round: Math.round },
+    up: { label: 'Round up to a whole day', step: 1, round: Math.ceil },
+    nearest: { label: 'Round to the nearest whole day', step: 1, round: Math.round },
+    down: { label: 'Round down to a whole day', step: 1, round: Math.floor }
+});
+const DEFAULT_EMPLOYMENT_ROUNDING = 'up-half';
+
 const WEEKEND_PRESETS = {
     'sat-sun': { label: 'Sat/Sun', days: [6, 0] },
     'fri-sat': { label: 'Fri/Sat', days: [5, 6] }
 };
+/** Pattern key used when a location has a custom per-weekday work schedule. */
+const CUSTOM_WEEKEND_KEY = 'custom';
+/** Weekend mask with every weekday (bit 0 = Sunday … bit 6 = Saturday) set. */
+const ALL_WEEKDAYS_MASK = 0x7f;
+/** Pattern key used when a location follows a rotating multi-day cycle. */
+const ROTATION_WEEKEND_KEY = 'rotation';
+const MIN_ROTATION_LENGTH = 2;
+const MAX_ROTATION_LENGTH = 56;
+const MS_PER_DAY = 86400000;
 const US_STATE_LOCATION_DEFINITIONS = Object.freeze([
     { code: 'AL', label: 'Alabama', value: 'us-alabama', key: 'US_AL' },
     { code: 'AK', label: 'Alaska', value: 'us-alaska', key: 'US_AK' },
@@ -71,7 +144,9 @@ const LOCATION_METADATA = Object.freeze([
         value: 'england-wales',
         label: 'England & Wales',
         countryCode: 'GB',
-        holidaySource: 'uk',
+        datasetKey: 'GB-EAW',
+        holidaySource: 'rules',
+        ruleSet: 'england-wales',
         defaultWeekend: 'sat-sun',
         group: 'United Kingdom'
     },
@@ -80,7 +155,9 @@ const LOCATION_METADATA = Object.freeze([
         value: 'scotland',
         label: 'Scotland',
         countryCode: 'GB',
-        holidaySource: 'uk',
+        datasetKey: 'GB-SCT',
+        holidaySource: 'rules',
+        ruleSet: 'scotland',
         defaultWeekend: 'sat-sun',
         group: 'United Kingdom'
     },
@@ -89,10 +166,56 @@ const LOCATION_METADATA = Object.freeze([
         value: 'northern-ireland',
         label: 'Northern Ireland',
         countryCode: 'GB',
-        holidaySource: 'uk',
+        datasetKey: 'GB-NIR',
+        holidaySource: 'rules',
+        ruleSet: 'northern-ireland',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom'
+    },
+    {
+        key: 'ISLE_OF_MAN',
+        value: 'isle-of-man',
+        label: 'Isle of Man',
+        countryCode: 'IM',
+        datasetKey: 'IM',
+        holidaySource: 'rules',
+        ruleSet: 'isle-of-man',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom'
+    },
+    {
+        key: 'JERSEY',
+        value: 'jersey',
+        label: 'Jersey',
+        countryCode: 'JE',
+        datasetKey: 'JE',
+        holidaySource: 'rules',
+        ruleSet: 'jersey',
+        defaultWeekend: 'sat-sun',
+        group: 'United Kingdom'
+    },
+    {
+        key: 'GUERNSEY',
+        value: 'guernsey',
+        label: 'Guernsey',
+        countryCode: 'GG',
+        datasetKey: 'GG',
+        holidaySource: 'rules',
+        ruleSet: 'guernsey',
         defaultWeekend: 'sat-sun',
         group: 'United Kingdom'
     },
+    {
+        key: 'IRELAND',
+        value: 'ireland',
+        label: 'Ireland',
+        countryCode: 'IE',
+        datasetKey: 'IE',
+        holidaySource: 'rules',
+        ruleSet: 'ireland',
+        defaultWeekend: 'sat-sun',
+        group: 'Europe'
+    },
     {
         key: 'QATAR',
         value: 'qatar',
@@ -146,6 +269,7 @@ const LOCATION_METADATA = Object.freeze([
 ]);
 const LOCATION_GROUP_ORDER = Object.freeze([
     'United Kingdom',
+    'Europe',
     'Persian Gulf',
     'North America'
 ]);
@@ -174,6 +298,7 @@ const LOCATION_CONFIG = Object.freeze(
             countryCode: location.countryCode,
             datasetKey: location.datasetKey || null,
             holidaySource: location.holidaySource,
+            ruleSet: location.ruleSet || null,
             defaultWeekend: location.defaultWeekend,
             group: location.group
         };
@@ -182,18 +307,110 @@ const LOCATION_CONFIG = Object.freeze(
 );
 /** @type {number} Current number of annual leave days available. */
 let currentAllowance = 25;
+/**
+ * Extra named leave pools (birthday, floating days, TOIL, …) on top of the annual allowance.
+ * Days from a `singleDaysOnly` pool can only be taken as one-day breaks.
+ * @type {Array<{id: string, name: string, days: number, singleDaysOnly: boolean}>}
+ */
+let leavePools = [];
+/** @type {Map<string, string>} Pool id for booked days (YYYY-MM-DD) not taken from the annual allowance. */
+let bookedPools = new Map();
+/** @type {string} Pool that a calendar click books from. */
+let currentBookingPool = ANNUAL_LEAVE_POOL_ID;
 /** @type {number} The year being planned for. */
 let currentYear = new Date().getFullYear();
 /** @type {string} The selected location. */
 let currentRegion = REGIONS.ENGLAND_WALES;
-/** @type {string} The current weekend pattern key. */
+/** @type {string} The current weekend pattern key ('custom' for a custom work schedule). */
 let currentWeekendPattern = LOCATION_CONFIG[REGIONS.ENGLAND_WALES].defaultWeekend;
+/** @type {number} Non-working weekdays for the current location (bit 0 = Sunday). */
+let currentWeekendMask = getWeekendMaskFromDays(WEEKEND_PRESETS[currentWeekendPattern].days);
+/**
+ * Active rotating schedule, or null for a weekly schedule. Takes precedence over currentWeekendMask.
+ * @type {?{anchor: string, length: number, offDays: number[], anchorDay: number, offLookup: Uint8Array}}
+ */
+let currentRotation = null;
+/** @type {string} Cache key describing the active weekly mask or rotation. */
+let currentScheduleKey = String(currentWeekendMask);
+/** @type {number} Month (0-based) on which the leave year starts. */
+let leaveYearStartMonth = 0;
+/** @type {number} Day of month on which the leave year starts. */
+let leaveYearStartDay = 1;
+/** @type {boolean} Let optimizer blocks run into the neighbouring leave years. */
+let crossYearPlanning = false;
+/**
+ * Remaining-year mode: the selected leave year is only planned from today, and leave
+ * booked before today counts as already taken.
+ * @type {boolean}
+ */
+let remainingYearOnly = false;
+/**
+ * Pro-rata mode: the allowance includes bank holidays, so each one on a working day is
+ * deducted from it.
+ * @type {boolean}
+ */
+let bankHolidaysInAllowance = false;
+/**
+ * Employment dates (inclusive, null = open-ended). Leave outside them can't be booked and
+ * the allowance of a partly worked leave year is pro-rated, rounded by `rounding`.
+ * @type {{start: ?string, end: ?string, rounding: string}}
+ */
+let employment = { start: null, end: null, rounding: DEFAULT_EMPLOYMENT_ROUNDING };
+/**
+ * Accrual model: `rate` days are credited at the end of every `period` counted from `start`
+ * (null = the employment start, or else the leave-year start), and the balance may dip to
+ * -negativeLimit. Null when the whole allowance is available from the first day.
+ * @type {?{rate: number, period: string, start: ?string, negativeLimit: number}}
+ */
+let accrual = null;
+/** @type {string} Key of PLAN_OBJECTIVES the optimizer scores plans by. */
+let currentObjective = 'days-off';
+// Alternative plans for the current settings, computed when the user first browses them
+let alternativePlans = null;
+// Which entry of alternativePlans the plan browser is showing
+let alternativePlanIndex = 0;
+// Incremented by each resetToOptimal call so an older reset stops after loading data
+let resetRunId = 0;
 /** @type {Set<string>} Set of dates (YYYY-MM-DD) that the user has booked. */
 let bookedDates = new Set();
+/** @type {Map<string, 'am'|'pm'>} Half-day bookings keyed by date (YYYY-MM-DD). */
+let halfDayBookings = new Map();
+/** @type {'full'|'am'|'pm'|'lock'|'blackout'} What a calendar click does. */
+let currentBookingMode = 'full';
+/** @type {Set<string>} Approved leave (YYYY-MM-DD) that re-planning must keep booked. */
+let lockedDates = new Set();
+/** @type {Array<{start: string, end: string}>} Sorted, inclusive date ranges where leave can't be booked. */
+let blackoutRanges = [];
+/**
+ * Optimizer block rules in calendar days; 0 means no limit.
+ * @type {{minLength: number, maxLength: number, minGap: number}}
+ */
+let blockRules = { minLength: 0, maxLength: 0, minGap: 0 };
+/**
+ * Leave policy in leave days; 0 means no limit. Suggested breaks keep to it and manual
+ * bookings that break it are flagged.
+ * @type {{maxConsecutive: number, maxPerMonth: number}}
+ */
+let leavePolicy = { maxConsecutive: 0, maxPerMonth: 0 };
+/** @type {number[]} Preference weight of each calendar month (index 0 = January). */
+let monthWeights = new Array(12).fill(1);
+/**
+ * Date ranges whose preference weight replaces the month's, sorted by start date.
+ * @type {Array<{start: string, end: string, weight: number}>}
+ */
+let preferenceRanges = [];
 /** @type {Object<string, Array<{date: string, name: string}>>} Custom holidays by location. */
 let customHolidaysByLocation = {};
-/** @type {Object<string, string>} Weekend pattern per location. */
+/**
+ * Weekend preset key, custom weekend mask or rotation ({anchor, length, offDays}) per location.
+ * @type {Object<string, string|number|{anchor: string, length: number, offDays: number[]}>}
+ */
 let weekendByLocation = {};
+/**
+ * Holiday type categories that count as days off, per location. Locations without an entry count every type.
+ * @type {Object<string, string[]>}
+ */
+let holidayTypesByLocation = {};
 
 // Holiday dataset cache (for non-UK locations)
 const HOLIDAY_DATA_STORAGE_KEY = 'vacationMaximiserHolidayData';
@@ -202,9 +419,6 @@ let holidayDatasetPromise = null;
 let holidayDatasetFromCache = false;
 const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
-const MONTH_OFFSETS_NON_LEAP = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
-const MONTH_OFFSETS_LEAP = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
-
 function isLeapYear(year) {
     return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
 }
@@ -219,8 +433,11 @@ function isValidISODateString(dateStr) {
     return day <= monthLengths[month - 1];
 }
 
+/**
+ * Allowances are whole or half days so the optimizer can index its DP table in half-day units.
+ */
 function isValidAllowance(value) {
-    return Number.isInteger(value) && value > 0 && value <= 365;
+    return typeof value === 'number' && Number.isInteger(value * 2) && value > 0 && value <= 365;
 }
 
 function isValidPlanningYear(value) {
@@ -233,2306 +450,5596 @@ function sanitizeBookedDateList(list) {
         : [];
 }
 
-// --- PERSISTENCE ---
-const STORAGE_KEY = 'vacationMaximiser';
-const SHARE_PARAM = 'plan';
+function isHalfDayPeriod(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(HALF_DAY_PERIODS, value);
+}
 
 /**
- * Returns the current application state.
+ * Sanitizes a map of half-day bookings ({ 'YYYY-MM-DD': 'am'|'pm' }).
+ * @returns {Object<string, 'am'|'pm'>}
  */
-function getCurrentState() {
+function sanitizeHalfDayMap(map) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return {};
+    const result = {};
+    const keys = Object.keys(map).slice(0, MAX_BOOKED_DATES);
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        if (isValidISODateString(key) && isHalfDayPeriod(map[key])) {
+            result[key] = map[key];
+        }
+    }
+    return result;
+}
+
+/**
+ * Sanitizes blackout ranges ([{ start, end }] as inclusive ISO dates). Ranges are sorted and
+ * overlapping or touching ranges are merged.
+ * @returns {Array<{start: string, end: string}>}
+ */
+function sanitizeBlackoutRanges(list) {
+    if (!Array.isArray(list)) return [];
+    const ranges = [];
+    const items = list.slice(0, MAX_BLACKOUT_RANGES);
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (!item || typeof item !== 'object') continue;
+        if (!isValidISODateString(item.start) || !isValidISODateString(item.end)) continue;
+        if (item.start > item.end) continue;
+        ranges.push({ start: item.start, end: item.end });
+    }
+    ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    const merged = [];
+    for (let i = 0; i < ranges.length; i++) {
+        const last = merged[merged.length - 1];
+        if (last && ranges[i].start <= toLocalISOString(addDays(parseISODateString(last.end), 1))) {
+            if (ranges[i].end > last.end) last.end = ranges[i].end;
+        } else {
+            merged.push(ranges[i]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Sanitizes optimizer block rules. Invalid values become 0 (no limit); a minimum
+ * length above the maximum is capped to it.
+ * @returns {{minLength: number, maxLength: number, minGap: number}}
+ */
+function sanitizeBlockRules(rules) {
+    const readRule = (value) => (Number.isInteger(value) && value >= 0 && value <= MAX_BLOCK_RULE_DAYS ? value : 0);
+    const source = rules && typeof rules === 'object' ? rules : {};
+    const result = {
+        minLength: readRule(source.minLength),
+        maxLength: readRule(source.maxLength),
+        minGap: readRule(source.minGap)
+    };
+    if (result.maxLength > 0 && result.minLength > result.maxLength) {
+        result.minLength = result.maxLength;
+    }
+    return result;
+}
+
+/**
+ * Sanitizes the leave policy. Invalid limits become 0 (no limit).
+ * @returns {{maxConsecutive: number, maxPerMonth: number}}
+ */
+function sanitizeLeavePolicy(policy) {
+    const readLimit = (value, max) => (Number.isInteger(value) && value >= 0 && value <= max ? value : 0);
+    const source = policy && typeof policy === 'object' ? policy : {};
     return {
-        currentAllowance,
-        currentYear,
-        currentRegion,
-        currentWeekendPattern,
-        weekendByLocation,
-        bookedDates: Array.from(bookedDates),
-        customHolidaysByLocation
+        maxConsecutive: readLimit(source.maxConsecutive, MAX_BLOCK_RULE_DAYS),
+        maxPerMonth: readLimit(source.maxPerMonth, MAX_MONTHLY_LEAVE_DAYS)
     };
 }
 
 /**
- * Builds a plain object representing the current plan state.
+ * Sanitizes the accrual model. Returns null (no accrual) unless the rate is a positive
+ * number of days per period.
+ * @returns {?{rate: number, period: string, start: ?string, negativeLimit: number}}
  */
-function getPlanPayload() {
+function sanitizeAccrual(value) {
+    if (!value || typeof value !== 'object' || typeof value.rate !== 'number') return null;
+    const rate = Math.round(value.rate * 100) / 100;
+    if (!(rate > 0 && rate <= MAX_ACCRUAL_RATE)) return null;
     return {
-        v: 2,
-        currentAllowance,
-        currentYear,
-        currentRegion,
-        currentWeekendPattern,
-        bookedDates: Array.from(bookedDates),
-        customHolidays: getCustomHolidaysForLocation(currentRegion)
+        rate,
+        period: Object.prototype.hasOwnProperty.call(ACCRUAL_PERIODS, value.period) ? value.period : 'month',
+        start: isValidISODateString(value.start) ? value.start : null,
+        negativeLimit: isValidAllowance(value.negativeLimit) ? value.negativeLimit : 0
     };
 }
 
 /**
- * Ensures a custom holiday list exists for the given location.
+ * Sanitizes employment dates. An end date before the start is dropped.
+ * @returns {{start: ?string, end: ?string, rounding: string}}
  */
-function ensureCustomHolidays(location) {
-    if (!customHolidaysByLocation[location]) {
-        customHolidaysByLocation[location] = [];
+function sanitizeEmployment(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const start = isValidISODateString(source.start) ? source.start : null;
+    let end = isValidISODateString(source.end) ? source.end : null;
+    if (start && end && end < start) end = null;
+    return {
+        start,
+        end,
+        rounding: Object.prototype.hasOwnProperty.call(EMPLOYMENT_ROUNDING, source.rounding)
+            ? source.rounding
+            : DEFAULT_EMPLOYMENT_ROUNDING
+    };
+}
+
+function isPreferenceWeight(value) {
+    return PREFERENCE_LEVELS.some(level => level.value === value);
+}
+
+/**
+ * Sanitizes month preference weights; anything that isn't a known level is neutral.
+ * @returns {number[]}
+ */
+function sanitizeMonthWeights(list) {
+    const result = new Array(12).fill(1);
+    if (!Array.isArray(list)) return result;
+    for (let i = 0; i < 12; i++) {
+        if (isPreferenceWeight(list[i])) result[i] = list[i];
     }
-    return customHolidaysByLocation[location];
+    return result;
 }
 
 /**
- * Retrieves custom holidays for a specific location.
+ * Sanitizes preference ranges ([{ start, end, weight }] with inclusive ISO dates), sorted by
+ * start date. Overlapping ranges are kept; the one starting later wins.
+ * @returns {Array<{start: string, end: string, weight: number}>}
  */
-function getCustomHolidaysForLocation(location) {
-    return customHolidaysByLocation[location] || [];
+function sanitizePreferenceRanges(list) {
+    if (!Array.isArray(list)) return [];
+    const ranges = [];
+    const items = list.slice(0, MAX_PREFERENCE_RANGES);
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (!item || typeof item !== 'object') continue;
+        if (!isValidISODateString(item.start) || !isValidISODateString(item.end)) continue;
+        if (item.start > item.end || !isPreferenceWeight(item.weight)) continue;
+        ranges.push({ start: item.start, end: item.end, weight: item.weight });
+    }
+    return ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
 }
 
-function isSupportedRegion(location) {
-    return SUPPORTED_REGION_VALUES.includes(location);
+function hasPreferenceWeights() {
+    return preferenceRanges.length > 0 || monthWeights.some(weight => weight !== 1);
 }
 
-function getLocationConfig(location) {
-    return Object.prototype.hasOwnProperty.call(LOCATION_CONFIG, location) ? LOCATION_CONFIG[location] : null;
+/**
+ * Preference weight of a day: the latest-starting range containing it, else its month's weight.
+ */
+function getPreferenceWeight(date) {
+    if (preferenceRanges.length > 0) {
+        const dateStr = toLocalISOString(date);
+        for (let i = preferenceRanges.length - 1; i >= 0; i--) {
+            const range = preferenceRanges[i];
+            if (dateStr >= range.start && dateStr <= range.end) return range.weight;
+        }
+    }
+    return monthWeights[date.getMonth()];
 }
 
-function getDefaultWeekendForLocation(location) {
-    const config = getLocationConfig(location);
-    return config ? config.defaultWeekend : 'sat-sun';
+/**
+ * Returns the blackout range containing the date, or null.
+ */
+function getBlackoutRange(dateStr) {
+    // ISO date strings compare correctly as plain strings.
+    for (let i = 0; i < blackoutRanges.length; i++) {
+        const range = blackoutRanges[i];
+        if (dateStr >= range.start && dateStr <= range.end) return range;
+    }
+    return null;
 }
 
 /**
- * Sanitizes a list of custom holidays.
+ * Sanitizes leave pools ([{ id, name, days, singleDaysOnly }]). Ids must look like `pool-N`
+ * and be unique; days follow the allowance rules.
+ * @returns {Array<{id: string, name: string, days: number, singleDaysOnly: boolean}>}
  */
-function sanitizeHolidayList(list) {
-    return Array.isArray(list)
-        ? list.slice(0, MAX_CUSTOM_HOLIDAYS).filter(h =>
-            h && typeof h === 'object' &&
-            isValidISODateString(h.date) &&
-            typeof h.name === 'string' && h.name.length < 100
-          )
-        : [];
+function sanitizeLeavePools(list) {
+    if (!Array.isArray(list)) return [];
+    const pools = [];
+    const items = list.slice(0, MAX_LEAVE_POOLS);
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        if (!item || typeof item !== 'object') continue;
+        if (typeof item.id !== 'string' || !/^pool-\d{1,6}$/.test(item.id) || pools.some(pool => pool.id === item.id)) continue;
+        const name = typeof item.name === 'string' ? item.name.trim().slice(0, MAX_LEAVE_POOL_NAME_LENGTH) : '';
+        if (!name || !isValidAllowance(item.days)) continue;
+        pools.push({ id: item.id, name, days: item.days, singleDaysOnly: item.singleDaysOnly === true });
+    }
+    return pools;
 }
 
 /**
- * Sanitizes a map of custom holidays by location.
+ * Sanitizes the date -> pool id map, keeping only ids of the given pools.
+ * @returns {Object<string, string>}
  */
-function sanitizeHolidayMap(map) {
-    if (!map || typeof map !== 'object') return {};
+function sanitizeBookedPools(map, pools) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return {};
     const result = {};
-    const keys = Object.keys(map);
+    const keys = Object.keys(map).slice(0, MAX_BOOKED_DATES);
     for (let i = 0; i < keys.length; i++) {
         const key = keys[i];
-        const value = map[key];
-        if (typeof key === 'string' && isSupportedRegion(key)) {
-            const safeList = sanitizeHolidayList(value);
-            if (safeList.length > 0) {
-                result[key] = safeList;
-            }
+        if (isValidISODateString(key) && pools.some(pool => pool.id === map[key])) {
+            result[key] = map[key];
         }
     }
     return result;
 }
 
 /**
- * Determines whether a location relies on the holiday dataset.
+ * Every pool, starting with the annual allowance.
  */
-function isDatasetLocation(location) {
-    const config = getLocationConfig(location);
-    return Boolean(config && config.holidaySource === 'dataset');
+function getLeavePools() {
+    return [
+        { id: ANNUAL_LEAVE_POOL_ID, name: 'Annual Leave', days: getProRatedAllowance(currentYear, currentAllowance), singleDaysOnly: false },
+        ...leavePools
+    ];
+}
+
+function getLeavePool(id) {
+    return getLeavePools().find(pool => pool.id === id) || null;
 }
 
 /**
- * Retrieves the weekend preset for a given key with safe fallback.
+ * Allowance across all pools.
  */
-function getWeekendPreset(key) {
-    if (Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, key)) return WEEKEND_PRESETS[key];
-    const fallbackKey = getDefaultWeekendForLocation(currentRegion);
-    return Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, fallbackKey) ? WEEKEND_PRESETS[fallbackKey] : WEEKEND_PRESETS['sat-sun'];
+function getTotalAllowance() {
+    return leavePools.reduce((sum, pool) => sum + pool.days, getProRatedAllowance(currentYear, currentAllowance));
 }
 
 /**
- * Encodes a JavaScript object into a base64url string for safe URL transport.
- * Works in both browser and Node (tests).
+ * Days of the extra pools that can be spent on any break.
  */
-function encodePlanString(payload) {
-    try {
-        const json = JSON.stringify(payload);
-        const base64 = typeof Buffer !== 'undefined'
-            ? Buffer.from(json, 'utf8').toString('base64')
-            : btoa(unescape(encodeURIComponent(json)));
-        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-    } catch (e) {
-        console.warn('Failed to encode plan:', e);
-        return null;
-    }
+function getFlexiblePoolDays() {
+    return leavePools.reduce((sum, pool) => sum + (pool.singleDaysOnly ? 0 : pool.days), 0);
+}
+
+function isSingleDayPool(id) {
+    return leavePools.some(pool => pool.id === id && pool.singleDaysOnly);
 }
 
 /**
- * Decodes a base64url plan string back into an object, with basic validation.
+ * Leave used from each pool by the bookings in the given leave year, counting half days
+ * as 0.5. Dates in `excluded` are skipped.
+ * @returns {Object<string, number>} Used days by pool id.
  */
-function decodePlanString(encoded) {
-    if (!encoded || typeof encoded !== 'string') return null;
-
-    // Sentinel Optimization: Prevent DoS from overly large payloads
-    if (encoded.length > 30000) return null;
+function getPoolLeaveDays(year, excluded = null) {
+    const used = {};
+    getLeavePools().forEach(pool => { used[pool.id] = 0; });
+    used[ANNUAL_LEAVE_POOL_ID] = getBankHolidayDeduction(year);
+    const daysCount = getLeaveYearLength(year);
+    const count = (dateStr, days) => {
+        if (excluded && excluded.has(dateStr)) return;
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx < 0 || idx >= daysCount) return;
+        const poolId = bookedPools.get(dateStr);
+        used[poolId !== undefined && used[poolId] !== undefined ? poolId : ANNUAL_LEAVE_POOL_ID] += days;
+    };
+    bookedDates.forEach(dateStr => count(dateStr, 1));
+    halfDayBookings.forEach((period, dateStr) => count(dateStr, 0.5));
+    return used;
+}
 
-    try {
-        const normalized = encoded.replace(/-/g, '+').replace(/_/g, '/');
-        const padded = normalized + '==='.slice((normalized.length + 3) % 4);
-        const json = typeof Buffer !== 'undefined'
-            ? Buffer.from(padded, 'base64').toString('utf8')
-            : decodeURIComponent(escape(atob(padded)));
-        const obj = JSON.parse(json);
-        if (!obj || typeof obj !== 'object') return null;
-        const allowance = isValidAllowance(obj.currentAllowance)
-            ? obj.currentAllowance
-            : currentAllowance;
-        const year = isValidPlanningYear(obj.currentYear)
-            ? obj.currentYear
-            : currentYear;
-        const weekendPattern = typeof obj.currentWeekendPattern === 'string' && Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, obj.currentWeekendPattern)
-            ? obj.currentWeekendPattern
-            : null;
-        return {
-            currentAllowance: allowance,
-            currentYear: year,
-            currentRegion: typeof obj.currentRegion === 'string' ? obj.currentRegion : currentRegion,
-            currentWeekendPattern: weekendPattern,
-            bookedDates: sanitizeBookedDateList(obj.bookedDates),
-            customHolidays: sanitizeHolidayList(obj.customHolidays),
-            customHolidaysByLocation: sanitizeHolidayMap(obj.customHolidaysByLocation)
-        };
-    } catch (e) {
-        if (!(typeof process !== 'undefined' && process.env.JEST_WORKER_ID)) {
-            console.warn('Failed to decode plan:', e);
+/**
+ * Whether booking the date would keep it the only leave day of its break: the non-working
+ * days on either side must not lead to other leave.
+ */
+function isStandaloneLeaveDay(dateStr) {
+    const isBooked = d => bookedDates.has(d) || halfDayBookings.has(d);
+    for (const step of [-1, 1]) {
+        let date = addDays(parseISODateString(dateStr), step);
+        for (let i = 0; i < 366; i++) {
+            const dStr = toLocalISOString(date);
+            if (isBooked(dStr)) return false;
+            if (getDayType(date, dStr) === 'workday') break;
+            date = addDays(date, step);
         }
-        return null;
     }
+    return true;
 }
 
 /**
- * Attempts to read and apply a shared plan from the URL.
- * Returns true if a shared plan was applied.
+ * The single-day pool of a booked day in the same break as the date, or null. Booking
+ * the date would turn that pool day into a longer break.
  */
-function applySharedPlanFromUrl() {
-    if (typeof window === 'undefined') return false;
-    try {
-        const url = new URL(window.location.href);
-        const encodedPlan = url.searchParams.get(SHARE_PARAM);
-        if (!encodedPlan) return false;
-
-        const decoded = decodePlanString(encodedPlan);
-        if (!decoded) return false;
-
-        if (!isSupportedRegion(decoded.currentRegion)) {
-            decoded.currentRegion = REGIONS.ENGLAND_WALES;
-        }
-
-        currentAllowance = decoded.currentAllowance;
-        currentYear = decoded.currentYear;
-        currentRegion = decoded.currentRegion;
-
-        const defaultWeekend = getDefaultWeekendForLocation(currentRegion);
-        currentWeekendPattern = decoded.currentWeekendPattern && Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, decoded.currentWeekendPattern)
-            ? decoded.currentWeekendPattern
-            : defaultWeekend;
-        weekendByLocation = {};
-        weekendByLocation[currentRegion] = currentWeekendPattern;
-
-        bookedDates = new Set(decoded.bookedDates || []);
-
-        if (decoded.customHolidaysByLocation && Object.keys(decoded.customHolidaysByLocation).length > 0) {
-            customHolidaysByLocation = decoded.customHolidaysByLocation;
-        } else {
-            customHolidaysByLocation = {};
-            if (decoded.customHolidays && decoded.customHolidays.length > 0) {
-                customHolidaysByLocation[currentRegion] = decoded.customHolidays;
-            }
+function getNeighbouringSingleDayPool(dateStr) {
+    for (const step of [-1, 1]) {
+        let date = addDays(parseISODateString(dateStr), step);
+        for (let i = 0; i < 366; i++) {
+            const dStr = toLocalISOString(date);
+            const isBooked = bookedDates.has(dStr) || halfDayBookings.has(dStr);
+            if (isBooked && isSingleDayPool(bookedPools.get(dStr))) return getLeavePool(bookedPools.get(dStr));
+            if (!isBooked && getDayType(date, dStr) === 'workday') break;
+            date = addDays(date, step);
         }
-
-        clearHolidaysCache();
-        invalidateInsightCaches();
-
-        // Strip the plan param from URL to prevent accidental leakage on copy-paste
-        url.searchParams.delete(SHARE_PARAM);
-        window.history.replaceState({}, '', url.toString());
-
-        return true;
-    } catch (e) {
-        console.warn('Failed to apply shared plan:', e);
-        return false;
     }
+    return null;
 }
 
 /**
- * Builds a shareable URL reflecting the current plan.
+ * Drops pool records for days that are no longer booked.
  */
-function buildShareableUrl() {
-    if (typeof window === 'undefined') return '';
-    const url = new URL(window.location.origin + window.location.pathname);
-    const encoded = encodePlanString(getPlanPayload());
-    if (!encoded) return '';
-    url.searchParams.set(SHARE_PARAM, encoded);
-    return url.toString();
+function pruneBookedPools() {
+    for (const dateStr of Array.from(bookedPools.keys())) {
+        if (!bookedDates.has(dateStr) && !halfDayBookings.has(dateStr)) bookedPools.delete(dateStr);
+    }
 }
 
 /**
- * Shows a toast notification.
- * @param {string} message The message to display.
- * @param {'info'|'error'|'success'} type The type of toast.
+ * Records which pool pays for each day of newly booked plan blocks. Blocks the optimizer
+ * planned for a single-day pool use those pools first; the other days use the annual
+ * allowance, then the other pools in order, oldest day first.
  */
-function showToast(message, type = 'info') {
-    const container = document.getElementById('toast-container');
-    if (!container) return;
-
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+function assignLeavePools(year, blocks) {
+    const planDates = new Set();
+    blocks.forEach(block => block.bookedDates.forEach(d => planDates.add(toLocalISOString(d))));
+    planDates.forEach(dateStr => bookedPools.delete(dateStr));
+    if (leavePools.length === 0) return;
+
+    const used = getPoolLeaveDays(year, planDates);
+    const remaining = getLeavePools().map(pool => ({ pool, left: pool.days - used[pool.id] }));
+    const daysCount = getLeaveYearLength(year);
+    const take = (dateStr, days, singleDay) => {
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx < 0 || idx >= daysCount) return;
+        const entry = remaining.find(item => item.left >= days && item.pool.singleDaysOnly === singleDay)
+            || remaining[0];
+        entry.left -= days;
+        if (entry.pool.id !== ANNUAL_LEAVE_POOL_ID) bookedPools.set(dateStr, entry.pool.id);
+    };
+    const ordered = blocks.slice().sort((a, b) => a.startDate - b.startDate);
+    ordered.forEach(block => {
+        if (!block.singleDayPool) return;
+        block.bookedDates.forEach(d => take(toLocalISOString(d), block.leaveDaysUsed, true));
+    });
+    ordered.forEach(block => {
+        if (block.singleDayPool) return;
+        const days = block.halfDay ? 0.5 : 1;
+        block.bookedDates.forEach(d => take(toLocalISOString(d), days, false));
+    });
+}
 
-    const icon = type === 'success' ? '✅' : type === 'error' ? '⚠️' : 'ℹ️';
-    const iconSpan = document.createElement('span');
-    iconSpan.setAttribute('aria-hidden', 'true');
-    iconSpan.textContent = icon + ' ';
+/**
+ * Published bank holidays in the leave year measured against a pro-rata share: `onWorkingDays`
+ * fall on the user's working days, `fullTime` on Monday–Friday. A part-time worker's allowance holds
+ * `proRataShare` (fullTime scaled by working days per week); `adjustment` is the difference
+ * that the actual dates give or take away.
+ * @returns {{onWorkingDays: number, fullTime: number, proRataShare: number, adjustment: number}}
+ */
+function getBankHolidaySummary(year) {
+    // Only the location's published bank holidays count, not custom days or other holiday types.
+    const customHolidays = new Set(getCustomHolidaysForLocation(currentRegion));
+    const daysCount = getLeaveYearLength(year);
+    let onWorkingDays = 0;
+    let fullTime = 0;
+    for (let i = 0; i < daysCount; i++) {
+        const date = getLeaveYearDate(year, i);
+        const holiday = getHolidaysForYear(date.getFullYear(), currentRegion).lookup.get(toLocalISOString(date));
+        if (!holiday || customHolidays.has(holiday) || getHolidayTypeCategory(holiday.type) !== 'national') continue;
+        const dayOfWeek = date.getDay();
+        if (dayOfWeek !== 0 && dayOfWeek !== 6) fullTime++;
+        if (!isWeekend(date)) onWorkingDays++;
+    }
+    let workingDaysPerWeek = 0;
+    if (currentRotation) {
+        workingDaysPerWeek = (currentRotation.length - currentRotation.offDays.length) * 7 / currentRotation.length;
+    } else {
+        for (let day = 0; day < 7; day++) workingDaysPerWeek += 1 - ((currentWeekendMask >> day) & 1);
+    }
+    const proRataShare = Math.round(fullTime * Math.min(workingDaysPerWeek, 5) / 5 * 10) / 10;
+    return {
+        onWorkingDays,
+        fullTime,
+        proRataShare,
+        adjustment: Math.round((proRataShare - onWorkingDays) * 10) / 10
+    };
+}
 
-    const srSpan = document.createElement('span');
-    srSpan.className = 'sr-only';
-    const srText = type === 'success' ? 'Success: ' : type === 'error' ? 'Error: ' : 'Information: ';
-    srSpan.textContent = srText;
+/**
+ * Allowance taken up by bank holidays on working days in pro-rata mode (0 otherwise).
+ */
+function getBankHolidayDeduction(year) {
+    return bankHolidaysInAllowance ? getBankHolidaySummary(year).onWorkingDays : 0;
+}
 
-    const messageNode = document.createTextNode(message);
+/**
+ * Total leave used by the current bookings in the selected leave year, counting half days as 0.5.
+ * In pro-rata mode bank holidays on working days count as used too.
+ */
+function getUsedLeaveDays() {
+    const daysCount = getLeaveYearLength(currentYear);
+    let used = getBankHolidayDeduction(currentYear);
+    bookedDates.forEach(dateStr => {
+        const idx = getLeaveYearIndexFromISO(currentYear, dateStr);
+        if (idx >= 0 && idx < daysCount) used++;
+    });
+    halfDayBookings.forEach((period, dateStr) => {
+        const idx = getLeaveYearIndexFromISO(currentYear, dateStr);
+        if (idx >= 0 && idx < daysCount) used += 0.5;
+    });
+    return used;
+}
 
-    toast.appendChild(iconSpan);
-    toast.appendChild(srSpan);
-    toast.appendChild(messageNode);
+// --- REMAINING YEAR ---
+// Planning from today: past days can't take new leave, and leave booked before today is
+// kept as taken and comes out of the allowance first.
 
-    container.appendChild(toast);
+/**
+ * Planning start sent with an optimizer snapshot (worker side). The worker's currentYear is
+ * the year of its job, which isn't always the year selected on the page, so the main thread
+ * works the date out. Undefined on the main thread.
+ * @type {?string|undefined}
+ */
+let snapshotPlanningStart;
 
-    // Remove after 3 seconds
-    setTimeout(() => {
-        toast.classList.add('toast-out');
-        toast.addEventListener('animationend', () => {
-            if (container.contains(toast)) {
-                container.removeChild(toast);
-            }
-        });
-    }, 3000);
+/**
+ * First date (YYYY-MM-DD) the optimizer may book in `year`: today in remaining-year mode,
+ * or null when the whole year is open. Only the selected leave year is limited, so other
+ * years (e.g. the year-over-year comparison) are still planned in full.
+ * @returns {?string}
+ */
+function getPlanningStartDate(year) {
+    if (snapshotPlanningStart !== undefined) return year === currentYear ? snapshotPlanningStart : null;
+    return remainingYearOnly && year === currentYear ? toLocalISOString(new Date()) : null;
 }
 
-function setButtonIconText(button, icon, label) {
-    button.textContent = '';
-    const iconSpan = document.createElement('span');
-    iconSpan.setAttribute('aria-hidden', 'true');
-    iconSpan.textContent = icon + ' ';
-    button.appendChild(iconSpan);
-    button.appendChild(document.createTextNode(label));
+// --- EMPLOYMENT ---
+// Employment dates limit the bookable days, and a leave year that is only partly worked
+// gets the matching share of the allowance.
+
+function isEmployedOn(dateStr) {
+    return (!employment.start || dateStr >= employment.start) && (!employment.end || dateStr <= employment.end);
 }
 
 /**
- * Copies the shareable link to the clipboard (with fallback).
+ * First and last employed day index of the leave year; first > last when the whole leave
+ * year is outside the employment dates.
+ * @returns {{first: number, last: number}}
  */
-async function handleShareLink() {
-    const shareUrl = buildShareableUrl();
-    if (!shareUrl) {
-        showToast('Unable to create share link', 'error');
-        return;
-    }
+function getEmploymentWindow(year) {
+    const daysCount = getLeaveYearLength(year);
+    return {
+        first: employment.start ? Math.max(0, getLeaveYearIndexFromISO(year, employment.start)) : 0,
+        last: employment.end ? Math.min(daysCount - 1, getLeaveYearIndexFromISO(year, employment.end)) : daysCount - 1
+    };
+}
 
-    try {
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            await navigator.clipboard.writeText(shareUrl);
+/**
+ * The allowance for the employed share of the leave year's calendar days, rounded by the
+ * employment rounding rule. A fully employed year keeps the whole allowance.
+ */
+function getProRatedAllowance(year, allowance) {
+    if (!employment.start && !employment.end) return allowance;
+    const daysCount = getLeaveYearLength(year);
+    const { first, last } = getEmploymentWindow(year);
+    if (first === 0 && last === daysCount - 1) return allowance;
+    if (first > last) return 0;
+    const rule = EMPLOYMENT_ROUNDING[employment.rounding];
+    const steps = allowance * (last - first + 1) / daysCount / rule.step;
+    // Trim floating-point noise so exact multiples aren't rounded a step up or down.
+    return rule.round(Math.round(steps * 1e6) / 1e6) * rule.step;
+}
 
-            showToast('Link copied to clipboard!', 'success');
+// --- LEAVE ACCRUAL ---
+// With an accrual model the allowance builds up over the leave year, so leave can only be
+// taken once enough has been credited. Balances are kept per leave-year day index.
 
-            const btn = document.getElementById('share-btn');
-            if (btn && !btn.classList.contains('btn-success')) {
-                const originalAriaLabel = btn.getAttribute('aria-label');
-                setButtonIconText(btn, '✅', 'Copied!');
-                btn.setAttribute('aria-label', 'Copied!');
-                btn.classList.add('btn-success');
+/**
+ * Leave credited by the end of each day of the leave year (a running total). Credits
+ * falling in another leave year don't count.
+ * @returns {Float64Array}
+ */
+function getAccruedLeave(year) {
+    const daysCount = getLeaveYearLength(year);
+    const accrued = new Float64Array(daysCount);
+    if (!accrual) return accrued;
+    const yearStart = getLeaveYearStartDate(year);
+    const startStr = accrual.start || employment.start;
+    const start = startStr ? parseISODateString(startStr) : yearStart;
+    const periodDays = ACCRUAL_PERIODS[accrual.period].days;
+    // Each period is credited on its last day, the day before the next period starts.
+    const getPeriodEnd = (k) => {
+        if (periodDays) return new Date(start.getFullYear(), start.getMonth(), start.getDate() + k * periodDays - 1);
+        const lastDay = new Date(start.getFullYear(), start.getMonth() + k + 1, 0).getDate();
+        return new Date(start.getFullYear(), start.getMonth() + k, Math.min(start.getDate(), lastDay) - 1);
+    };
+    // Skip the periods that ended before this leave year.
+    const daysBefore = Math.round((yearStart - start) / MS_PER_DAY);
+    for (let k = Math.max(1, Math.floor(daysBefore / (periodDays || 31))); ; k++) {
+        const idx = Math.round((getPeriodEnd(k) - yearStart) / MS_PER_DAY);
+        if (idx >= daysCount) break;
+        if (idx >= 0) accrued[idx] += accrual.rate;
+    }
+    for (let i = 1; i < daysCount; i++) accrued[i] += accrued[i - 1];
+    return accrued;
+}
 
-                setTimeout(() => {
-                    setButtonIconText(btn, '🔗', 'Copy Share Link');
-                    if (originalAriaLabel) {
-                        btn.setAttribute('aria-label', originalAriaLabel);
-                    } else {
-                        btn.removeAttribute('aria-label');
-                    }
-                    btn.classList.remove('btn-success');
-                }, 2000);
-            }
-        } else {
-            throw new Error('Clipboard API not available');
+/**
+ * Leave taken on each day of the leave year that has to be accrued first: bookings (half
+ * days as 0.5) and, in pro-rata mode, bank holidays on working days. Single-day pool days
+ * don't come from the allowance, so they are left out.
+ * @returns {Float64Array}
+ */
+function getAccrualUsage(year, dates = bookedDates, halfDays = halfDayBookings) {
+    const daysCount = getLeaveYearLength(year);
+    const usage = new Float64Array(daysCount);
+    const add = (dateStr, days) => {
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx >= 0 && idx < daysCount && !isSingleDayPool(bookedPools.get(dateStr))) usage[idx] += days;
+    };
+    dates.forEach(dateStr => add(dateStr, 1));
+    halfDays.forEach((period, dateStr) => add(dateStr, 0.5));
+    if (bankHolidaysInAllowance) {
+        ensureDayTypeCache(year);
+        const types = dayTypeCache.get(year).types;
+        for (let i = 0; i < daysCount; i++) {
+            if (types[i] === 'holiday' && !isWeekend(getLeaveYearDate(year, i))) usage[i]++;
         }
-    } catch (e) {
-        console.warn('Copy failed:', e);
-        showToast('Copy failed. Please try again.', 'error');
     }
+    return usage;
 }
 
 /**
- * Saves the current application state to localStorage.
+ * Balance at the end of each day of the leave year: leave accrued so far plus the flexible
+ * pools (available from the start), less the leave taken so far.
+ * @returns {Float64Array}
  */
-function saveState() {
-    const state = getCurrentState();
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (e) {
-        console.warn('Failed to save state:', e);
+function getAccrualBalance(year, dates = bookedDates, halfDays = halfDayBookings) {
+    const balance = getAccruedLeave(year);
+    const usage = getAccrualUsage(year, dates, halfDays);
+    const poolDays = getFlexiblePoolDays();
+    let used = 0;
+    for (let i = 0; i < balance.length; i++) {
+        used += usage[i];
+        balance[i] += poolDays - used;
     }
+    return balance;
 }
 
 /**
- * Loads the saved application state from localStorage.
- * @returns {Object|null} The saved state or null if not found/invalid.
+ * Index of the first day whose balance falls below the negative-balance limit, or -1.
  */
-function loadState() {
-    try {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            return JSON.parse(saved);
-        }
-    } catch (e) {
-        console.warn('Failed to load saved state:', e);
+function findAccrualShortfall(balance) {
+    if (!accrual) return -1;
+    for (let i = 0; i < balance.length; i++) {
+        if (balance[i] < -accrual.negativeLimit - 1e-9) return i;
     }
-    return null;
+    return -1;
 }
 
 /**
- * Clears saved state from localStorage.
+ * Most leave the optimizer may have taken by the end of each day, on top of the `fixed`
+ * leave (see getFixedLeave). Leave taken early still counts on every later day, so each
+ * cap is the lowest headroom from that day to the end of the year. Null without accrual.
+ * @returns {?Float64Array}
  */
-function clearState() {
-    localStorage.removeItem(STORAGE_KEY);
+function getAccrualCaps(year, fixed) {
+    if (!accrual) return null;
+    const caps = getAccrualBalance(year, fixed.dates, fixed.halfDays);
+    let lowest = Infinity;
+    for (let i = caps.length - 1; i >= 0; i--) {
+        lowest = Math.min(lowest, caps[i] + accrual.negativeLimit);
+        caps[i] = lowest;
+    }
+    return caps;
 }
 
-// --- HOLIDAY DATASET ---
-
-const HOLIDAY_DATA_URL = '/data/holidays.json';
-const holidayDataWarnings = new Set();
+// --- LEAVE YEAR ---
+// A leave year is labelled by the calendar year it starts in and runs for twelve months
+// from leaveYearStartMonth/leaveYearStartDay. Day indices (0 = first day of the leave
+// year) are used by the day type cache, optimizer and plan analysis.
 
 /**
- * Loads the holiday dataset from the server (or local cache).
+ * Sanitizes a leave-year start ({ month: 1-12, day }). 29 February is rejected
+ * so every leave year starts on a real date.
+ * @returns {?{month: number, day: number}}
  */
-async function loadHolidayDataset(force = false) {
-    if (holidayDatasetPromise && !force) return holidayDatasetPromise;
-    holidayDatasetPromise = (async () => {
-        let data = null;
-        let fromCache = false;
-
-        if (typeof fetch === 'function') {
-            try {
-                const response = await fetch(HOLIDAY_DATA_URL, { cache: 'no-store' });
-                if (response.ok) {
-                    data = await response.json();
-                }
-            } catch (e) {
-                data = null;
-            }
-        }
-
-        if (!data) {
-            try {
-                const cached = localStorage.getItem(HOLIDAY_DATA_STORAGE_KEY);
-                if (cached) {
-                    data = JSON.parse(cached);
-                    fromCache = true;
-                }
-            } catch (e) {
-                data = null;
-            }
-        }
-
-        if (data) {
-            holidayDataset = data;
-            holidayDatasetFromCache = fromCache;
-            try {
-                localStorage.setItem(HOLIDAY_DATA_STORAGE_KEY, JSON.stringify(data));
-            } catch (e) {
-                // Ignore cache failures
-            }
-            clearHolidaysCache();
-            invalidateInsightCaches();
-            renderHolidayDataStatus();
-            if (isDatasetLocation(currentRegion) && typeof document !== 'undefined') {
-                updateUI();
-            }
-        }
-
-        return holidayDataset;
-    })();
+function sanitizeLeaveYearStart(value) {
+    if (!value || typeof value !== 'object') return null;
+    const { month, day } = value;
+    if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+    const maxDay = new Date(2001, month, 0).getDate();
+    if (!Number.isInteger(day) || day < 1 || day > maxDay) return null;
+    return { month, day };
+}
 
-    return holidayDatasetPromise;
+/**
+ * Returns the leave-year start as stored in state and share payloads.
+ */
+function getLeaveYearStartSetting() {
+    return { month: leaveYearStartMonth + 1, day: leaveYearStartDay };
 }
 
 /**
- * Retrieves dataset holidays for a specific location/year.
+ * Applies a leave-year start setting, falling back to 1 January when invalid.
  */
-function getDatasetLocationYears(location) {
-    const config = getLocationConfig(location);
-    if (!config || !holidayDataset) return null;
+function applyLeaveYearStart(value) {
+    const start = sanitizeLeaveYearStart(value) || { month: 1, day: 1 };
+    leaveYearStartMonth = start.month - 1;
+    leaveYearStartDay = start.day;
+}
 
-    const locations = holidayDataset.locations || holidayDataset.data || {};
-    const locationEntry = config.datasetKey && Object.prototype.hasOwnProperty.call(locations, config.datasetKey)
-        ? locations[config.datasetKey]
-        : null;
+function isCalendarLeaveYear() {
+    return leaveYearStartMonth === 0 && leaveYearStartDay === 1;
+}
 
-    if (locationEntry) {
-        return locationEntry && locationEntry.years ? locationEntry.years : locationEntry;
-    }
+/**
+ * Returns the first day of the given leave year.
+ */
+function getLeaveYearStartDate(year) {
+    return new Date(year, leaveYearStartMonth, leaveYearStartDay);
+}
 
-    if (config.datasetKey && config.datasetKey === config.countryCode) {
-        const countries = holidayDataset.countries || {};
-        const countryEntry = Object.prototype.hasOwnProperty.call(countries, config.countryCode)
-            ? countries[config.countryCode]
-            : null;
-        return countryEntry && countryEntry.years ? countryEntry.years : countryEntry;
-    }
+/**
+ * Returns the date at a day index within the given leave year (indices may fall outside it).
+ */
+function getLeaveYearDate(year, idx) {
+    // Bolt Optimization: Pass offset directly to Date constructor to avoid setDate overhead
+    return new Date(year, leaveYearStartMonth, leaveYearStartDay + idx);
+}
 
-    return null;
+/**
+ * Returns the number of days in the given leave year (365 or 366).
+ */
+function getLeaveYearLength(year) {
+    return getEpochDay(year + 1, leaveYearStartMonth, leaveYearStartDay) -
+        getEpochDay(year, leaveYearStartMonth, leaveYearStartDay);
 }
 
-function getDatasetHolidays(year, location) {
-    const years = getDatasetLocationYears(location);
-    const list = years ? years[String(year)] : null;
+/**
+ * Returns the day index of a YYYY-MM-DD string relative to the start of the given leave year.
+ */
+function getLeaveYearIndexFromISO(year, dateStr) {
+    const y = (dateStr.charCodeAt(0) - 48) * 1000 + (dateStr.charCodeAt(1) - 48) * 100 + (dateStr.charCodeAt(2) - 48) * 10 + (dateStr.charCodeAt(3) - 48);
+    const m = (dateStr.charCodeAt(5) - 48) * 10 + (dateStr.charCodeAt(6) - 48);
+    const d = (dateStr.charCodeAt(8) - 48) * 10 + (dateStr.charCodeAt(9) - 48);
+    return getEpochDay(y, m - 1, d) - getEpochDay(year, leaveYearStartMonth, leaveYearStartDay);
+}
 
-    if (!Array.isArray(list) || list.length === 0) {
-        warnHolidayDataUnavailable(location, year);
-        return [];
+/**
+ * Returns the leave year (by its starting calendar year) that contains the given date.
+ */
+function getLeaveYearForDate(date) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    if (month < leaveYearStartMonth || (month === leaveYearStartMonth && date.getDate() < leaveYearStartDay)) {
+        return year - 1;
     }
-
-    return list
-        .filter(item =>
-            item &&
-            typeof item.date === 'string' && DATE_REGEX.test(item.date) &&
-            typeof item.name === 'string'
-        )
-        .map(item => ({
-            date: item.date,
-            name: item.name
-        }));
+    return year;
 }
 
-function hasHolidayDataForYear(location, year) {
-    const years = getDatasetLocationYears(location);
-    return Boolean(years && Array.isArray(years[String(year)]) && years[String(year)].length > 0);
+/**
+ * Formats a leave year for display: "2025" for calendar years, "2025/26" otherwise.
+ */
+function getLeaveYearLabel(year) {
+    if (isCalendarLeaveYear()) return String(year);
+    return `${year}/${String((year + 1) % 100).padStart(2, '0')}`;
 }
 
-function warnHolidayDataUnavailable(location, year) {
-    if (!isDatasetLocation(location)) return;
-    // Only surface warnings for the actively selected year to avoid noise
-    // from cross-year checks (e.g., year-over-year insights or boundary scans).
-    if (year !== currentYear) return;
-    const key = `${location}-${year}`;
-    if (holidayDataWarnings.has(key)) return;
-    holidayDataWarnings.add(key);
-    showToast(`Holiday data unavailable for ${year}. Using weekends + custom holidays only.`, 'info');
-    renderHolidayDataStatus();
+// --- PERSISTENCE ---
+const STORAGE_KEY = 'vacationMaximiser';
+const SHARE_PARAM = 'plan';
+
+/**
+ * Returns the current application state.
+ */
+function getCurrentState() {
+    return {
+        currentAllowance,
+        currentYear,
+        leaveYearStart: getLeaveYearStartSetting(),
+        crossYearPlanning,
+        remainingYearOnly,
+        bankHolidaysInAllowance,
+        accrual,
+        employment,
+        currentObjective,
+        currentRegion,
+        currentWeekendPattern,
+        weekendByLocation,
+        holidayTypesByLocation,
+        bookedDates: Array.from(bookedDates),
+        halfDays: Object.fromEntries(halfDayBookings),
+        lockedDates: Array.from(lockedDates),
+        blackoutRanges,
+        blockRules,
+        leavePolicy,
+        monthWeights,
+        preferenceRanges,
+        leavePools,
+        bookedPools: Object.fromEntries(bookedPools),
+        customHolidaysByLocation
+    };
 }
 
-function renderHolidayDataStatus() {
-    if (typeof document === 'undefined') return;
-    const statusEl = document.getElementById('holiday-data-status');
-    if (!statusEl) return;
+/**
+ * Builds a plain object representing the current plan state.
+ */
+function getPlanPayload() {
+    return {
+        v: 2,
+        currentAllowance,
+        currentYear,
+        leaveYearStart: getLeaveYearStartSetting(),
+        crossYearPlanning,
+        remainingYearOnly,
+        bankHolidaysInAllowance,
+        accrual,
+        employment,
+        currentObjective,
+        currentRegion,
+        currentWeekendPattern,
+        weekendMask: currentWeekendMask,
+        rotation: currentRotation ? getRotationSetting(currentRotation) : null,
+        bookedDates: Array.from(bookedDates),
+        halfDays: Object.fromEntries(halfDayBookings),
+        lockedDates: Array.from(lockedDates),
+        blackoutRanges,
+        blockRules,
+        leavePolicy,
+        monthWeights,
+        preferenceRanges,
+        leavePools,
+        bookedPools: Object.fromEntries(bookedPools),
+        customHolidays: getCustomHolidaysForLocation(currentRegion),
+        holidayTypes: getCountedHolidayTypes(currentRegion)
+    };
+}
 
-    if (!isDatasetLocation(currentRegion)) {
-        statusEl.textContent = '';
-        return;
+/**
+ * Ensures a custom holiday list exists for the given location.
+ */
+function ensureCustomHolidays(location) {
+    if (!customHolidaysByLocation[location]) {
+        customHolidaysByLocation[location] = [];
     }
+    return customHolidaysByLocation[location];
+}
 
-    if (!holidayDataset) {
-        statusEl.textContent = 'Holiday data unavailable. Using weekends + custom holidays only.';
-        return;
-    }
+/**
+ * Retrieves custom holidays for a specific location.
+ */
+function getCustomHolidaysForLocation(location) {
+    return customHolidaysByLocation[location] || [];
+}
 
-    if (!hasHolidayDataForYear(currentRegion, currentYear)) {
-        statusEl.textContent = `Holiday data unavailable for ${currentYear}. Using weekends + custom holidays only.`;
-        return;
-    }
+function isSupportedRegion(location) {
+    return SUPPORTED_REGION_VALUES.includes(location);
+}
 
-    const updatedAt = holidayDataset.updatedAt || holidayDataset.generatedAt;
-    if (updatedAt) {
-        statusEl.textContent = `Holiday data updated: ${String(updatedAt).slice(0, 10)}${holidayDatasetFromCache ? ' (cached)' : ''}`;
-    } else {
-        statusEl.textContent = 'Holiday data loaded.';
-    }
+function getLocationConfig(location) {
+    return Object.prototype.hasOwnProperty.call(LOCATION_CONFIG, location) ? LOCATION_CONFIG[location] : null;
 }
 
-// --- HOLIDAYS ---
+function getDefaultWeekendForLocation(location) {
+    const config = getLocationConfig(location);
+    return config ? config.defaultWeekend : 'sat-sun';
+}
 
 /**
- * Fast parser for known YYYY-MM-DD strings.
- * Bolt Optimization: Replaces split('-').map(Number) which creates intermediate arrays.
- * Using charCodeAt is ~3x faster for high-frequency loops.
- * @param {string} dateStr The YYYY-MM-DD string to parse.
- * @returns {Date} The parsed Date object.
+ * Sanitizes a list of custom holidays.
  */
-function parseISODateString(dateStr) {
-    const y = (dateStr.charCodeAt(0) - 48) * 1000 + (dateStr.charCodeAt(1) - 48) * 100 + (dateStr.charCodeAt(2) - 48) * 10 + (dateStr.charCodeAt(3) - 48);
-    const m = (dateStr.charCodeAt(5) - 48) * 10 + (dateStr.charCodeAt(6) - 48);
-    const d = (dateStr.charCodeAt(8) - 48) * 10 + (dateStr.charCodeAt(9) - 48);
-    return new Date(y, m - 1, d);
+function sanitizeHolidayList(list) {
+    return Array.isArray(list)
+        ? list.slice(0, MAX_CUSTOM_HOLIDAYS).filter(h =>
+            h && typeof h === 'object' &&
+            isValidISODateString(h.date) &&
+            typeof h.name === 'string' && h.name.length < 100
+          )
+        : [];
 }
 
 /**
- * Formats a date object into a YYYY-MM-DD string in the local timezone.
- * @param {Date} date The date to format.
- * @returns {string} The formatted date string.
+ * Sanitizes a map of custom holidays by location.
  */
-function toLocalISOString(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    // Optimization: Manual concatenation is ~5x faster than String().padStart()
-    // Bolt Optimization: Standard string concatenation is ~4x faster than template literals
-    return year + (month < 10 ? '-0' : '-') + month + (day < 10 ? '-0' : '-') + day;
+function sanitizeHolidayMap(map) {
+    if (!map || typeof map !== 'object') return {};
+    const result = {};
+    const keys = Object.keys(map);
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        const value = map[key];
+        if (typeof key === 'string' && isSupportedRegion(key)) {
+            const safeList = sanitizeHolidayList(value);
+            if (safeList.length > 0) {
+                result[key] = safeList;
+            }
+        }
+    }
+    return result;
 }
 
 /**
- * Calculates the date of Easter Sunday for a given year using the anonymous Gregorian algorithm.
- * @param {number} year The year to calculate Easter for.
- * @returns {Date} The date of Easter Sunday.
- */
-function getEasterDate(year) {
-    // Meeus/Jones/Butcher's algorithm
-    const goldenNumber = year % 19;
-    const century = Math.floor(year / 100);
-    const yearInCentury = year % 100;
-    const skippedLeapYears = Math.floor(century / 4);
-    const centuryMod4 = century % 4;
-    const lunarCorrection = Math.floor((century + 8) / 25);
-    const solarCorrection = Math.floor((century - lunarCorrection + 1) / 3);
-    const epact = (19 * goldenNumber + century - skippedLeapYears - solarCorrection + 15) % 30;
-    const leapYearsInCentury = Math.floor(yearInCentury / 4);
-    const yearInCenturyMod4 = yearInCentury % 4;
-    const dayCorrection = (32 + 2 * centuryMod4 + 2 * leapYearsInCentury - epact - yearInCenturyMod4) % 7;
-    const monthCorrection = Math.floor((goldenNumber + 11 * epact + 22 * dayCorrection) / 451);
-    const month = Math.floor((epact + dayCorrection - 7 * monthCorrection + 114) / 31);
-    const day = ((epact + dayCorrection - 7 * monthCorrection + 114) % 31) + 1;
-    return new Date(year, month - 1, day);
-}
-
-/**
- * Finds a specific day of the week in a given month.
- * @param {number} year The year.
- * @param {number} month The month (0-indexed).
- * @param {number} dayOfWeek The day of the week (0 for Sunday, 1 for Monday, etc.).
- * @param {'first'|'last'} position Whether to find the first or last occurrence.
- * @returns {Date} The date found.
- */
-function findDayInMonth(year, month, dayOfWeek, position) {
-    let date;
-    if (position === 'first') {
-        date = new Date(year, month, 1);
-        while (date.getDay() !== dayOfWeek) {
-            date.setDate(date.getDate() + 1);
-        }
-    } else {
-        date = new Date(year, month + 1, 0);
-        while (date.getDay() !== dayOfWeek) {
-            date.setDate(date.getDate() - 1);
-        }
-    }
-    return date;
+ * Determines whether a location relies on the holiday dataset.
+ */
+function isDatasetLocation(location) {
+    const config = getLocationConfig(location);
+    return Boolean(config && config.holidaySource === 'dataset');
 }
 
 /**
- * Helper to add a holiday with substitute logic.
- * @param {Date} date The original holiday date.
- * @param {string} name The name of the holiday.
- * @param {'next-monday'|'next-tuesday'} [substituteRule='next-monday'] Rule for weekend substitution.
- * @returns {{date: string, name: string}} The holiday object.
+ * Retrieves the weekend preset for a given key with safe fallback.
  */
-function createHoliday(date, name, substituteRule = 'next-monday') {
-    let d = new Date(date);
-    const day = d.getDay();
+function getWeekendPreset(key) {
+    if (Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, key)) return WEEKEND_PRESETS[key];
+    const fallbackKey = getDefaultWeekendForLocation(currentRegion);
+    return Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, fallbackKey) ? WEEKEND_PRESETS[fallbackKey] : WEEKEND_PRESETS['sat-sun'];
+}
 
-    if (day === 0) { // Sunday
-        if (substituteRule === 'next-monday') d.setDate(d.getDate() + 1);
-        else if (substituteRule === 'next-tuesday') d.setDate(d.getDate() + 2);
-    } else if (day === 6) { // Saturday
-        if (substituteRule === 'next-monday') d.setDate(d.getDate() + 2);
-        else if (substituteRule === 'next-tuesday') d.setDate(d.getDate() + 3);
+/**
+ * Converts a list of weekday numbers (0 = Sunday) into a weekend bitmask.
+ */
+function getWeekendMaskFromDays(days) {
+    let mask = 0;
+    for (let i = 0; i < days.length; i++) {
+        mask |= 1 << days[i];
     }
-
-    return { date: toLocalISOString(d), name: name + (d.getTime() !== date.getTime() ? " (Substitute)" : "") };
+    return mask;
 }
 
 /**
- * Calculates the holiday for 2nd January (Scotland only), accounting for substitution.
+ * Checks that a value is a custom weekend mask that still leaves at least one working day.
  */
-function getScotlandJan2(year, jan1Holiday) {
-    let jan2 = new Date(year, 0, 2);
-    const jan1SubDate = jan1Holiday.date;
-
-    // Standard weekend handling first
-    let d = new Date(jan2);
-    if (jan2.getDay() === 0) d.setDate(d.getDate() + 1); // Sun -> Mon
-    else if (jan2.getDay() === 6) d.setDate(d.getDate() + 2); // Sat -> Mon
+function isValidWeekendMask(value) {
+    return Number.isInteger(value) && value >= 0 && value < ALL_WEEKDAYS_MASK;
+}
 
-    // If Jan 2 substitute lands on the same day as Jan 1 substitute (e.g. both Mon), move to Tue
-    if (toLocalISOString(d) === jan1SubDate) {
-        d.setDate(d.getDate() + 1);
+/**
+ * Sanitizes a rotating schedule: a cycle of `length` days starting on `anchor`,
+ * where `offDays` lists the non-working positions (0-based) within the cycle.
+ * Returns null unless the cycle keeps at least one working day.
+ */
+function sanitizeRotation(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    const { anchor, length, offDays } = value;
+    if (typeof anchor !== 'string' || !isValidISODateString(anchor)) return null;
+    if (!Number.isInteger(length) || length < MIN_ROTATION_LENGTH || length > MAX_ROTATION_LENGTH) return null;
+    if (!Array.isArray(offDays) || offDays.length > length) return null;
+
+    const seen = new Uint8Array(length);
+    for (let i = 0; i < offDays.length; i++) {
+        const day = offDays[i];
+        if (!Number.isInteger(day) || day < 0 || day >= length) return null;
+        seen[day] = 1;
     }
-
-    return { date: toLocalISOString(d), name: "2nd January" };
+    const cleanOffDays = [];
+    for (let i = 0; i < length; i++) {
+        if (seen[i]) cleanOffDays.push(i);
+    }
+    if (cleanOffDays.length === length) return null;
+    return { anchor, length, offDays: cleanOffDays };
 }
 
 /**
- * Calculates the Summer Bank Holiday based on the region.
+ * Returns the plain rotation setting (as stored and shared) for a compiled rotation.
  */
-function getSummerBankHoliday(year, region) {
-    // Scotland: First Monday in August
-    // Others: Last Monday in August
-    const position = region === REGIONS.SCOTLAND ? 'first' : 'last';
-    const date = findDayInMonth(year, 7, 1, position);
-    return { date: toLocalISOString(date), name: "Summer Bank Holiday" };
+function getRotationSetting(rotation) {
+    return { anchor: rotation.anchor, length: rotation.length, offDays: rotation.offDays.slice() };
 }
 
 /**
- * Calculates Christmas and Boxing Day holidays with their complex substitution logic.
+ * Returns a timezone-independent day number for a calendar date.
  */
-function getChristmasHolidays(year) {
-    const holidays = [];
-    const xmas = new Date(year, 11, 25);
-    const boxing = new Date(year, 11, 26);
+function getEpochDay(year, monthIndex, day) {
+    return Math.round(Date.UTC(year, monthIndex, day) / MS_PER_DAY);
+}
 
-    let xmasSub = null;
-    let boxingSub = null;
+/**
+ * Returns a day's position (0-based) within a rotation cycle.
+ */
+function getRotationPosition(rotation, epochDay) {
+    const offset = (epochDay - rotation.anchorDay) % rotation.length;
+    return offset < 0 ? offset + rotation.length : offset;
+}
 
-    // Christmas Substitution Logic
-    if (xmas.getDay() === 6) { // Sat -> Mon
-        xmasSub = new Date(year, 11, 27);
-    } else if (xmas.getDay() === 0) { // Sun -> Tue (because Boxing Day is Mon)
-        xmasSub = new Date(year, 11, 27);
+/**
+ * Builds a two-week rotation that reproduces a weekly weekend mask, anchored on the
+ * Monday on or before 1 January of the given year. Used to seed the rotation editor.
+ */
+function createRotationFromMask(mask, year) {
+    const jan1 = new Date(year, 0, 1);
+    const anchorDate = new Date(year, 0, 1 - ((jan1.getDay() + 6) % 7));
+    const offDays = [];
+    for (let i = 0; i < 14; i++) {
+        if ((mask >> ((i + 1) % 7)) & 1) offDays.push(i);
     }
+    return { anchor: toLocalISOString(anchorDate), length: 14, offDays };
+}
 
-    if (xmasSub) {
-        holidays.push({ date: toLocalISOString(xmasSub), name: "Christmas Day (Substitute)" });
-    } else {
-        holidays.push({ date: toLocalISOString(xmas), name: "Christmas Day" });
+/**
+ * Normalizes a stored weekend setting (preset key, custom mask or rotation).
+ * Masks that match a preset collapse to the preset key; invalid values return null.
+ */
+function normalizeWeekendSetting(setting) {
+    if (typeof setting === 'string') {
+        return Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, setting) ? setting : null;
     }
-
-    // Boxing Day Substitution Logic
-    if (boxing.getDay() === 6) { // Sat -> Mon
-        boxingSub = new Date(year, 11, 28);
-    } else if (boxing.getDay() === 0) { // Sun -> Tue (because Xmas sub is Mon or Tue)
-        boxingSub = new Date(year, 11, 28);
+    if (setting && typeof setting === 'object') return sanitizeRotation(setting);
+    if (!isValidWeekendMask(setting)) return null;
+    const presetKeys = Object.keys(WEEKEND_PRESETS);
+    for (let i = 0; i < presetKeys.length; i++) {
+        if (getWeekendMaskFromDays(WEEKEND_PRESETS[presetKeys[i]].days) === setting) return presetKeys[i];
     }
+    return setting;
+}
 
-    if (boxingSub) {
-        holidays.push({ date: toLocalISOString(boxingSub), name: "Boxing Day (Substitute)" });
+/**
+ * Applies a weekend setting to the current location, falling back to the location default.
+ */
+function applyWeekendSetting(setting) {
+    const normalized = normalizeWeekendSetting(setting);
+    const resolved = normalized === null ? getDefaultWeekendForLocation(currentRegion) : normalized;
+    currentRotation = null;
+    if (typeof resolved === 'object') {
+        // The weekly mask is kept so switching back to a weekly schedule restores it.
+        const [year, month, day] = resolved.anchor.split('-').map(Number);
+        const offLookup = new Uint8Array(resolved.length);
+        for (let i = 0; i < resolved.offDays.length; i++) {
+            offLookup[resolved.offDays[i]] = 1;
+        }
+        currentWeekendPattern = ROTATION_WEEKEND_KEY;
+        currentRotation = {
+            ...resolved,
+            anchorDay: getEpochDay(year, month - 1, day),
+            offLookup
+        };
+        currentScheduleKey = `r${resolved.anchor}/${resolved.length}/${resolved.offDays.join('.')}`;
     } else {
-        holidays.push({ date: toLocalISOString(boxing), name: "Boxing Day" });
+        if (typeof resolved === 'number') {
+            currentWeekendPattern = CUSTOM_WEEKEND_KEY;
+            currentWeekendMask = resolved;
+        } else {
+            currentWeekendPattern = resolved;
+            currentWeekendMask = getWeekendMaskFromDays(getWeekendPreset(resolved).days);
+        }
+        currentScheduleKey = String(currentWeekendMask);
     }
-
-    return holidays;
+    weekendByLocation[currentRegion] = resolved;
 }
 
 /**
- * Generates a list of UK bank holidays for a given year, based on the region.
- * Handles substitute days for holidays falling on weekends.
- * @param {number} year The year to generate holidays for.
- * @param {string} region The region code ('england-wales', 'scotland', 'northern-ireland').
- * @returns {Array<{date: string, name: string}>} A list of holiday objects.
+ * Encodes a JavaScript object into a base64url string for safe URL transport.
+ * Works in both browser and Node (tests).
  */
-function getUKHolidays(year, region) {
-    const holidays = [];
-
-    // 1. New Year's Day (Jan 1) - ALL
-    const newYear = createHoliday(new Date(year, 0, 1), "New Year's Day");
-    holidays.push(newYear);
-
-    // 2. Jan 2nd - SCOTLAND ONLY
-    if (region === REGIONS.SCOTLAND) {
-        holidays.push(getScotlandJan2(year, newYear));
+function encodePlanString(payload) {
+    try {
+        const json = JSON.stringify(payload);
+        const base64 = typeof Buffer !== 'undefined'
+            ? Buffer.from(json, 'utf8').toString('base64')
+            : btoa(unescape(encodeURIComponent(json)));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    } catch (e) {
+        console.warn('Failed to encode plan:', e);
+        return null;
     }
+}
 
-    // 3. St Patrick's Day (Mar 17) - NI ONLY
-    if (region === REGIONS.NORTHERN_IRELAND) {
-        holidays.push(createHoliday(new Date(year, 2, 17), "St Patrick's Day"));
-    }
+/**
+ * Decodes a base64url plan string back into an object, with basic validation.
+ */
+function decodePlanString(encoded) {
+    if (!encoded || typeof encoded !== 'string') return null;
 
-    // 4. Good Friday (Easter - 2) - ALL
-    const easter = getEasterDate(year);
-    const goodFriday = new Date(easter);
-    goodFriday.setDate(easter.getDate() - 2);
-    holidays.push({ date: toLocalISOString(goodFriday), name: "Good Friday" });
+    // Sentinel Optimization: Prevent DoS from overly large payloads
+    if (encoded.length > 30000) return null;
 
-    // 5. Easter Monday (Easter + 1) - ALL EXCEPT SCOTLAND
-    if (region !== REGIONS.SCOTLAND) {
-        const easterMonday = new Date(easter);
-        easterMonday.setDate(easter.getDate() + 1);
-        holidays.push({ date: toLocalISOString(easterMonday), name: "Easter Monday" });
+    try {
+        const normalized = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = normalized + '==='.slice((normalized.length + 3) % 4);
+        const json = typeof Buffer !== 'undefined'
+            ? Buffer.from(padded, 'base64').toString('utf8')
+            : decodeURIComponent(escape(atob(padded)));
+        const obj = JSON.parse(json);
+        if (!obj || typeof obj !== 'object') return null;
+        const allowance = isValidAllowance(obj.currentAllowance)
+            ? obj.currentAllowance
+            : currentAllowance;
+        const year = isValidPlanningYear(obj.currentYear)
+            ? obj.currentYear
+            : currentYear;
+        const hasCustomWeekend = obj.currentWeekendPattern === CUSTOM_WEEKEND_KEY && isValidWeekendMask(obj.weekendMask);
+        const rotation = obj.currentWeekendPattern === ROTATION_WEEKEND_KEY ? sanitizeRotation(obj.rotation) : null;
+        const pools = sanitizeLeavePools(obj.leavePools);
+        const weekendPattern = hasCustomWeekend || rotation || (typeof obj.currentWeekendPattern === 'string' && Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, obj.currentWeekendPattern))
+            ? obj.currentWeekendPattern
+            : null;
+        return {
+            currentAllowance: allowance,
+            currentYear: year,
+            leaveYearStart: sanitizeLeaveYearStart(obj.leaveYearStart),
+            crossYearPlanning: obj.crossYearPlanning === true,
+            remainingYearOnly: obj.remainingYearOnly === true,
+            bankHolidaysInAllowance: obj.bankHolidaysInAllowance === true,
+            accrual: sanitizeAccrual(obj.accrual),
+            employment: sanitizeEmployment(obj.employment),
+            currentObjective: isValidPlanObjective(obj.currentObjective) ? obj.currentObjective : DEFAULT_PLAN_OBJECTIVE,
+            currentRegion: typeof obj.currentRegion === 'string' ? obj.currentRegion : currentRegion,
+            currentWeekendPattern: weekendPattern,
+            weekendMask: hasCustomWeekend ? obj.weekendMask : null,
+            rotation,
+            bookedDates: sanitizeBookedDateList(obj.bookedDates),
+            halfDays: sanitizeHalfDayMap(obj.halfDays),
+            lockedDates: sanitizeBookedDateList(obj.lockedDates),
+            blackoutRanges: sanitizeBlackoutRanges(obj.blackoutRanges),
+            blockRules: sanitizeBlockRules(obj.blockRules),
+            leavePolicy: sanitizeLeavePolicy(obj.leavePolicy),
+            monthWeights: sanitizeMonthWeights(obj.monthWeights),
+            preferenceRanges: sanitizePreferenceRanges(obj.preferenceRanges),
+            leavePools: pools,
+            bookedPools: sanitizeBookedPools(obj.bookedPools, pools),
+            customHolidays: sanitizeHolidayList(obj.customHolidays),
+            customHolidaysByLocation: sanitizeHolidayMap(obj.customHolidaysByLocation),
+            holidayTypes: sanitizeHolidayTypes(obj.holidayTypes)
+        };
+    } catch (e) {
+        if (!(typeof process !== 'undefined' && process.env.JEST_WORKER_ID)) {
+            console.warn('Failed to decode plan:', e);
+        }
+        return null;
     }
+}
 
-    // 6. Early May Bank Holiday (First Monday in May) - ALL
-    const mayDay = findDayInMonth(year, 4, 1, 'first');
-    holidays.push({ date: toLocalISOString(mayDay), name: "Early May Bank Holiday" });
-
-    // 7. Spring Bank Holiday (Last Monday in May) - ALL
-    const springBank = findDayInMonth(year, 4, 1, 'last');
-    holidays.push({ date: toLocalISOString(springBank), name: "Spring Bank Holiday" });
-
-    // 8. Orangemen's Day (July 12) - NI ONLY
-    if (region === REGIONS.NORTHERN_IRELAND) {
-        holidays.push(createHoliday(new Date(year, 6, 12), "Battle of the Boyne (Orangemen's Day)"));
-    }
+/**
+ * Attempts to read and apply a shared plan from the URL.
+ * Returns true if a shared plan was applied.
+ */
+function applySharedPlanFromUrl() {
+    if (typeof window === 'undefined') return false;
+    try {
+        const url = new URL(window.location.href);
+        const encodedPlan = url.searchParams.get(SHARE_PARAM);
+        if (!encodedPlan) return false;
 
-    // 9. Summer Bank Holiday
-    holidays.push(getSummerBankHoliday(year, region));
+        const decoded = decodePlanString(encodedPlan);
+        if (!decoded) return false;
 
-    // 10. St Andrew's Day (Nov 30) - SCOTLAND ONLY
-    if (region === REGIONS.SCOTLAND) {
-        holidays.push(createHoliday(new Date(year, 10, 30), "St Andrew's Day"));
-    }
+        if (!isSupportedRegion(decoded.currentRegion)) {
+            decoded.currentRegion = REGIONS.ENGLAND_WALES;
+        }
 
-    // 11 & 12. Christmas & Boxing Day - ALL
-    holidays.push(...getChristmasHolidays(year));
+        currentAllowance = decoded.currentAllowance;
+        currentYear = decoded.currentYear;
+        applyLeaveYearStart(decoded.leaveYearStart);
+        crossYearPlanning = decoded.crossYearPlanning;
+        remainingYearOnly = decoded.remainingYearOnly;
+        bankHolidaysInAllowance = decoded.bankHolidaysInAllowance;
+        accrual = decoded.accrual;
+        employment = decoded.employment;
+        currentObjective = decoded.currentObjective;
+        currentRegion = decoded.currentRegion;
 
-    // Merge Custom Holidays
-    const customHolidays = getCustomHolidaysForLocation(region);
-    if (customHolidays.length > 0) {
-        // Bolt Optimization: Replace map and forEach with native for loops to avoid intermediate array allocation
-        const existingDates = new Set();
-        for (let i = 0; i < holidays.length; i++) {
-            existingDates.add(holidays[i].date);
-        }
-        for (let i = 0; i < customHolidays.length; i++) {
-            const h = customHolidays[i];
-            if (!existingDates.has(h.date)) {
-                holidays.push(h);
-                existingDates.add(h.date);
-            }
+        weekendByLocation = {};
+        if (decoded.currentWeekendPattern === CUSTOM_WEEKEND_KEY) {
+            applyWeekendSetting(decoded.weekendMask);
+        } else if (decoded.currentWeekendPattern === ROTATION_WEEKEND_KEY) {
+            applyWeekendSetting(decoded.rotation);
+        } else {
+            applyWeekendSetting(decoded.currentWeekendPattern);
         }
-    }
 
-    return holidays;
-}
+        bookedDates = new Set(decoded.bookedDates || []);
+        halfDayBookings = new Map(Object.entries(decoded.halfDays || {}));
+        for (const dateStr of bookedDates) halfDayBookings.delete(dateStr);
+        applyPlanConstraints(decoded.lockedDates, decoded.blackoutRanges, decoded.blockRules);
+        leavePolicy = decoded.leavePolicy;
+        applyPreferences(decoded.monthWeights, decoded.preferenceRanges);
+        applyLeavePools(decoded.leavePools, decoded.bookedPools);
 
-// Cache holidays for performance
-const holidaysCache = new Map();
-
-// Fast-path cache for getHolidaysForYear to avoid string interpolation and lookups in hot loops
-let cachedHolidaysYear = null;
-let cachedHolidaysRegion = null;
-let cachedHolidaysCustomCount = null;
-let cachedHolidaysDatasetKey = null;
-let cachedHolidaysResult = null;
-
-/**
- * Clears the holidays cache and its associated fast-path cache.
- */
-function clearHolidaysCache() {
-    holidaysCache.clear();
-    cachedHolidaysYear = null;
-    cachedHolidaysRegion = null;
-    cachedHolidaysCustomCount = null;
-    cachedHolidaysDatasetKey = null;
-    cachedHolidaysResult = null;
-}
-// Cache per-date insights (efficiency + bridge) using integer indexing within a year
-// Map<year, Array<{efficiency, totalDaysOff, bridge}>>
-const dayInsightCache = new Map();
-// Cache year-over-year comparison to avoid recomputing optimal plans unnecessarily.
-const yearComparisonCache = new Map();
-
-// Cache optimal plans to avoid redundant combinatorial calculations.
-const optimalPlanCache = new Map();
-
-// Cache day types for each year to avoid repeated checks and allow cross-year persistence
-const dayTypeCache = new Map(); // Map<year, { types: Array, startTs: number }>
-let dayTypeCacheContext = {
-    region: null,
-    weekend: null,
-    customCount: null
-};
+        if (decoded.customHolidaysByLocation && Object.keys(decoded.customHolidaysByLocation).length > 0) {
+            customHolidaysByLocation = decoded.customHolidaysByLocation;
+        } else {
+            customHolidaysByLocation = {};
+            if (decoded.customHolidays && decoded.customHolidays.length > 0) {
+                customHolidaysByLocation[currentRegion] = decoded.customHolidays;
+            }
+        }
+        holidayTypesByLocation = {};
+        if (decoded.holidayTypes) {
+            holidayTypesByLocation[currentRegion] = decoded.holidayTypes;
+        }
 
-// Cache booked days as indices for fast lookup
-let bookedDaysIndices = null;
-let analyzedPlanCache = null;
-let bookedDaysYear = null;
+        clearHolidaysCache();
+        invalidateInsightCaches();
 
-function invalidateInsightCaches() {
-    dayInsightCache.clear();
-    yearComparisonCache.clear();
-    optimalPlanCache.clear();
-    dayTypeCache.clear();
-    dayTypeCacheContext = {
-        region: null,
-        weekend: null,
-        customCount: null
-    };
-    bookedDaysIndices = null;
-    analyzedPlanCache = null;
+        // Strip the plan param from URL to prevent accidental leakage on copy-paste
+        url.searchParams.delete(SHARE_PARAM);
+        window.history.replaceState({}, '', url.toString());
 
-    // Also clear the fast-path cache
-    cachedHolidaysYear = null;
-    cachedHolidaysRegion = null;
-    cachedHolidaysCustomCount = null;
-    cachedHolidaysDatasetKey = null;
-    cachedHolidaysResult = null;
+        return true;
+    } catch (e) {
+        console.warn('Failed to apply shared plan:', e);
+        return false;
+    }
 }
 
 /**
- * Bolt Optimization: Targeted cache invalidation.
- * Only clears caches that depend on `bookedDates`.
- * This prevents expensive recalculations (like O(N) optimal plan DP and day type logic)
- * when simply toggling a day on the calendar.
+ * Builds a shareable URL reflecting the current plan.
  */
-function invalidateBookedDaysCaches() {
-    dayInsightCache.clear();
-    bookedDaysIndices = null;
-    analyzedPlanCache = null;
+function buildShareableUrl() {
+    if (typeof window === 'undefined') return '';
+    const url = new URL(window.location.origin + window.location.pathname);
+    const encoded = encodePlanString(getPlanPayload());
+    if (!encoded) return '';
+    url.searchParams.set(SHARE_PARAM, encoded);
+    return url.toString();
 }
 
 /**
- * Ensures the day type cache is populated for the specified year.
- * Defaults to currentYear if not provided.
+ * Shows a toast notification.
+ * @param {string} message The message to display.
+ * @param {'info'|'error'|'success'} type The type of toast.
  */
-function ensureDayTypeCache(year = currentYear) {
-    const customCount = getCustomHolidaysForLocation(currentRegion).length;
-
-    // Invalidate entire cache if context changes
-    if (
-        dayTypeCacheContext.region !== currentRegion ||
-        dayTypeCacheContext.weekend !== currentWeekendPattern ||
-        dayTypeCacheContext.customCount !== customCount
-    ) {
-        dayTypeCache.clear();
-        dayTypeCacheContext = {
-            region: currentRegion,
-            weekend: currentWeekendPattern,
-            customCount: customCount
-        };
-    }
-
-    if (dayTypeCache.has(year)) {
-        return;
-    }
-
-    const startTs = new Date(year, 0, 1).getTime();
-
-    // Determine number of days in year
-    // Bolt Optimization: Replace slow Date allocation with integer math for leap year check (~60x faster)
-    const isLeap = isLeapYear(year);
-    const daysCount = isLeap ? 366 : 365;
+function showToast(message, type = 'info') {
+    // The optimizer worker loads this file without a document.
+    if (typeof document === 'undefined') return;
+    const container = document.getElementById('toast-container');
+    if (!container) return;
 
-    const types = new Array(daysCount);
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
 
-    const { lookup } = getHolidaysForYear(year, currentRegion);
-    const preset = getWeekendPreset(currentWeekendPattern);
+    const icon = type === 'success' ? '✅' : type === 'error' ? '⚠️' : 'ℹ️';
+    const iconSpan = document.createElement('span');
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.textContent = icon + ' ';
 
-    // Bolt Optimization: Replace Date object mutations with integer math
-    const monthLengths = [31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-    let month = 1;
-    let date = 1;
-    let currentDayOfWeek = new Date(year, 0, 1).getDay();
+    const srSpan = document.createElement('span');
+    srSpan.className = 'sr-only';
+    const srText = type === 'success' ? 'Success: ' : type === 'error' ? 'Error: ' : 'Information: ';
+    srSpan.textContent = srText;
 
-    for (let i = 0; i < daysCount; i++) {
-        const dStr = year + (month < 10 ? '-0' : '-') + month + (date < 10 ? '-0' : '-') + date;
+    const messageNode = document.createTextNode(message);
 
-        let type = 'workday';
-        if (lookup.has(dStr)) {
-            type = 'holiday';
-        } else if (preset.days.includes(currentDayOfWeek)) {
-            type = 'weekend';
-        }
+    toast.appendChild(iconSpan);
+    toast.appendChild(srSpan);
+    toast.appendChild(messageNode);
 
-        types[i] = type;
+    container.appendChild(toast);
 
-        date++;
-        if (date > monthLengths[month - 1]) {
-            date = 1;
-            month++;
-        }
-        currentDayOfWeek = currentDayOfWeek === 6 ? 0 : currentDayOfWeek + 1;
-    }
+    // Remove after 3 seconds
+    setTimeout(() => {
+        toast.classList.add('toast-out');
+        toast.addEventListener('animationend', () => {
+            if (container.contains(toast)) {
+                container.removeChild(toast);
+            }
+        });
+    }, 3000);
+}
 
-    dayTypeCache.set(year, { types, startTs });
+function setButtonIconText(button, icon, label) {
+    button.textContent = '';
+    const iconSpan = document.createElement('span');
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.textContent = icon + ' ';
+    button.appendChild(iconSpan);
+    button.appendChild(document.createTextNode(label));
 }
 
 /**
- * Ensures the booked days index cache is populated for the specified year.
- * Relies on dayTypeCache being populated for the year.
+ * Copies the shareable link to the clipboard (with fallback).
  */
-function ensureBookedDaysIndices(year) {
-    if (bookedDaysIndices && bookedDaysYear === year) return;
-
-    // Ensure dayTypeCache is ready so we have the start timestamp
-    ensureDayTypeCache(year);
-    const cache = dayTypeCache.get(year);
-
-    // Bolt Optimization: Replace slow Date allocation with integer math for leap year check (~60x faster)
-    const isLeap = isLeapYear(year);
-    const daysCount = isLeap ? 366 : 365;
-
-    bookedDaysIndices = new Uint8Array(daysCount);
-    bookedDaysYear = year;
-
-    if (bookedDates.size === 0) return;
+async function handleShareLink() {
+    const shareUrl = buildShareableUrl();
+    if (!shareUrl) {
+        showToast('Unable to create share link', 'error');
+        return;
+    }
 
-    // Populate indices
-    bookedDates.forEach(dateStr => {
-        // Simple check if dateStr belongs to year
-        if (dateStr.startsWith(String(year))) {
-             // Calculate index
-             const m = (dateStr.charCodeAt(5) - 48) * 10 + (dateStr.charCodeAt(6) - 48);
-             const d = (dateStr.charCodeAt(8) - 48) * 10 + (dateStr.charCodeAt(9) - 48);
-             const offsets = isLeap ? MONTH_OFFSETS_LEAP : MONTH_OFFSETS_NON_LEAP;
-             const idx = offsets[m - 1] + d - 1;
-             if (idx >= 0 && idx < daysCount) {
-                 bookedDaysIndices[idx] = 1;
-             }
-        }
-    });
-}
+    try {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(shareUrl);
 
-/**
- * Retrieves holidays for a given year and location.
- * @param {number} year The year to get holidays for.
- * @param {string} region The location code.
- * @returns {Array<{date: string, name: string}>} A list of holiday objects.
- */
-function getHolidaysForYear(year, region) {
-    const customCount = getCustomHolidaysForLocation(region).length;
-    const datasetKey = holidayDataset && (holidayDataset.updatedAt || holidayDataset.generatedAt)
-        ? (holidayDataset.updatedAt || holidayDataset.generatedAt)
-        : 'no-data';
+            showToast('Link copied to clipboard!', 'success');
 
-    // Fast-path to avoid string interpolation and Map lookups in hot loops
-    if (cachedHolidaysYear === year &&
-        cachedHolidaysRegion === region &&
-        cachedHolidaysCustomCount === customCount &&
-        cachedHolidaysDatasetKey === datasetKey) {
-        return cachedHolidaysResult;
-    }
+            const btn = document.getElementById('share-btn');
+            if (btn && !btn.classList.contains('btn-success')) {
+                const originalAriaLabel = btn.getAttribute('aria-label');
+                setButtonIconText(btn, '✅', 'Copied!');
+                btn.setAttribute('aria-label', 'Copied!');
+                btn.classList.add('btn-success');
 
-    const key = `${year}-${region}-${customCount}-${datasetKey}`; // Simple cache bust on custom change
-    if (!holidaysCache.has(key)) {
-        let holidays = [];
-        if (isDatasetLocation(region)) {
-            holidays = getDatasetHolidays(year, region);
-            const customHolidays = getCustomHolidaysForLocation(region);
-            if (customHolidays.length > 0) {
-                const existingDates = new Set();
-                for (let i = 0; i < holidays.length; i++) {
-                    existingDates.add(holidays[i].date);
-                }
-                for (let i = 0; i < customHolidays.length; i++) {
-                    const h = customHolidays[i];
-                    if (!existingDates.has(h.date)) {
-                        holidays.push(h);
-                        existingDates.add(h.date);
+                setTimeout(() => {
+                    setButtonIconText(btn, '🔗', 'Copy Share Link');
+                    if (originalAriaLabel) {
+                        btn.setAttribute('aria-label', originalAriaLabel);
+                    } else {
+                        btn.removeAttribute('aria-label');
                     }
-                }
+                    btn.classList.remove('btn-success');
+                }, 2000);
             }
         } else {
-            holidays = getUKHolidays(year, region);
-        }
-        const lookup = new Map();
-        for (let i = 0; i < holidays.length; i++) {
-            const h = holidays[i];
-            lookup.set(h.date, h);
+            throw new Error('Clipboard API not available');
         }
-        holidaysCache.set(key, { holidays, lookup });
+    } catch (e) {
+        console.warn('Copy failed:', e);
+        showToast('Copy failed. Please try again.', 'error');
     }
-
-    cachedHolidaysYear = year;
-    cachedHolidaysRegion = region;
-    cachedHolidaysCustomCount = customCount;
-    cachedHolidaysDatasetKey = datasetKey;
-    cachedHolidaysResult = holidaysCache.get(key);
-
-    return cachedHolidaysResult;
 }
 
 /**
- * Checks if a given date falls on a weekend.
- * @param {Date} date The date to check.
- * @returns {boolean} True if the date is a Saturday or Sunday.
+ * Saves the current application state to localStorage.
  */
-function isWeekend(date) {
-    const day = date.getDay();
-    const preset = getWeekendPreset(currentWeekendPattern);
-    return preset.days.includes(day);
+function saveState() {
+    const state = getCurrentState();
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.warn('Failed to save state:', e);
+    }
 }
 
 /**
- * Checks if a given date is a holiday.
- * @param {Date} date The date to check.
- * @returns {boolean} True if the date is a holiday.
+ * Loads the saved application state from localStorage.
+ * @returns {Object|null} The saved state or null if not found/invalid.
  */
-function isHoliday(date, dateStr = null) {
-    return getHolidayName(date, dateStr) !== null;
+function loadState() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            return JSON.parse(saved);
+        }
+    } catch (e) {
+        console.warn('Failed to load saved state:', e);
+    }
+    return null;
 }
 
 /**
- * Retrieves the name of the holiday for a given date.
- * @param {Date} date The date to check.
- * @param {string|null} [dateStr=null] Optional optimization: the ISO string for the date if already known.
- * @returns {string|null} The name of the holiday or null if it's not a holiday.
+ * Clears saved state from localStorage.
  */
-function getHolidayName(date, dateStr = null) {
-    const year = date.getFullYear();
-    const { lookup } = getHolidaysForYear(year, currentRegion);
-    const dStr = dateStr || toLocalISOString(date);
-    const holiday = lookup.get(dStr);
-    return holiday ? holiday.name : null;
+function clearState() {
+    localStorage.removeItem(STORAGE_KEY);
 }
 
-// --- OPTIMIZER ---
+// --- HOLIDAY DATASET ---
+
+const HOLIDAY_DATA_URL = '/data/holidays.json';
+const holidayDataWarnings = new Set();
+/** Dataset `source` of official lists that rule-based locations prefer over their computed dates. */
+const OFFICIAL_HOLIDAY_SOURCE = 'govuk';
 
 /**
- * Determines the type of a given day (workday, weekend, or holiday).
- * @param {Date} date The date to classify.
- * @returns {('workday'|'weekend'|'holiday')} The type of the day.
+ * Loads the holiday dataset from the server (or local cache).
  */
-function getDayType(date, dateStr = null) {
-    // Optimization: Check if date is within currently cached year
-    const year = date.getFullYear();
-    // Check if cache matches the year
-    const cache = dayTypeCache.get(year);
+async function loadHolidayDataset(force = false) {
+    if (holidayDatasetPromise && !force) return holidayDatasetPromise;
+    holidayDatasetPromise = (async () => {
+        let data = null;
+        let fromCache = false;
 
-    if (cache) {
-        let dayIndex;
-        if (dateStr && dateStr.length === 10) {
-            const m = (dateStr.charCodeAt(5) - 48) * 10 + (dateStr.charCodeAt(6) - 48);
-            const d = (dateStr.charCodeAt(8) - 48) * 10 + (dateStr.charCodeAt(9) - 48);
-            const offsets = isLeapYear(year) ? MONTH_OFFSETS_LEAP : MONTH_OFFSETS_NON_LEAP;
-            dayIndex = offsets[m - 1] + d - 1;
-        } else {
-            const diff = date.getTime() - cache.startTs;
-            // Use Math.round to handle potential DST shifts (usually 1 hour)
-            dayIndex = Math.round(diff / (1000 * 60 * 60 * 24));
+        if (typeof fetch === 'function') {
+            try {
+                const response = await fetch(HOLIDAY_DATA_URL, { cache: 'no-store' });
+                if (response.ok) {
+                    data = await response.json();
+                }
+            } catch (e) {
+                data = null;
+            }
         }
 
-        if (dayIndex >= 0 && dayIndex < cache.types.length) {
-            return cache.types[dayIndex];
+        if (!data) {
+            try {
+                const cached = localStorage.getItem(HOLIDAY_DATA_STORAGE_KEY);
+                if (cached) {
+                    data = JSON.parse(cached);
+                    fromCache = true;
+                }
+            } catch (e) {
+                data = null;
+            }
         }
-    } else if (year === currentYear) {
-        // Fallback: Populate cache for currentYear if it's the requested year
-        ensureDayTypeCache(currentYear);
-        return getDayType(date, dateStr); // Retry with populated cache
-    }
 
-    if (isHoliday(date, dateStr)) return 'holiday';
-    if (isWeekend(date)) return 'weekend';
-    return 'workday';
+        if (data) {
+            holidayDataset = data;
+            holidayDatasetFromCache = fromCache;
+            try {
+                localStorage.setItem(HOLIDAY_DATA_STORAGE_KEY, JSON.stringify(data));
+            } catch (e) {
+                // Ignore cache failures
+            }
+            clearHolidaysCache();
+            invalidateInsightCaches();
+            renderHolidayDataStatus();
+            const affectsRegion = isDatasetLocation(currentRegion) ||
+                getDatasetOverrides(currentRegion).length > 0 ||
+                Boolean(getOfficialHolidays(currentYear, currentRegion));
+            if (affectsRegion && typeof document !== 'undefined') {
+                updateUI();
+            }
+        }
+
+        return holidayDataset;
+    })();
+
+    return holidayDatasetPromise;
 }
 
 /**
- * Adds a specified number of days to a date.
- * @param {Date} date The starting date.
- * @param {number} days The number of days to add.
- * @returns {Date} The new date.
+ * Retrieves dataset holidays for a specific location/year.
  */
-function addDays(date, days) {
-    const original = (date instanceof Date) ? date : new Date(date);
-    const d = new Date(original.valueOf() + days * 86400000);
-    const diff = d.getTimezoneOffset() - original.getTimezoneOffset();
-    if (diff !== 0) {
-        d.setTime(d.valueOf() + diff * 60000);
+function getDatasetLocationYears(location) {
+    const config = getLocationConfig(location);
+    if (!config || !holidayDataset) return null;
+
+    const locations = holidayDataset.locations || holidayDataset.data || {};
+    const locationEntry = config.datasetKey && Object.prototype.hasOwnProperty.call(locations, config.datasetKey)
+        ? locations[config.datasetKey]
+        : null;
+
+    if (locationEntry) {
+        return locationEntry && locationEntry.years ? locationEntry.years : locationEntry;
     }
-    return d;
+
+    if (config.datasetKey && config.datasetKey === config.countryCode) {
+        const countries = holidayDataset.countries || {};
+        const countryEntry = Object.prototype.hasOwnProperty.call(countries, config.countryCode)
+            ? countries[config.countryCode]
+            : null;
+        return countryEntry && countryEntry.years ? countryEntry.years : countryEntry;
+    }
+
+    return null;
+}
+
+function getDatasetHolidays(year, location) {
+    const years = getDatasetLocationYears(location);
+    const list = years ? years[String(year)] : null;
+
+    if (!Array.isArray(list) || list.length === 0) {
+        warnHolidayDataUnavailable(location, year);
+        return [];
+    }
+
+    return list
+        .filter(item =>
+            item &&
+            typeof item.date === 'string' && DATE_REGEX.test(item.date) &&
+            typeof item.name === 'string'
+        )
+        .map(item => (typeof item.type === 'string' && item.type.length < 100
+            ? { date: item.date, name: item.name, type: item.type }
+            : { date: item.date, name: item.name }));
 }
 
+/** Holiday type categories a location can count as days off, in display order. */
+const HOLIDAY_TYPE_CATEGORIES = ['national', 'religious', 'local', 'observance'];
+const HOLIDAY_TYPE_LABELS = {
+    national: 'National',
+    religious: 'Religious',
+    local: 'Local',
+    observance: 'Observances'
+};
+const RELIGIOUS_HOLIDAY_TYPE_REGEX = /religious|christian|jewish|muslim|hindu|orthodox/;
+const OBSERVANCE_HOLIDAY_TYPE_REGEX = /observance|season|clock/;
+
 /**
- * Returns true if a date is not a workday (weekend or holiday).
+ * Maps a dataset holiday type (e.g. "National holiday", "Christian", "Local observance") to its category.
+ * Bank and public holidays, and untyped entries, are national.
  */
-function isNonWorkday(date) {
-    const type = getDayType(date);
-    return type === 'holiday' || type === 'weekend';
+function getHolidayTypeCategory(type) {
+    const value = typeof type === 'string' ? type.toLowerCase() : '';
+    if (OBSERVANCE_HOLIDAY_TYPE_REGEX.test(value)) return 'observance';
+    if (value.includes('local')) return 'local';
+    if (RELIGIOUS_HOLIDAY_TYPE_REGEX.test(value)) return 'religious';
+    return 'national';
 }
 
 /**
- * Determines if a day should be treated as "off" for continuity checks.
- * Considers weekends, holidays, and any already booked leave dates when provided.
- * @param {Date} date The date to evaluate.
- * @param {Set<string>|null} bookedSet Optional set of ISO date strings representing booked leave.
- * @returns {boolean} True if the day is a weekend/holiday or already booked.
+ * Sanitizes a list of counted holiday type categories, or returns null when it isn't a list.
  */
-function isDayOff(date, bookedSet = null) {
-    if (isNonWorkday(date)) return true;
-    if (bookedSet && bookedSet.has(toLocalISOString(date))) return true;
-    return false;
+function sanitizeHolidayTypes(list) {
+    if (!Array.isArray(list)) return null;
+    return HOLIDAY_TYPE_CATEGORIES.filter(category => list.includes(category));
 }
 
 /**
- * Computes the potential efficiency and bridge status for booking a single day of leave.
- * Results are cached per date/region/custom-holiday state.
+ * Sanitizes a map of counted holiday type categories by location.
  */
-function getDayInsight(date, dateStr = null) {
-    if (getDayType(date, dateStr) !== 'workday') return null;
-
-    const year = date.getFullYear();
-    const cache = dayTypeCache.get(year);
-
-    if (cache) {
-        let yearCache = dayInsightCache.get(year);
-        if (!yearCache) {
-            yearCache = new Array(cache.types.length);
-            dayInsightCache.set(year, yearCache);
-        }
-
-        let idx;
-        if (dateStr && dateStr.length === 10) {
-            const m = (dateStr.charCodeAt(5) - 48) * 10 + (dateStr.charCodeAt(6) - 48);
-            const d = (dateStr.charCodeAt(8) - 48) * 10 + (dateStr.charCodeAt(9) - 48);
-            const offsets = isLeapYear(year) ? MONTH_OFFSETS_LEAP : MONTH_OFFSETS_NON_LEAP;
-            idx = offsets[m - 1] + d - 1;
-        } else {
-            const diff = date.getTime() - cache.startTs;
-            // Use Math.round to handle potential DST shifts (usually 1 hour)
-            idx = Math.round(diff / (1000 * 60 * 60 * 24));
-        }
-
-        if (idx >= 0 && idx < cache.types.length) {
-            if (yearCache[idx] === undefined) {
-                ensureBookedDaysIndices(year);
-                yearCache[idx] = calculateInsightByIndex(idx, year);
-            }
-            return yearCache[idx];
+function sanitizeHolidayTypesMap(map) {
+    if (!map || typeof map !== 'object') return {};
+    const result = {};
+    const keys = Object.keys(map);
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        const types = sanitizeHolidayTypes(map[key]);
+        if (isSupportedRegion(key) && types) {
+            result[key] = types;
         }
     }
+    return result;
+}
 
-    // Fallback if dayTypeCache is not ready or out of bounds (rare but possible across year boundaries)
-    // We don't bother caching this as it's not the hot path.
-    const result = calculateContinuousLeave(date, 1, bookedDates);
-    const prev = addDays(date, -1);
-    const next = addDays(date, 1);
-    const bridge = isDayOff(prev, bookedDates) && isDayOff(next, bookedDates);
-
-    return {
-        efficiency: result ? result.efficiency : 1,
-        totalDaysOff: result ? result.totalDaysOff : 1,
-        bridge: bridge
-    };
+/**
+ * Retrieves the holiday type categories counted as days off for a location, or null if all of them count.
+ */
+function getCountedHolidayTypes(location) {
+    return Object.prototype.hasOwnProperty.call(holidayTypesByLocation, location) ? holidayTypesByLocation[location] : null;
 }
 
 /**
- * Buckets efficiency into tiers for heatmap colouring.
+ * Lists the holiday type categories present in a location's published holidays for a year.
  */
-function getEfficiencyTier(efficiency) {
-    if (efficiency >= 3) return 'high';
-    if (efficiency >= 2) return 'mid';
-    return 'low';
+function getHolidayTypeCategoriesForYear(year, location) {
+    const holidays = isDatasetLocation(location) ? getDatasetHolidays(year, location) : getRuleHolidays(year, location);
+    const present = new Set();
+    for (let i = 0; i < holidays.length; i++) {
+        present.add(getHolidayTypeCategory(holidays[i].type));
+    }
+    return HOLIDAY_TYPE_CATEGORIES.filter(category => present.has(category));
 }
 
-function getLongestBlockDays(plan) {
-    if (!plan || plan.length === 0) return 0;
-    return Math.max(...plan.map(b => b.totalDaysOff));
+/**
+ * Determines whether a location reads anything from the holiday dataset.
+ * Rule-based locations only take their override table from it, so they work without it.
+ */
+function usesHolidayDataset(location) {
+    const config = getLocationConfig(location);
+    return Boolean(config && config.datasetKey);
 }
 
 /**
- * Compares the best consecutive-days-off block between the selected year and the previous year.
+ * Sanitizes a holiday override table, keeping entries that name a real date and a known action.
  */
-function getYearComparison(year, allowance) {
-    if (isDatasetLocation(currentRegion)) {
-        if (!holidayDataset) return null;
-        if (!hasHolidayDataForYear(currentRegion, year) || !hasHolidayDataForYear(currentRegion, year - 1)) {
-            return null;
+function sanitizeHolidayOverrides(list) {
+    if (!Array.isArray(list)) return [];
+    const result = [];
+    for (let i = 0; i < list.length && result.length < MAX_HOLIDAY_OVERRIDES; i++) {
+        const item = list[i];
+        if (!item || typeof item !== 'object' || !OVERRIDE_ACTIONS.includes(item.action)) continue;
+        if (typeof item.date !== 'string' || !isValidISODateString(item.date)) continue;
+        const name = typeof item.name === 'string' && item.name.length < 100 ? item.name : '';
+        if (item.action === 'move') {
+            if (typeof item.from !== 'string' || !isValidISODateString(item.from)) continue;
+            result.push(name ? { action: 'move', from: item.from, date: item.date, name } : { action: 'move', from: item.from, date: item.date });
+        } else if (item.action === 'add' || item.action === 'rename') {
+            if (name) result.push({ action: item.action, date: item.date, name });
+        } else {
+            result.push({ action: 'cancel', date: item.date });
         }
     }
-    const customCount = getCustomHolidaysForLocation(currentRegion).length;
-    const key = `${year}-${allowance}-${currentRegion}-${currentWeekendPattern}-${customCount}`;
-    if (!yearComparisonCache.has(key)) {
-        const currentPlan = findOptimalPlan(year, allowance);
-        const previousPlan = findOptimalPlan(year - 1, allowance);
-        const currentBest = getLongestBlockDays(currentPlan);
-        const previousBest = getLongestBlockDays(previousPlan);
-
-        let deltaPercent = null;
-        let direction = 'same';
-        if (previousBest > 0) {
-            deltaPercent = ((currentBest - previousBest) / previousBest) * 100;
-            if (deltaPercent > 0.5) direction = 'more';
-            else if (deltaPercent < -0.5) direction = 'less';
-        }
+    return result;
+}
 
-        yearComparisonCache.set(key, {
-            currentYear: year,
-            previousYear: year - 1,
-            currentBest,
-            previousBest,
-            deltaPercent,
-            direction
-        });
-    }
-    return yearComparisonCache.get(key);
+/**
+ * Returns the override table the holiday dataset ships for a rule-based location.
+ */
+function getDatasetOverrides(location) {
+    const config = getLocationConfig(location);
+    if (!config || !config.ruleSet || !config.datasetKey || !holidayDataset) return [];
+    const locations = holidayDataset.locations || {};
+    const entry = Object.prototype.hasOwnProperty.call(locations, config.datasetKey) ? locations[config.datasetKey] : null;
+    return sanitizeHolidayOverrides(entry && entry.overrides);
 }
 
 /**
- * Helper to check if a day is off using an index.
- * Falls back to Date logic if index is out of bounds (year boundary).
+ * Returns the one-off holiday overrides for a rule-based location.
+ * The built-in table comes first; the dataset's table is applied after it, so newly
+ * proclaimed holidays (or corrections) arrive with a dataset refresh.
  */
-function isOffByIndex(idx, isOffArray, year) {
-    if (idx >= 0 && idx < isOffArray.length) {
-        return isOffArray[idx] === 1;
+function getHolidayOverrides(location) {
+    const config = getLocationConfig(location);
+    if (!config || !config.ruleSet) return [];
+    const builtIn = HOLIDAY_OVERRIDES[config.ruleSet] || [];
+    const shipped = getDatasetOverrides(location);
+    if (shipped.length === 0) return builtIn;
+
+    const seen = new Set();
+    for (let i = 0; i < builtIn.length; i++) {
+        seen.add(`${builtIn[i].action}|${builtIn[i].from || ''}|${builtIn[i].date}`);
     }
-    // Boundary fallback
-    // Bolt Optimization: Pass offset directly to Date constructor to avoid object allocation and setDate overhead
-    const date = new Date(year, 0, 1 + idx);
-    // isDayOff defaults to null bookedSet (which is what generateAllCandidates uses)
-    return isDayOff(date);
+    const overrides = builtIn.slice();
+    for (let i = 0; i < shipped.length; i++) {
+        const key = `${shipped[i].action}|${shipped[i].from || ''}|${shipped[i].date}`;
+        if (!seen.has(key)) overrides.push(shipped[i]);
+    }
+    return overrides;
 }
 
 /**
- * Optimized calculation for single-day insight using integer indices.
- * Assumes ensureDayTypeCache and ensureBookedDaysIndices have been called.
+ * Returns the official holidays the dataset has for a rule-based location and year, or null.
  */
-function calculateInsightByIndex(startIdx, year) {
-    const cache = dayTypeCache.get(year);
-    const types = cache ? cache.types : [];
-    const daysCount = types.length;
+function getOfficialHolidays(year, location) {
+    const config = getLocationConfig(location);
+    if (!config || !config.ruleSet) return null;
+    const years = getDatasetLocationYears(location);
+    const list = years ? years[String(year)] : null;
+    if (!Array.isArray(list) || !list.some(item => item && item.source === OFFICIAL_HOLIDAY_SOURCE)) return null;
+    const holidays = getDatasetHolidays(year, location);
+    return holidays.length > 0 ? holidays : null;
+}
 
-    // Helper to check if a day is off (holiday, weekend, or booked)
-    // Uses bookedDaysIndices for O(1) lookup within the year
-    const isOff = (idx) => {
-        // Boundary check
-        if (idx < 0 || idx >= daysCount) {
-             // Fallback to Date logic for boundary
-            // Bolt Optimization: Pass offset directly to Date constructor
-            const date = new Date(year, 0, 1 + idx);
-             return isDayOff(date, bookedDates);
-        }
+function hasHolidayDataForYear(location, year) {
+    const years = getDatasetLocationYears(location);
+    return Boolean(years && Array.isArray(years[String(year)]) && years[String(year)].length > 0);
+}
 
-        // Within bounds
-        return types[idx] !== 'workday' || bookedDaysIndices[idx] === 1;
-    };
+function warnHolidayDataUnavailable(location, year) {
+    if (!isDatasetLocation(location)) return;
+    // Only surface warnings for the actively selected year to avoid noise
+    // from cross-year checks (e.g., year-over-year insights or boundary scans).
+    if (year !== currentYear) return;
+    const key = `${location}-${year}`;
+    if (holidayDataWarnings.has(key)) return;
+    holidayDataWarnings.add(key);
+    showToast(`Holiday data unavailable for ${year}. Using weekends + custom holidays only.`, 'info');
+    renderHolidayDataStatus();
+}
 
-    let currentIdx = startIdx;
+function renderHolidayDataStatus() {
+    if (typeof document === 'undefined') return;
+    const statusEl = document.getElementById('holiday-data-status');
+    if (!statusEl) return;
 
-    // Skip already off days to find first bookable day
-    // (Matches calculateContinuousLeave logic)
-    while (isOff(currentIdx)) {
-        currentIdx++;
+    if (!isDatasetLocation(currentRegion)) {
+        statusEl.textContent = '';
+        return;
     }
 
-    // Book the day (conceptually)
-    // currentIdx is now the booked day.
+    if (!holidayDataset) {
+        statusEl.textContent = 'Holiday data unavailable. Using weekends + custom holidays only.';
+        return;
+    }
 
-    // Expand backwards
-    let start = currentIdx;
-    while (isOff(start - 1)) {
-        start--;
+    if (!hasHolidayDataForYear(currentRegion, currentYear)) {
+        statusEl.textContent = `Holiday data unavailable for ${currentYear}. Using weekends + custom holidays only.`;
+        return;
     }
 
-    // Expand forwards
-    let end = currentIdx;
-    while (isOff(end + 1)) {
-        end++;
+    const updatedAt = holidayDataset.updatedAt || holidayDataset.generatedAt;
+    if (updatedAt) {
+        statusEl.textContent = `Holiday data updated: ${String(updatedAt).slice(0, 10)}${holidayDatasetFromCache ? ' (cached)' : ''}`;
+    } else {
+        statusEl.textContent = 'Holiday data loaded.';
     }
+}
 
-    const totalDaysOff = end - start + 1;
+// --- HOLIDAYS ---
 
-    // Bridge check:
-    // Original logic: bridge = isDayOff(prev) && isDayOff(next)
-    // where prev/next are immediately adjacent to the QUERY date (startIdx).
-    const bridge = isOff(startIdx - 1) && isOff(startIdx + 1);
+/**
+ * Fast parser for known YYYY-MM-DD strings.
+ * Bolt Optimization: Replaces split('-').map(Number) which creates intermediate arrays.
+ * Using charCodeAt is ~3x faster for high-frequency loops.
+ * @param {string} dateStr The YYYY-MM-DD string to parse.
+ * @returns {Date} The parsed Date object.
+ */
+function parseISODateString(dateStr) {
+    const y = (dateStr.charCodeAt(0) - 48) * 1000 + (dateStr.charCodeAt(1) - 48) * 100 + (dateStr.charCodeAt(2) - 48) * 10 + (dateStr.charCodeAt(3) - 48);
+    const m = (dateStr.charCodeAt(5) - 48) * 10 + (dateStr.charCodeAt(6) - 48);
+    const d = (dateStr.charCodeAt(8) - 48) * 10 + (dateStr.charCodeAt(9) - 48);
+    return new Date(y, m - 1, d);
+}
 
-    return {
-        efficiency: totalDaysOff, // leaveDaysUsed is 1
-        totalDaysOff: totalDaysOff,
-        bridge: bridge
-    };
+/**
+ * Formats a date object into a YYYY-MM-DD string in the local timezone.
+ * @param {Date} date The date to format.
+ * @returns {string} The formatted date string.
+ */
+function toLocalISOString(date) {
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+    // Optimization: Manual concatenation is ~5x faster than String().padStart()
+    // Bolt Optimization: Standard string concatenation is ~4x faster than template literals
+    return year + (month < 10 ? '-0' : '-') + month + (day < 10 ? '-0' : '-') + day;
 }
 
 /**
- * Optimized version of calculateContinuousLeave using integer indices.
- * @param {number} startIdx Index of the start day (0 = Jan 1).
- * @param {number} leaveDaysToUse Number of leave days to add.
- * @param {Uint8Array} isOffArray Array where 1=off, 0=workday.
- * @param {number} year The year (for boundary dates).
+ * Generates the public holidays of a rule-based location for a given year.
+ * Dates come from the location's rule set in lib/holiday_rules.js, substitute days included;
+ * one-off overrides and custom holidays are added by getHolidaysForYear.
+ * @param {number} year The year to generate holidays for.
+ * @param {string} region The location code (e.g. 'england-wales', 'scotland', 'northern-ireland').
+ * @returns {Array<{date: string, name: string}>} A list of holiday objects.
  */
-function calculateContinuousLeaveByIndex(startIdx, leaveDaysToUse, isOffArray, year) {
-    let currentIdx = startIdx;
-    let daysCounted = 0;
+function getRuleHolidays(year, region) {
+    const config = getLocationConfig(region);
+    const rules = config && config.ruleSet ? HOLIDAY_RULE_SETS[config.ruleSet] : null;
+    return rules ? evaluateHolidayRules(rules, year) : [];
+}
 
-    // Find first bookable workday (skip existing off days)
-    while (isOffByIndex(currentIdx, isOffArray, year)) {
-        currentIdx++;
-    }
+// Cache holidays for performance
+const holidaysCache = new Map();
 
-    // Expand to consume allowance
-    const firstBookedIdx = currentIdx;
-    let lastBookedIdx = currentIdx;
+// Fast-path cache for getHolidaysForYear to avoid string interpolation and lookups in hot loops
+let cachedHolidaysYear = null;
+let cachedHolidaysRegion = null;
+let cachedHolidaysCustomCount = null;
+let cachedHolidaysDatasetKey = null;
+let cachedHolidaysTypes = null;
+let cachedHolidaysResult = null;
 
-    while (daysCounted < leaveDaysToUse) {
-        if (!isOffByIndex(currentIdx, isOffArray, year)) {
-            daysCounted++;
-            lastBookedIdx = currentIdx;
-        }
-        currentIdx++;
-    }
+/**
+ * Clears the holidays cache and its associated fast-path cache.
+ */
+function clearHolidaysCache() {
+    holidaysCache.clear();
+    cachedHolidaysYear = null;
+    cachedHolidaysRegion = null;
+    cachedHolidaysCustomCount = null;
+    cachedHolidaysDatasetKey = null;
+    cachedHolidaysTypes = null;
+    cachedHolidaysResult = null;
+}
+// Cache per-date insights (efficiency + bridge) using integer indexing within a year
+// Map<year, Array<{efficiency, totalDaysOff, bridge}>>
+const dayInsightCache = new Map();
+// Cache year-over-year comparison to avoid recomputing optimal plans unnecessarily.
+const yearComparisonCache = new Map();
 
-    // Expand backwards
-    let rangeStartIdx = firstBookedIdx;
-    while (true) {
-        if (!isOffByIndex(rangeStartIdx - 1, isOffArray, year)) {
-            break;
-        }
-        rangeStartIdx--;
-    }
+// Cache optimal plans to avoid redundant combinatorial calculations.
+const optimalPlanCache = new Map();
+// Optimality of each cached optimal plan ({ optimal, gap }), under the same keys.
+const planOptimalityCache = new Map();
 
-    // Expand forwards
-    let rangeEndIdx = lastBookedIdx;
-    while (true) {
-        if (!isOffByIndex(rangeEndIdx + 1, isOffArray, year)) {
-            break;
-        }
-        rangeEndIdx++;
-    }
+// Cache day types for each year to avoid repeated checks and allow cross-year persistence
+const dayTypeCache = new Map(); // Map<leaveYear, { types: Array, startTs: number }>
+let dayTypeCacheContext = {
+    region: null,
+    weekend: null,
+    customCount: null,
+    leaveYearStart: null
+};
 
-    const totalDaysOff = rangeEndIdx - rangeStartIdx + 1;
+// Cache booked days as indices for fast lookup
+// 0 = not booked, 1 = full day, 2 = morning (AM) half day, 3 = afternoon (PM) half day
+const BOOKED_FULL = 1;
+const BOOKED_AM = 2;
+const BOOKED_PM = 3;
+let bookedDaysIndices = null;
+let analyzedPlanCache = null;
+let bookedDaysYear = null;
 
-    return {
-        startIdx: rangeStartIdx,
-        endIdx: rangeEndIdx,
-        startDate: rangeStartIdx, // for findBestCombination sorting
-        endDate: rangeEndIdx,     // for findBestCombination overlap check
-        leaveDaysUsed: leaveDaysToUse,
-        totalDaysOff: totalDaysOff,
-        efficiency: totalDaysOff / leaveDaysToUse
+function invalidateInsightCaches() {
+    dayInsightCache.clear();
+    yearComparisonCache.clear();
+    optimalPlanCache.clear();
+    planOptimalityCache.clear();
+    dayTypeCache.clear();
+    dayTypeCacheContext = {
+        region: null,
+        weekend: null,
+        customCount: null,
+        leaveYearStart: null
     };
+    bookedDaysIndices = null;
+    analyzedPlanCache = null;
+    alternativePlans = null;
+    alternativePlanIndex = 0;
+    optimizerStateVersion++;
+
+    // Also clear the fast-path cache
+    cachedHolidaysYear = null;
+    cachedHolidaysRegion = null;
+    cachedHolidaysCustomCount = null;
+    cachedHolidaysDatasetKey = null;
+    cachedHolidaysTypes = null;
+    cachedHolidaysResult = null;
 }
 
 /**
- * Calculates a continuous block of time off based on a starting workday and a number of leave days.
- * It expands the block to include adjacent weekends, holidays, and already booked leave.
- * @param {Date} startDate First day of leave to book.
- * @param {number} leaveDaysToUse Number of leave days to add.
- * @param {Set<string>|null} bookedSet Optional set of ISO date strings representing already booked leave.
+ * Bolt Optimization: Targeted cache invalidation.
+ * Only clears caches that depend on `bookedDates`.
+ * This prevents expensive recalculations (like O(N) optimal plan DP and day type logic)
+ * when simply toggling a day on the calendar.
  */
-function calculateContinuousLeave(startDate, leaveDaysToUse, bookedSet = null) {
-    let leaveDaysBooked = [];
-    let current = new Date(startDate);
-    let daysCounted = 0;
-
-    // Find first bookable workday (skip existing off days)
-    while (isDayOff(current, bookedSet)) {
-        current.setDate(current.getDate() + 1);
-    }
+function invalidateBookedDaysCaches() {
+    dayInsightCache.clear();
+    bookedDaysIndices = null;
+    analyzedPlanCache = null;
+}
 
-    while (daysCounted < leaveDaysToUse) {
-        if (!isDayOff(current, bookedSet)) {
-            // Optimization: Store timestamps to avoid excessive Date object allocation
-            leaveDaysBooked.push(current.getTime());
-            daysCounted++;
-        }
-        current.setDate(current.getDate() + 1);
-    }
+/**
+ * Ensures the day type cache is populated for the specified year.
+ * Defaults to currentYear if not provided.
+ */
+function ensureDayTypeCache(year = currentYear) {
+    const customCount = getCustomHolidaysForLocation(currentRegion).length;
 
-    if (leaveDaysBooked.length === 0) return null;
+    const leaveYearStartKey = leaveYearStartMonth * 32 + leaveYearStartDay;
 
-    const firstBookedDay = leaveDaysBooked[0];
-    const lastBookedDay = leaveDaysBooked[leaveDaysBooked.length - 1];
+    // Invalidate entire cache if context changes
+    if (
+        dayTypeCacheContext.region !== currentRegion ||
+        dayTypeCacheContext.weekend !== currentScheduleKey ||
+        dayTypeCacheContext.customCount !== customCount ||
+        dayTypeCacheContext.leaveYearStart !== leaveYearStartKey
+    ) {
+        dayTypeCache.clear();
+        dayTypeCacheContext = {
+            region: currentRegion,
+            weekend: currentScheduleKey,
+            customCount: customCount,
+            leaveYearStart: leaveYearStartKey
+        };
+    }
 
-    // Expand backwards through any off days (weekend/holiday/booked)
-    let rangeStart = new Date(firstBookedDay);
-    while (true) {
-        rangeStart.setDate(rangeStart.getDate() - 1);
-        if (!isDayOff(rangeStart, bookedSet)) {
-            rangeStart.setDate(rangeStart.getDate() + 1); // Revert
-            break;
-        }
+    if (dayTypeCache.has(year)) {
+        return;
     }
 
-    // Expand forwards through any off days (weekend/holiday/booked)
-    let rangeEnd = new Date(lastBookedDay);
-    while (true) {
-        rangeEnd.setDate(rangeEnd.getDate() + 1);
-        if (!isDayOff(rangeEnd, bookedSet)) {
-            rangeEnd.setDate(rangeEnd.getDate() - 1); // Revert
-            break;
+    const startDate = getLeaveYearStartDate(year);
+    const startTs = startDate.getTime();
+
+    // Determine number of days in the leave year
+    const daysCount = getLeaveYearLength(year);
+
+    const types = new Array(daysCount);
+
+    const weekendMask = currentWeekendMask;
+    const rotation = currentRotation;
+    let rotationPos = rotation ? getRotationPosition(rotation, getEpochDay(year, leaveYearStartMonth, leaveYearStartDay)) : 0;
+
+    // Bolt Optimization: Replace Date object mutations with integer math.
+    // The leave year may span two calendar years, so the holiday lookup and month
+    // lengths are refreshed whenever the calendar year rolls over.
+    let calendarYear = year;
+    let lookup = getHolidaysForYear(calendarYear, currentRegion).lookup;
+    let monthLengths = [31, isLeapYear(calendarYear) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    let month = leaveYearStartMonth + 1;
+    let date = leaveYearStartDay;
+    let currentDayOfWeek = startDate.getDay();
+
+    for (let i = 0; i < daysCount; i++) {
+        const dStr = calendarYear + (month < 10 ? '-0' : '-') + month + (date < 10 ? '-0' : '-') + date;
+
+        let type = 'workday';
+        if (lookup.has(dStr)) {
+            type = 'holiday';
+        } else if (rotation ? rotation.offLookup[rotationPos] === 1 : (weekendMask >> currentDayOfWeek) & 1) {
+            type = 'weekend';
         }
-    }
 
-    const totalDaysOff = (rangeEnd - rangeStart) / (1000 * 60 * 60 * 24) + 1;
+        types[i] = type;
+        if (rotation) {
+            rotationPos = rotationPos === rotation.length - 1 ? 0 : rotationPos + 1;
+        }
 
-    return {
-        startDate: rangeStart,
-        endDate: rangeEnd,
-        leaveDaysUsed: leaveDaysToUse,
-        totalDaysOff: Math.round(totalDaysOff),
-        efficiency: totalDaysOff / leaveDaysToUse,
-        get bookedDates() {
-            if (!this._bookedDates) {
-                const dates = leaveDaysBooked.map(ts => new Date(ts));
-                Object.defineProperty(this, '_bookedDates', {
-                    value: dates,
-                    enumerable: false,
-                    writable: true
-                });
-                return dates;
+        date++;
+        if (date > monthLengths[month - 1]) {
+            date = 1;
+            month++;
+            if (month > 12 && i < daysCount - 1) {
+                month = 1;
+                calendarYear++;
+                lookup = getHolidaysForYear(calendarYear, currentRegion).lookup;
+                monthLengths = [31, isLeapYear(calendarYear) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
             }
-            return this._bookedDates;
         }
-    };
+        currentDayOfWeek = currentDayOfWeek === 6 ? 0 : currentDayOfWeek + 1;
+    }
+
+    dayTypeCache.set(year, { types, startTs });
 }
 
-const MAX_ANNUAL_PLAN_BLOCKS = 6;
-const MIN_ANNUAL_PLAN_BLOCK_LEAVE_DAYS = 10;
+/**
+ * Ensures the booked days index cache is populated for the specified year.
+ * Relies on dayTypeCache being populated for the year.
+ */
+function ensureBookedDaysIndices(year) {
+    if (bookedDaysIndices && bookedDaysYear === year) return;
 
-function getAnnualPlannerLimits(allowance) {
-    const safeAllowance = Math.max(0, Math.floor(allowance || 0));
-    const maxBlocks = Math.min(MAX_ANNUAL_PLAN_BLOCKS, safeAllowance);
-    if (maxBlocks === 0) {
-        return { maxBlocks: 0, maxLeaveDaysPerBlock: 0 };
-    }
+    // Ensure dayTypeCache is ready so we have the start timestamp
+    ensureDayTypeCache(year);
+    const cache = dayTypeCache.get(year);
 
-    return {
-        maxBlocks,
-        maxLeaveDaysPerBlock: Math.max(
-            MIN_ANNUAL_PLAN_BLOCK_LEAVE_DAYS,
-            Math.ceil(safeAllowance / maxBlocks)
-        )
+    const daysCount = cache ? cache.types.length : getLeaveYearLength(year);
+
+    bookedDaysIndices = new Uint8Array(daysCount);
+    bookedDaysYear = year;
+
+    if (bookedDates.size === 0 && halfDayBookings.size === 0) return;
+
+    const markIndex = (dateStr, value) => {
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx >= 0 && idx < daysCount) {
+            bookedDaysIndices[idx] = value;
+        }
     };
+
+    // Populate indices
+    bookedDates.forEach(dateStr => markIndex(dateStr, BOOKED_FULL));
+    halfDayBookings.forEach((period, dateStr) => markIndex(dateStr, period === 'am' ? BOOKED_AM : BOOKED_PM));
 }
 
 /**
- * Generates all reasonable leave candidates for the selected year.
- * @param {number} year The year to plan for.
- * @param {number} allowance The number of leave days available.
- * @param {Object} [options] Optional candidate generation limits.
- * @returns {Array<Object>} List of candidate blocks.
+ * Retrieves holidays for a given year and location.
+ * @param {number} year The year to get holidays for.
+ * @param {string} region The location code.
+ * @returns {Array<{date: string, name: string}>} A list of holiday objects.
  */
-function generateAllCandidates(year, allowance, options = {}) {
-    // Ensure cache is ready for the requested year
-    ensureDayTypeCache(year);
-    const types = dayTypeCache.get(year).types;
-
-    // Bolt Optimization: Replace slow Date allocation with integer math for leap year check (~60x faster)
-    const isLeap = isLeapYear(year);
-    const daysCount = isLeap ? 366 : 365;
+function getHolidaysForYear(year, region) {
+    const customCount = getCustomHolidaysForLocation(region).length;
+    const datasetKey = holidayDataset && (holidayDataset.updatedAt || holidayDataset.generatedAt)
+        ? (holidayDataset.updatedAt || holidayDataset.generatedAt)
+        : 'no-data';
+    // Type settings are replaced rather than mutated, so the array reference identifies them.
+    const countedTypes = getCountedHolidayTypes(region);
 
-    // Create boolean lookup for fast checking
-    // 0 = workday, 1 = off
-    const isOffArray = new Uint8Array(daysCount);
-    for (let i = 0; i < daysCount; i++) {
-        isOffArray[i] = types[i] !== 'workday' ? 1 : 0;
+    // Fast-path to avoid string interpolation and Map lookups in hot loops
+    if (cachedHolidaysYear === year &&
+        cachedHolidaysRegion === region &&
+        cachedHolidaysCustomCount === customCount &&
+        cachedHolidaysDatasetKey === datasetKey &&
+        cachedHolidaysTypes === countedTypes) {
+        return cachedHolidaysResult;
     }
 
-    // Bolt Optimization: Pre-calculate expansion boundaries to avoid repeated Date creation and scanning
-    // Complexity reduces from O(N * Allowance^2) to O(N * Allowance)
+    const typesKey = countedTypes ? countedTypes.join('+') : 'all';
+    const key = `${year}-${region}-${customCount}-${datasetKey}-${typesKey}`; // Simple cache bust on custom change
+    if (!holidaysCache.has(key)) {
+        let holidays = [];
+        if (isDatasetLocation(region)) {
+            holidays = getDatasetHolidays(year, region);
+        } else {
+            // Official dates win; the rules fill in years (or offline sessions) the dataset doesn't cover.
+            holidays = getOfficialHolidays(year, region) ||
+                applyHolidayOverrides(getRuleHolidays(year, region), getHolidayOverrides(region), year);
+        }
 
-    // 1. Calculate expansionStart (backwards expansion)
-    const expansionStart = new Int32Array(daysCount);
-    let run = 0;
-    // Check previous year boundary
-    let idx = -1;
-    while (isOffByIndex(idx, isOffArray, year)) {
-        run++;
-        idx--;
-    }
-    // Forward pass to fill expansionStart
-    for (let i = 0; i < daysCount; i++) {
-        if (isOffArray[i] === 1) { // OFF
-            run++;
-        } else { // Workday
-            expansionStart[i] = i - run;
-            run = 0;
+        // Custom holidays always count; only published ones are filtered by type.
+        if (countedTypes) {
+            const counted = [];
+            for (let i = 0; i < holidays.length; i++) {
+                if (countedTypes.includes(getHolidayTypeCategory(holidays[i].type))) counted.push(holidays[i]);
+            }
+            holidays = counted;
+        }
+
+        const customHolidays = getCustomHolidaysForLocation(region);
+        if (customHolidays.length > 0) {
+            // Bolt Optimization: Replace map and forEach with native for loops to avoid intermediate array allocation
+            const existingDates = new Set();
+            for (let i = 0; i < holidays.length; i++) {
+                existingDates.add(holidays[i].date);
+            }
+            for (let i = 0; i < customHolidays.length; i++) {
+                const h = customHolidays[i];
+                if (!existingDates.has(h.date)) {
+                    holidays.push(h);
+                    existingDates.add(h.date);
+                }
+            }
+        }
+        const lookup = new Map();
+        for (let i = 0; i < holidays.length; i++) {
+            const h = holidays[i];
+            lookup.set(h.date, h);
         }
+        holidaysCache.set(key, { holidays, lookup });
     }
 
-    // 2. Calculate expansionEnd (forwards expansion)
-    const expansionEnd = new Int32Array(daysCount);
-    run = 0;
-    // Check next year boundary
-    idx = daysCount;
-    while (isOffByIndex(idx, isOffArray, year)) {
-        run++;
-        idx++;
+    cachedHolidaysYear = year;
+    cachedHolidaysRegion = region;
+    cachedHolidaysCustomCount = customCount;
+    cachedHolidaysDatasetKey = datasetKey;
+    cachedHolidaysTypes = countedTypes;
+    cachedHolidaysResult = holidaysCache.get(key);
+
+    return cachedHolidaysResult;
+}
+
+/**
+ * Checks if a given date falls on a weekend.
+ * @param {Date} date The date to check.
+ * @returns {boolean} True if the date is a non-working weekday in the current work schedule.
+ */
+function isWeekend(date) {
+    if (currentRotation) {
+        const epochDay = getEpochDay(date.getFullYear(), date.getMonth(), date.getDate());
+        return currentRotation.offLookup[getRotationPosition(currentRotation, epochDay)] === 1;
     }
-    // Backward pass to fill expansionEnd
-    for (let i = daysCount - 1; i >= 0; i--) {
-        if (isOffArray[i] === 1) { // OFF
-            run++;
-        } else { // Workday
-            expansionEnd[i] = i + run;
-            run = 0;
+    return ((currentWeekendMask >> date.getDay()) & 1) === 1;
+}
+
+/**
+ * Checks if a given date is a holiday.
+ * @param {Date} date The date to check.
+ * @returns {boolean} True if the date is a holiday.
+ */
+function isHoliday(date, dateStr = null) {
+    return getHolidayName(date, dateStr) !== null;
+}
+
+/**
+ * Retrieves the name of the holiday for a given date.
+ * @param {Date} date The date to check.
+ * @param {string|null} [dateStr=null] Optional optimization: the ISO string for the date if already known.
+ * @returns {string|null} The name of the holiday or null if it's not a holiday.
+ */
+function getHolidayName(date, dateStr = null) {
+    const year = date.getFullYear();
+    const { lookup } = getHolidaysForYear(year, currentRegion);
+    const dStr = dateStr || toLocalISOString(date);
+    const holiday = lookup.get(dStr);
+    return holiday ? holiday.name : null;
+}
+
+/**
+ * Retrieves the published type of the holiday on a given date (e.g. "Bank holiday"), or null if it has none.
+ */
+function getHolidayTypeLabel(date, dateStr = null) {
+    const { lookup } = getHolidaysForYear(date.getFullYear(), currentRegion);
+    const holiday = lookup.get(dateStr || toLocalISOString(date));
+    if (!holiday || typeof holiday.type !== 'string' || holiday.type === '') return null;
+    return holiday.type.charAt(0).toUpperCase() + holiday.type.slice(1);
+}
+
+// --- OPTIMIZER ---
+
+/**
+ * Determines the type of a given day (workday, weekend, or holiday).
+ * @param {Date} date The date to classify.
+ * @returns {('workday'|'weekend'|'holiday')} The type of the day.
+ */
+function getDayType(date, dateStr = null) {
+    // Optimization: Check if date is within currently cached leave year
+    const year = getLeaveYearForDate(date);
+    // Check if cache matches the year
+    const cache = dayTypeCache.get(year);
+
+    if (cache) {
+        let dayIndex;
+        if (dateStr && dateStr.length === 10) {
+            dayIndex = getLeaveYearIndexFromISO(year, dateStr);
+        } else {
+            const diff = date.getTime() - cache.startTs;
+            // Use Math.round to handle potential DST shifts (usually 1 hour)
+            dayIndex = Math.round(diff / (1000 * 60 * 60 * 24));
         }
-    }
 
-    // 3. Identify workday indices
-    // Bolt Optimization: Replace dynamic arrays (.push) with pre-allocated arrays
-    // and exact size calculations to prevent memory reallocation and garbage collection.
-    const workdayIndices = new Int32Array(daysCount);
-    let numWorkdays = 0;
-    for (let i = 0; i < daysCount; i++) {
-        if (isOffArray[i] === 0) {
-            workdayIndices[numWorkdays++] = i;
+        if (dayIndex >= 0 && dayIndex < cache.types.length) {
+            return cache.types[dayIndex];
         }
+    } else if (year === currentYear) {
+        // Fallback: Populate cache for currentYear if it's the requested year
+        ensureDayTypeCache(currentYear);
+        return getDayType(date, dateStr); // Retry with populated cache
     }
 
-    const segmentCount = Math.max(1, options.segmentCount || MAX_ANNUAL_PLAN_BLOCKS);
-    const segmentSize = daysCount / segmentCount;
-    const maxLeaveDaysPerBlock = Math.max(
-        1,
-        Math.min(
-            allowance,
-            options.maxLeaveDaysPerBlock || allowance
-        )
-    );
-    const maxCandidateLength = Math.min(maxLeaveDaysPerBlock, allowance);
+    if (isHoliday(date, dateStr)) return 'holiday';
+    if (isWeekend(date)) return 'weekend';
+    return 'workday';
+}
+
+/**
+ * Adds a specified number of days to a date.
+ * @param {Date} date The starting date.
+ * @param {number} days The number of days to add.
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+    const original = (date instanceof Date) ? date : new Date(date);
+    const d = new Date(original.valueOf() + days * 86400000);
+    const diff = d.getTimezoneOffset() - original.getTimezoneOffset();
+    if (diff !== 0) {
+        d.setTime(d.valueOf() + diff * 60000);
+    }
+    return d;
+}
+
+/**
+ * Returns true if a date is not a workday (weekend or holiday).
+ */
+function isNonWorkday(date) {
+    const type = getDayType(date);
+    return type === 'holiday' || type === 'weekend';
+}
+
+/**
+ * Determines if a day should be treated as "off" for continuity checks.
+ * Considers weekends, holidays, and any already booked leave dates when provided.
+ * @param {Date} date The date to evaluate.
+ * @param {Set<string>|null} bookedSet Optional set of ISO date strings representing booked leave.
+ * @returns {boolean} True if the day is a weekend/holiday or already booked.
+ */
+function isDayOff(date, bookedSet = null) {
+    if (isNonWorkday(date)) return true;
+    if (bookedSet && bookedSet.has(toLocalISOString(date))) return true;
+    return false;
+}
+
+/**
+ * Computes the potential efficiency and bridge status for booking a single day of leave.
+ * Results are cached per date/region/custom-holiday state.
+ */
+function getDayInsight(date, dateStr = null) {
+    if (getDayType(date, dateStr) !== 'workday') return null;
+
+    const year = getLeaveYearForDate(date);
+    const cache = dayTypeCache.get(year);
+
+    if (cache) {
+        let yearCache = dayInsightCache.get(year);
+        if (!yearCache) {
+            yearCache = new Array(cache.types.length);
+            dayInsightCache.set(year, yearCache);
+        }
+
+        let idx;
+        if (dateStr && dateStr.length === 10) {
+            idx = getLeaveYearIndexFromISO(year, dateStr);
+        } else {
+            const diff = date.getTime() - cache.startTs;
+            // Use Math.round to handle potential DST shifts (usually 1 hour)
+            idx = Math.round(diff / (1000 * 60 * 60 * 24));
+        }
+
+        if (idx >= 0 && idx < cache.types.length) {
+            if (yearCache[idx] === undefined) {
+                ensureBookedDaysIndices(year);
+                yearCache[idx] = calculateInsightByIndex(idx, year);
+            }
+            return yearCache[idx];
+        }
+    }
+
+    // Fallback if dayTypeCache is not ready or out of bounds (rare but possible across year boundaries)
+    // We don't bother caching this as it's not the hot path.
+    const result = calculateContinuousLeave(date, 1, bookedDates);
+    const prev = addDays(date, -1);
+    const next = addDays(date, 1);
+    const bridge = isDayOff(prev, bookedDates) && isDayOff(next, bookedDates);
+
+    return {
+        efficiency: result ? result.efficiency : 1,
+        totalDaysOff: result ? result.totalDaysOff : 1,
+        bridge: bridge
+    };
+}
+
+/**
+ * Buckets efficiency into tiers for heatmap colouring.
+ */
+function getEfficiencyTier(efficiency) {
+    if (efficiency >= 3) return 'high';
+    if (efficiency >= 2) return 'mid';
+    return 'low';
+}
+
+function getLongestBlockDays(plan) {
+    if (!plan || plan.length === 0) return 0;
+    return Math.max(...plan.map(b => b.totalDaysOff));
+}
+
+function canCompareWithPreviousYear(year) {
+    if (!isDatasetLocation(currentRegion)) return true;
+    return Boolean(holidayDataset) &&
+        hasHolidayDataForYear(currentRegion, year) &&
+        hasHolidayDataForYear(currentRegion, year - 1);
+}
+
+// Year whose comparison plans are being computed by the optimizer worker
+let pendingComparisonKey = null;
+
+/**
+ * Starts worker runs for the two plans the year-over-year comparison needs.
+ * Returns true once getYearComparison can be called without optimizing on the main thread.
+ */
+function ensureYearComparisonPlans(year, allowance) {
+    if (!canUseOptimizerWorker() || !canCompareWithPreviousYear(year)) return true;
+    const missing = [year, year - 1].filter(y => !optimalPlanCache.has(getOptimalPlanCacheKey(y, allowance)));
+    if (missing.length === 0) return true;
+
+    const key = getOptimalPlanCacheKey(year, allowance);
+    if (pendingComparisonKey === key) return false;
+    pendingComparisonKey = key;
+    let remaining = missing.length;
+    missing.forEach(y => runOptimizer('optimal', y, allowance, (plan) => {
+        if (!plan) {
+            if (pendingComparisonKey === key) pendingComparisonKey = null;
+            return;
+        }
+        remaining--;
+        if (remaining === 0) {
+            pendingComparisonKey = null;
+            renderInsights();
+        }
+    }));
+    return false;
+}
+
+/**
+ * Compares the best consecutive-days-off block between the selected year and the previous year.
+ */
+function getYearComparison(year, allowance) {
+    if (!canCompareWithPreviousYear(year)) return null;
+    const customCount = getCustomHolidaysForLocation(currentRegion).length;
+    const key = `${year}-${allowance}-${currentRegion}-${currentScheduleKey}-${customCount}-${currentObjective}`;
+    if (!yearComparisonCache.has(key)) {
+        const currentPlan = findOptimalPlan(year, allowance);
+        const previousPlan = findOptimalPlan(year - 1, allowance);
+        const currentBest = getLongestBlockDays(currentPlan);
+        const previousBest = getLongestBlockDays(previousPlan);
+
+        let deltaPercent = null;
+        let direction = 'same';
+        if (previousBest > 0) {
+            deltaPercent = ((currentBest - previousBest) / previousBest) * 100;
+            if (deltaPercent > 0.5) direction = 'more';
+            else if (deltaPercent < -0.5) direction = 'less';
+        }
+
+        yearComparisonCache.set(key, {
+            currentYear: year,
+            previousYear: year - 1,
+            currentBest,
+            previousBest,
+            deltaPercent,
+            direction
+        });
+    }
+    return yearComparisonCache.get(key);
+}
+
+/**
+ * Helper to check if a day is off using an index.
+ * Falls back to Date logic if index is out of bounds (year boundary).
+ */
+function isOffByIndex(idx, isOffArray, year) {
+    if (idx >= 0 && idx < isOffArray.length) {
+        return isOffArray[idx] === 1;
+    }
+    // Boundary fallback
+    const date = getLeaveYearDate(year, idx);
+    // isDayOff defaults to null bookedSet (which is what generateAllCandidates uses)
+    return isDayOff(date);
+}
+
+/**
+ * Optimized calculation for single-day insight using integer indices.
+ * Assumes ensureDayTypeCache and ensureBookedDaysIndices have been called.
+ */
+function calculateInsightByIndex(startIdx, year) {
+    const cache = dayTypeCache.get(year);
+    const types = cache ? cache.types : [];
+    const daysCount = types.length;
+
+    // Helper to check if a day is off (holiday, weekend, or booked)
+    // Uses bookedDaysIndices for O(1) lookup within the year
+    const isOff = (idx) => {
+        // Boundary check
+        if (idx < 0 || idx >= daysCount) {
+             // Fallback to Date logic for boundary
+            const date = getLeaveYearDate(year, idx);
+             return isDayOff(date, bookedDates);
+        }
+
+        // Within bounds (half-day bookings still leave part of the day worked)
+        return types[idx] !== 'workday' || bookedDaysIndices[idx] === BOOKED_FULL;
+    };
+
+    let currentIdx = startIdx;
+
+    // Skip already off days to find first bookable day
+    // (Matches calculateContinuousLeave logic)
+    while (isOff(currentIdx)) {
+        currentIdx++;
+    }
+
+    // Book the day (conceptually)
+    // currentIdx is now the booked day.
+
+    // Expand backwards
+    let start = currentIdx;
+    while (isOff(start - 1)) {
+        start--;
+    }
+
+    // Expand forwards
+    let end = currentIdx;
+    while (isOff(end + 1)) {
+        end++;
+    }
+
+    const totalDaysOff = end - start + 1;
+
+    // Bridge check:
+    // Original logic: bridge = isDayOff(prev) && isDayOff(next)
+    // where prev/next are immediately adjacent to the QUERY date (startIdx).
+    const bridge = isOff(startIdx - 1) && isOff(startIdx + 1);
+
+    return {
+        efficiency: totalDaysOff, // leaveDaysUsed is 1
+        totalDaysOff: totalDaysOff,
+        bridge: bridge
+    };
+}
+
+/**
+ * Optimized version of calculateContinuousLeave using integer indices.
+ * @param {number} startIdx Index of the start day (0 = first day of the leave year).
+ * @param {number} leaveDaysToUse Number of leave days to add.
+ * @param {Uint8Array} isOffArray Array where 1=off, 0=workday.
+ * @param {number} year The year (for boundary dates).
+ */
+function calculateContinuousLeaveByIndex(startIdx, leaveDaysToUse, isOffArray, year) {
+    let currentIdx = startIdx;
+    let daysCounted = 0;
+
+    // Find first bookable workday (skip existing off days)
+    while (isOffByIndex(currentIdx, isOffArray, year)) {
+        currentIdx++;
+    }
+
+    // Expand to consume allowance
+    const firstBookedIdx = currentIdx;
+    let lastBookedIdx = currentIdx;
+
+    while (daysCounted < leaveDaysToUse) {
+        if (!isOffByIndex(currentIdx, isOffArray, year)) {
+            daysCounted++;
+            lastBookedIdx = currentIdx;
+        }
+        currentIdx++;
+    }
+
+    // Expand backwards
+    let rangeStartIdx = firstBookedIdx;
+    while (true) {
+        if (!isOffByIndex(rangeStartIdx - 1, isOffArray, year)) {
+            break;
+        }
+        rangeStartIdx--;
+    }
+
+    // Expand forwards
+    let rangeEndIdx = lastBookedIdx;
+    while (true) {
+        if (!isOffByIndex(rangeEndIdx + 1, isOffArray, year)) {
+            break;
+        }
+        rangeEndIdx++;
+    }
+
+    const totalDaysOff = rangeEndIdx - rangeStartIdx + 1;
+
+    return {
+        startIdx: rangeStartIdx,
+        endIdx: rangeEndIdx,
+        startDate: rangeStartIdx, // for findBestCombination sorting
+        endDate: rangeEndIdx,     // for findBestCombination overlap check
+        leaveDaysUsed: leaveDaysToUse,
+        totalDaysOff: totalDaysOff,
+        efficiency: totalDaysOff / leaveDaysToUse
+    };
+}
+
+/**
+ * Calculates a continuous block of time off based on a starting workday and a number of leave days.
+ * It expands the block to include adjacent weekends, holidays, and already booked leave.
+ * @param {Date} startDate First day of leave to book.
+ * @param {number} leaveDaysToUse Number of leave days to add.
+ * @param {Set<string>|null} bookedSet Optional set of ISO date strings representing already booked leave.
+ */
+function calculateContinuousLeave(startDate, leaveDaysToUse, bookedSet = null) {
+    let leaveDaysBooked = [];
+    let current = new Date(startDate);
+    let daysCounted = 0;
+
+    // Find first bookable workday (skip existing off days)
+    while (isDayOff(current, bookedSet)) {
+        current.setDate(current.getDate() + 1);
+    }
+
+    while (daysCounted < leaveDaysToUse) {
+        if (!isDayOff(current, bookedSet)) {
+            // Optimization: Store timestamps to avoid excessive Date object allocation
+            leaveDaysBooked.push(current.getTime());
+            daysCounted++;
+        }
+        current.setDate(current.getDate() + 1);
+    }
+
+    if (leaveDaysBooked.length === 0) return null;
+
+    const firstBookedDay = leaveDaysBooked[0];
+    const lastBookedDay = leaveDaysBooked[leaveDaysBooked.length - 1];
+
+    // Expand backwards through any off days (weekend/holiday/booked)
+    let rangeStart = new Date(firstBookedDay);
+    while (true) {
+        rangeStart.setDate(rangeStart.getDate() - 1);
+        if (!isDayOff(rangeStart, bookedSet)) {
+            rangeStart.setDate(rangeStart.getDate() + 1); // Revert
+            break;
+        }
+    }
+
+    // Expand forwards through any off days (weekend/holiday/booked)
+    let rangeEnd = new Date(lastBookedDay);
+    while (true) {
+        rangeEnd.setDate(rangeEnd.getDate() + 1);
+        if (!isDayOff(rangeEnd, bookedSet)) {
+            rangeEnd.setDate(rangeEnd.getDate() - 1); // Revert
+            break;
+        }
+    }
+
+    const totalDaysOff = (rangeEnd - rangeStart) / (1000 * 60 * 60 * 24) + 1;
+
+    return {
+        startDate: rangeStart,
+        endDate: rangeEnd,
+        leaveDaysUsed: leaveDaysToUse,
+        totalDaysOff: Math.round(totalDaysOff),
+        efficiency: totalDaysOff / leaveDaysToUse,
+        get bookedDates() {
+            if (!this._bookedDates) {
+                const dates = leaveDaysBooked.map(ts => new Date(ts));
+                Object.defineProperty(this, '_bookedDates', {
+                    value: dates,
+                    enumerable: false,
+                    writable: true
+                });
+                return dates;
+            }
+            return this._bookedDates;
+        }
+    };
+}
+
+const MAX_ANNUAL_PLAN_BLOCKS = 6;
+const MIN_ANNUAL_PLAN_BLOCK_LEAVE_DAYS = 10;
+// Cross-year planning: how many workdays a block may borrow from each neighbouring
+// leave year, and how far to look for them (covers the Christmas/New Year gap).
+const CROSS_YEAR_MAX_ADJACENT_LEAVE_DAYS = 5;
+const CROSS_YEAR_SCAN_DAYS = 21;
+
+/**
+ * Optimization goals for the annual plan. `spread` objectives allow at most one break per
+ * year segment; the others only limit the number of breaks.
+ */
+const PLAN_OBJECTIVES = Object.freeze({
+    'days-off': { label: 'Most days off', spread: true },
+    longest: { label: 'Longest single break', spread: false },
+    'long-weekends': { label: 'Most long weekends', spread: false },
+    efficiency: { label: 'Best average efficiency', spread: false },
+    even: { label: 'Evenly spread breaks', spread: true }
+});
+const DEFAULT_PLAN_OBJECTIVE = 'days-off';
+// A long weekend is a break of 3–4 days off; the objective allows more, shorter breaks.
+const LONG_WEEKEND_MIN_DAYS = 3;
+const LONG_WEEKEND_MAX_DAYS = 4;
+const MAX_LONG_WEEKEND_BLOCKS = 24;
+// Score bonus per long weekend / filled year segment; larger than any block's days off so
+// the count wins first and total days off breaks ties.
+const OBJECTIVE_COUNT_BONUS = 1000;
+
+function isValidPlanObjective(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(PLAN_OBJECTIVES, value);
+}
+
+function getAnnualPlannerLimits(allowance, objective = DEFAULT_PLAN_OBJECTIVE) {
+    const safeAllowance = Math.max(0, Math.floor(allowance || 0));
+    const blockLimit = objective === 'long-weekends' ? MAX_LONG_WEEKEND_BLOCKS : MAX_ANNUAL_PLAN_BLOCKS;
+    const maxBlocks = Math.min(blockLimit, safeAllowance);
+    if (maxBlocks === 0) {
+        return { maxBlocks: 0, maxLeaveDaysPerBlock: 0 };
+    }
+
+    let maxLeaveDaysPerBlock = Math.max(
+        MIN_ANNUAL_PLAN_BLOCK_LEAVE_DAYS,
+        Math.ceil(safeAllowance / maxBlocks)
+    );
+    if (objective === 'longest') {
+        // One break may take the whole allowance.
+        maxLeaveDaysPerBlock = safeAllowance;
+    } else if (objective === 'even') {
+        // Share the allowance out so no single break dominates.
+        maxLeaveDaysPerBlock = Math.ceil(safeAllowance / maxBlocks);
+    }
+
+    return { maxBlocks, maxLeaveDaysPerBlock };
+}
+
+/**
+ * DP score for a candidate under the given objective, in the DP's leave units.
+ */
+function getObjectiveValue(candidate, objective, units) {
+    // Days off are weighted by month/date-range preferences when the user has set any.
+    const weightedDaysOff = candidate.preferenceDaysOff === undefined ? candidate.totalDaysOff : candidate.preferenceDaysOff;
+    const daysOff = Math.round(weightedDaysOff * units * PREFERENCE_SCORE_SCALE);
+    // A break entirely in avoided periods earns no count bonus either.
+    const countsAsBreak = weightedDaysOff > 0;
+    switch (objective) {
+        case 'longest':
+            // Convex scoring: one long break beats several short ones of the same total.
+            return daysOff * daysOff;
+        case 'long-weekends':
+            return countsAsBreak && candidate.totalDaysOff >= LONG_WEEKEND_MIN_DAYS && candidate.totalDaysOff <= LONG_WEEKEND_MAX_DAYS
+                ? OBJECTIVE_COUNT_BONUS + daysOff
+                : daysOff;
+        case 'even':
+            // Every filled year segment counts first, so breaks reach all parts of the year.
+            return countsAsBreak ? OBJECTIVE_COUNT_BONUS + daysOff : daysOff;
+        default:
+            return daysOff;
+    }
+}
+
+/**
+ * Generates all reasonable leave candidates for the selected leave year.
+ * @param {number} year The leave year to plan for.
+ * @param {number} allowance The number of leave days available.
+ * @param {Object} [options] Optional candidate generation limits.
+ * @param {boolean} [options.halfDays] Also generate half-day blocks (AM/PM) that join an adjacent off run.
+ * @param {boolean} [options.crossYear] Allow blocks to extend into the neighbouring leave years. The whole
+ *   block is scored, but only leave days inside `year` count towards `leaveDaysUsed`; the others are
+ *   reported as `adjacentLeaveDays`.
+ * @param {number} [options.maxAdjacentLeaveDays] Workdays a cross-year block may book in each neighbouring year.
+ * @param {Set<string>} [options.lockedDates] Locked leave to plan around (defaults to the current locked days).
+ * @param {Array<{start: string, end: string}>} [options.blackoutRanges] Ranges where no leave may be booked.
+ * @param {{minLength: number, maxLength: number, minGap: number}} [options.blockRules] Block length limits
+ *   (calendar days off) and the minimum gap to locked leave (defaults to the current rules).
+ * @param {{maxConsecutive: number, maxPerMonth: number}} [options.leavePolicy] Leave day limits per block,
+ *   counting locked leave it runs into, and per calendar month, counting locked leave in it (defaults to
+ *   the current policy). Several blocks may still add up past the monthly limit, so each candidate then
+ *   carries its `monthLeave` for findBestCombination to check.
+ * @returns {Array<Object>} List of candidate blocks.
+ */
+function generateAllCandidates(year, allowance, options = {}) {
+    // Ensure cache is ready for the requested year
+    ensureDayTypeCache(year);
+    const types = dayTypeCache.get(year).types;
+    const daysCount = types.length;
+
+    // Create boolean lookup for fast checking
+    // 0 = workday, 1 = off
+    const isOffArray = new Uint8Array(daysCount);
+    for (let i = 0; i < daysCount; i++) {
+        isOffArray[i] = types[i] !== 'workday' ? 1 : 0;
+    }
+
+    // Hard constraints default to the current planning rules.
+    const locked = options.lockedDates || lockedDates;
+    const blackouts = options.blackoutRanges || blackoutRanges;
+    const rules = options.blockRules || blockRules;
+    const minBlockLength = rules.minLength || 0;
+    const maxBlockLength = rules.maxLength || Infinity;
+    const minGap = rules.minGap || 0;
+    const policy = options.leavePolicy || leavePolicy;
+    const maxConsecutive = policy.maxConsecutive || Infinity;
+    const maxPerMonth = policy.maxPerMonth || Infinity;
+
+    // Locked leave is already booked, so it is planned around like an off day
+    // and doesn't count towards a candidate's leave days.
+    for (const dateStr of locked) {
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx >= 0 && idx < daysCount) isOffArray[idx] = 1;
+    }
+
+    // Cross-year mode extends the planning range into the neighbouring leave years far
+    // enough to cover `maxAdjacentLeaveDays` workdays on each side. Indices stay relative
+    // to the first day of `year`, so days before it are negative.
+    const crossYear = Boolean(options.crossYear);
+    const maxAdjacentLeaveDays = crossYear
+        ? Math.max(0, Math.floor(options.maxAdjacentLeaveDays || CROSS_YEAR_MAX_ADJACENT_LEAVE_DAYS))
+        : 0;
+    let lead = 0;
+    let trail = 0;
+    if (maxAdjacentLeaveDays > 0) {
+        let found = 0;
+        while (found < maxAdjacentLeaveDays && lead < CROSS_YEAR_SCAN_DAYS) {
+            lead++;
+            if (!isOffByIndex(-lead, isOffArray, year)) found++;
+        }
+        found = 0;
+        while (found < maxAdjacentLeaveDays && trail < CROSS_YEAR_SCAN_DAYS) {
+            trail++;
+            if (!isOffByIndex(daysCount - 1 + trail, isOffArray, year)) found++;
+        }
+    }
+    const rangeStart = -lead;
+    const rangeEnd = daysCount + trail; // exclusive
+    const rangeCount = rangeEnd - rangeStart;
+    const isOffRange = lead === 0 && trail === 0 ? isOffArray : new Uint8Array(rangeCount);
+    if (isOffRange !== isOffArray) {
+        for (let i = 0; i < rangeCount; i++) {
+            const dayIdx = i + rangeStart;
+            let off = isOffByIndex(dayIdx, isOffArray, year);
+            if (!off && locked.size > 0 && (dayIdx < 0 || dayIdx >= daysCount)) {
+                off = locked.has(toLocalISOString(getLeaveYearDate(year, dayIdx)));
+            }
+            isOffRange[i] = off ? 1 : 0;
+        }
+    }
+
+    // Blackout workdays can't be booked.
+    let isBlackoutRange = null;
+    if (blackouts.length > 0) {
+        isBlackoutRange = new Uint8Array(rangeCount);
+        for (let r = 0; r < blackouts.length; r++) {
+            const from = Math.max(getLeaveYearIndexFromISO(year, blackouts[r].start), rangeStart);
+            const to = Math.min(getLeaveYearIndexFromISO(year, blackouts[r].end), rangeEnd - 1);
+            for (let i = from; i <= to; i++) isBlackoutRange[i - rangeStart] = 1;
+        }
+    }
+
+    // Days outside the employment dates can't be booked, and blocks are only credited with
+    // employed days. Indices are unclamped so cross-year blocks stop at them too. Days
+    // before the planning start (remaining-year mode) are handled the same way.
+    const planningStart = getPlanningStartDate(year);
+    const employedFrom = Math.max(
+        employment.start ? getLeaveYearIndexFromISO(year, employment.start) : -Infinity,
+        planningStart ? getLeaveYearIndexFromISO(year, planningStart) : -Infinity
+    );
+    const employedTo = employment.end ? getLeaveYearIndexFromISO(year, employment.end) : Infinity;
+    if (employedFrom > daysCount - 1 || employedTo < 0) return [];
+    if (employedFrom > rangeStart || employedTo < rangeEnd - 1) {
+        if (!isBlackoutRange) isBlackoutRange = new Uint8Array(rangeCount);
+        for (let i = 0; i < rangeCount; i++) {
+            const dayIdx = i + rangeStart;
+            if (dayIdx < employedFrom || dayIdx > employedTo) isBlackoutRange[i] = 1;
+        }
+    }
+    const minDisplayIdx = crossYear ? employedFrom : Math.max(employedFrom, 0);
+    const maxDisplayIdx = crossYear ? employedTo : Math.min(employedTo, daysCount - 1);
+
+    // New blocks must also keep the minimum gap to locked leave they don't include, and
+    // locked leave they take in counts towards the consecutive leave limit.
+    // Prefix sums give the number of locked days in any index window in O(1).
+    let lockedPrefix = null;
+    if ((minGap > 0 || maxConsecutive < Infinity) && locked.size > 0) {
+        lockedPrefix = new Int32Array(rangeCount + 1);
+        const isLockedRange = new Uint8Array(rangeCount);
+        for (const dateStr of locked) {
+            const idx = getLeaveYearIndexFromISO(year, dateStr);
+            if (idx >= rangeStart && idx < rangeEnd) isLockedRange[idx - rangeStart] = 1;
+        }
+        for (let i = 0; i < rangeCount; i++) {
+            lockedPrefix[i + 1] = lockedPrefix[i] + isLockedRange[i];
+        }
+    }
+    const countLocked = (from, to) => {
+        if (!lockedPrefix) return 0;
+        const a = Math.max(from, rangeStart) - rangeStart;
+        const b = Math.min(to, rangeEnd - 1) - rangeStart;
+        return b < a ? 0 : lockedPrefix[b + 1] - lockedPrefix[a];
+    };
+    const isTooCloseToLocked = (startIdx, endIdx) => {
+        if (!lockedPrefix || minGap === 0) return false;
+        return countLocked(startIdx - minGap, startIdx - 1) > 0 || countLocked(endIdx + 1, endIdx + minGap) > 0;
+    };
+
+    // Bolt Optimization: Pre-calculate expansion boundaries to avoid repeated Date creation and scanning
+    // Complexity reduces from O(N * Allowance^2) to O(N * Allowance)
+    // (Both arrays are offset by -rangeStart and hold year-relative indices.)
+
+    // 1. Calculate expansionStart (backwards expansion)
+    const expansionStart = new Int32Array(rangeCount);
+    let run = 0;
+    // Check previous year boundary
+    let idx = rangeStart - 1;
+    while (isOffByIndex(idx, isOffArray, year)) {
+        run++;
+        idx--;
+    }
+    const leadOffRun = run;
+    // Forward pass to fill expansionStart
+    for (let i = 0; i < rangeCount; i++) {
+        if (isOffRange[i] === 1) { // OFF
+            run++;
+        } else { // Workday
+            expansionStart[i] = i + rangeStart - run;
+            run = 0;
+        }
+    }
+
+    // 2. Calculate expansionEnd (forwards expansion)
+    const expansionEnd = new Int32Array(rangeCount);
+    run = 0;
+    // Check next year boundary
+    idx = rangeEnd;
+    while (isOffByIndex(idx, isOffArray, year)) {
+        run++;
+        idx++;
+    }
+    const trailOffRun = run;
+    // Backward pass to fill expansionEnd
+    for (let i = rangeCount - 1; i >= 0; i--) {
+        if (isOffRange[i] === 1) { // OFF
+            run++;
+        } else { // Workday
+            expansionEnd[i] = i + rangeStart + run;
+            run = 0;
+        }
+    }
+
+    // Preference weights: prefix sums over every day a block can cover give its
+    // weighted days off in O(1). Skipped while every day is neutral.
+    let weightPrefix = null;
+    const weightStart = rangeStart - leadOffRun;
+    if (hasPreferenceWeights()) {
+        const weightCount = rangeEnd + trailOffRun - weightStart;
+        weightPrefix = new Float64Array(weightCount + 1);
+        for (let i = 0; i < weightCount; i++) {
+            weightPrefix[i + 1] = weightPrefix[i] + getPreferenceWeight(getLeaveYearDate(year, i + weightStart));
+        }
+    }
+    const getWeightedDays = (from, to) => weightPrefix[to - weightStart + 1] - weightPrefix[from - weightStart];
+
+    // Accrual caps (see getAccrualCaps) limit how much leave may be taken before each
+    // block: the lowest cap over its booked days, less the block's own leave up to each one.
+    const accrualCaps = options.accrualCaps || null;
+
+    // 3. Identify workday indices
+    // Bolt Optimization: Replace dynamic arrays (.push) with pre-allocated arrays
+    // and exact size calculations to prevent memory reallocation and garbage collection.
+    const workdayIndices = new Int32Array(rangeCount);
+    let numWorkdays = 0;
+    let firstInYear = -1;
+    let lastInYear = -1;
+    for (let i = 0; i < rangeCount; i++) {
+        if (isOffRange[i] === 0) {
+            const dayIdx = i + rangeStart;
+            if (dayIdx >= 0 && dayIdx < daysCount) {
+                if (firstInYear === -1) firstInYear = numWorkdays;
+                lastInYear = numWorkdays;
+            }
+            workdayIndices[numWorkdays++] = dayIdx;
+        }
+    }
+
+    // Monthly leave limit: each workday's calendar month (year * 12 + month) and the
+    // locked leave already taken in it.
+    let workdayMonths = null;
+    const lockedPerMonth = new Map();
+    if (maxPerMonth < Infinity) {
+        workdayMonths = new Int32Array(numWorkdays);
+        for (let k = 0; k < numWorkdays; k++) {
+            const date = getLeaveYearDate(year, workdayIndices[k]);
+            workdayMonths[k] = date.getFullYear() * 12 + date.getMonth();
+        }
+        for (const dateStr of locked) {
+            const idx = getLeaveYearIndexFromISO(year, dateStr);
+            if (idx >= 0 && idx < daysCount && types[idx] !== 'workday') continue;
+            const month = Number(dateStr.slice(0, 4)) * 12 + Number(dateStr.slice(5, 7)) - 1;
+            lockedPerMonth.set(month, (lockedPerMonth.get(month) || 0) + 1);
+        }
+    }
+    const getLockedInMonth = month => lockedPerMonth.get(month) || 0;
+    // Leave a block books in each month, so findBestCombination can check the months its
+    // blocks share: [{month, days, locked}] for workdays fromK..toK (half a day when half).
+    const getMonthLeave = (fromK, toK, half) => {
+        const result = [];
+        for (let j = fromK; j <= toK; j++) {
+            const last = result[result.length - 1];
+            if (last && last.month === workdayMonths[j]) {
+                last.days++;
+            } else {
+                result.push({ month: workdayMonths[j], days: half ? 0.5 : 1, locked: getLockedInMonth(workdayMonths[j]) });
+            }
+        }
+        return result;
+    };
+
+    const segmentCount = Math.max(1, options.segmentCount || MAX_ANNUAL_PLAN_BLOCKS);
+    const segmentSize = daysCount / segmentCount;
+    const maxLeaveDaysPerBlock = Math.max(
+        1,
+        Math.min(
+            allowance,
+            options.maxLeaveDaysPerBlock || allowance
+        )
+    );
+    const maxCandidateLength = Math.min(maxLeaveDaysPerBlock, Math.floor(allowance));
+    const includeHalfDays = Boolean(options.halfDays);
+    if (firstInYear === -1) return [];
+
+    // Pre-calculate exact size needed to avoid array resizing
+    const inYearWorkdays = lastInYear - firstInYear + 1;
+    let totalCandidates = 0;
+    for (let k = 0; k <= lastInYear; k++) {
+        const leadLeave = k < firstInYear ? firstInYear - k : 0;
+        totalCandidates += Math.max(0, Math.min(maxCandidateLength, numWorkdays - k) - leadLeave);
+    }
+    if (includeHalfDays) {
+        totalCandidates += inYearWorkdays * 2;
+    }
+
+    const uniqueCandidates = new Array(totalCandidates);
+    let outIdx = 0;
+
+    for (let k = 0; k <= lastInYear; k++) {
+        const firstBookedIdx = workdayIndices[k];
+        if (isBlackoutRange && isBlackoutRange[firstBookedIdx - rangeStart]) continue;
+        const realStart = expansionStart[firstBookedIdx - rangeStart];
+
+        // Max possible length is limited by allowance AND remaining workdays. A run that
+        // starts in the previous year must still reach at least one workday of this year.
+        const leadLeave = k < firstInYear ? firstInYear - k : 0;
+        const maxL = Math.min(maxCandidateLength, numWorkdays - k);
+        let accrualHeadroom = Infinity;
+        let month = -1;
+        let monthLeave = 0;
+        const countMonthLeave = (j) => {
+            if (workdayMonths[j] !== month) {
+                month = workdayMonths[j];
+                monthLeave = getLockedInMonth(month);
+            }
+            return ++monthLeave;
+        };
+        // Leave booked in the previous year by a cross-year run counts too.
+        if (workdayMonths) {
+            for (let j = k; j < k + leadLeave; j++) countMonthLeave(j);
+        }
+
+        for (let len = leadLeave + 1; len <= maxL; len++) {
+            const lastK = k + len - 1;
+            const lastBookedIdx = workdayIndices[lastK];
+            // Runs are consecutive workdays, so a blackout day ends every longer run too.
+            if (isBlackoutRange && isBlackoutRange[lastBookedIdx - rangeStart]) break;
+            // Months only move forward, so only the latest one can newly go over the limit.
+            if (workdayMonths && countMonthLeave(lastK) > maxPerMonth) break;
+            if (accrualCaps && lastBookedIdx < daysCount) {
+                accrualHeadroom = Math.min(accrualHeadroom, accrualCaps[lastBookedIdx] - (len - leadLeave));
+            }
+            const realEnd = expansionEnd[lastBookedIdx - rangeStart];
+            // Consecutive leave includes locked leave the block runs into and only grows with len.
+            if (len + countLocked(realStart, realEnd) > maxConsecutive) break;
+
+            // Default mode only credits this year's days; cross-year mode scores the whole block.
+            const displayStart = Math.max(realStart, minDisplayIdx);
+            const displayEnd = Math.min(realEnd, maxDisplayIdx);
+            const totalDaysOff = displayEnd - displayStart + 1;
+            // Block length only grows with len.
+            if (totalDaysOff > maxBlockLength) break;
+            if (totalDaysOff < minBlockLength || isTooCloseToLocked(realStart, realEnd)) continue;
+            const midpoint = (displayStart + displayEnd) / 2;
+            const segmentIndex = Math.max(0, Math.min(
+                segmentCount - 1,
+                Math.floor(midpoint / segmentSize)
+            ));
+            // Leave booked in a neighbouring year comes out of that year's allowance, so only
+            // this year's days are charged to the budget (as in the stats).
+            const adjacentLeaveDays = crossYear ? leadLeave + (lastK > lastInYear ? lastK - lastInYear : 0) : 0;
+            const candidate = {
+                startIdx: realStart,
+                endIdx: realEnd,
+                displayStartIdx: displayStart,
+                displayEndIdx: displayEnd,
+                segmentIndex,
+                startDate: realStart, // for findBestCombination sorting (index)
+                endDate: realEnd,     // for findBestCombination overlap check (index)
+                leaveDaysUsed: len - adjacentLeaveDays,
+                totalDaysOff: totalDaysOff,
+                efficiency: totalDaysOff / len
+            };
+            if (crossYear) {
+                candidate.adjacentLeaveDays = adjacentLeaveDays;
+            }
+            if (weightPrefix) {
+                candidate.preferenceDaysOff = getWeightedDays(displayStart, displayEnd);
+            }
+            if (accrualCaps) {
+                candidate.accrualHeadroom = accrualHeadroom;
+            }
+            if (workdayMonths) {
+                candidate.monthLeave = getMonthLeave(k, lastK, false);
+            }
+            uniqueCandidates[outIdx++] = candidate;
+        }
+    }
+
+    if (includeHalfDays) {
+        // A half day only adds time off when the free half touches an off run:
+        // an afternoon before a weekend/holiday, or a morning after one.
+        for (let k = firstInYear; k <= lastInYear; k++) {
+            const dayIdx = workdayIndices[k];
+            if (isBlackoutRange && isBlackoutRange[dayIdx - rangeStart]) continue;
+            const pmEnd = expansionEnd[dayIdx - rangeStart];
+            const pmLastIdx = Math.min(pmEnd, daysCount - 1, employedTo);
+            const pmDaysOff = pmLastIdx - dayIdx + 0.5;
+            const withinMonthlyLimit = !workdayMonths || getLockedInMonth(workdayMonths[k]) + 0.5 <= maxPerMonth;
+            if (pmEnd > dayIdx && pmDaysOff >= minBlockLength && pmDaysOff <= maxBlockLength && !isTooCloseToLocked(dayIdx, pmEnd) &&
+                withinMonthlyLimit && countLocked(dayIdx, pmEnd) + 0.5 <= maxConsecutive) {
+                const displayEnd = pmLastIdx;
+                const totalDaysOff = pmDaysOff;
+                const segmentIndex = Math.max(0, Math.min(
+                    segmentCount - 1,
+                    Math.floor(((dayIdx + displayEnd) / 2) / segmentSize)
+                ));
+                const candidate = {
+                    startIdx: dayIdx,
+                    endIdx: pmEnd,
+                    displayStartIdx: dayIdx,
+                    displayEndIdx: displayEnd,
+                    segmentIndex,
+                    startDate: dayIdx,
+                    endDate: pmEnd,
+                    leaveDaysUsed: 0.5,
+                    halfDay: 'pm',
+                    totalDaysOff,
+                    efficiency: totalDaysOff / 0.5
+                };
+                if (weightPrefix) {
+                    // Only the free half of the booked day counts.
+                    candidate.preferenceDaysOff = getWeightedDays(dayIdx, displayEnd) - getWeightedDays(dayIdx, dayIdx) / 2;
+                }
+                if (accrualCaps) {
+                    candidate.accrualHeadroom = accrualCaps[dayIdx] - 0.5;
+                }
+                if (workdayMonths) {
+                    candidate.monthLeave = getMonthLeave(k, k, true);
+                }
+                uniqueCandidates[outIdx++] = candidate;
+            }
+
+            const amStart = expansionStart[dayIdx - rangeStart];
+            const amFirstIdx = Math.max(amStart, 0, employedFrom);
+            const amDaysOff = dayIdx - amFirstIdx + 0.5;
+            if (amStart < dayIdx && amDaysOff >= minBlockLength && amDaysOff <= maxBlockLength && !isTooCloseToLocked(amStart, dayIdx) &&
+                withinMonthlyLimit && countLocked(amStart, dayIdx) + 0.5 <= maxConsecutive) {
+                const displayStart = amFirstIdx;
+                const totalDaysOff = amDaysOff;
+                const segmentIndex = Math.max(0, Math.min(
+                    segmentCount - 1,
+                    Math.floor(((displayStart + dayIdx) / 2) / segmentSize)
+                ));
+                const candidate = {
+                    startIdx: amStart,
+                    endIdx: dayIdx,
+                    displayStartIdx: displayStart,
+                    displayEndIdx: dayIdx,
+                    segmentIndex,
+                    startDate: amStart,
+                    endDate: dayIdx,
+                    leaveDaysUsed: 0.5,
+                    halfDay: 'am',
+                    totalDaysOff,
+                    efficiency: totalDaysOff / 0.5
+                };
+                if (weightPrefix) {
+                    candidate.preferenceDaysOff = getWeightedDays(displayStart, dayIdx) - getWeightedDays(dayIdx, dayIdx) / 2;
+                }
+                if (accrualCaps) {
+                    candidate.accrualHeadroom = accrualCaps[dayIdx] - 0.5;
+                }
+                if (workdayMonths) {
+                    candidate.monthLeave = getMonthLeave(k, k, true);
+                }
+                uniqueCandidates[outIdx++] = candidate;
+            }
+        }
+    }
+
+    uniqueCandidates.length = outIdx;
+    return uniqueCandidates;
+}
+
+/**
+ * Selects the candidate pool used by the annual planner.
+ * @param {Array<Object>} candidates List of all candidates.
+ * @param {number} allowance The number of leave days available.
+ * @returns {Array<Object>} Filtered list of top candidates.
+ */
+function selectTopCandidates(candidates, allowance) {
+    if (allowance <= 40) {
+        return candidates;
+    }
+
+    const sorted = candidates.slice();
+    const finalCandidates = [];
+    const finalSeen = new Set();
+    const globalLimit = Math.min(800, sorted.length);
+
+    function addCandidate(c) {
+        const key = `${c.startIdx}:${c.endIdx}:${c.leaveDaysUsed}`;
+        if (!finalSeen.has(key)) {
+            finalSeen.add(key);
+            finalCandidates.push(c);
+        }
+    }
+
+    // Sort by efficiency (primary) and startIdx (tie-breaker for stability)
+    sorted.sort((a, b) => (b.efficiency - a.efficiency) || (a.startIdx - b.startIdx));
+
+    for (let i = 0; i < globalLimit; i++) {
+        addCandidate(sorted[i]);
+    }
+
+    // Sort the same array by duration (primary) and startIdx (tie-breaker)
+    sorted.sort((a, b) => (b.totalDaysOff - a.totalDaysOff) || (a.startIdx - b.startIdx));
+
+    for (let i = 0; i < globalLimit; i++) {
+        addCandidate(sorted[i]);
+    }
+
+    const monthlyBuckets = Array.from({ length: 12 }, () => []);
+    candidates.forEach((candidate) => {
+        const month = Math.max(0, Math.min(11, Math.floor(candidate.displayStartIdx / 31)));
+        monthlyBuckets[month].push(candidate);
+    });
+
+    monthlyBuckets.forEach((bucket) => {
+        bucket.sort((a, b) => (b.efficiency - a.efficiency) || (a.startIdx - b.startIdx));
+        bucket.slice(0, 80).forEach(addCandidate);
+
+        bucket.sort((a, b) => (b.totalDaysOff - a.totalDaysOff) || (a.startIdx - b.startIdx));
+        bucket.slice(0, 80).forEach(addCandidate);
+    });
+
+    finalCandidates.sort((a, b) =>
+        (a.startDate - b.startDate) ||
+        (a.endDate - b.endDate) ||
+        (a.leaveDaysUsed - b.leaveDaysUsed)
+    );
+    return finalCandidates;
+}
+
+// Bolt Optimization: Global memo array to avoid garbage collection and repeated allocation of (N+1)*ROW_SIZE elements (~20% speedup).
+let sharedMemo = new Int32Array(0);
+
+/**
+ * Finds the best non-overlapping annual combination while using as much allowance as possible.
+ * Allowance and block costs may include half days; the DP then works in half-day units.
+ * @param {Array<Object>} candidates Top candidates to choose from.
+ * @param {number} allowance Total leave allowance (whole or half days).
+ * @param {number} maxBlocks Maximum number of year segments to fill.
+ * @param {Object} [options] Optional combination rules.
+ * @param {number} [options.minGapDays] Minimum days between chosen blocks (defaults to the current block rules).
+ * @param {string} [options.objective] Key of PLAN_OBJECTIVES to score the plan by (default: most days off).
+ * @param {number} [options.maxPerMonth] Monthly leave limit across all chosen blocks, using each
+ *   candidate's `monthLeave` (see enforceMonthlyLeaveLimit); 0 for none.
+ * @param {Map<number, number>} [options.monthLeaveUsed] Leave already planned per month outside the combination.
+ * @returns {Array<Object>} The best combination of blocks.
+ */
+function findBestCombination(candidates, allowance, maxBlocks = 3, options = {}) {
+    const bestCombo = [];
+    if (candidates.length == 0 || allowance <= 0 || maxBlocks <= 0) {
+        return bestCombo;
+    }
+
+    // Candidates with an accrualHeadroom may only be taken while the leave spent before them
+    // fits it. They are solved latest-first, so the leave still to spend at each step is
+    // exactly the leave taken earlier in the year.
+    let accrualLimited = false;
+    for (let i = 0; i < candidates.length && !accrualLimited; i++) {
+        accrualLimited = typeof candidates[i].accrualHeadroom === 'number';
+    }
+
+    // Sort candidates by start date (latest end first when accrual-limited) for DP
+    // Bolt Optimization: Replace spread syntax with slice() for faster array copying
+    const sortedCandidates = accrualLimited
+        ? candidates.slice().sort((a, b) => b.endDate - a.endDate)
+        : candidates.slice().sort((a, b) => a.startDate - b.startDate);
+    const N = sortedCandidates.length;
+
+    // Work in half-day units only when a half day is actually in play, so the common
+    // whole-day case keeps the smaller DP table.
+    let units = Number.isInteger(allowance) ? 1 : 2;
+    for (let i = 0; i < N && units === 1; i++) {
+        if (!Number.isInteger(sortedCandidates[i].leaveDaysUsed)) units = 2;
+    }
+    const objective = isValidPlanObjective(options.objective) ? options.objective : DEFAULT_PLAN_OBJECTIVE;
+    const spreadBySegment = PLAN_OBJECTIVES[objective].spread;
+    const costs = new Int32Array(N);
+    const values = new Int32Array(N);
+    for (let i = 0; i < N; i++) {
+        costs[i] = Math.round(sortedCandidates[i].leaveDaysUsed * units);
+        values[i] = getObjectiveValue(sortedCandidates[i], objective, units);
+    }
+
+    // Precompute next compatible candidate index for each candidate
+    // nextCompatible[i] = index of first candidate that starts more than minGap days after candidate[i] ends
+    const minGap = typeof options.minGapDays === 'number' ? options.minGapDays : blockRules.minGap;
+    const nextCompatible = new Int32Array(N);
+    if (accrualLimited) {
+        // Latest-first: the first candidate ending more than minGap days before candidate[i]
+        // starts. Starts aren't sorted, so each one is found by binary search over the ends.
+        for (let i = 0; i < N; i++) {
+            const limit = sortedCandidates[i].startDate - minGap;
+            let lo = i + 1;
+            let hi = N;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sortedCandidates[mid].endDate >= limit) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            nextCompatible[i] = lo;
+        }
+    } else {
+        let j = 0;
+        for (let i = 0; i < N; i++) {
+            if (j < i + 1) j = i + 1;
+            while (j < N && sortedCandidates[j].startDate <= sortedCandidates[i].endDate + minGap) {
+                j++;
+            }
+            nextCompatible[i] = j;
+        }
+    }
+
+    // Spread objectives track filled year segments as a bitmask; the others only count
+    // chosen blocks (mask = number of blocks taken so far).
+    const SEGMENT_COUNT = Math.min(12, Math.max(1, maxBlocks));
+    const MASK_COUNT = spreadBySegment ? 1 << SEGMENT_COUNT : maxBlocks + 1;
+
+    // DP State: dp[i][mask][w] = max objective score using exactly w leave units
+    // i: index in sortedCandidates (0..N)
+    // mask: filled year segments (spread objectives) or blocks taken (other objectives)
+    // w: exact leave units (days, or half days when units === 2) to spend
+    // Flattened array: [i * ROW_SIZE + mask * SIZE_W + w]
+    const W_MAX = Math.floor(allowance * units);
+    const SIZE_W = W_MAX + 1;
+
+    // Most leave units that may be spent before each candidate (see accrualHeadroom).
+    const maxSpentBefore = new Int32Array(N).fill(W_MAX);
+    if (accrualLimited) {
+        for (let i = 0; i < N; i++) {
+            const headroom = sortedCandidates[i].accrualHeadroom;
+            if (typeof headroom === 'number') {
+                maxSpentBefore[i] = Math.max(-1, Math.min(W_MAX, Math.floor(headroom * units + 1e-9)));
+            }
+        }
+    }
+    const ROW_SIZE = MASK_COUNT * SIZE_W;
+    const requiredSize = (N + 1) * ROW_SIZE;
+
+    // Bolt Optimization: Reuse global array to prevent 60k element allocation every call
+    if (sharedMemo.length < requiredSize) {
+        sharedMemo = new Int32Array(requiredSize);
+    }
+    const memo = sharedMemo;
+
+    // Initialize only the required bounds with -1 (invalid/unreachable)
+    memo.fill(-1, 0, requiredSize);
+
+    // Base case: no candidates left can spend exactly 0 leave days.
+    for (let mask = 0; mask < MASK_COUNT; mask++) {
+        memo[N * ROW_SIZE + mask * SIZE_W + 0] = 0;
+    }
+
+    // Bolt Optimization: Unroll inner loop across k values to dramatically reduce jump boundaries
+    // and hoist all base index calculations out of the w-loops. This yields a substantial ~20%
+    // execution time improvement for the core dynamic programming engine.
+    for (let i = N - 1; i >= 0; i--) {
+        const candidate = sortedCandidates[i];
+        const segmentIndex = Math.max(0, Math.min(
+            SEGMENT_COUNT - 1,
+            typeof candidate.segmentIndex === 'number' ? candidate.segmentIndex : 0
+        ));
+        const segmentBit = spreadBySegment ? 1 << segmentIndex : 0;
+        const cost = costs[i];
+        const totalOff = values[i];
+        const spendLimit = maxSpentBefore[i];
+        const nextI = nextCompatible[i];
+        const baseIdx = i * ROW_SIZE;
+        const nextBaseIdx = (i + 1) * ROW_SIZE;
+        const nextCandidateBaseIdx = nextI * ROW_SIZE;
+
+        for (let mask = 0; mask < MASK_COUNT; mask++) {
+            const maskBaseIdx = baseIdx + mask * SIZE_W;
+            const nextMaskBaseIdx = nextBaseIdx + mask * SIZE_W;
+            for (let w = 0; w <= W_MAX; w++) {
+                // Option 1: Skip candidate i
+                let res = memo[nextMaskBaseIdx + w];
+
+                // Option 2: Take candidate i if its year segment is still unused
+                // (or, without spreading, while fewer than maxBlocks are taken).
+                if (spreadBySegment ? (mask & segmentBit) === 0 : mask < maxBlocks) {
+                    if (w >= cost && w - cost <= spendLimit) {
+                        const nextMask = spreadBySegment ? mask | segmentBit : mask + 1;
+                        const prevVal = memo[nextCandidateBaseIdx + nextMask * SIZE_W + (w - cost)];
+
+                        if (prevVal !== -1) {
+                            const currentVal = totalOff + prevVal;
+                            if (currentVal > res) {
+                                res = currentVal;
+                            }
+                        }
+                    }
+                }
+                memo[maskBaseIdx + w] = res;
+            }
+        }
+    }
+
+    // Find the plan that spends the most allowance, then maximises its score. For best average
+    // efficiency the spend is then fixed, so the most days off is also the best days off per leave day.
+    let foundW = -1;
+    for (let w = W_MAX; w >= 1; w--) {
+        if (memo[0 * ROW_SIZE + 0 * SIZE_W + w] > 0) {
+            foundW = w;
+            break;
+        }
+    }
+
+    // Reconstruct solution
+    if (foundW != -1) {
+        let curI = 0;
+        let curMask = 0;
+        let curW = foundW;
+
+        while (curW > 0 && curI < N) {
+            const skippedVal = memo[(curI + 1) * ROW_SIZE + curMask * SIZE_W + curW];
+
+            let takenVal = -2;
+            const cand = sortedCandidates[curI];
+            const segmentIndex = Math.max(0, Math.min(
+                SEGMENT_COUNT - 1,
+                typeof cand.segmentIndex === 'number' ? cand.segmentIndex : 0
+            ));
+            const segmentBit = spreadBySegment ? 1 << segmentIndex : 0;
+            const canTake = spreadBySegment ? (curMask & segmentBit) === 0 : curMask < maxBlocks;
+            const nextMask = spreadBySegment ? curMask | segmentBit : curMask + 1;
+
+            const cost = costs[curI];
+            if (canTake && cost <= curW && curW - cost <= maxSpentBefore[curI]) {
+                const nextI = nextCompatible[curI];
+                const prevVal = memo[nextI * ROW_SIZE + nextMask * SIZE_W + (curW - cost)];
+                if (prevVal != -1) {
+                    takenVal = values[curI] + prevVal;
+                }
+            }
+
+            // Prefer taking if it yields optimal result (greedy for earliest start date, or
+            // latest end when accrual-limited)
+            if (takenVal != -2 && takenVal >= skippedVal) {
+                bestCombo.push(cand);
+                curI = nextCompatible[curI];
+                curMask = nextMask;
+                curW -= cost;
+            } else {
+                curI++;
+            }
+        }
+    }
+
+    bestCombo.sort((a, b) => a.startDate - b.startDate);
+    if (options.maxPerMonth > 0) {
+        return enforceMonthlyLeaveLimit(bestCombo, candidates, allowance, maxBlocks, options);
+    }
+    return bestCombo;
+}
+
+// DP re-runs spent moving blocks out of months that go over the monthly leave limit.
+const MAX_MONTHLY_LIMIT_REPAIRS = 20;
+
+/**
+ * First month (year * 12 + month) where a combination's blocks, with the locked leave and
+ * `monthLeaveUsed` already in it, book more than `maxPerMonth` leave days, or null.
+ * @param {Map<number, number>} [monthLeaveUsed] Leave already planned per month outside the combination.
+ */
+function findMonthOverLeaveLimit(combo, maxPerMonth, monthLeaveUsed) {
+    const totals = new Map();
+    for (let i = 0; i < combo.length; i++) {
+        const monthLeave = combo[i].monthLeave;
+        if (!monthLeave) continue;
+        for (let j = 0; j < monthLeave.length; j++) {
+            const { month, days, locked } = monthLeave[j];
+            const base = totals.has(month) ? totals.get(month) : locked + ((monthLeaveUsed && monthLeaveUsed.get(month)) || 0);
+            const total = base + days;
+            totals.set(month, total);
+            if (total > maxPerMonth) return month;
+        }
+    }
+    return null;
+}
+
+/**
+ * Candidates only keep to the monthly leave limit one block at a time, so a combination can
+ * still put several breaks in one month. While it does, the weakest block booking leave in
+ * that month is dropped from the candidates and the DP run again. If that doesn't settle it,
+ * the latest blocks in the month are removed until every month fits.
+ */
+function enforceMonthlyLeaveLimit(combo, candidates, allowance, maxBlocks, options) {
+    const { maxPerMonth, monthLeaveUsed } = options;
+    const objective = isValidPlanObjective(options.objective) ? options.objective : DEFAULT_PLAN_OBJECTIVE;
+    const innerOptions = { ...options, maxPerMonth: 0 };
+    const touchesMonth = (c, month) => Boolean(c.monthLeave) && c.monthLeave.some(entry => entry.month === month);
+    let pool = candidates;
+    let result = combo;
+    for (let attempt = 0; attempt < MAX_MONTHLY_LIMIT_REPAIRS; attempt++) {
+        const month = findMonthOverLeaveLimit(result, maxPerMonth, monthLeaveUsed);
+        if (month === null) return result;
+        let weakest = null;
+        let weakestValue = Infinity;
+        for (let i = 0; i < result.length; i++) {
+            if (!touchesMonth(result[i], month)) continue;
+            const value = getObjectiveValue(result[i], objective, 2);
+            if (value < weakestValue) {
+                weakest = result[i];
+                weakestValue = value;
+            }
+        }
+        pool = pool.filter(c => c !== weakest);
+        result = findBestCombination(pool, allowance, maxBlocks, innerOptions);
+    }
+
+    result = result.slice();
+    let month = findMonthOverLeaveLimit(result, maxPerMonth, monthLeaveUsed);
+    while (month !== null) {
+        for (let i = result.length - 1; i >= 0; i--) {
+            if (touchesMonth(result[i], month)) {
+                result.splice(i, 1);
+                break;
+            }
+        }
+        month = findMonthOverLeaveLimit(result, maxPerMonth, monthLeaveUsed);
+    }
+    return result;
+}
+
+// Largest DP table (in cells) solved over every candidate: 8M Int32 cells is about 32 MB, no more
+// than a 40-day allowance already needs. Bigger problems keep only the candidates picked by
+// selectTopCandidates and are checked against an upper bound instead.
+const EXACT_PLAN_MAX_DP_CELLS = 8000000;
+
+/**
+ * Number of cells findBestCombination fills for the given inputs.
+ */
+function getCombinationTableSize(candidateCount, allowance, maxBlocks, objective) {
+    const units = Number.isInteger(allowance) ? 1 : 2;
+    const maskCount = PLAN_OBJECTIVES[objective].spread ? 1 << Math.min(12, Math.max(1, maxBlocks)) : maxBlocks + 1;
+    return (candidateCount + 1) * maskCount * (Math.floor(allowance * units) + 1);
+}
+
+/**
+ * Upper bound on the best objective score for every exact spend w (in DP units), found by
+ * dropping the overlap and gap rules. Spread objectives still take at most one block per
+ * year segment, the others at most maxBlocks blocks. -1 marks spends that can't be reached.
+ * @returns {Int32Array} Bounds indexed by spend.
+ */
+function getCombinationUpperBounds(candidates, allowance, maxBlocks, objective, units) {
+    const W_MAX = Math.floor(allowance * units);
+    const SIZE_W = W_MAX + 1;
+    const spread = PLAN_OBJECTIVES[objective].spread;
+    const groupCount = spread ? Math.min(12, Math.max(1, maxBlocks)) : 1;
+
+    // bestByCost[g * SIZE_W + c] = best single-block score costing c units in group g
+    const bestByCost = new Int32Array(groupCount * SIZE_W).fill(-1);
+    for (let i = 0; i < candidates.length; i++) {
+        const c = candidates[i];
+        const cost = Math.round(c.leaveDaysUsed * units);
+        if (cost > W_MAX) continue;
+        const group = spread
+            ? Math.max(0, Math.min(groupCount - 1, typeof c.segmentIndex === 'number' ? c.segmentIndex : 0))
+            : 0;
+        const value = getObjectiveValue(c, objective, units);
+        if (value > bestByCost[group * SIZE_W + cost]) bestByCost[group * SIZE_W + cost] = value;
+    }
+
+    let bounds = new Int32Array(SIZE_W).fill(-1);
+    bounds[0] = 0;
+    const picks = spread ? groupCount : maxBlocks;
+    for (let p = 0; p < picks; p++) {
+        const groupBase = (spread ? p : 0) * SIZE_W;
+        // Starting from a copy keeps "take nothing in this pick" as an option.
+        const next = bounds.slice();
+        for (let w = 0; w < W_MAX; w++) {
+            if (bounds[w] < 0) continue;
+            for (let cost = 1; w + cost <= W_MAX; cost++) {
+                const value = bestByCost[groupBase + cost];
+                if (value >= 0 && bounds[w] + value > next[w + cost]) {
+                    next[w + cost] = bounds[w] + value;
+                }
+            }
+        }
+        bounds = next;
+    }
+    return bounds;
+}
+
+/**
+ * Checks a combination chosen from pruned candidates against the upper bound over all
+ * candidates. `gap` is the largest possible shortfall as a fraction of the best possible
+ * score (0 when the plan is provably optimal), or null when a plan spending more of the
+ * allowance might exist.
+ * @returns {{optimal: boolean, gap: ?number}}
+ */
+function getCombinationOptimality(allCandidates, combo, allowance, maxBlocks, objective) {
+    let units = Number.isInteger(allowance) ? 1 : 2;
+    for (let i = 0; i < allCandidates.length && units === 1; i++) {
+        if (!Number.isInteger(allCandidates[i].leaveDaysUsed)) units = 2;
+    }
+    let spent = 0;
+    let score = 0;
+    for (let i = 0; i < combo.length; i++) {
+        spent += Math.round(combo[i].leaveDaysUsed * units);
+        score += getObjectiveValue(combo[i], objective, units);
+    }
+
+    const bounds = getCombinationUpperBounds(allCandidates, allowance, maxBlocks, objective, units);
+    // Plans are ranked by allowance spent before score.
+    for (let w = bounds.length - 1; w > spent; w--) {
+        if (bounds[w] > 0) return { optimal: false, gap: null };
+    }
+    const bound = Math.max(0, bounds[spent]);
+    const gap = bound > score ? (bound - score) / bound : 0;
+    return { optimal: gap === 0, gap };
+}
+
+function getOptimalPlanCacheKey(year, allowance) {
+    const pools = leavePools.map(pool => `${pool.days}${pool.singleDaysOnly ? 's' : ''}`).join(',');
+    const accrualKey = accrual ? `${accrual.rate}/${accrual.period}/${accrual.start || ''}/${accrual.negativeLimit}` : '';
+    const employmentKey = `${employment.start || ''}/${employment.end || ''}/${employment.rounding}`;
+    // Remaining-year plans depend on the date and on the leave already taken.
+    const planningStart = getPlanningStartDate(year);
+    let remainingKey = '';
+    if (planningStart) {
+        const taken = [];
+        bookedDates.forEach(dateStr => { if (dateStr < planningStart) taken.push(dateStr); });
+        halfDayBookings.forEach((period, dateStr) => { if (dateStr < planningStart) taken.push(`${dateStr}${period}`); });
+        remainingKey = `${planningStart}:${taken.sort().join(',')}`;
+    }
+    return `${year}-${allowance}-${leaveYearStartMonth}-${leaveYearStartDay}-${crossYearPlanning ? 'x' : ''}-${bankHolidaysInAllowance ? 'b' : ''}-${currentObjective}-${pools}-${accrualKey}-${employmentKey}-${remainingKey}`;
+}
+
+/**
+ * Leave the optimizer has to plan around: locked days and, in remaining-year mode, leave
+ * taken before today by default, or every current booking when completing a plan.
+ * Half-day bookings can't take more leave, so they are blocked like blackouts.
+ */
+function getFixedLeave(year, includeBookings = false) {
+    const planningStart = getPlanningStartDate(year);
+    if (!includeBookings && !planningStart) {
+        const usedDays = getLockedLeaveDays(year);
+        return {
+            dates: lockedDates,
+            halfDays: new Map(),
+            blackouts: blackoutRanges,
+            usedDays,
+            fixedWorkdays: usedDays,
+            singleDayPoolDays: getSingleDayPoolLeaveDays(year, lockedDates)
+        };
+    }
+    const isFixed = dateStr => includeBookings || dateStr < planningStart;
+    const dates = new Set(lockedDates);
+    bookedDates.forEach(dateStr => {
+        if (isFixed(dateStr)) dates.add(dateStr);
+    });
+    const fixedHalfDays = includeBookings ? halfDayBookings : new Map();
+    const blackouts = blackoutRanges.slice();
+    const daysCount = getLeaveYearLength(year);
+    let halfDays = 0;
+    halfDayBookings.forEach((period, dateStr) => {
+        if (!isFixed(dateStr)) return;
+        if (!includeBookings) fixedHalfDays.set(dateStr, period);
+        blackouts.push({ start: dateStr, end: dateStr });
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx >= 0 && idx < daysCount) halfDays++;
+    });
+    const fullDays = getLockedLeaveDays(year, dates);
+    return {
+        dates,
+        halfDays: fixedHalfDays,
+        blackouts,
+        usedDays: fullDays + halfDays * 0.5,
+        fixedWorkdays: fullDays + halfDays,
+        singleDayPoolDays: getSingleDayPoolLeaveDays(year, dates, fixedHalfDays)
+    };
+}
+
+/**
+ * Leave from single-day pools among the given full-day dates and half-day bookings.
+ */
+function getSingleDayPoolLeaveDays(year, dates, halfDays = null) {
+    if (bookedPools.size === 0) return 0;
+    const daysCount = getLeaveYearLength(year);
+    let used = 0;
+    const count = (dateStr, days) => {
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx >= 0 && idx < daysCount && isSingleDayPool(bookedPools.get(dateStr))) used += days;
+    };
+    dates.forEach(dateStr => count(dateStr, 1));
+    if (halfDays) halfDays.forEach((period, dateStr) => count(dateStr, 0.5));
+    return used;
+}
+
+/**
+ * Builds the candidate pool and DP limits for planning `year` around `fixed` leave
+ * (see getFixedLeave), or null when the fixed leave already uses the whole allowance.
+ */
+function prepareOptimizerInput(year, allowance, fixed = getFixedLeave(year)) {
+    // The allowance is pro-rated to the employment dates. Fixed leave (and, in pro-rata mode,
+    // bank holidays on working days) comes out of it first. Pools that allow any break add to
+    // the budget; single-day pools are planned separately.
+    const budget = getProRatedAllowance(year, allowance) + getFlexiblePoolDays() - getBankHolidayDeduction(year) - (fixed.usedDays - fixed.singleDayPoolDays);
+    if (budget <= 0) return null;
+
+    const limits = getAnnualPlannerLimits(budget, currentObjective);
+    const joinsSingleDayPoolLeave = getSingleDayPoolNeighbourTest(year, fixed.dates);
+    const uniqueCandidates = generateAllCandidates(year, budget, {
+        maxLeaveDaysPerBlock: limits.maxLeaveDaysPerBlock,
+        segmentCount: limits.maxBlocks || MAX_ANNUAL_PLAN_BLOCKS,
+        // Half-day blocks are only offered when there is a leftover half day to spend.
+        halfDays: !Number.isInteger(budget),
+        crossYear: crossYearPlanning,
+        lockedDates: fixed.dates,
+        blackoutRanges: fixed.blackouts,
+        accrualCaps: getAccrualCaps(year, fixed)
+    }).filter(c => !joinsSingleDayPoolLeave(c));
+    const cache = dayTypeCache.get(year);
+    const workdayCount = cache
+        ? cache.types.reduce((count, type) => count + (type === 'workday' ? 1 : 0), 0) - fixed.fixedWorkdays
+        : budget;
+    // Solve over every candidate whenever the DP table stays small enough.
+    const exact = budget <= 40 ||
+        getCombinationTableSize(uniqueCandidates.length, budget, limits.maxBlocks, currentObjective) <= EXACT_PLAN_MAX_DP_CELLS;
+    return {
+        candidates: exact ? uniqueCandidates : selectTopCandidates(uniqueCandidates, budget),
+        allCandidates: uniqueCandidates,
+        exact,
+        targetAllowance: Math.min(budget, workdayCount),
+        maxBlocks: limits.maxBlocks,
+        options: {
+            minGapDays: blockRules.minGap,
+            objective: currentObjective,
+            maxPerMonth: leavePolicy.maxPerMonth
+        }
+    };
+}
+
+/**
+ * Returns a test for candidates that would make a fixed single-day pool day part of a longer
+ * break: the pool day lies inside the candidate's days off or right next to them.
+ */
+function getSingleDayPoolNeighbourTest(year, dates) {
+    const poolDays = [];
+    dates.forEach(dateStr => {
+        if (isSingleDayPool(bookedPools.get(dateStr))) poolDays.push(getLeaveYearIndexFromISO(year, dateStr));
+    });
+    return c => poolDays.some(idx => idx >= c.startIdx - 1 && idx <= c.endIdx + 1);
+}
+
+/**
+ * Adds one-day breaks paid for by the single-day pools to a planned combination. They are
+ * planned after the rest of the allowance and may not touch its blocks or the fixed leave,
+ * so each stays a break of its own.
+ */
+function addSingleDayPoolLeave(year, combo, fixed) {
+    const poolDays = leavePools.reduce((sum, pool) => sum + (pool.singleDaysOnly ? pool.days : 0), 0);
+    const singleDays = Math.floor(poolDays - fixed.singleDayPoolDays);
+    if (singleDays <= 0) return combo;
+
+    // Days covered by the planned blocks and fixed leave, offset by one so index -1 (the
+    // previous leave year) and daysCount (the next one) fit.
+    const daysCount = getLeaveYearLength(year);
+    const taken = new Uint8Array(daysCount + 2);
+    const clamp = idx => Math.max(-1, Math.min(daysCount, idx)) + 1;
+    combo.forEach(c => {
+        for (let i = clamp(c.startIdx); i <= clamp(c.endIdx); i++) taken[i] = 1;
+    });
+    fixed.dates.forEach(dateStr => {
+        taken[clamp(getLeaveYearIndexFromISO(year, dateStr))] = 1;
+    });
+    const touchesPlan = c => {
+        for (let i = clamp(c.startIdx - 1); i <= clamp(c.endIdx + 1); i++) {
+            if (taken[i]) return true;
+        }
+        return false;
+    };
+
+    const candidates = generateAllCandidates(year, 1, {
+        segmentCount: Math.min(singleDays, MAX_SINGLE_DAY_POOL_BLOCKS),
+        lockedDates: fixed.dates,
+        blackoutRanges: fixed.blackouts
+    }).filter(c => c.leaveDaysUsed === 1 && !touchesPlan(c));
+    // Pool days count towards the monthly limit alongside the planned blocks.
+    const monthLeaveUsed = new Map();
+    combo.forEach(c => {
+        if (!c.monthLeave) return;
+        c.monthLeave.forEach(({ month, days }) => monthLeaveUsed.set(month, (monthLeaveUsed.get(month) || 0) + days));
+    });
+    const picks = findBestCombination(candidates, singleDays, singleDays, {
+        minGapDays: blockRules.minGap,
+        objective: currentObjective,
+        maxPerMonth: leavePolicy.maxPerMonth,
+        monthLeaveUsed
+    });
+    return combo.concat(picks.map(c => ({ ...c, singleDayPool: true })));
+}
+
+/**
+ * Converts an optimized, index-based combination back to blocks with full Date objects.
+ */
+function hydratePlan(year, combo, fixedDates = lockedDates) {
+    return combo.map(c => {
+        // startIdx and endIdx are 0-based from the first day of leave year 'year'
+        const startDate = getLeaveYearDate(year, c.displayStartIdx);
+        const endDate = getLeaveYearDate(year, c.displayEndIdx);
+
+        // Generate the list of booked dates (workdays)
+        const bookedDates = [];
+        // Workdays booked in the previous/next leave year (cross-year blocks only)
+        const adjacentLeaveDays = { previous: 0, next: 0 };
+
+        // We reconstruct the booked dates by checking which days in the range are workdays.
+        // Since candidates were generated from valid workdays within the year,
+        // any workdays within the [start, end] range must be the booked ones.
+        // Outside the year boundary (indices < 0 or >= length) the range only contains
+        // workdays when it is a cross-year block; otherwise those days are OFF by
+        // construction (expansion wouldn't have included them).
+        const types = dayTypeCache.get(year).types;
+        // Fixed (locked or already booked) days inside the range are left out.
+        for (let i = c.startIdx; i <= c.endIdx; i++) {
+            if (i >= 0 && i < types.length) {
+                if (types[i] === 'workday') {
+                    const date = getLeaveYearDate(year, i);
+                    if (fixedDates.size === 0 || !fixedDates.has(toLocalISOString(date))) {
+                        bookedDates.push(date);
+                    }
+                }
+            } else if (c.adjacentLeaveDays) {
+                const date = getLeaveYearDate(year, i);
+                if (!isDayOff(date, fixedDates)) {
+                    bookedDates.push(date);
+                    adjacentLeaveDays[i < 0 ? 'previous' : 'next']++;
+                }
+            }
+        }
+
+        return {
+            startDate,
+            endDate,
+            leaveDaysUsed: c.leaveDaysUsed,
+            totalDaysOff: c.totalDaysOff,
+            efficiency: c.efficiency,
+            halfDay: c.halfDay || null,
+            // Planned for a single-day leave pool (see addSingleDayPoolLeave)
+            singleDayPool: c.singleDayPool === true,
+            adjacentLeaveDays,
+            bookedDates
+        };
+    });
+}
+
+function findOptimalPlan(year, allowance) {
+    // Cache expensive optimal plan calculations to prevent redundant DP evaluation
+    // when comparing year-over-year or re-rendering after non-impactful state changes.
+    const cacheKey = getOptimalPlanCacheKey(year, allowance);
+    if (optimalPlanCache.has(cacheKey)) {
+        return optimalPlanCache.get(cacheKey);
+    }
+
+    const fixed = getFixedLeave(year);
+    const input = prepareOptimizerInput(year, allowance, fixed);
+    let bestCombo = [];
+    let optimality = { optimal: true, gap: 0 };
+    if (input) {
+        bestCombo = findBestCombination(input.candidates, input.targetAllowance, input.maxBlocks, input.options);
+        // Re-planning around the monthly limit isn't exact either, so check it against the bound.
+        if (!input.exact || input.options.maxPerMonth > 0) {
+            optimality = getCombinationOptimality(input.allCandidates, bestCombo, input.targetAllowance, input.maxBlocks, input.options.objective);
+        }
+    }
+    const result = hydratePlan(year, addSingleDayPoolLeave(year, bestCombo, fixed));
+
+    optimalPlanCache.set(cacheKey, result);
+    planOptimalityCache.set(cacheKey, optimality);
+    return result;
+}
+
+/**
+ * Whether the cached optimal plan for `year` is proven optimal, or null before it is computed.
+ * @returns {?{optimal: boolean, gap: ?number}}
+ */
+function getPlanOptimality(year, allowance) {
+    return planOptimalityCache.get(getOptimalPlanCacheKey(year, allowance)) || null;
+}
+
+/**
+ * Plans the allowance left after the current bookings, which stay as they are and are
+ * treated as days off. Not cached: the result depends on every booking.
+ */
+function findCompletionPlan(year, allowance) {
+    const fixed = getFixedLeave(year, true);
+    const input = prepareOptimizerInput(year, allowance, fixed);
+    const combo = input ? findBestCombination(input.candidates, input.targetAllowance, input.maxBlocks, input.options) : [];
+    return hydratePlan(year, addSingleDayPoolLeave(year, combo, fixed), fixed.dates);
+}
+
+const ALTERNATIVE_PLAN_COUNT = 5;
+// Caps the DP re-runs spent looking for alternatives.
+const MAX_ALTERNATIVE_PLAN_SEARCHES = 15;
+
+function getCandidateKey(c) {
+    return `${c.startIdx}:${c.endIdx}:${c.leaveDaysUsed}:${c.halfDay || ''}`;
+}
+
+/**
+ * Objective score of a whole combination, for ranking alternatives. Returns
+ * [allowance spent, score] so plans compare like findBestCombination picks them.
+ */
+function getComboScore(combo, objective) {
+    let spent = 0;
+    let score = 0;
+    for (let i = 0; i < combo.length; i++) {
+        spent += combo[i].leaveDaysUsed;
+        score += getObjectiveValue(combo[i], objective, 2);
+    }
+    return [spent, score];
+}
+
+/**
+ * Returns up to `count` different plans for the year, best first. Each alternative is the
+ * best plan that avoids one or more blocks of a plan already found, so every plan differs
+ * from the others in at least one block.
+ * @returns {Array<Array<Object>>} Plans in the same shape as findOptimalPlan results.
+ */
+function findAlternativePlans(year, allowance, count = ALTERNATIVE_PLAN_COUNT) {
+    const cacheKey = `${getOptimalPlanCacheKey(year, allowance)}-alt${count}`;
+    if (optimalPlanCache.has(cacheKey)) {
+        return optimalPlanCache.get(cacheKey);
+    }
+
+    const fixed = getFixedLeave(year);
+    const input = prepareOptimizerInput(year, allowance, fixed);
+    if (!input) {
+        const empty = [hydratePlan(year, addSingleDayPoolLeave(year, [], fixed))];
+        optimalPlanCache.set(cacheKey, empty);
+        return empty;
+    }
+
+    const combos = [];
+    const seen = new Set();
+    // Breadth-first over banned-block sets: start with no bans, then ban each block of
+    // every new plan in turn.
+    const queue = [[]];
+    let searches = 0;
+    while (queue.length > 0 && combos.length < count && searches < MAX_ALTERNATIVE_PLAN_SEARCHES) {
+        const banned = queue.shift();
+        const bannedSet = new Set(banned);
+        const pool = bannedSet.size > 0
+            ? input.candidates.filter(c => !bannedSet.has(getCandidateKey(c)))
+            : input.candidates;
+        const combo = findBestCombination(pool, input.targetAllowance, input.maxBlocks, input.options);
+        searches++;
+        if (combo.length === 0) continue;
+
+        const signature = combo.map(getCandidateKey).join('|');
+        if (seen.has(signature)) continue;
+        seen.add(signature);
+        combos.push(combo);
+        combo.forEach(c => queue.push([...banned, getCandidateKey(c)]));
+    }
+
+    // The unconstrained search comes first; rank the alternatives behind it.
+    const objective = input.options.objective;
+    const alternatives = combos.slice(1).sort((a, b) => {
+        const scoreA = getComboScore(a, objective);
+        const scoreB = getComboScore(b, objective);
+        return (scoreB[0] - scoreA[0]) || (scoreB[1] - scoreA[1]);
+    });
+    const plans = [combos[0] || [], ...alternatives].map(combo => hydratePlan(year, addSingleDayPoolLeave(year, combo, fixed)));
+
+    optimalPlanCache.set(cacheKey, plans);
+    return plans;
+}
+
+// ==========================================
+// OPTIMIZER WORKER
+// ==========================================
+// The optimizer runs in a dedicated Web Worker that loads this same script.
+// Main thread -> worker: { type: 'optimize', id, kind: 'optimal' | 'alternatives' | 'complete', snapshot }
+// Worker -> main thread: { type: 'result', id, plans, optimality } or { type: 'error', id, message }
+// Runs are cancelled by terminating the worker; the next run starts a fresh one.
+
+const OPTIMIZER_WORKER_URL = 'app.js';
+// Days either side of the leave year whose holidays are sent to the worker. Covers the
+// cross-year scan and blocks that extend over a boundary weekend or holiday.
+const OPTIMIZER_HOLIDAY_MARGIN_DAYS = 45;
+
+let optimizerWorker = null;
+let optimizerWorkerFailed = false;
+let nextOptimizerJobId = 1;
+// Bumped whenever plan-affecting state changes, so results from an older snapshot are rerun.
+let optimizerStateVersion = 0;
+// id -> { kind, year, allowance, onDone, version, timer } for runs still in flight
+const pendingOptimizerJobs = new Map();
+
+function canUseOptimizerWorker() {
+    return !optimizerWorkerFailed && typeof Worker === 'function' && typeof document !== 'undefined';
+}
+
+/**
+ * Captures everything the optimizer reads for `year`: holidays (already merged with the
+ * dataset and custom holidays), work schedule, leave-year start and planning rules.
+ */
+function createOptimizerSnapshot(year, allowance) {
+    const firstYear = getLeaveYearDate(year, -OPTIMIZER_HOLIDAY_MARGIN_DAYS).getFullYear();
+    const lastYear = getLeaveYearDate(year, getLeaveYearLength(year) + OPTIMIZER_HOLIDAY_MARGIN_DAYS).getFullYear();
+    const holidays = {};
+    for (let y = firstYear; y <= lastYear; y++) {
+        holidays[y] = getHolidaysForYear(y, currentRegion).holidays;
+    }
+    return {
+        year,
+        allowance,
+        region: currentRegion,
+        weekend: currentRotation
+            ? { anchor: currentRotation.anchor, length: currentRotation.length, offDays: currentRotation.offDays }
+            : currentWeekendMask,
+        leaveYearStart: { month: leaveYearStartMonth + 1, day: leaveYearStartDay },
+        planningStart: getPlanningStartDate(year),
+        holidays,
+        bookedDates: Array.from(bookedDates),
+        halfDayBookings: Array.from(halfDayBookings),
+        lockedDates: Array.from(lockedDates),
+        blackoutRanges,
+        blockRules,
+        leavePolicy,
+        monthWeights,
+        preferenceRanges,
+        leavePools,
+        bookedPools: Array.from(bookedPools),
+        objective: currentObjective,
+        crossYearPlanning,
+        remainingYearOnly,
+        bankHolidaysInAllowance,
+        accrual,
+        employment
+    };
+}
+
+/**
+ * Replaces the optimizer state with a snapshot from the main thread (worker side).
+ */
+function applyOptimizerSnapshot(snapshot) {
+    currentYear = snapshot.year;
+    currentRegion = snapshot.region;
+    snapshotPlanningStart = typeof snapshot.planningStart === 'string' ? snapshot.planningStart : null;
+    holidayDataset = null;
+    customHolidaysByLocation = {};
+    holidayTypesByLocation = {};
+    leaveYearStartMonth = snapshot.leaveYearStart.month - 1;
+    leaveYearStartDay = snapshot.leaveYearStart.day;
+    applyWeekendSetting(snapshot.weekend);
+    bookedDates = new Set(snapshot.bookedDates);
+    halfDayBookings = new Map(snapshot.halfDayBookings);
+    lockedDates = new Set(snapshot.lockedDates);
+    blackoutRanges = snapshot.blackoutRanges;
+    blockRules = snapshot.blockRules;
+    leavePolicy = snapshot.leavePolicy;
+    applyPreferences(snapshot.monthWeights, snapshot.preferenceRanges);
+    leavePools = snapshot.leavePools;
+    bookedPools = new Map(snapshot.bookedPools);
+    currentObjective = snapshot.objective;
+    crossYearPlanning = snapshot.crossYearPlanning;
+    remainingYearOnly = snapshot.remainingYearOnly;
+    bankHolidaysInAllowance = snapshot.bankHolidaysInAllowance;
+    accrual = snapshot.accrual;
+    employment = snapshot.employment;
+    clearHolidaysCache();
+    invalidateInsightCaches();
+
+    // Seed the holiday cache under the key getHolidaysForYear uses without a dataset or
+    // custom holidays, so the worker sees exactly the main thread's holidays.
+    Object.keys(snapshot.holidays).forEach(year => {
+        const holidays = snapshot.holidays[year];
+        const lookup = new Map();
+        for (let i = 0; i < holidays.length; i++) {
+            lookup.set(holidays[i].date, holidays[i]);
+        }
+        holidaysCache.set(`${year}-${currentRegion}-0-no-data-all`, { holidays, lookup });
+    });
+}
+
+function computeOptimizerResult(kind, year, allowance) {
+    if (kind === 'alternatives') return findAlternativePlans(year, allowance);
+    if (kind === 'complete') return findCompletionPlan(year, allowance);
+    return findOptimalPlan(year, allowance);
+}
+
+/**
+ * Key under which a run's result is kept in optimalPlanCache, or null if it isn't cached.
+ */
+function getOptimizerCacheKey(kind, year, allowance) {
+    if (kind === 'complete') return null;
+    const key = getOptimalPlanCacheKey(year, allowance);
+    return kind === 'alternatives' ? `${key}-alt${ALTERNATIVE_PLAN_COUNT}` : key;
+}
+
+/**
+ * Handles one protocol message inside the worker and returns the reply.
+ */
+function handleOptimizerMessage(message) {
+    if (!message || message.type !== 'optimize') return null;
+    try {
+        applyOptimizerSnapshot(message.snapshot);
+        const { year, allowance } = message.snapshot;
+        const plans = computeOptimizerResult(message.kind, year, allowance);
+        const optimality = message.kind === 'optimal' ? getPlanOptimality(year, allowance) : null;
+        return { type: 'result', id: message.id, plans, optimality };
+    } catch (error) {
+        return { type: 'error', id: message.id, message: error.message };
+    }
+}
+
+function getOptimizerWorker() {
+    if (!optimizerWorker) {
+        optimizerWorker = new Worker(OPTIMIZER_WORKER_URL);
+        optimizerWorker.onmessage = handleOptimizerWorkerResponse;
+        optimizerWorker.onerror = handleOptimizerWorkerError;
+    }
+    return optimizerWorker;
+}
+
+function postOptimizerJob(id, job) {
+    job.version = optimizerStateVersion;
+    getOptimizerWorker().postMessage({
+        type: 'optimize',
+        id,
+        kind: job.kind,
+        snapshot: createOptimizerSnapshot(job.year, job.allowance)
+    });
+}
+
+/**
+ * Computes the optimal plan (`kind` 'optimal') or the alternative plans ('alternatives')
+ * for `year` and passes them to `onDone`, or null if the run is cancelled. Runs in the
+ * optimizer worker when available, otherwise on the main thread after a short delay so
+ * the loading overlay can paint.
+ * @returns {number} The run id.
+ */
+function runOptimizer(kind, year, allowance, onDone) {
+    const id = nextOptimizerJobId++;
+    const job = { kind, year, allowance, onDone, version: optimizerStateVersion, timer: null };
+    pendingOptimizerJobs.set(id, job);
+
+    const cacheKey = getOptimizerCacheKey(kind, year, allowance);
+    if ((cacheKey && optimalPlanCache.has(cacheKey)) || !canUseOptimizerWorker()) {
+        job.timer = setTimeout(() => finishOptimizerJob(id, computeOptimizerResult(kind, year, allowance)), 50);
+    } else {
+        postOptimizerJob(id, job);
+    }
+    return id;
+}
+
+function finishOptimizerJob(id, plans) {
+    const job = pendingOptimizerJobs.get(id);
+    if (!job) return;
+    pendingOptimizerJobs.delete(id);
+    job.onDone(plans);
+}
+
+function handleOptimizerWorkerResponse(event) {
+    const message = event.data;
+    const job = message ? pendingOptimizerJobs.get(message.id) : null;
+    if (!job) return;
+
+    if (message.type === 'error') {
+        console.error('Optimizer worker failed:', message.message);
+        finishOptimizerJob(message.id, computeOptimizerResult(job.kind, job.year, job.allowance));
+        return;
+    }
+    if (job.version !== optimizerStateVersion) {
+        // Settings changed while the worker was busy; rerun with the current state.
+        postOptimizerJob(message.id, job);
+        return;
+    }
+
+    const cacheKey = getOptimizerCacheKey(job.kind, job.year, job.allowance);
+    if (cacheKey) optimalPlanCache.set(cacheKey, message.plans);
+    if (message.optimality) planOptimalityCache.set(cacheKey, message.optimality);
+    finishOptimizerJob(message.id, message.plans);
+}
+
+/**
+ * Falls back to main-thread optimization when the worker can't start (e.g. file:// pages).
+ */
+function handleOptimizerWorkerError(event) {
+    if (event && typeof event.preventDefault === 'function') event.preventDefault();
+    console.error('Optimizer worker unavailable, optimizing on the main thread:', event && event.message);
+    optimizerWorkerFailed = true;
+    if (optimizerWorker) {
+        optimizerWorker.terminate();
+        optimizerWorker = null;
+    }
+    pendingOptimizerJobs.forEach((job, id) => {
+        job.timer = setTimeout(() => finishOptimizerJob(id, computeOptimizerResult(job.kind, job.year, job.allowance)), 0);
+    });
+}
+
+/**
+ * Aborts every optimizer run in flight; their callbacks receive null.
+ */
+function cancelOptimizerRuns() {
+    if (pendingOptimizerJobs.size === 0) return;
+    const jobs = Array.from(pendingOptimizerJobs.values());
+    pendingOptimizerJobs.clear();
+    // A run can't be interrupted inside the worker, so the worker itself is stopped.
+    if (optimizerWorker) {
+        optimizerWorker.terminate();
+        optimizerWorker = null;
+    }
+    jobs.forEach(job => {
+        clearTimeout(job.timer);
+        job.onDone(null);
+    });
+}
+
+/**
+ * Checks if two leave blocks overlap.
+ */
+function overlap(b1, b2) {
+    return b1.startDate <= b2.endDate && b1.endDate >= b2.startDate;
+}
+
+// --- CALENDAR EXPORT ---
+
+/**
+ * Global click handler to surface tooltips for disabled buttons on touch devices.
+ */
+function initDisabledButtonTouchHandler() {
+    if (typeof document === 'undefined') return;
+    document.addEventListener('click', (e) => {
+        const disabledBtn = e.target.closest('button[aria-disabled="true"]');
+        if (disabledBtn && disabledBtn.title) {
+            e.preventDefault();
+            e.stopPropagation();
+            showToast(disabledBtn.title, 'info');
+        }
+    }, true);
+}
+
+function formatDayCount(days) {
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Generates and downloads an iCal (.ics) file containing all booked leave periods.
+ */
+function exportToICS() {
+    const exportBtn = document.getElementById('export-btn');
+    if (exportBtn && exportBtn.getAttribute('aria-disabled') === 'true') {
+        if (exportBtn.title) showToast(exportBtn.title, 'info');
+        return;
+    }
+
+    const blocks = analyzeCurrentPlan();
+    if (blocks.length === 0) {
+        showToast('No leave periods to export. Please book some leave days first.', 'error');
+        return;
+    }
+
+    // Build iCal content
+    const icsLines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Vacation Maximiser//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    blocks.forEach((block, index) => {
+        // All-day events can't show a half day, so the description names each one.
+        const firstDay = toLocalISOString(block.startDate);
+        const lastDay = toLocalISOString(block.endDate);
+        const halfDays = Array.from(halfDayBookings)
+            .filter(([dateStr]) => dateStr >= firstDay && dateStr <= lastDay)
+            .sort(([a], [b]) => (a < b ? -1 : 1))
+            .map(([dateStr, period]) => `${HALF_DAY_PERIODS[period].label} of ${formatDate(parseISODateString(dateStr))}`);
+        const halfDayNote = halfDays.length > 0 ? `\\nHalf ${halfDays.length === 1 ? 'day' : 'days'}: ${halfDays.join(', ')}` : '';
+
+        // Format dates as YYYYMMDD (iCal DATE format)
+        const startStr = toLocalISOString(block.startDate).replace(/-/g, '');
+        // iCal DTEND is exclusive, so add 1 day
+        const endDate = addDays(block.endDate, 1);
+        const endStr = toLocalISOString(endDate).replace(/-/g, '');
+
+        // Generate a unique ID
+        const uid = `vacation-${currentYear}-${index}-${Date.now()}@vacationmaximiser`;
+
+        icsLines.push(
+            'BEGIN:VEVENT',
+            `DTSTART;VALUE=DATE:${startStr}`,
+            `DTEND;VALUE=DATE:${endStr}`,
+            `SUMMARY:Annual Leave (${formatDayCount(block.leaveDays)})`,
+            `DESCRIPTION:${formatDayCount(block.totalDays)} off using ${formatDayCount(block.leaveDays)} of leave${halfDayNote}\\nGenerated by Vacation Maximiser`,
+            `UID:${uid}`,
+            'STATUS:CONFIRMED',
+            'TRANSP:OPAQUE',
+            'END:VEVENT'
+        );
+    });
+
+    icsLines.push('END:VCALENDAR');
+
+    // Create and trigger download
+    const icsContent = icsLines.join('\r\n');
+    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vacation-plan-${getLeaveYearLabel(currentYear).replace('/', '-')}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+    showToast('Your calendar file is ready for download.', 'success');
+}
+
+// --- MAIN UI ---
+
+function renderLocationSelectOptions() {
+    if (typeof document === 'undefined') return;
+    const locationSelect = document.getElementById('location-select');
+    if (!locationSelect) return;
+
+    locationSelect.textContent = '';
+
+    LOCATION_GROUPS.forEach((group) => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.label;
+
+        group.options.forEach((optionData) => {
+            const option = document.createElement('option');
+            option.value = optionData.value;
+            option.textContent = optionData.label;
+            optgroup.appendChild(option);
+        });
+
+        locationSelect.appendChild(optgroup);
+    });
+}
+
+/**
+ * Initializes the application, sets up event listeners, and performs the initial render.
+ */
+function init() {
+    // Load saved state if available
+    const savedState = loadState();
+    let shouldRestoreFromSaved = false;
+
+    const appliedSharedPlan = applySharedPlanFromUrl();
+    if (!appliedSharedPlan && savedState) {
+        // Restore state variables from local storage if no shared plan
+        if (isValidAllowance(savedState.currentAllowance)) {
+            currentAllowance = savedState.currentAllowance;
+        }
+        applyLeaveYearStart(savedState.leaveYearStart);
+        crossYearPlanning = savedState.crossYearPlanning === true;
+        remainingYearOnly = savedState.remainingYearOnly === true;
+        bankHolidaysInAllowance = savedState.bankHolidaysInAllowance === true;
+        accrual = sanitizeAccrual(savedState.accrual);
+        employment = sanitizeEmployment(savedState.employment);
+        if (isValidPlanObjective(savedState.currentObjective)) {
+            currentObjective = savedState.currentObjective;
+        }
+        if (isValidPlanningYear(savedState.currentYear)) {
+            currentYear = savedState.currentYear;
+        }
+        if (typeof savedState.currentRegion === 'string' && isSupportedRegion(savedState.currentRegion)) {
+            currentRegion = savedState.currentRegion;
+        }
+        if (Array.isArray(savedState.bookedDates)) {
+            const safeDates = sanitizeBookedDateList(savedState.bookedDates);
+            bookedDates = new Set(safeDates);
+            shouldRestoreFromSaved = safeDates.length > 0;
+        }
+        if (savedState.halfDays) {
+            halfDayBookings = new Map(Object.entries(sanitizeHalfDayMap(savedState.halfDays)));
+            for (const dateStr of bookedDates) halfDayBookings.delete(dateStr);
+            shouldRestoreFromSaved = shouldRestoreFromSaved || halfDayBookings.size > 0;
+        }
+        applyPlanConstraints(
+            sanitizeBookedDateList(savedState.lockedDates),
+            sanitizeBlackoutRanges(savedState.blackoutRanges),
+            sanitizeBlockRules(savedState.blockRules)
+        );
+        leavePolicy = sanitizeLeavePolicy(savedState.leavePolicy);
+        applyPreferences(sanitizeMonthWeights(savedState.monthWeights), sanitizePreferenceRanges(savedState.preferenceRanges));
+        const savedPools = sanitizeLeavePools(savedState.leavePools);
+        applyLeavePools(savedPools, sanitizeBookedPools(savedState.bookedPools, savedPools));
+        if (savedState.customHolidaysByLocation) {
+            customHolidaysByLocation = sanitizeHolidayMap(savedState.customHolidaysByLocation);
+        } else if (Array.isArray(savedState.customHolidays)) {
+            customHolidaysByLocation = {};
+            const safeList = sanitizeHolidayList(savedState.customHolidays);
+            if (safeList.length > 0) {
+                customHolidaysByLocation[currentRegion] = safeList;
+            }
+        }
+        holidayTypesByLocation = sanitizeHolidayTypesMap(savedState.holidayTypesByLocation);
+        if (savedState.weekendByLocation && typeof savedState.weekendByLocation === 'object') {
+            weekendByLocation = {};
+            const locations = Object.keys(savedState.weekendByLocation);
+            for (let i = 0; i < locations.length; i++) {
+                const location = locations[i];
+                const setting = normalizeWeekendSetting(savedState.weekendByLocation[location]);
+                if (isSupportedRegion(location) && setting !== null) {
+                    weekendByLocation[location] = setting;
+                }
+            }
+        }
+        if (savedState.currentWeekendPattern !== CUSTOM_WEEKEND_KEY && normalizeWeekendSetting(savedState.currentWeekendPattern) !== null) {
+            applyWeekendSetting(savedState.currentWeekendPattern);
+        } else {
+            applyWeekendSetting(weekendByLocation[currentRegion]);
+        }
+    } else if (appliedSharedPlan) {
+        shouldRestoreFromSaved = bookedDates.size > 0 || halfDayBookings.size > 0;
+        // Persist the shared plan locally for subsequent visits
+        saveState();
+    }
 
-    // Pre-calculate exact size needed to avoid array resizing
-    let totalCandidates = 0;
-    if (numWorkdays >= maxCandidateLength) {
-        totalCandidates = (numWorkdays - maxCandidateLength + 1) * maxCandidateLength + ((maxCandidateLength - 1) * maxCandidateLength) / 2;
+    if (!isSupportedRegion(currentRegion)) {
+        currentRegion = REGIONS.ENGLAND_WALES;
+        applyWeekendSetting(getDefaultWeekendForLocation(currentRegion));
+    }
+
+    ensureCustomHolidays(currentRegion);
+
+    const yearSelect = document.getElementById('year-select');
+    if (yearSelect) {
+        yearSelect.textContent = '';
+        const currentYearNow = new Date().getFullYear();
+        const minYear = currentYearNow;
+        const maxYear = currentYearNow + 5;
+        if (currentYear < minYear || currentYear > maxYear) {
+            currentYear = minYear;
+        }
+        for (let i = 0; i <= 5; i++) {
+            const year = currentYearNow + i;
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = getLeaveYearLabel(year);
+            if (year === currentYear) {
+                option.selected = true;
+            }
+            yearSelect.appendChild(option);
+        }
+
+        updateCustomDateInputRange();
+
+        yearSelect.addEventListener('change', (e) => {
+            currentYear = parseInt(e.target.value);
+            if (usesHolidayDataset(currentRegion)) {
+                loadHolidayDataset();
+            }
+            updateCustomDateInputRange();
+            invalidateInsightCaches();
+            resetToOptimal();
+            saveState();
+        });
+    }
+
+    const leaveYearMonthSelect = document.getElementById('leave-year-month-select');
+    const leaveYearDayInput = document.getElementById('leave-year-day-input');
+    if (leaveYearMonthSelect && leaveYearDayInput) {
+        leaveYearMonthSelect.textContent = '';
+        for (let i = 0; i < MONTHS.length; i++) {
+            const option = document.createElement('option');
+            option.value = i + 1;
+            option.textContent = MONTHS[i];
+            leaveYearMonthSelect.appendChild(option);
+        }
+        leaveYearMonthSelect.value = String(leaveYearStartMonth + 1);
+        leaveYearDayInput.value = leaveYearStartDay;
+
+        const handleLeaveYearChange = () => {
+            const start = sanitizeLeaveYearStart({
+                month: parseInt(leaveYearMonthSelect.value, 10),
+                day: parseInt(leaveYearDayInput.value, 10)
+            });
+            if (!start) {
+                leaveYearMonthSelect.value = String(leaveYearStartMonth + 1);
+                leaveYearDayInput.value = leaveYearStartDay;
+                showToast('Please choose a valid leave year start date (29 February is not supported).', 'error');
+                return;
+            }
+            updateLeaveYearStart(start);
+        };
+        leaveYearMonthSelect.addEventListener('change', handleLeaveYearChange);
+        leaveYearDayInput.addEventListener('change', handleLeaveYearChange);
+    }
+
+    const locationSelect = document.getElementById('location-select');
+    if (locationSelect) {
+        renderLocationSelectOptions();
+        locationSelect.value = currentRegion;
+        locationSelect.addEventListener('change', (e) => {
+            currentRegion = e.target.value;
+            if (!getLocationConfig(currentRegion)) {
+                currentRegion = REGIONS.ENGLAND_WALES;
+            }
+            ensureCustomHolidays(currentRegion);
+
+            applyWeekendSetting(weekendByLocation[currentRegion]);
+            renderWorkSchedule();
+
+            if (usesHolidayDataset(currentRegion)) {
+                loadHolidayDataset();
+            }
+
+            // Clear cache to force reload of holidays for new location
+            clearHolidaysCache();
+            invalidateInsightCaches();
+            renderCustomHolidays();
+            renderHolidayDataStatus();
+            resetToOptimal();
+            saveState();
+        });
+    }
+
+    const weekendSelect = document.getElementById('weekend-select');
+    if (weekendSelect) {
+        weekendSelect.addEventListener('change', handleWeekendSelectChange);
+    }
+
+    const workScheduleDays = document.getElementById('work-schedule-days');
+    if (workScheduleDays) {
+        workScheduleDays.addEventListener('change', handleWorkScheduleChange);
+    }
+    const holidayTypeToggles = document.getElementById('holiday-type-toggles');
+    if (holidayTypeToggles) {
+        holidayTypeToggles.addEventListener('change', handleHolidayTypeChange);
+    }
+    const rotationDays = document.getElementById('rotation-days');
+    if (rotationDays) {
+        rotationDays.addEventListener('change', handleRotationDayChange);
+    }
+    const rotationAnchorInput = document.getElementById('rotation-anchor-input');
+    if (rotationAnchorInput) {
+        rotationAnchorInput.addEventListener('change', handleRotationAnchorChange);
+    }
+    const rotationLengthInput = document.getElementById('rotation-length-input');
+    if (rotationLengthInput) {
+        rotationLengthInput.addEventListener('change', handleRotationLengthChange);
+    }
+    renderWorkSchedule();
+
+    const allowanceInput = document.getElementById('allowance-input');
+    if (allowanceInput) {
+        allowanceInput.value = currentAllowance;
+        allowanceInput.addEventListener('change', (e) => {
+            const val = parseFloat(e.target.value);
+            if (isValidAllowance(val)) {
+                currentAllowance = val;
+                invalidateInsightCaches();
+                resetToOptimal();
+                saveState();
+            } else {
+                e.target.value = currentAllowance;
+                showToast('Allowance must be between 0.5 and 365 days, in whole or half days.', 'error');
+            }
+        });
+    }
+
+    const bookingModeSelect = document.getElementById('booking-mode-select');
+    if (bookingModeSelect) {
+        bookingModeSelect.value = currentBookingMode;
+        bookingModeSelect.addEventListener('change', (e) => {
+            if (BOOKING_MODES.includes(e.target.value)) {
+                currentBookingMode = e.target.value;
+            }
+        });
+    }
+
+    const bookingPoolSelect = document.getElementById('booking-pool-select');
+    if (bookingPoolSelect) {
+        bookingPoolSelect.addEventListener('change', (e) => {
+            if (getLeavePool(e.target.value)) {
+                currentBookingPool = e.target.value;
+            }
+        });
+    }
+    const leavePoolForm = document.getElementById('leave-pool-form');
+    if (leavePoolForm) {
+        leavePoolForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const nameInput = document.getElementById('pool-name-input');
+            const daysInput = document.getElementById('pool-days-input');
+            const singleInput = document.getElementById('pool-single-input');
+            if (addLeavePool(nameInput.value, parseFloat(daysInput.value), singleInput.checked)) {
+                nameInput.value = '';
+                daysInput.value = '';
+                singleInput.checked = false;
+            }
+        });
+    }
+    renderLeavePools();
+
+    const objectiveSelect = document.getElementById('objective-select');
+    if (objectiveSelect) {
+        Object.keys(PLAN_OBJECTIVES).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = PLAN_OBJECTIVES[key].label;
+            objectiveSelect.appendChild(option);
+        });
+        objectiveSelect.value = currentObjective;
+        objectiveSelect.addEventListener('change', (e) => {
+            if (isValidPlanObjective(e.target.value)) {
+                currentObjective = e.target.value;
+                invalidateInsightCaches();
+                resetToOptimal();
+                saveState();
+            }
+        });
+    }
+
+    const planningSpanSelect = document.getElementById('planning-span-select');
+    if (planningSpanSelect) {
+        planningSpanSelect.value = crossYearPlanning ? 'cross-year' : 'leave-year';
+        planningSpanSelect.addEventListener('change', (e) => {
+            crossYearPlanning = e.target.value === 'cross-year';
+            invalidateInsightCaches();
+            resetToOptimal();
+            saveState();
+        });
+    }
+
+    const planFromSelect = document.getElementById('plan-from-select');
+    if (planFromSelect) {
+        planFromSelect.value = remainingYearOnly ? 'today' : 'year-start';
+        planFromSelect.addEventListener('change', (e) => {
+            remainingYearOnly = e.target.value === 'today';
+            invalidateInsightCaches();
+            resetToOptimal();
+            saveState();
+        });
+    }
+
+    const bankHolidayModeSelect = document.getElementById('bank-holiday-mode-select');
+    if (bankHolidayModeSelect) {
+        bankHolidayModeSelect.value = bankHolidaysInAllowance ? 'included' : 'extra';
+        bankHolidayModeSelect.addEventListener('change', (e) => {
+            bankHolidaysInAllowance = e.target.value === 'included';
+            invalidateInsightCaches();
+            resetToOptimal();
+            saveState();
+        });
+    }
+
+    const resetBtn = document.getElementById('reset-btn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            resetToOptimal();
+            saveState();
+        });
+    }
+
+    const completeBtn = document.getElementById('complete-btn');
+    if (completeBtn) {
+        completeBtn.addEventListener('click', completeCurrentPlan);
+    }
+
+    // Alternative plans
+    const prevPlanBtn = document.getElementById('prev-plan-btn');
+    if (prevPlanBtn) prevPlanBtn.addEventListener('click', () => stepAlternativePlan(-1));
+    const nextPlanBtn = document.getElementById('next-plan-btn');
+    if (nextPlanBtn) nextPlanBtn.addEventListener('click', () => stepAlternativePlan(1));
+    const applyPlanBtn = document.getElementById('apply-plan-btn');
+    if (applyPlanBtn) applyPlanBtn.addEventListener('click', applyAlternativePlan);
+
+    // Planning rules
+    ['min-block-length-input', 'max-block-length-input', 'min-block-gap-input'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', handleBlockRuleChange);
+    });
+    ['max-consecutive-leave-input', 'max-monthly-leave-input'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', handleLeavePolicyChange);
+    });
+    const blackoutForm = document.getElementById('blackout-form');
+    if (blackoutForm) {
+        blackoutForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const startInput = document.getElementById('blackout-start-input');
+            const endInput = document.getElementById('blackout-end-input');
+            const end = endInput.value || startInput.value;
+            if (addBlackoutRange(startInput.value, end)) {
+                startInput.value = '';
+                endInput.value = '';
+                resetToOptimal();
+            }
+        });
+    }
+    renderPlanningRules();
+
+    // Leave accrual
+    const accrualPeriodSelect = document.getElementById('accrual-period-select');
+    if (accrualPeriodSelect) {
+        Object.keys(ACCRUAL_PERIODS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = ACCRUAL_PERIODS[key].label;
+            accrualPeriodSelect.appendChild(option);
+        });
+    }
+    ['accrual-rate-input', 'accrual-period-select', 'accrual-start-input', 'accrual-limit-input'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', handleAccrualChange);
+    });
+    renderAccrualSettings();
+
+    // Employment
+    const employmentRoundingSelect = document.getElementById('employment-rounding-select');
+    if (employmentRoundingSelect) {
+        Object.keys(EMPLOYMENT_ROUNDING).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = EMPLOYMENT_ROUNDING[key].label;
+            employmentRoundingSelect.appendChild(option);
+        });
+    }
+    ['employment-start-input', 'employment-end-input', 'employment-rounding-select'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', handleEmploymentChange);
+    });
+    renderEmploymentSettings();
+
+    // Preferred times
+    const monthWeightsContainer = document.getElementById('month-weights');
+    if (monthWeightsContainer) monthWeightsContainer.addEventListener('change', handleMonthWeightChange);
+    const preferenceForm = document.getElementById('preference-range-form');
+    if (preferenceForm) {
+        preferenceForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const startInput = document.getElementById('preference-start-input');
+            const endInput = document.getElementById('preference-end-input');
+            const weightSelect = document.getElementById('preference-weight-select');
+            const end = endInput.value || startInput.value;
+            if (addPreferenceRange(startInput.value, end, Number(weightSelect.value))) {
+                startInput.value = '';
+                endInput.value = '';
+            }
+        });
+    }
+    renderPreferences();
+
+    // Custom Holiday Logic
+    const customHolidayForm = document.getElementById('custom-holiday-form');
+    if (customHolidayForm) {
+        customHolidayForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            addCustomHoliday();
+        });
+    }
+
+    // Export Button
+    const exportBtn = document.getElementById('export-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportToICS);
+    }
+
+    initDisabledButtonTouchHandler();
+
+    const shareBtn = document.getElementById('share-btn');
+    if (shareBtn) {
+        shareBtn.addEventListener('click', handleShareLink);
+    }
+
+    if (usesHolidayDataset(currentRegion)) {
+        loadHolidayDataset();
+    }
+
+    // If we have saved booked dates, restore and render; otherwise compute optimal
+    if (shouldRestoreFromSaved) {
+        updateUI();
+    } else {
+        resetToOptimal();
+    }
+
+    renderCustomHolidays();
+}
+
+/**
+ * Adds a custom holiday to the list.
+ */
+function addCustomHoliday() {
+    const dateInput = document.getElementById('custom-date-input');
+    const nameInput = document.getElementById('custom-name-input');
+    const dateVal = dateInput.value;
+    const nameVal = nameInput.value.trim();
+
+    if (dateVal && nameVal) {
+        if (!isValidISODateString(dateVal)) {
+            showToast('Invalid date format. Please use YYYY-MM-DD.', 'error');
+            return;
+        }
+
+        if (nameVal.length > 50) {
+            showToast('Holiday name is too long (max 50 characters).', 'error');
+            return;
+        }
+
+        const customHolidays = ensureCustomHolidays(currentRegion);
+
+        if (customHolidays.length >= MAX_CUSTOM_HOLIDAYS) {
+            showToast(`Maximum limit of ${MAX_CUSTOM_HOLIDAYS} custom holidays reached.`, 'error');
+            return;
+        }
+
+        // Prevent dupes
+        if (!customHolidays.some(h => h.date === dateVal)) {
+            customHolidays.push({ date: dateVal, name: nameVal, isCustom: true });
+            renderCustomHolidays();
+            clearHolidaysCache(); // Reset cache to include new holiday
+            invalidateInsightCaches();
+            resetToOptimal();
+            saveState();
+            dateInput.value = '';
+            nameInput.value = '';
+            showToast(`Added custom holiday: ${nameVal}`, 'success');
+        } else {
+            showToast('A custom holiday for this date already exists.', 'error');
+        }
     } else {
-        totalCandidates = (numWorkdays * (numWorkdays + 1)) / 2;
+        showToast('Please enter both a date and a name.', 'error');
     }
+}
 
-    const uniqueCandidates = new Array(totalCandidates);
-    let outIdx = 0;
-
-    for (let k = 0; k < numWorkdays; k++) {
-        const firstBookedIdx = workdayIndices[k];
-        const realStart = expansionStart[firstBookedIdx];
-
-        // Max possible length is limited by allowance AND remaining workdays
-        const maxL = Math.min(maxLeaveDaysPerBlock, allowance, numWorkdays - k);
-
-        for (let len = 1; len <= maxL; len++) {
-            const lastBookedIdx = workdayIndices[k + len - 1];
-            const realEnd = expansionEnd[lastBookedIdx];
+/**
+ * Limits the custom holiday date picker to the selected leave year.
+ */
+function updateCustomDateInputRange() {
+    const customDateInput = document.getElementById('custom-date-input');
+    if (!customDateInput) return;
+    customDateInput.min = toLocalISOString(getLeaveYearStartDate(currentYear));
+    customDateInput.max = toLocalISOString(getLeaveYearDate(currentYear, getLeaveYearLength(currentYear) - 1));
+}
 
-            const displayStart = Math.max(realStart, 0);
-            const displayEnd = Math.min(realEnd, daysCount - 1);
-            const totalDaysOff = displayEnd - displayStart + 1;
-            const midpoint = (displayStart + displayEnd) / 2;
-            const segmentIndex = Math.max(0, Math.min(
-                segmentCount - 1,
-                Math.floor(midpoint / segmentSize)
-            ));
-            uniqueCandidates[outIdx++] = {
-                startIdx: realStart,
-                endIdx: realEnd,
-                displayStartIdx: displayStart,
-                displayEndIdx: displayEnd,
-                segmentIndex,
-                startDate: realStart, // for findBestCombination sorting (index)
-                endDate: realEnd,     // for findBestCombination overlap check (index)
-                leaveDaysUsed: len,
-                totalDaysOff: totalDaysOff,
-                efficiency: totalDaysOff / len
-            };
+/**
+ * Applies a new leave-year start, relabels the year selector and re-plans the new window.
+ */
+function updateLeaveYearStart(start) {
+    applyLeaveYearStart(start);
+    const yearSelect = document.getElementById('year-select');
+    if (yearSelect) {
+        for (let i = 0; i < yearSelect.options.length; i++) {
+            const option = yearSelect.options[i];
+            option.textContent = getLeaveYearLabel(parseInt(option.value, 10));
         }
     }
-
-    uniqueCandidates.length = outIdx;
-    return uniqueCandidates;
+    updateCustomDateInputRange();
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
 }
 
 /**
- * Selects the candidate pool used by the annual planner.
- * @param {Array<Object>} candidates List of all candidates.
- * @param {number} allowance The number of leave days available.
- * @returns {Array<Object>} Filtered list of top candidates.
+ * Removes a custom holiday.
  */
-function selectTopCandidates(candidates, allowance) {
-    if (allowance <= 40) {
-        return candidates;
+function removeCustomHoliday(dateStr) {
+    const customHolidays = getCustomHolidaysForLocation(currentRegion);
+    const holidayToRemove = customHolidays.find(h => h.date === dateStr);
+    customHolidaysByLocation[currentRegion] = customHolidays.filter(h => h.date !== dateStr);
+    renderCustomHolidays();
+    clearHolidaysCache();
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
+    if (holidayToRemove) {
+        showToast(`Removed custom holiday: ${holidayToRemove.name}`, 'info');
     }
+}
 
-    const sorted = candidates.slice();
-    const finalCandidates = [];
-    const finalSeen = new Set();
-    const globalLimit = Math.min(800, sorted.length);
-
-    function addCandidate(c) {
-        const key = `${c.startIdx}:${c.endIdx}:${c.leaveDaysUsed}`;
-        if (!finalSeen.has(key)) {
-            finalSeen.add(key);
-            finalCandidates.push(c);
-        }
-    }
+/**
+ * Renders the list of custom holidays.
+ */
+function renderCustomHolidays() {
+    const list = document.getElementById('custom-holidays-list');
+    if (!list) return;
+    list.textContent = '';
 
-    // Sort by efficiency (primary) and startIdx (tie-breaker for stability)
-    sorted.sort((a, b) => (b.efficiency - a.efficiency) || (a.startIdx - b.startIdx));
+    const customHolidays = getCustomHolidaysForLocation(currentRegion);
 
-    for (let i = 0; i < globalLimit; i++) {
-        addCandidate(sorted[i]);
+    if (customHolidays.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'empty-message';
+        emptyMsg.textContent = 'No custom holidays added. Add one above.';
+        list.appendChild(emptyMsg);
+        return;
     }
 
-    // Sort the same array by duration (primary) and startIdx (tie-breaker)
-    sorted.sort((a, b) => (b.totalDaysOff - a.totalDaysOff) || (a.startIdx - b.startIdx));
+    customHolidays.forEach(h => {
+        const tag = document.createElement('div');
+        tag.className = 'custom-tag';
+        tag.textContent = `${h.name} (${h.date}) `;
 
-    for (let i = 0; i < globalLimit; i++) {
-        addCandidate(sorted[i]);
-    }
+        const btn = document.createElement('button');
+        btn.textContent = '\u00D7'; // Multiply symbol for 'times'
+        // Strip HTML tags for safety and cleaner accessibility label
+        const safeName = h.name.replace(/<[^>]*>?/gm, '');
+        btn.setAttribute('aria-label', `Remove ${safeName || 'holiday'}`);
+        btn.setAttribute('title', `Remove ${safeName || 'holiday'}`);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation(); // prevent other clicks
+            removeCustomHoliday(h.date);
+        });
 
-    const monthlyBuckets = Array.from({ length: 12 }, () => []);
-    candidates.forEach((candidate) => {
-        const month = Math.max(0, Math.min(11, Math.floor(candidate.displayStartIdx / 31)));
-        monthlyBuckets[month].push(candidate);
+        tag.appendChild(btn);
+        list.appendChild(tag);
     });
+}
 
-    monthlyBuckets.forEach((bucket) => {
-        bucket.sort((a, b) => (b.efficiency - a.efficiency) || (a.startIdx - b.startIdx));
-        bucket.slice(0, 80).forEach(addCandidate);
+// --- PLANNING RULES ---
+// Hard constraints for the optimizer: locked (approved) leave stays booked, blackout ranges
+// can't be booked, and block length/gap rules limit which breaks are suggested.
 
-        bucket.sort((a, b) => (b.totalDaysOff - a.totalDaysOff) || (a.startIdx - b.startIdx));
-        bucket.slice(0, 80).forEach(addCandidate);
-    });
+/**
+ * Replaces the planning constraints. Locked days are always booked as full days.
+ */
+function applyPlanConstraints(locked, blackouts, rules) {
+    lockedDates = new Set(locked || []);
+    for (const dateStr of lockedDates) {
+        halfDayBookings.delete(dateStr);
+        bookedDates.add(dateStr);
+    }
+    blackoutRanges = blackouts || [];
+    blockRules = rules || sanitizeBlockRules(null);
+}
 
-    finalCandidates.sort((a, b) =>
-        (a.startDate - b.startDate) ||
-        (a.endDate - b.endDate) ||
-        (a.leaveDaysUsed - b.leaveDaysUsed)
-    );
-    return finalCandidates;
+/**
+ * Counts locked workdays (or workdays among `dates`) inside the given leave year.
+ */
+function getLockedLeaveDays(year, dates = lockedDates) {
+    if (dates.size === 0) return 0;
+    const daysCount = getLeaveYearLength(year);
+    let count = 0;
+    for (const dateStr of dates) {
+        const idx = getLeaveYearIndexFromISO(year, dateStr);
+        if (idx >= 0 && idx < daysCount && getDayType(parseISODateString(dateStr), dateStr) === 'workday') {
+            count++;
+        }
+    }
+    return count;
 }
 
-// Bolt Optimization: Global memo array to avoid garbage collection and repeated allocation of (N+1)*ROW_SIZE elements (~20% speedup).
-let sharedMemo = new Int32Array(0);
+/**
+ * Shared refresh after a constraint change: the calendar shows the change straight away and
+ * the plan is recomputed around it (locked days stay booked).
+ */
+function refreshAfterConstraintChange() {
+    invalidateInsightCaches();
+    renderPlanningRules();
+    updateUI();
+    resetToOptimal();
+    saveState();
+}
 
 /**
- * Finds the best non-overlapping annual combination while using as much allowance as possible.
- * @param {Array<Object>} candidates Top candidates to choose from.
- * @param {number} allowance Total leave allowance.
- * @param {number} maxBlocks Maximum number of year segments to fill.
- * @returns {Array<Object>} The best combination of blocks.
+ * Locks or unlocks a workday. Locking also books it; unlocking leaves the booking in place.
  */
-function findBestCombination(candidates, allowance, maxBlocks = 3) {
-    const bestCombo = [];
-    if (candidates.length == 0 || allowance <= 0 || maxBlocks <= 0) {
-        return bestCombo;
+function toggleLockedDate(dateStr) {
+    if (lockedDates.has(dateStr)) {
+        lockedDates.delete(dateStr);
+        showToast(`Unlocked ${dateStr}. Your plan will be recalculated.`, 'info');
+    } else {
+        if (getBlackoutRange(dateStr)) {
+            showToast('This day is in a blackout period and cannot be locked.', 'error');
+            return;
+        }
+        const isBooked = bookedDates.has(dateStr) || halfDayBookings.has(dateStr);
+        if (!isBooked && bookedDates.size + halfDayBookings.size >= MAX_BOOKED_DATES) {
+            showToast(`Maximum limit of ${MAX_BOOKED_DATES} booked dates reached.`, 'error');
+            return;
+        }
+        lockedDates.add(dateStr);
+        halfDayBookings.delete(dateStr);
+        bookedDates.add(dateStr);
     }
+    refreshAfterConstraintChange();
+}
 
-    // Sort candidates by start date for DP
-    // Bolt Optimization: Replace spread syntax with slice() for faster array copying
-    const sortedCandidates = candidates.slice().sort((a, b) => a.startDate - b.startDate);
-    const N = sortedCandidates.length;
+/**
+ * Adds a one-day blackout on the date (merging with neighbouring ranges), or removes the
+ * blackout range that already contains it.
+ */
+function toggleBlackoutDate(dateStr) {
+    const range = getBlackoutRange(dateStr);
+    if (range) {
+        removeBlackoutRange(range.start);
+        return;
+    }
+    addBlackoutRange(dateStr, dateStr);
+}
 
-    // Precompute next compatible candidate index for each candidate
-    // nextCompatible[i] = index of first candidate that starts after candidate[i] ends
-    const nextCompatible = new Int32Array(N);
-    let j = 0;
-    for (let i = 0; i < N; i++) {
-        if (j < i + 1) j = i + 1;
-        while (j < N && sortedCandidates[j].startDate <= sortedCandidates[i].endDate) {
-            j++;
-        }
-        nextCompatible[i] = j;
+/**
+ * Adds an inclusive blackout range. Returns false when the range was rejected.
+ */
+function addBlackoutRange(start, end) {
+    if (!isValidISODateString(start) || !isValidISODateString(end) || start > end) {
+        showToast('Please choose a blackout start date on or before the end date.', 'error');
+        return false;
+    }
+    if (blackoutRanges.length >= MAX_BLACKOUT_RANGES) {
+        showToast(`Maximum limit of ${MAX_BLACKOUT_RANGES} blackout periods reached.`, 'error');
+        return false;
     }
+    blackoutRanges = sanitizeBlackoutRanges([...blackoutRanges, { start, end }]);
+    refreshAfterConstraintChange();
+    return true;
+}
 
-    const SEGMENT_COUNT = Math.min(12, Math.max(1, maxBlocks));
-    const MASK_COUNT = 1 << SEGMENT_COUNT;
+/**
+ * Removes the blackout range starting on the given date.
+ */
+function removeBlackoutRange(start) {
+    const range = blackoutRanges.find(r => r.start === start);
+    if (!range) return;
+    blackoutRanges = blackoutRanges.filter(r => r !== range);
+    refreshAfterConstraintChange();
+    showToast(`Removed blackout ${formatBlackoutRange(range)}`, 'info');
+}
 
-    // DP State: dp[i][mask][w] = max current-year days off using exactly w leave days
-    // i: index in sortedCandidates (0..N)
-    // mask: filled year segments, which keeps default plans distributed across the year
-    // w: exact leave days to spend
-    // Flattened array: [i * ROW_SIZE + mask * SIZE_W + w]
-    const W_MAX = allowance;
-    const SIZE_W = W_MAX + 1;
-    const ROW_SIZE = MASK_COUNT * SIZE_W;
-    const requiredSize = (N + 1) * ROW_SIZE;
+function formatBlackoutRange(range) {
+    return range.start === range.end ? range.start : `${range.start} – ${range.end}`;
+}
 
-    // Bolt Optimization: Reuse global array to prevent 60k element allocation every call
-    if (sharedMemo.length < requiredSize) {
-        sharedMemo = new Int32Array(requiredSize);
+/**
+ * Reads the block length/gap inputs and stores valid rules.
+ */
+function handleBlockRuleChange() {
+    const readInput = (id) => {
+        const input = document.getElementById(id);
+        if (!input || input.value.trim() === '') return 0;
+        return Number(input.value);
+    };
+    const rules = {
+        minLength: readInput('min-block-length-input'),
+        maxLength: readInput('max-block-length-input'),
+        minGap: readInput('min-block-gap-input')
+    };
+    const sanitized = sanitizeBlockRules(rules);
+    const isValid = sanitized.minLength === rules.minLength
+        && sanitized.maxLength === rules.maxLength
+        && sanitized.minGap === rules.minGap;
+    if (!isValid) {
+        showToast(`Block rules must be whole days between 0 and ${MAX_BLOCK_RULE_DAYS}, with the shortest break no longer than the longest.`, 'error');
+        renderPlanningRules();
+        return;
     }
-    const memo = sharedMemo;
+    blockRules = sanitized;
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
+}
 
-    // Initialize only the required bounds with -1 (invalid/unreachable)
-    memo.fill(-1, 0, requiredSize);
+/**
+ * Reads the leave policy inputs and stores valid limits.
+ */
+function handleLeavePolicyChange() {
+    const readInput = (id) => {
+        const input = document.getElementById(id);
+        if (!input || input.value.trim() === '') return 0;
+        return Number(input.value);
+    };
+    const policy = {
+        maxConsecutive: readInput('max-consecutive-leave-input'),
+        maxPerMonth: readInput('max-monthly-leave-input')
+    };
+    const sanitized = sanitizeLeavePolicy(policy);
+    if (sanitized.maxConsecutive !== policy.maxConsecutive || sanitized.maxPerMonth !== policy.maxPerMonth) {
+        showToast(`Leave limits must be whole days: up to ${MAX_BLOCK_RULE_DAYS} in a row and ${MAX_MONTHLY_LEAVE_DAYS} a month.`, 'error');
+        renderPlanningRules();
+        return;
+    }
+    leavePolicy = sanitized;
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
+}
 
-    // Base case: no candidates left can spend exactly 0 leave days.
-    for (let mask = 0; mask < MASK_COUNT; mask++) {
-        memo[N * ROW_SIZE + mask * SIZE_W + 0] = 0;
+/**
+ * Renders the block rule inputs and the list of blackout ranges.
+ */
+function renderPlanningRules() {
+    const ruleInputs = {
+        'min-block-length-input': blockRules.minLength,
+        'max-block-length-input': blockRules.maxLength,
+        'min-block-gap-input': blockRules.minGap,
+        'max-consecutive-leave-input': leavePolicy.maxConsecutive,
+        'max-monthly-leave-input': leavePolicy.maxPerMonth
+    };
+    Object.keys(ruleInputs).forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = ruleInputs[id] > 0 ? ruleInputs[id] : '';
+    });
+
+    const list = document.getElementById('blackout-list');
+    if (!list) return;
+    list.textContent = '';
+
+    if (blackoutRanges.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'empty-message';
+        emptyMsg.textContent = 'No blackout periods. Add one above or use "Book As: Blackout" on the calendar.';
+        list.appendChild(emptyMsg);
+        return;
     }
 
-    // Bolt Optimization: Unroll inner loop across k values to dramatically reduce jump boundaries
-    // and hoist all base index calculations out of the w-loops. This yields a substantial ~20%
-    // execution time improvement for the core dynamic programming engine.
-    for (let i = N - 1; i >= 0; i--) {
-        const candidate = sortedCandidates[i];
-        const segmentIndex = Math.max(0, Math.min(
-            SEGMENT_COUNT - 1,
-            typeof candidate.segmentIndex === 'number' ? candidate.segmentIndex : 0
-        ));
-        const segmentBit = 1 << segmentIndex;
-        const cost = candidate.leaveDaysUsed;
-        const totalOff = candidate.totalDaysOff;
-        const nextI = nextCompatible[i];
-        const baseIdx = i * ROW_SIZE;
-        const nextBaseIdx = (i + 1) * ROW_SIZE;
-        const nextCandidateBaseIdx = nextI * ROW_SIZE;
+    blackoutRanges.forEach(range => {
+        const label = formatBlackoutRange(range);
+        const tag = document.createElement('div');
+        tag.className = 'custom-tag blackout-tag';
+        tag.textContent = `Blackout (${label}) `;
 
-        for (let mask = 0; mask < MASK_COUNT; mask++) {
-            const maskBaseIdx = baseIdx + mask * SIZE_W;
-            const nextMaskBaseIdx = nextBaseIdx + mask * SIZE_W;
-            for (let w = 0; w <= W_MAX; w++) {
-                // Option 1: Skip candidate i
-                let res = memo[nextMaskBaseIdx + w];
+        const btn = document.createElement('button');
+        btn.textContent = '\u00D7';
+        btn.setAttribute('aria-label', `Remove blackout ${label}`);
+        btn.setAttribute('title', `Remove blackout ${label}`);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeBlackoutRange(range.start);
+        });
+
+        tag.appendChild(btn);
+        list.appendChild(tag);
+    });
+}
 
-                // Option 2: Take candidate i if its year segment is still unused.
-                if ((mask & segmentBit) === 0) {
-                    if (w >= cost) {
-                        const nextMask = mask | segmentBit;
-                        const prevVal = memo[nextCandidateBaseIdx + nextMask * SIZE_W + (w - cost)];
+// --- LEAVE POLICY ---
+// Employer limits on leave taken in one go and within a calendar month. The optimizer keeps
+// to them; bookings and plans that go over are flagged rather than refused, since they may
+// just need sign-off.
 
-                        if (prevVal !== -1) {
-                            const currentVal = totalOff + prevVal;
-                            if (currentVal > res) {
-                                res = currentVal;
-                            }
-                        }
-                    }
-                }
-                memo[maskBaseIdx + w] = res;
-            }
-        }
-    }
+/**
+ * Totals booked leave (full and half days) per calendar month, keyed YYYY-MM.
+ * @returns {Map<string, number>}
+ */
+function getMonthlyLeaveDays() {
+    const totals = new Map();
+    const add = (dateStr, days) => {
+        const key = dateStr.slice(0, 7);
+        totals.set(key, (totals.get(key) || 0) + days);
+    };
+    bookedDates.forEach(dateStr => add(dateStr, 1));
+    halfDayBookings.forEach((period, dateStr) => add(dateStr, 0.5));
+    return totals;
+}
 
-    // Find the plan that spends the most allowance, then maximises current-year days off.
-    let foundW = -1;
-    for (let w = W_MAX; w >= 1; w--) {
-        if (memo[0 * ROW_SIZE + 0 * SIZE_W + w] > 0) {
-            foundW = w;
-            break;
+/**
+ * Lists how a booked block breaks the leave policy: too many consecutive leave days, or
+ * months it books leave in that are over the monthly limit.
+ * @param {Object} block A block from analyzeCurrentPlan.
+ * @param {Map<string, number>} [monthlyLeave] Totals from getMonthlyLeaveDays.
+ * @returns {string[]} One description per broken limit.
+ */
+function getLeavePolicyIssues(block, monthlyLeave = getMonthlyLeaveDays()) {
+    const issues = [];
+    const adjacent = block.adjacentLeaveDays;
+    const leaveDays = block.leaveDays + adjacent.previous + adjacent.next;
+    if (leavePolicy.maxConsecutive > 0 && leaveDays > leavePolicy.maxConsecutive) {
+        issues.push(`${leaveDays} consecutive leave days (max ${leavePolicy.maxConsecutive})`);
+    }
+    if (leavePolicy.maxPerMonth > 0) {
+        const seen = new Set();
+        for (let date = block.startDate; date <= block.endDate; date = addDays(date, 1)) {
+            const dateStr = toLocalISOString(date);
+            const key = dateStr.slice(0, 7);
+            if (seen.has(key) || (!bookedDates.has(dateStr) && !halfDayBookings.has(dateStr))) continue;
+            seen.add(key);
+            const days = monthlyLeave.get(key) || 0;
+            if (days > leavePolicy.maxPerMonth) {
+                issues.push(`${days} leave days in ${MONTHS[date.getMonth()]} ${date.getFullYear()} (max ${leavePolicy.maxPerMonth})`);
+            }
         }
     }
+    return issues;
+}
 
-    // Reconstruct solution
-    if (foundW != -1) {
-        let curI = 0;
-        let curMask = 0;
-        let curW = foundW;
+// --- LEAVE POOLS ---
+// Named pools (birthday, floating days, TOIL, …) with their own balances next to the
+// annual allowance. Bookings record the pool they use in bookedPools.
 
-        while (curW > 0 && curI < N) {
-            const skippedVal = memo[(curI + 1) * ROW_SIZE + curMask * SIZE_W + curW];
+/**
+ * Replaces the leave pools and the pool recorded for each booked day.
+ */
+function applyLeavePools(pools, booked) {
+    leavePools = pools || [];
+    bookedPools = new Map(Object.entries(booked || {}));
+    if (!getLeavePool(currentBookingPool)) currentBookingPool = ANNUAL_LEAVE_POOL_ID;
+}
 
-            let takenVal = -2;
-            const cand = sortedCandidates[curI];
-            const segmentIndex = Math.max(0, Math.min(
-                SEGMENT_COUNT - 1,
-                typeof cand.segmentIndex === 'number' ? cand.segmentIndex : 0
-            ));
-            const segmentBit = 1 << segmentIndex;
+/**
+ * Shared refresh after a pool change: pools change the allowance, so the plan is recomputed.
+ */
+function refreshAfterPoolChange() {
+    invalidateInsightCaches();
+    renderLeavePools();
+    resetToOptimal();
+    saveState();
+}
 
-            if ((curMask & segmentBit) === 0 && cand.leaveDaysUsed <= curW) {
-                const nextI = nextCompatible[curI];
-                const nextMask = curMask | segmentBit;
-                const prevVal = memo[nextI * ROW_SIZE + nextMask * SIZE_W + (curW - cand.leaveDaysUsed)];
-                if (prevVal != -1) {
-                    takenVal = cand.totalDaysOff + prevVal;
-                }
-            }
+/**
+ * Adds a leave pool. Returns false when it was rejected.
+ */
+function addLeavePool(name, days, singleDaysOnly) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        showToast('Please give the leave pool a name.', 'error');
+        return false;
+    }
+    if (!isValidAllowance(days)) {
+        showToast('Pool balances must be between 0.5 and 365 days, in whole or half days.', 'error');
+        return false;
+    }
+    if (leavePools.length >= MAX_LEAVE_POOLS) {
+        showToast(`Maximum limit of ${MAX_LEAVE_POOLS} leave pools reached.`, 'error');
+        return false;
+    }
+    const nextId = leavePools.reduce((max, pool) => Math.max(max, Number(pool.id.slice(5))), 0) + 1;
+    leavePools = [...leavePools, {
+        id: `pool-${nextId}`,
+        name: trimmed.slice(0, MAX_LEAVE_POOL_NAME_LENGTH),
+        days,
+        singleDaysOnly: Boolean(singleDaysOnly)
+    }];
+    refreshAfterPoolChange();
+    return true;
+}
 
-            // Prefer taking if it yields optimal result (greedy for earliest start date)
-            if (takenVal != -2 && takenVal >= skippedVal) {
-                bestCombo.push(cand);
-                curI = nextCompatible[curI];
-                curMask |= segmentBit;
-                curW -= cand.leaveDaysUsed;
-            } else {
-                curI++;
-            }
-        }
+/**
+ * Removes a leave pool; days booked from it move back to the annual allowance.
+ */
+function removeLeavePool(id) {
+    const pool = leavePools.find(p => p.id === id);
+    if (!pool) return;
+    leavePools = leavePools.filter(p => p !== pool);
+    for (const [dateStr, poolId] of Array.from(bookedPools)) {
+        if (poolId === id) bookedPools.delete(dateStr);
     }
+    if (currentBookingPool === id) currentBookingPool = ANNUAL_LEAVE_POOL_ID;
+    refreshAfterPoolChange();
+    showToast(`Removed leave pool ${pool.name}`, 'info');
+}
 
-    bestCombo.sort((a, b) => a.startDate - b.startDate);
-    return bestCombo;
+function formatPoolDays(days) {
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
 }
 
-function findOptimalPlan(year, allowance) {
-    // Cache expensive optimal plan calculations to prevent redundant DP evaluation
-    // when comparing year-over-year or re-rendering after non-impactful state changes.
-    const cacheKey = `${year}-${allowance}`;
-    if (optimalPlanCache.has(cacheKey)) {
-        return optimalPlanCache.get(cacheKey);
+/**
+ * Renders the pool list and the "Book From" options.
+ */
+function renderLeavePools() {
+    const poolSelect = document.getElementById('booking-pool-select');
+    if (poolSelect) {
+        poolSelect.textContent = '';
+        getLeavePools().forEach(pool => {
+            const option = document.createElement('option');
+            option.value = pool.id;
+            option.textContent = pool.name;
+            poolSelect.appendChild(option);
+        });
+        poolSelect.value = currentBookingPool;
+        const group = poolSelect.closest('.control-group');
+        if (group) group.hidden = leavePools.length === 0;
     }
 
-    const limits = getAnnualPlannerLimits(allowance);
-    const uniqueCandidates = generateAllCandidates(year, allowance, {
-        maxLeaveDaysPerBlock: limits.maxLeaveDaysPerBlock,
-        segmentCount: limits.maxBlocks || MAX_ANNUAL_PLAN_BLOCKS
-    });
-    const topCandidates = selectTopCandidates(uniqueCandidates, allowance);
-    const cache = dayTypeCache.get(year);
-    const workdayCount = cache
-        ? cache.types.reduce((count, type) => count + (type === 'workday' ? 1 : 0), 0)
-        : allowance;
-    const targetAllowance = Math.min(allowance, workdayCount);
-    const bestCombo = findBestCombination(topCandidates, targetAllowance, limits.maxBlocks);
+    const list = document.getElementById('leave-pool-list');
+    if (!list) return;
+    list.textContent = '';
 
-    // Convert optimized index-based candidates back to full Date objects
-    const result = bestCombo.map(c => {
-        // startIdx and endIdx are 0-based from Jan 1 of 'year'
-        const startDate = new Date(year, 0, 1 + c.displayStartIdx);
-        const endDate = new Date(year, 0, 1 + c.displayEndIdx);
+    if (leavePools.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'empty-message';
+        emptyMsg.textContent = 'Only the annual allowance. Add pools for birthday leave, floating days or time off in lieu.';
+        list.appendChild(emptyMsg);
+        return;
+    }
 
-        // Generate the list of booked dates (workdays)
-        const bookedDates = [];
+    leavePools.forEach(pool => {
+        const label = `${pool.name}: ${formatPoolDays(pool.days)}${pool.singleDaysOnly ? ' · single days only' : ''}`;
+        const tag = document.createElement('div');
+        tag.className = 'custom-tag pool-tag';
+        tag.textContent = `${label} `;
 
-        // We reconstruct the booked dates by checking which days in the range are workdays.
-        // Since candidates were generated from valid workdays within the year,
-        // any workdays within the [start, end] range must be the booked ones.
-        // Any days outside the year boundary (indices < 0 or >= length) in the range
-        // are by definition OFF days (otherwise expansion wouldn't have included them),
-        // so we don't need to check them for booking.
-        const types = dayTypeCache.get(year).types;
-        for (let i = c.startIdx; i <= c.endIdx; i++) {
-            if (i >= 0 && i < types.length) {
-                if (types[i] === 'workday') {
-                    // Bolt Optimization: Pass offset directly to Date constructor
-                    const d = new Date(year, 0, 1 + i);
-                    bookedDates.push(d);
-                }
-            }
-        }
+        const btn = document.createElement('button');
+        btn.textContent = '\u00D7';
+        btn.setAttribute('aria-label', `Remove leave pool ${pool.name}`);
+        btn.setAttribute('title', `Remove leave pool ${pool.name}`);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeLeavePool(pool.id);
+        });
 
-        return {
-            startDate,
-            endDate,
-            leaveDaysUsed: c.leaveDaysUsed,
-            totalDaysOff: c.totalDaysOff,
-            efficiency: c.efficiency,
-            bookedDates
-        };
+        tag.appendChild(btn);
+        list.appendChild(tag);
     });
-
-    optimalPlanCache.set(cacheKey, result);
-    return result;
 }
 
 /**
- * Checks if two leave blocks overlap.
+ * Renders used/available days per pool under the "Days Used" stat.
  */
-function overlap(b1, b2) {
-    return b1.startDate <= b2.endDate && b1.endDate >= b2.startDate;
+function renderPoolUsage() {
+    const usageEl = document.getElementById('pool-usage');
+    if (!usageEl) return;
+    usageEl.textContent = '';
+    usageEl.hidden = leavePools.length === 0;
+    if (usageEl.hidden) return;
+
+    const used = getPoolLeaveDays(currentYear);
+    getLeavePools().forEach(pool => {
+        const item = document.createElement('span');
+        item.className = 'pool-usage-item';
+        item.textContent = `${pool.name} ${used[pool.id]}/${pool.days}`;
+        if (used[pool.id] > pool.days) item.classList.add('error');
+        usageEl.appendChild(item);
+    });
 }
 
-// --- CALENDAR EXPORT ---
+// --- EMPLOYMENT UI ---
 
 /**
- * Global click handler to surface tooltips for disabled buttons on touch devices.
+ * Reads the employment inputs. Changing them re-plans with the pro-rated allowance.
  */
-function initDisabledButtonTouchHandler() {
-    if (typeof document === 'undefined') return;
-    document.addEventListener('click', (e) => {
-        const disabledBtn = e.target.closest('button[aria-disabled="true"]');
-        if (disabledBtn && disabledBtn.title) {
-            e.preventDefault();
-            e.stopPropagation();
-            showToast(disabledBtn.title, 'info');
-        }
-    }, true);
+function handleEmploymentChange() {
+    const startInput = document.getElementById('employment-start-input');
+    const endInput = document.getElementById('employment-end-input');
+    const roundingSelect = document.getElementById('employment-rounding-select');
+    const next = sanitizeEmployment({
+        start: startInput ? startInput.value : null,
+        end: endInput ? endInput.value : null,
+        rounding: roundingSelect ? roundingSelect.value : DEFAULT_EMPLOYMENT_ROUNDING
+    });
+    if (endInput && endInput.value && next.end !== endInput.value) {
+        showToast('Please choose an employment end date on or after the start date.', 'error');
+        renderEmploymentSettings();
+        return;
+    }
+    employment = next;
+    renderEmploymentSettings();
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
 }
 
 /**
- * Generates and downloads an iCal (.ics) file containing all booked leave periods.
+ * Fills the employment inputs and describes the pro-rated allowance.
  */
-function exportToICS() {
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn && exportBtn.getAttribute('aria-disabled') === 'true') {
-        if (exportBtn.title) showToast(exportBtn.title, 'info');
-        return;
+function renderEmploymentSettings() {
+    const startInput = document.getElementById('employment-start-input');
+    const endInput = document.getElementById('employment-end-input');
+    const roundingSelect = document.getElementById('employment-rounding-select');
+    if (startInput) startInput.value = employment.start || '';
+    if (endInput) endInput.value = employment.end || '';
+    if (roundingSelect) roundingSelect.value = employment.rounding;
+
+    const note = document.getElementById('employment-note');
+    if (!note) return;
+    const daysCount = getLeaveYearLength(currentYear);
+    const { first, last } = getEmploymentWindow(currentYear);
+    const employedDays = Math.max(0, last - first + 1);
+    if (employedDays === daysCount) {
+        note.textContent = `Employed for the whole ${getLeaveYearLabel(currentYear)} leave year: full allowance.`;
+    } else {
+        note.textContent = `Employed for ${employedDays} of ${daysCount} days in ${getLeaveYearLabel(currentYear)}: ` +
+            `${getProRatedAllowance(currentYear, currentAllowance)} of ${currentAllowance} days.`;
     }
+}
 
-    const blocks = analyzeCurrentPlan();
-    if (blocks.length === 0) {
-        showToast('No leave periods to export. Please book some leave days first.', 'error');
-        return;
-    }
+// --- LEAVE ACCRUAL UI ---
 
-    // Build iCal content
-    const icsLines = [
-        'BEGIN:VCALENDAR',
-        'VERSION:2.0',
-        'PRODID:-//Vacation Maximiser//EN',
-        'CALSCALE:GREGORIAN',
-        'METHOD:PUBLISH'
-    ];
+function formatAccrualDays(days) {
+    const rounded = Math.round(days * 10) / 10;
+    return `${rounded === 0 ? 0 : rounded} ${rounded === 1 ? 'day' : 'days'}`;
+}
 
-    blocks.forEach((block, index) => {
-        // Format dates as YYYYMMDD (iCal DATE format)
-        const startStr = toLocalISOString(block.startDate).replace(/-/g, '');
-        // iCal DTEND is exclusive, so add 1 day
-        const endDate = addDays(block.endDate, 1);
-        const endStr = toLocalISOString(endDate).replace(/-/g, '');
+/**
+ * Reads the accrual inputs and stores a valid model. An empty rate turns accrual off.
+ */
+function handleAccrualChange() {
+    const rateInput = document.getElementById('accrual-rate-input');
+    const periodSelect = document.getElementById('accrual-period-select');
+    const startInput = document.getElementById('accrual-start-input');
+    const limitInput = document.getElementById('accrual-limit-input');
+    if (!rateInput) return;
+
+    let next = null;
+    if (rateInput.value.trim() !== '') {
+        const model = {
+            rate: Number(rateInput.value),
+            period: periodSelect ? periodSelect.value : 'month',
+            start: startInput && startInput.value ? startInput.value : null,
+            negativeLimit: limitInput && limitInput.value.trim() !== '' ? Number(limitInput.value) : 0
+        };
+        next = sanitizeAccrual(model);
+        const isValid = next !== null && next.rate === model.rate && next.start === model.start
+            && next.negativeLimit === model.negativeLimit;
+        if (!isValid) {
+            showToast(`Accrual needs a rate between 0.01 and ${MAX_ACCRUAL_RATE} days and a negative balance limit in whole or half days.`, 'error');
+            renderAccrualSettings();
+            return;
+        }
+    }
+    accrual = next;
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
+}
 
-        // Generate a unique ID
-        const uid = `vacation-${currentYear}-${index}-${Date.now()}@vacationmaximiser`;
+/**
+ * Fills the accrual inputs from the current model.
+ */
+function renderAccrualSettings() {
+    const rateInput = document.getElementById('accrual-rate-input');
+    const periodSelect = document.getElementById('accrual-period-select');
+    const startInput = document.getElementById('accrual-start-input');
+    const limitInput = document.getElementById('accrual-limit-input');
+    if (rateInput) rateInput.value = accrual ? accrual.rate : '';
+    if (periodSelect) periodSelect.value = accrual ? accrual.period : 'month';
+    if (startInput) startInput.value = accrual && accrual.start ? accrual.start : '';
+    if (limitInput) limitInput.value = accrual && accrual.negativeLimit > 0 ? accrual.negativeLimit : '';
+}
 
-        icsLines.push(
-            'BEGIN:VEVENT',
-            `DTSTART;VALUE=DATE:${startStr}`,
-            `DTEND;VALUE=DATE:${endStr}`,
-            `SUMMARY:Annual Leave (${block.leaveDays} days)`,
-            `DESCRIPTION:${block.totalDays} days off using ${block.leaveDays} leave days\\nGenerated by Vacation Maximiser`,
-            `UID:${uid}`,
-            'STATUS:CONFIRMED',
-            'TRANSP:OPAQUE',
-            'END:VEVENT'
-        );
-    });
+/**
+ * Charts the accrual balance over the leave year: one bar per calendar month showing the
+ * balance at its end. Months where the balance dips below zero are marked.
+ */
+function renderAccrualChart() {
+    const chart = document.getElementById('accrual-chart');
+    const summary = document.getElementById('accrual-summary');
+    if (!chart) return;
+    chart.textContent = '';
+    chart.hidden = !accrual;
+    if (summary) summary.textContent = accrual ? '' : 'Off: the whole allowance can be booked from the first day of the leave year.';
+    if (!accrual) return;
+
+    const balance = getAccrualBalance(currentYear);
+    const months = [];
+    let lowestIdx = 0;
+    let monthLowest = Infinity;
+    for (let i = 0; i < balance.length; i++) {
+        monthLowest = Math.min(monthLowest, balance[i]);
+        if (balance[i] < balance[lowestIdx]) lowestIdx = i;
+        const date = getLeaveYearDate(currentYear, i);
+        if (i === balance.length - 1 || getLeaveYearDate(currentYear, i + 1).getDate() === 1) {
+            months.push({ date, end: balance[i], lowest: monthLowest });
+            monthLowest = Infinity;
+        }
+    }
 
-    icsLines.push('END:VCALENDAR');
+    let scale = 0;
+    for (let m = 0; m < months.length; m++) scale = Math.max(scale, Math.abs(months[m].end));
+    months.forEach(month => {
+        const bar = document.createElement('div');
+        bar.className = 'accrual-bar';
+        if (month.lowest < 0) bar.classList.add('negative');
+        bar.title = `${formatDate(month.date)}: ${formatAccrualDays(month.end)}` +
+            (month.lowest < month.end ? ` (lowest ${formatAccrualDays(month.lowest)})` : '');
+
+        const fill = document.createElement('span');
+        fill.className = 'accrual-bar-fill';
+        fill.style.height = `${scale > 0 ? Math.round(Math.abs(month.end) / scale * 100) : 0}%`;
+        const value = document.createElement('span');
+        value.className = 'accrual-bar-value';
+        value.textContent = String(Math.round(month.end * 10) / 10);
+        const label = document.createElement('span');
+        label.className = 'accrual-bar-label';
+        label.textContent = MONTHS_SHORT[month.date.getMonth()];
+
+        bar.appendChild(value);
+        bar.appendChild(fill);
+        bar.appendChild(label);
+        chart.appendChild(bar);
+    });
 
-    // Create and trigger download
-    const icsContent = icsLines.join('\r\n');
-    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
+    if (summary) {
+        const accrued = getAccruedLeave(currentYear);
+        let text = `Accrues ${formatAccrualDays(accrued[accrued.length - 1])} this leave year. ` +
+            `Lowest balance: ${formatAccrualDays(balance[lowestIdx])} on ${formatDate(getLeaveYearDate(currentYear, lowestIdx))}.`;
+        if (findAccrualShortfall(balance) !== -1) text += ' Some leave is booked before it has been accrued.';
+        summary.textContent = text;
+    }
+}
 
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `vacation-plan-${currentYear}.ics`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+// --- PREFERRED TIMES ---
+// Month and date-range weights scale how much each day off counts in the objective,
+// so preferred periods attract breaks and avoided ones (weight 0) score nothing.
 
-    URL.revokeObjectURL(url);
-    showToast('Your calendar file is ready for download.', 'success');
+/**
+ * Replaces the preference weights. Null values reset to neutral.
+ */
+function applyPreferences(months, ranges) {
+    monthWeights = months || sanitizeMonthWeights(null);
+    preferenceRanges = ranges || [];
 }
 
-// --- MAIN UI ---
-
-function renderLocationSelectOptions() {
-    if (typeof document === 'undefined') return;
-    const locationSelect = document.getElementById('location-select');
-    if (!locationSelect) return;
+function getPreferenceLabel(weight) {
+    const level = PREFERENCE_LEVELS.find(item => item.value === weight);
+    return level ? level.label : 'Neutral';
+}
 
-    locationSelect.textContent = '';
+/**
+ * Shared refresh after a preference change: re-plans with the new weights.
+ */
+function refreshAfterPreferenceChange() {
+    invalidateInsightCaches();
+    renderPreferences();
+    resetToOptimal();
+    saveState();
+}
 
-    LOCATION_GROUPS.forEach((group) => {
-        const optgroup = document.createElement('optgroup');
-        optgroup.label = group.label;
+/**
+ * Stores the weight chosen in a month's select.
+ */
+function handleMonthWeightChange(e) {
+    const select = e.target;
+    const month = Number(select.dataset.month);
+    const weight = Number(select.value);
+    if (!Number.isInteger(month) || month < 0 || month > 11 || !isPreferenceWeight(weight)) return;
+    monthWeights = monthWeights.slice();
+    monthWeights[month] = weight;
+    refreshAfterPreferenceChange();
+}
 
-        group.options.forEach((optionData) => {
-            const option = document.createElement('option');
-            option.value = optionData.value;
-            option.textContent = optionData.label;
-            optgroup.appendChild(option);
-        });
+/**
+ * Adds an inclusive preference range. Returns false when the range was rejected.
+ */
+function addPreferenceRange(start, end, weight) {
+    if (!isValidISODateString(start) || !isValidISODateString(end) || start > end) {
+        showToast('Please choose a start date on or before the end date.', 'error');
+        return false;
+    }
+    if (!isPreferenceWeight(weight)) {
+        showToast('Please choose a preference for the period.', 'error');
+        return false;
+    }
+    if (preferenceRanges.length >= MAX_PREFERENCE_RANGES) {
+        showToast(`Maximum limit of ${MAX_PREFERENCE_RANGES} preferred periods reached.`, 'error');
+        return false;
+    }
+    preferenceRanges = sanitizePreferenceRanges([...preferenceRanges, { start, end, weight }]);
+    refreshAfterPreferenceChange();
+    return true;
+}
 
-        locationSelect.appendChild(optgroup);
-    });
+/**
+ * Removes a preference range.
+ */
+function removePreferenceRange(range) {
+    if (!preferenceRanges.includes(range)) return;
+    preferenceRanges = preferenceRanges.filter(r => r !== range);
+    refreshAfterPreferenceChange();
+    showToast(`Removed preference for ${formatBlackoutRange(range)}`, 'info');
 }
 
 /**
- * Initializes the application, sets up event listeners, and performs the initial render.
+ * Renders the month weight selects and the list of preference ranges.
  */
-function init() {
-    // Load saved state if available
-    const savedState = loadState();
-    let shouldRestoreFromSaved = false;
+function renderPreferences() {
+    const fillLevels = (select) => {
+        if (select.options.length > 0) return;
+        PREFERENCE_LEVELS.forEach(level => {
+            const option = document.createElement('option');
+            option.value = String(level.value);
+            option.textContent = level.label;
+            select.appendChild(option);
+        });
+    };
 
-    const appliedSharedPlan = applySharedPlanFromUrl();
-    if (!appliedSharedPlan && savedState) {
-        // Restore state variables from local storage if no shared plan
-        if (isValidAllowance(savedState.currentAllowance)) {
-            currentAllowance = savedState.currentAllowance;
-        }
-        if (isValidPlanningYear(savedState.currentYear)) {
-            currentYear = savedState.currentYear;
-        }
-        if (typeof savedState.currentRegion === 'string' && isSupportedRegion(savedState.currentRegion)) {
-            currentRegion = savedState.currentRegion;
-        }
-        if (Array.isArray(savedState.bookedDates)) {
-            const safeDates = sanitizeBookedDateList(savedState.bookedDates);
-            bookedDates = new Set(safeDates);
-            shouldRestoreFromSaved = safeDates.length > 0;
-        }
-        if (savedState.customHolidaysByLocation) {
-            customHolidaysByLocation = sanitizeHolidayMap(savedState.customHolidaysByLocation);
-        } else if (Array.isArray(savedState.customHolidays)) {
-            customHolidaysByLocation = {};
-            const safeList = sanitizeHolidayList(savedState.customHolidays);
-            if (safeList.length > 0) {
-                customHolidaysByLocation[currentRegion] = safeList;
-            }
-        }
-        if (savedState.weekendByLocation && typeof savedState.weekendByLocation === 'object') {
-            weekendByLocation = {};
-            const locations = Object.keys(savedState.weekendByLocation);
-            for (let i = 0; i < locations.length; i++) {
-                const location = locations[i];
-                const pattern = savedState.weekendByLocation[location];
-                if (isSupportedRegion(location) && Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, pattern)) {
-                    weekendByLocation[location] = pattern;
-                }
+    const container = document.getElementById('month-weights');
+    if (container) {
+        if (container.children.length === 0) {
+            for (let month = 0; month < 12; month++) {
+                const monthName = new Date(2001, month, 1).toLocaleString('en-GB', { month: 'short' });
+                const label = document.createElement('label');
+                label.className = 'month-weight';
+                label.textContent = monthName;
+                const select = document.createElement('select');
+                select.dataset.month = String(month);
+                select.setAttribute('aria-label', `Preference for ${new Date(2001, month, 1).toLocaleString('en-GB', { month: 'long' })}`);
+                fillLevels(select);
+                label.appendChild(select);
+                container.appendChild(label);
             }
         }
-        if (typeof savedState.currentWeekendPattern === 'string' && Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, savedState.currentWeekendPattern)) {
-            currentWeekendPattern = savedState.currentWeekendPattern;
-        } else if (weekendByLocation[currentRegion]) {
-            currentWeekendPattern = weekendByLocation[currentRegion];
-        } else {
-            currentWeekendPattern = getDefaultWeekendForLocation(currentRegion);
-        }
-        weekendByLocation[currentRegion] = currentWeekendPattern;
-    } else if (appliedSharedPlan) {
-        shouldRestoreFromSaved = bookedDates.size > 0;
-        // Persist the shared plan locally for subsequent visits
-        saveState();
+        container.querySelectorAll('select').forEach(select => {
+            select.value = String(monthWeights[Number(select.dataset.month)]);
+            select.classList.toggle('changed', monthWeights[Number(select.dataset.month)] !== 1);
+        });
     }
 
-    if (!isSupportedRegion(currentRegion)) {
-        currentRegion = REGIONS.ENGLAND_WALES;
-        currentWeekendPattern = getDefaultWeekendForLocation(currentRegion);
-        weekendByLocation[currentRegion] = currentWeekendPattern;
+    const weightSelect = document.getElementById('preference-weight-select');
+    if (weightSelect) {
+        const isNew = weightSelect.options.length === 0;
+        fillLevels(weightSelect);
+        if (isNew) weightSelect.value = '2';
     }
 
-    ensureCustomHolidays(currentRegion);
-
-    const yearSelect = document.getElementById('year-select');
-    if (yearSelect) {
-        yearSelect.textContent = '';
-        const currentYearNow = new Date().getFullYear();
-        const minYear = currentYearNow;
-        const maxYear = currentYearNow + 5;
-        if (currentYear < minYear || currentYear > maxYear) {
-            currentYear = minYear;
-        }
-        for (let i = 0; i <= 5; i++) {
-            const year = currentYearNow + i;
-            const option = document.createElement('option');
-            option.value = year;
-            option.textContent = year;
-            if (year === currentYear) {
-                option.selected = true;
-            }
-            yearSelect.appendChild(option);
-        }
-
-        const customDateInput = document.getElementById('custom-date-input');
-        if (customDateInput) {
-            customDateInput.min = `${currentYear}-01-01`;
-            customDateInput.max = `${currentYear}-12-31`;
-        }
+    const list = document.getElementById('preference-list');
+    if (!list) return;
+    list.textContent = '';
 
-        yearSelect.addEventListener('change', (e) => {
-            currentYear = parseInt(e.target.value);
-            if (isDatasetLocation(currentRegion)) {
-                loadHolidayDataset();
-            }
-            if (customDateInput) {
-                customDateInput.min = `${currentYear}-01-01`;
-                customDateInput.max = `${currentYear}-12-31`;
-            }
-            invalidateInsightCaches();
-            resetToOptimal();
-            saveState();
-        });
+    if (preferenceRanges.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'empty-message';
+        emptyMsg.textContent = 'No preferred periods. Add dates you would most like off, or want to avoid.';
+        list.appendChild(emptyMsg);
+        return;
     }
 
-    const locationSelect = document.getElementById('location-select');
-    if (locationSelect) {
-        renderLocationSelectOptions();
-        locationSelect.value = currentRegion;
-        locationSelect.addEventListener('change', (e) => {
-            currentRegion = e.target.value;
-            if (!getLocationConfig(currentRegion)) {
-                currentRegion = REGIONS.ENGLAND_WALES;
-            }
-            ensureCustomHolidays(currentRegion);
+    preferenceRanges.forEach(range => {
+        const label = `${getPreferenceLabel(range.weight)} (${formatBlackoutRange(range)})`;
+        const tag = document.createElement('div');
+        tag.className = 'custom-tag preference-tag';
+        tag.textContent = `${label} `;
 
-            const defaultWeekend = getDefaultWeekendForLocation(currentRegion);
-            currentWeekendPattern = weekendByLocation[currentRegion] || defaultWeekend;
-            weekendByLocation[currentRegion] = currentWeekendPattern;
+        const btn = document.createElement('button');
+        btn.textContent = '\u00D7';
+        btn.setAttribute('aria-label', `Remove preference ${label}`);
+        btn.setAttribute('title', `Remove preference ${label}`);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removePreferenceRange(range);
+        });
 
-            const weekendSelect = document.getElementById('weekend-select');
-            if (weekendSelect) {
-                weekendSelect.value = currentWeekendPattern;
-            }
+        tag.appendChild(btn);
+        list.appendChild(tag);
+    });
+}
 
-            if (isDatasetLocation(currentRegion)) {
-                loadHolidayDataset();
-            }
+/** Weekday order for the work schedule editor (Monday first). */
+const WORK_SCHEDULE_DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
 
-            // Clear cache to force reload of holidays for new location
-            clearHolidaysCache();
-            invalidateInsightCaches();
-            renderCustomHolidays();
-            renderHolidayDataStatus();
-            resetToOptimal();
-            saveState();
-        });
-    }
+/**
+ * Applies a new weekend setting for the current location and re-plans.
+ */
+function updateWeekendSetting(setting) {
+    applyWeekendSetting(setting);
+    renderWorkSchedule();
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
+}
 
+/**
+ * Renders the weekend select and per-weekday work schedule toggles for the current location.
+ */
+function renderWorkSchedule() {
     const weekendSelect = document.getElementById('weekend-select');
     if (weekendSelect) {
         weekendSelect.value = currentWeekendPattern;
-        weekendSelect.addEventListener('change', (e) => {
-            const value = e.target.value;
-            if (Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, value)) {
-                currentWeekendPattern = value;
-                weekendByLocation[currentRegion] = currentWeekendPattern;
-                invalidateInsightCaches();
-                resetToOptimal();
-                saveState();
-            }
-        });
     }
 
-    const allowanceInput = document.getElementById('allowance-input');
-    if (allowanceInput) {
-        allowanceInput.value = currentAllowance;
-        allowanceInput.addEventListener('change', (e) => {
-            const val = parseInt(e.target.value);
-            if (val > 0 && val <= 365) {
-                currentAllowance = val;
-                invalidateInsightCaches();
-                resetToOptimal();
-                saveState();
-            } else {
-                e.target.value = currentAllowance;
-                showToast('Allowance must be between 1 and 365 days.', 'error');
-            }
-        });
-    }
+    renderRotationEditor();
 
-    const resetBtn = document.getElementById('reset-btn');
-    if (resetBtn) {
-        resetBtn.addEventListener('click', () => {
-            resetToOptimal();
-            saveState();
-        });
+    const container = document.getElementById('work-schedule-days');
+    if (!container) return;
+    container.textContent = '';
+    container.hidden = currentRotation !== null;
+
+    for (let i = 0; i < WORK_SCHEDULE_DAY_ORDER.length; i++) {
+        const day = WORK_SCHEDULE_DAY_ORDER[i];
+        const label = document.createElement('label');
+        label.className = 'work-day-toggle';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = String(day);
+        input.checked = ((currentWeekendMask >> day) & 1) === 0;
+        input.setAttribute('aria-label', `Work on ${WEEKDAYS[day]}`);
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(WEEKDAYS[day].slice(0, 3)));
+        container.appendChild(label);
     }
+}
 
-    // Custom Holiday Logic
-    const customHolidayForm = document.getElementById('custom-holiday-form');
-    if (customHolidayForm) {
-        customHolidayForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            addCustomHoliday();
-        });
+/**
+ * Handles the weekend select. "Custom" opens the weekday toggles on the current days; the
+ * schedule only becomes custom once a toggle leaves the presets.
+ */
+function handleWeekendSelectChange(e) {
+    const value = e.target.value;
+    if (value === CUSTOM_WEEKEND_KEY) {
+        // Keep the current days; the work schedule editor refines them.
+        if (currentRotation) {
+            updateWeekendSetting(currentWeekendMask);
+        }
+        e.target.value = CUSTOM_WEEKEND_KEY;
+        const container = document.getElementById('work-schedule-days');
+        if (!container) return;
+        if (typeof container.scrollIntoView === 'function') {
+            container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        const firstDayToggle = container.querySelector('input');
+        if (firstDayToggle) firstDayToggle.focus({ preventScroll: true });
+    } else if (value === ROTATION_WEEKEND_KEY) {
+        if (!currentRotation) {
+            updateWeekendSetting(createRotationFromMask(currentWeekendMask, currentYear));
+        }
+        const anchorInput = document.getElementById('rotation-anchor-input');
+        if (anchorInput) anchorInput.focus();
+    } else if (Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, value)) {
+        updateWeekendSetting(value);
     }
+}
 
-    // Export Button
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) {
-        exportBtn.addEventListener('click', exportToICS);
+/**
+ * Handles a work schedule toggle, storing the resulting weekday mask for the current location.
+ */
+function handleWorkScheduleChange(e) {
+    const input = e.target;
+    if (!input || input.type !== 'checkbox') return;
+    const day = parseInt(input.value, 10);
+    if (!Number.isInteger(day) || day < 0 || day > 6) return;
+
+    const nextMask = input.checked
+        ? currentWeekendMask & ~(1 << day)
+        : currentWeekendMask | (1 << day);
+
+    if (!isValidWeekendMask(nextMask)) {
+        input.checked = true;
+        showToast('Your work schedule needs at least one working day.', 'error');
+        return;
     }
 
-    initDisabledButtonTouchHandler();
+    updateWeekendSetting(nextMask);
+}
 
-    const shareBtn = document.getElementById('share-btn');
-    if (shareBtn) {
-        shareBtn.addEventListener('click', handleShareLink);
-    }
+/**
+ * Renders one toggle per holiday type in the current location's published holidays.
+ * The settings stay hidden when the location only publishes a single type.
+ */
+function renderHolidayTypeSettings() {
+    if (typeof document === 'undefined') return;
+    const settings = document.getElementById('holiday-type-settings');
+    const container = document.getElementById('holiday-type-toggles');
+    if (!settings || !container) return;
+    container.textContent = '';
 
-    if (isDatasetLocation(currentRegion)) {
-        loadHolidayDataset();
+    const categories = hasHolidayDataForYear(currentRegion, currentYear)
+        ? getHolidayTypeCategoriesForYear(currentYear, currentRegion)
+        : [];
+    settings.hidden = categories.length < 2;
+    if (settings.hidden) return;
+
+    const countedTypes = getCountedHolidayTypes(currentRegion);
+    for (let i = 0; i < categories.length; i++) {
+        const category = categories[i];
+        const label = document.createElement('label');
+        label.className = 'work-day-toggle';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = category;
+        input.checked = !countedTypes || countedTypes.includes(category);
+        input.setAttribute('aria-label', `Count ${HOLIDAY_TYPE_LABELS[category].toLowerCase()} holidays as days off`);
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(HOLIDAY_TYPE_LABELS[category]));
+        container.appendChild(label);
     }
+}
 
-    // If we have saved booked dates, restore and render; otherwise compute optimal
-    if (shouldRestoreFromSaved) {
-        updateUI();
+/**
+ * Handles a holiday type toggle, storing the counted types for the current location and re-planning.
+ */
+function handleHolidayTypeChange(e) {
+    const input = e.target;
+    if (!input || input.type !== 'checkbox' || !HOLIDAY_TYPE_CATEGORIES.includes(input.value)) return;
+
+    const current = getCountedHolidayTypes(currentRegion) || HOLIDAY_TYPE_CATEGORIES;
+    const next = input.checked
+        ? HOLIDAY_TYPE_CATEGORIES.filter(category => category === input.value || current.includes(category))
+        : current.filter(category => category !== input.value);
+    updateHolidayTypes(next);
+}
+
+/**
+ * Applies the counted holiday types for the current location and re-plans.
+ */
+function updateHolidayTypes(types) {
+    const next = sanitizeHolidayTypes(types);
+    if (next && next.length < HOLIDAY_TYPE_CATEGORIES.length) {
+        holidayTypesByLocation[currentRegion] = next;
     } else {
-        resetToOptimal();
+        delete holidayTypesByLocation[currentRegion];
     }
-
-    renderCustomHolidays();
+    clearHolidaysCache();
+    invalidateInsightCaches();
+    resetToOptimal();
+    saveState();
 }
 
 /**
- * Adds a custom holiday to the list.
+ * Renders the rotating schedule editor: anchor date, cycle length and one toggle per cycle day.
  */
-function addCustomHoliday() {
-    const dateInput = document.getElementById('custom-date-input');
-    const nameInput = document.getElementById('custom-name-input');
-    const dateVal = dateInput.value;
-    const nameVal = nameInput.value.trim();
-
-    if (dateVal && nameVal) {
-        if (!isValidISODateString(dateVal)) {
-            showToast('Invalid date format. Please use YYYY-MM-DD.', 'error');
-            return;
-        }
+function renderRotationEditor() {
+    const editor = document.getElementById('rotation-editor');
+    if (!editor) return;
+    editor.hidden = currentRotation === null;
+    if (!currentRotation) return;
+
+    const anchorInput = document.getElementById('rotation-anchor-input');
+    if (anchorInput) anchorInput.value = currentRotation.anchor;
+    const lengthInput = document.getElementById('rotation-length-input');
+    if (lengthInput) lengthInput.value = currentRotation.length;
+
+    const container = document.getElementById('rotation-days');
+    if (!container) return;
+    container.textContent = '';
 
-        if (nameVal.length > 50) {
-            showToast('Holiday name is too long (max 50 characters).', 'error');
-            return;
-        }
+    const [year, month, day] = currentRotation.anchor.split('-').map(Number);
+    for (let i = 0; i < currentRotation.length; i++) {
+        const date = new Date(year, month - 1, day + i);
+        const dateLabel = `${WEEKDAYS[date.getDay()].slice(0, 3)} ${date.getDate()} ${MONTHS_SHORT[date.getMonth()]}`;
 
-        const customHolidays = ensureCustomHolidays(currentRegion);
+        const label = document.createElement('label');
+        label.className = 'work-day-toggle';
 
-        if (customHolidays.length >= MAX_CUSTOM_HOLIDAYS) {
-            showToast(`Maximum limit of ${MAX_CUSTOM_HOLIDAYS} custom holidays reached.`, 'error');
-            return;
-        }
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = String(i);
+        input.checked = currentRotation.offLookup[i] === 0;
+        input.setAttribute('aria-label', `Work on cycle day ${i + 1} (${dateLabel})`);
 
-        // Prevent dupes
-        if (!customHolidays.some(h => h.date === dateVal)) {
-            customHolidays.push({ date: dateVal, name: nameVal, isCustom: true });
-            renderCustomHolidays();
-            clearHolidaysCache(); // Reset cache to include new holiday
-            invalidateInsightCaches();
-            resetToOptimal();
-            saveState();
-            dateInput.value = '';
-            nameInput.value = '';
-            showToast(`Added custom holiday: ${nameVal}`, 'success');
-        } else {
-            showToast('A custom holiday for this date already exists.', 'error');
-        }
-    } else {
-        showToast('Please enter both a date and a name.', 'error');
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(dateLabel));
+        container.appendChild(label);
     }
 }
 
 /**
- * Removes a custom holiday.
+ * Handles a rotation day toggle, flipping that cycle position between working and off.
  */
-function removeCustomHoliday(dateStr) {
-    const customHolidays = getCustomHolidaysForLocation(currentRegion);
-    const holidayToRemove = customHolidays.find(h => h.date === dateStr);
-    customHolidaysByLocation[currentRegion] = customHolidays.filter(h => h.date !== dateStr);
-    renderCustomHolidays();
-    clearHolidaysCache();
-    invalidateInsightCaches();
-    resetToOptimal();
-    saveState();
-    if (holidayToRemove) {
-        showToast(`Removed custom holiday: ${holidayToRemove.name}`, 'info');
+function handleRotationDayChange(e) {
+    const input = e.target;
+    if (!currentRotation || !input || input.type !== 'checkbox') return;
+    const position = parseInt(input.value, 10);
+    if (!Number.isInteger(position) || position < 0 || position >= currentRotation.length) return;
+
+    const offDays = currentRotation.offDays.filter(day => day !== position);
+    if (!input.checked) offDays.push(position);
+
+    if (offDays.length >= currentRotation.length) {
+        input.checked = true;
+        showToast('Your work schedule needs at least one working day.', 'error');
+        return;
     }
+
+    updateWeekendSetting({ anchor: currentRotation.anchor, length: currentRotation.length, offDays });
 }
 
 /**
- * Renders the list of custom holidays.
+ * Handles a change to the rotation's anchor (first day of the cycle).
  */
-function renderCustomHolidays() {
-    const list = document.getElementById('custom-holidays-list');
-    if (!list) return;
-    list.textContent = '';
-
-    const customHolidays = getCustomHolidaysForLocation(currentRegion);
-
-    if (customHolidays.length === 0) {
-        const emptyMsg = document.createElement('div');
-        emptyMsg.className = 'empty-message';
-        emptyMsg.textContent = 'No custom holidays added. Add one above.';
-        list.appendChild(emptyMsg);
+function handleRotationAnchorChange(e) {
+    if (!currentRotation) return;
+    const value = e.target.value;
+    if (!isValidISODateString(value)) {
+        e.target.value = currentRotation.anchor;
+        showToast('Please choose a valid cycle start date.', 'error');
         return;
     }
+    updateWeekendSetting({ anchor: value, length: currentRotation.length, offDays: currentRotation.offDays });
+}
 
-    customHolidays.forEach(h => {
-        const tag = document.createElement('div');
-        tag.className = 'custom-tag';
-        tag.textContent = `${h.name} (${h.date}) `;
+/**
+ * Handles a change to the rotation's cycle length. New days repeat the existing
+ * pattern, so doubling a one-week cycle keeps the same weekends.
+ */
+function handleRotationLengthChange(e) {
+    if (!currentRotation) return;
+    const length = parseInt(e.target.value, 10);
+    if (!Number.isInteger(length) || length < MIN_ROTATION_LENGTH || length > MAX_ROTATION_LENGTH) {
+        e.target.value = currentRotation.length;
+        showToast(`Cycle length must be between ${MIN_ROTATION_LENGTH} and ${MAX_ROTATION_LENGTH} days.`, 'error');
+        return;
+    }
 
-        const btn = document.createElement('button');
-        btn.textContent = '\u00D7'; // Multiply symbol for 'times'
-        // Strip HTML tags for safety and cleaner accessibility label
-        const safeName = h.name.replace(/<[^>]*>?/gm, '');
-        btn.setAttribute('aria-label', `Remove ${safeName || 'holiday'}`);
-        btn.setAttribute('title', `Remove ${safeName || 'holiday'}`);
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation(); // prevent other clicks
-            removeCustomHoliday(h.date);
-        });
+    const offDays = [];
+    for (let i = 0; i < length; i++) {
+        if (currentRotation.offLookup[i % currentRotation.length] === 1) offDays.push(i);
+    }
+    if (offDays.length === length) offDays.pop();
 
-        tag.appendChild(btn);
-        list.appendChild(tag);
-    });
+    updateWeekendSetting({ anchor: currentRotation.anchor, length, offDays });
 }
 
 /**
  * Shows the loading spinner overlay.
  */
-function showLoading() {
+function showLoading(background = false) {
     let loader = document.getElementById('loading-overlay');
     if (!loader) {
         loader = document.createElement('div');
@@ -2555,6 +6062,7 @@ function showLoading() {
 
         document.body.appendChild(loader);
     }
+    loader.classList.toggle('background', background);
     loader.style.display = 'flex';
 }
 
@@ -2570,51 +6078,206 @@ function hideLoading() {
 
 /**
  * Resets the current plan to the optimal plan and updates the UI.
+ * Starting a reset cancels any optimizer run still in flight.
  */
 async function resetToOptimal() {
-    showLoading();
+    cancelOptimizerRuns();
+    const runId = ++resetRunId;
+    // The worker keeps the page responsive, so the overlay doesn't need to block it.
+    showLoading(canUseOptimizerWorker());
     if (isDatasetLocation(currentRegion) && !holidayDataset) {
         await loadHolidayDataset();
+        if (runId !== resetRunId) return;
     }
-    setTimeout(() => {
+    runOptimizer('optimal', currentYear, currentAllowance, (plan) => {
+        try {
+            if (!plan) return;
+            bookPlanBlocks(plan);
+            alternativePlans = null;
+            alternativePlanIndex = 0;
+            invalidateBookedDaysCaches();
+            updateUI();
+        } finally {
+            hideLoading();
+        }
+    });
+}
+
+/**
+ * Replaces the current bookings with the given plan blocks, keeping locked leave (and, in
+ * remaining-year mode, leave already taken).
+ */
+function bookPlanBlocks(blocks) {
+    const planningStart = getPlanningStartDate(currentYear);
+    const taken = planningStart ? Array.from(bookedDates).filter(dateStr => dateStr < planningStart) : [];
+    bookedDates = new Set([...lockedDates, ...taken]);
+    halfDayBookings.forEach((period, dateStr) => {
+        if (!planningStart || dateStr >= planningStart) halfDayBookings.delete(dateStr);
+    });
+    blocks.forEach(block => {
+        block.bookedDates.forEach(d => {
+            if (block.halfDay) {
+                halfDayBookings.set(toLocalISOString(d), block.halfDay);
+            } else {
+                bookedDates.add(toLocalISOString(d));
+            }
+        });
+    });
+    pruneBookedPools();
+    assignLeavePools(currentYear, blocks);
+}
+
+/**
+ * Places the allowance left over after the current bookings without moving any of them.
+ */
+function completeCurrentPlan() {
+    if (getTotalAllowance() - getBankHolidayDeduction(currentYear) - getFixedLeave(currentYear, true).usedDays <= 0) {
+        showToast('Your allowance is already fully booked.', 'info');
+        return;
+    }
+    cancelOptimizerRuns();
+    showLoading(canUseOptimizerWorker());
+    runOptimizer('complete', currentYear, currentAllowance, (plan) => {
         try {
-            const blocks = findOptimalPlan(currentYear, currentAllowance);
-            bookedDates.clear();
-            blocks.forEach(block => {
+            if (!plan) return;
+            let added = 0;
+            plan.forEach(block => {
                 block.bookedDates.forEach(d => {
-                    bookedDates.add(toLocalISOString(d));
+                    const dateStr = toLocalISOString(d);
+                    if (bookedDates.has(dateStr) || halfDayBookings.has(dateStr)) return;
+                    if (block.halfDay) {
+                        halfDayBookings.set(dateStr, block.halfDay);
+                        added += 0.5;
+                    } else {
+                        bookedDates.add(dateStr);
+                        added++;
+                    }
                 });
             });
-            invalidateInsightCaches();
+            assignLeavePools(currentYear, plan);
+            if (added === 0) {
+                showToast('No more breaks fit around your bookings.', 'info');
+                return;
+            }
+            invalidateBookedDaysCaches();
             updateUI();
+            saveState();
+            showToast(`Added ${added} leave ${added === 1 ? 'day' : 'days'} around your bookings.`, 'success');
         } finally {
             hideLoading();
         }
-    }, 50);
+    });
+}
+
+// ==========================================
+// ALTERNATIVE PLANS
+// ==========================================
+
+/**
+ * Moves the plan browser by `step` plans, computing the alternatives on first use.
+ */
+function stepAlternativePlan(step) {
+    if (!alternativePlans) {
+        showLoading(canUseOptimizerWorker());
+        runOptimizer('alternatives', currentYear, currentAllowance, (plans) => {
+            try {
+                if (!plans) return;
+                alternativePlans = plans;
+                alternativePlanIndex = Math.min(Math.max(step, 0), alternativePlans.length - 1);
+                renderPlanBrowser();
+            } finally {
+                hideLoading();
+            }
+        });
+        return;
+    }
+    alternativePlanIndex = Math.min(Math.max(alternativePlanIndex + step, 0), alternativePlans.length - 1);
+    renderPlanBrowser();
+}
+
+/**
+ * Books the plan currently shown in the plan browser.
+ */
+function applyAlternativePlan() {
+    if (!alternativePlans) return;
+    const plan = alternativePlans[alternativePlanIndex];
+    bookPlanBlocks(plan);
+    invalidateBookedDaysCaches();
+    updateUI();
+    saveState();
+    showToast(`Applied plan ${alternativePlanIndex + 1} of ${alternativePlans.length}`, 'success');
+}
+
+/**
+ * Renders the plan browser: position, totals and breaks of the selected alternative.
+ */
+function renderPlanBrowser() {
+    const label = document.getElementById('plan-browser-label');
+    if (!label) return;
+    const summary = document.getElementById('plan-browser-summary');
+    const blocksEl = document.getElementById('plan-browser-blocks');
+    const prevBtn = document.getElementById('prev-plan-btn');
+    const nextBtn = document.getElementById('next-plan-btn');
+    const applyBtn = document.getElementById('apply-plan-btn');
+
+    if (!alternativePlans) {
+        label.textContent = 'Alternative plans';
+        summary.textContent = 'Browse other plans that score well for your goal.';
+        blocksEl.textContent = '';
+        prevBtn.disabled = true;
+        nextBtn.disabled = false;
+        applyBtn.disabled = true;
+        return;
+    }
+
+    const plan = alternativePlans[alternativePlanIndex];
+    let leaveDays = 0;
+    let daysOff = 0;
+    for (let i = 0; i < plan.length; i++) {
+        leaveDays += plan[i].leaveDaysUsed;
+        daysOff += plan[i].totalDaysOff;
+    }
+    const efficiency = leaveDays > 0 ? (daysOff / leaveDays).toFixed(1) : '∞';
+
+    label.textContent = `Plan ${alternativePlanIndex + 1} of ${alternativePlans.length}${alternativePlanIndex === 0 ? ' (best)' : ''}`;
+    summary.textContent = `${daysOff} days off · ${efficiency}x efficiency`;
+    blocksEl.textContent = '';
+    plan.forEach(block => {
+        const item = document.createElement('li');
+        item.textContent = `${formatDate(block.startDate)} - ${formatDate(block.endDate)} (${block.totalDaysOff} days)`;
+        blocksEl.appendChild(item);
+    });
+    prevBtn.disabled = alternativePlanIndex === 0;
+    nextBtn.disabled = alternativePlanIndex >= alternativePlans.length - 1;
+    applyBtn.disabled = plan.length === 0;
 }
 
 /**
  * Triggers a full refresh of the UI components.
  */
 function updateUI() {
-    document.getElementById('calendar-year-title').textContent = `${currentYear} Calendar`;
+    document.getElementById('calendar-year-title').textContent = `${getLeaveYearLabel(currentYear)} Calendar`;
     renderStats();
+    renderEmploymentSettings();
+    renderAccrualChart();
     renderRecommendations();
     renderInsights();
     renderHolidayDataStatus();
+    renderHolidayTypeSettings();
+    renderPlanBrowser();
     renderCalendar();
 }
 
 /**
  * Analyzes the currently selected `bookedDates` to identify continuous blocks of time off.
- * Bolt Optimization: Uses integer-based indices (0-365) instead of Date objects for O(N) performance.
+ * Bolt Optimization: Uses integer-based leave-year indices (0-365) instead of Date objects for O(N) performance.
  */
 function analyzeCurrentPlan() {
     // Bolt Optimization: Cache the deterministic result of analyzeCurrentPlan
     // because it is called multiple times per UI update cycle (stats, recommendations, etc.)
     // Avoids redundant O(N) traversal and sorting.
     if (analyzedPlanCache) return analyzedPlanCache;
-    if (bookedDates.size === 0) return [];
+    if (bookedDates.size === 0 && halfDayBookings.size === 0) return [];
 
     // Ensure caches are ready for the current year
     ensureBookedDaysIndices(currentYear);
@@ -2626,15 +6289,47 @@ function analyzeCurrentPlan() {
     const daysCount = types.length;
     const blocks = [];
     let currentBlock = null;
+    // Blocks without leave (plain weekends/holidays) are dropped. In cross-year mode a block
+    // on the boundary is first extended into the neighbouring year, where it may pick up leave.
+    const pushBlock = (block) => {
+        if (crossYearPlanning) extendBlockAcrossLeaveYears(block, currentYear, daysCount);
+        const adjacent = block.adjacentLeaveDays;
+        if (block.leaveDays > 0 || (adjacent && adjacent.previous + adjacent.next > 0)) {
+            blocks.push(hydrateBlock(block, currentYear));
+        }
+    };
 
     for (let i = 0; i < daysCount; i++) {
         // Check if day is OFF (weekend, holiday, or booked)
         // Accessing typed array (bookedDaysIndices) and string array (types) is much faster
         // than Date object creation and Map lookups in the original loop.
-        const isBooked = bookedDaysIndices[i] === 1;
+        const booking = types[i] === 'workday' ? bookedDaysIndices[i] : 0;
+        const isBooked = booking === BOOKED_FULL;
         const isOff = isBooked || types[i] !== 'workday';
 
-        if (isOff) {
+        if (booking === BOOKED_AM || booking === BOOKED_PM) {
+            // A morning off closes a block (the afternoon is worked);
+            // an afternoon off opens one (the morning is worked).
+            if (booking === BOOKED_PM && currentBlock) {
+                pushBlock(currentBlock);
+                currentBlock = null;
+            }
+            if (!currentBlock) {
+                currentBlock = {
+                    startIdx: i,
+                    endIdx: i,
+                    leaveDays: 0,
+                    totalDays: 0
+                };
+            }
+            currentBlock.endIdx = i;
+            currentBlock.totalDays += 0.5;
+            currentBlock.leaveDays += 0.5;
+            if (booking === BOOKED_AM) {
+                pushBlock(currentBlock);
+                currentBlock = null;
+            }
+        } else if (isOff) {
             if (!currentBlock) {
                 currentBlock = {
                     startIdx: i,
@@ -2648,16 +6343,14 @@ function analyzeCurrentPlan() {
             if (isBooked) currentBlock.leaveDays++;
         } else {
             if (currentBlock) {
-                if (currentBlock.leaveDays > 0) {
-                    blocks.push(hydrateBlock(currentBlock, currentYear));
-                }
+                pushBlock(currentBlock);
                 currentBlock = null;
             }
         }
     }
     // Handle block at end of year
-    if (currentBlock && currentBlock.leaveDays > 0) {
-        blocks.push(hydrateBlock(currentBlock, currentYear));
+    if (currentBlock) {
+        pushBlock(currentBlock);
     }
 
     blocks.sort((a, b) => b.totalDays - a.totalDays);
@@ -2669,30 +6362,102 @@ function analyzeCurrentPlan() {
  * Helper to convert integer-based block indices back to Date objects.
  */
 function hydrateBlock(blockIndices, year) {
-    // Bolt Optimization: Pass offset directly to Date constructor
-    const startDate = new Date(year, 0, 1 + blockIndices.startIdx);
-    const endDate = new Date(year, 0, 1 + blockIndices.endIdx);
+    const startDate = getLeaveYearDate(year, blockIndices.startIdx);
+    const endDate = getLeaveYearDate(year, blockIndices.endIdx);
 
     return {
         startDate,
         endDate,
         leaveDays: blockIndices.leaveDays,
-        totalDays: blockIndices.totalDays
+        totalDays: blockIndices.totalDays,
+        // Leave booked in the previous/next leave year (cross-year planning)
+        adjacentLeaveDays: blockIndices.adjacentLeaveDays || { previous: 0, next: 0 }
     };
 }
 
+/**
+ * Cross-year planning: extends a block that touches the leave-year boundary through the
+ * neighbouring year's off days and bookings, counting the leave taken from that year.
+ * A morning-only booking at the start (or afternoon-only at the end) ends the block.
+ */
+function extendBlockAcrossLeaveYears(block, year, daysCount) {
+    const adjacent = { previous: 0, next: 0 };
+    block.adjacentLeaveDays = adjacent;
+
+    if (block.startIdx === 0 && bookedDaysIndices[0] !== BOOKED_PM) {
+        for (let idx = -1; idx > -daysCount; idx--) {
+            const date = getLeaveYearDate(year, idx);
+            const dateStr = toLocalISOString(date);
+            if (isNonWorkday(date)) {
+                block.totalDays++;
+            } else if (bookedDates.has(dateStr)) {
+                block.totalDays++;
+                adjacent.previous++;
+            } else if (halfDayBookings.get(dateStr) === 'pm') {
+                block.startIdx = idx;
+                block.totalDays += 0.5;
+                adjacent.previous += 0.5;
+                break;
+            } else {
+                break;
+            }
+            block.startIdx = idx;
+        }
+    }
+
+    const lastIdx = daysCount - 1;
+    if (block.endIdx === lastIdx && bookedDaysIndices[lastIdx] !== BOOKED_AM) {
+        for (let idx = daysCount; idx < daysCount * 2; idx++) {
+            const date = getLeaveYearDate(year, idx);
+            const dateStr = toLocalISOString(date);
+            if (isNonWorkday(date)) {
+                block.totalDays++;
+            } else if (bookedDates.has(dateStr)) {
+                block.totalDays++;
+                adjacent.next++;
+            } else if (halfDayBookings.get(dateStr) === 'am') {
+                block.endIdx = idx;
+                block.totalDays += 0.5;
+                adjacent.next += 0.5;
+                break;
+            } else {
+                break;
+            }
+            block.endIdx = idx;
+        }
+    }
+}
+
 /**
  * Renders the statistics section (days used, total days off).
  */
 function renderStats() {
-    const used = bookedDates.size;
+    const used = getUsedLeaveDays();
     const blocks = analyzeCurrentPlan();
     const totalOff = blocks.reduce((sum, b) => sum + b.totalDays, 0);
 
+    // Cross-year blocks also spend leave from the neighbouring leave years.
+    let previousYearDays = 0;
+    let nextYearDays = 0;
+    for (let i = 0; i < blocks.length; i++) {
+        previousYearDays += blocks[i].adjacentLeaveDays.previous;
+        nextYearDays += blocks[i].adjacentLeaveDays.next;
+    }
+    const splitParts = [];
+    if (previousYearDays > 0) splitParts.push(`+${previousYearDays} from ${getLeaveYearLabel(currentYear - 1)}`);
+    if (nextYearDays > 0) splitParts.push(`+${nextYearDays} from ${getLeaveYearLabel(currentYear + 1)}`);
+
+    const totalAllowance = getTotalAllowance();
+    const proRataEl = document.getElementById('allowance-pro-rata');
+    if (proRataEl) {
+        const proRated = getProRatedAllowance(currentYear, currentAllowance);
+        proRataEl.hidden = proRated === currentAllowance;
+        proRataEl.textContent = proRataEl.hidden ? '' : `Pro-rated: ${proRated}`;
+    }
     const usedEl = document.getElementById('days-used');
     usedEl.textContent = used;
 
-    if (used > currentAllowance) {
+    if (used > totalAllowance) {
         usedEl.classList.add('error');
         const iconSpan = document.createElement('span');
         iconSpan.setAttribute('aria-hidden', 'true');
@@ -2710,11 +6475,43 @@ function renderStats() {
 
     document.getElementById('days-off').textContent = totalOff;
 
+    const splitEl = document.getElementById('days-used-split');
+    if (splitEl) {
+        splitEl.textContent = splitParts.join(', ');
+        splitEl.hidden = splitParts.length === 0;
+    }
+    renderPoolUsage();
+
+    const bankHolidayEl = document.getElementById('bank-holiday-note');
+    if (bankHolidayEl) {
+        bankHolidayEl.hidden = !bankHolidaysInAllowance;
+        if (bankHolidaysInAllowance) {
+            const summary = getBankHolidaySummary(currentYear);
+            const count = summary.onWorkingDays;
+            let note = `Incl. ${count} bank ${count === 1 ? 'holiday' : 'holidays'} on working days`;
+            // Holidays on days you don't work leave more of the allowance for booking than
+            // the pro-rata share assumes; extra holidays on working days leave less.
+            if (summary.adjustment > 0) {
+                note += ` · +${summary.adjustment} for holidays on your days off`;
+            } else if (summary.adjustment < 0) {
+                note += ` · −${-summary.adjustment} vs your pro-rata share`;
+            }
+            bankHolidayEl.textContent = note;
+            bankHolidayEl.title = `Your allowance includes a pro-rata share of ${summary.proRataShare} of the ${summary.fullTime} weekday bank holidays.`;
+        }
+    }
+
     const announcer = document.getElementById('stats-announcer');
     if (announcer) {
-        let announcement = `Plan updated. You have used ${used} out of ${currentAllowance} allowance days, for a total of ${totalOff} days off.`;
-        if (used > currentAllowance) {
-            announcement += ` Warning: You have exceeded your allowance by ${used - currentAllowance} days.`;
+        let announcement = `Plan updated. You have used ${used} out of ${totalAllowance} allowance days, for a total of ${totalOff} days off.`;
+        if (splitParts.length > 0) {
+            announcement += ` Leave carried across the year boundary: ${splitParts.join(', ')}.`;
+        }
+        if (bankHolidaysInAllowance) {
+            announcement += ` This includes ${getBankHolidayDeduction(currentYear)} bank holidays on your working days.`;
+        }
+        if (used > totalAllowance) {
+            announcement += ` Warning: You have exceeded your allowance by ${used - totalAllowance} days.`;
         }
         if (announcer.textContent !== announcement) {
             announcer.textContent = announcement;
@@ -2741,6 +6538,12 @@ function renderInsights() {
     const yoySub = document.getElementById('yoy-sub');
     if (!yoyMain || !yoySub) return;
 
+    if (!ensureYearComparisonPlans(currentYear, currentAllowance)) {
+        yoyMain.textContent = 'Comparing with last year…';
+        yoySub.textContent = '';
+        return;
+    }
+
     const comparison = getYearComparison(currentYear, currentAllowance);
     if (!comparison || comparison.previousBest === 0) {
         yoyMain.textContent = 'Not enough data from last year to compare.';
@@ -2755,13 +6558,15 @@ function renderInsights() {
     }
 
     const percentText = Math.abs(comparison.deltaPercent).toFixed(1);
+    const currentLabel = getLeaveYearLabel(comparison.currentYear);
+    const previousLabel = getLeaveYearLabel(comparison.previousYear);
     let headline;
     if (comparison.direction === 'more') {
-        headline = `${comparison.currentYear} offers ${percentText}% more consecutive days off than ${comparison.previousYear}.`;
+        headline = `${currentLabel} offers ${percentText}% more consecutive days off than ${previousLabel}.`;
     } else if (comparison.direction === 'less') {
-        headline = `${comparison.currentYear} offers ${percentText}% fewer consecutive days off than ${comparison.previousYear}.`;
+        headline = `${currentLabel} offers ${percentText}% fewer consecutive days off than ${previousLabel}.`;
     } else {
-        headline = `${comparison.currentYear} is on par with ${comparison.previousYear} for longest breaks.`;
+        headline = `${currentLabel} is on par with ${previousLabel} for longest breaks.`;
     }
 
     yoyMain.textContent = headline;
@@ -2775,10 +6580,170 @@ function formatDate(date) {
     return date.getDate() + ' ' + MONTHS_SHORT[date.getMonth()];
 }
 
+/**
+ * Labels the optimizer's plan for the current settings as optimal or approximate.
+ */
+function renderPlanOptimality() {
+    const badge = document.getElementById('plan-optimality');
+    if (!badge) return;
+    const optimality = getPlanOptimality(currentYear, currentAllowance);
+    badge.hidden = !optimality;
+    if (!optimality) return;
+
+    badge.classList.toggle('approximate', !optimality.optimal);
+    if (optimality.optimal) {
+        badge.textContent = 'Optimal';
+        badge.title = 'No plan scores better for this goal.';
+    } else if (optimality.gap === null) {
+        badge.textContent = 'Approximate';
+        badge.title = 'A plan using more of the allowance may exist.';
+    } else {
+        const percent = Math.max(0.1, optimality.gap * 100).toFixed(1);
+        badge.textContent = `Approximate · within ${percent}%`;
+        badge.title = `At most ${percent}% below the best possible plan for this goal.`;
+    }
+}
+
+/**
+ * Explains a plan block: the holidays and weekends it bridges, the best other break costing
+ * the same leave that fits around the rest of the plan, and what removing the block would cost.
+ * @param {Object} block A block from analyzeCurrentPlan.
+ * @param {Array<Object>} planBlocks Every block of the current plan.
+ * @param {Array<Object>} candidates Candidate blocks for the current year (see generateAllCandidates).
+ * @returns {{holidays: Array<{date: Date, name: string}>, weekends: number, alternative: ?Object, gain: ?number,
+ *   removal: {daysOff: number, leaveDays: number, share: number}}}
+ */
+function explainPlanBlock(block, planBlocks, candidates) {
+    const holidays = [];
+    let weekends = 0;
+    let inWeekend = false;
+    for (let date = block.startDate; date <= block.endDate; date = addDays(date, 1)) {
+        const type = getDayType(date);
+        if (type === 'holiday') holidays.push({ date, name: getHolidayName(date) });
+        // Each run of non-working days counts as one weekend.
+        if (type === 'weekend' && !inWeekend) weekends++;
+        inWeekend = type === 'weekend';
+    }
+
+    const adjacent = block.adjacentLeaveDays;
+    const leaveDays = block.leaveDays + adjacent.previous + adjacent.next;
+    const getIndex = date => getLeaveYearIndexFromISO(currentYear, toLocalISOString(date));
+    const startIdx = getIndex(block.startDate);
+    const endIdx = getIndex(block.endDate);
+    // Other blocks stay booked, so an alternative must not touch them (touching would merge).
+    const others = planBlocks
+        .filter(other => other !== block)
+        .map(other => [getIndex(other.startDate) - 1, getIndex(other.endDate) + 1]);
+
+    // Candidates are compared on the same footing as the block: all of their leave, including
+    // days from a neighbouring leave year, and all of their days off.
+    const types = dayTypeCache.get(currentYear).types;
+    const isFreeWorkday = idx => idx >= 0 && idx < types.length && types[idx] === 'workday' &&
+        !getBlackoutRange(toLocalISOString(getLeaveYearDate(currentYear, idx)));
+    const halfDayBlock = !Number.isInteger(leaveDays);
+
+    let alternative = null;
+    for (let i = 0; i < candidates.length; i++) {
+        const c = candidates[i];
+        let candidateLeave = c.leaveDaysUsed + (c.adjacentLeaveDays || 0);
+        let candidateStart = c.startIdx;
+        let candidateEnd = c.endIdx;
+        let candidateDaysOff = c.totalDaysOff;
+        let displayStart = c.displayStartIdx;
+        let displayEnd = c.displayEndIdx;
+        // A block with a half day is matched by a whole-day break plus a half day next to it.
+        if (halfDayBlock && !c.halfDay && candidateLeave === leaveDays - 0.5) {
+            if (isFreeWorkday(c.endIdx + 1)) {
+                candidateEnd = displayEnd = c.endIdx + 1;
+            } else if (isFreeWorkday(c.startIdx - 1)) {
+                candidateStart = displayStart = c.startIdx - 1;
+            } else {
+                continue;
+            }
+            candidateLeave += 0.5;
+            candidateDaysOff += 0.5;
+        }
+        if (candidateLeave !== leaveDays || (candidateStart === startIdx && candidateEnd === endIdx)) continue;
+        if (alternative && candidateDaysOff <= alternative.totalDays) continue;
+        let clashes = false;
+        for (let j = 0; j < others.length && !clashes; j++) {
+            clashes = candidateStart <= others[j][1] && candidateEnd >= others[j][0];
+        }
+        if (!clashes) alternative = { displayStart, displayEnd, totalDays: candidateDaysOff };
+    }
+
+    const planDaysOff = planBlocks.reduce((sum, b) => sum + b.totalDays, 0);
+    return {
+        holidays,
+        weekends,
+        alternative: alternative && {
+            startDate: getLeaveYearDate(currentYear, alternative.displayStart),
+            endDate: getLeaveYearDate(currentYear, alternative.displayEnd),
+            totalDays: alternative.totalDays
+        },
+        gain: alternative ? block.totalDays - alternative.totalDays : null,
+        removal: {
+            daysOff: block.totalDays,
+            leaveDays,
+            share: planDaysOff > 0 ? block.totalDays / planDaysOff : 0
+        }
+    };
+}
+
+/**
+ * Builds the collapsible "Why this break?" section of a recommendation card.
+ */
+function createBlockExplanation(explanation) {
+    const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const section = document.createElement('details');
+    section.className = 'rec-explain';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Why this break?';
+    section.appendChild(summary);
+
+    const list = document.createElement('ul');
+    const addLine = (text) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    };
+
+    const bridged = explanation.holidays.map(holiday => `${holiday.name} (${formatDate(holiday.date)})`);
+    if (explanation.weekends > 0) bridged.push(pluralize(explanation.weekends, 'weekend'));
+    if (bridged.length === 0) {
+        addLine('Bridges no weekends or holidays.');
+    } else {
+        const last = bridged.pop();
+        addLine(`Bridges ${bridged.length > 0 ? `${bridged.join(', ')} and ${last}` : last}.`);
+    }
+
+    const leaveText = pluralize(explanation.removal.leaveDays, 'leave day');
+    const alternative = explanation.alternative;
+    if (!alternative) {
+        addLine(`No other break using ${leaveText} fits around the rest of the plan.`);
+    } else {
+        const range = `${formatDate(alternative.startDate)} - ${formatDate(alternative.endDate)}`;
+        if (explanation.gain > 0) {
+            addLine(`+${pluralize(explanation.gain, 'day')} off over the next best option, ${range} (${alternative.totalDays} days off).`);
+        } else if (explanation.gain === 0) {
+            addLine(`Ties with ${range}, which also gives ${alternative.totalDays} days off.`);
+        } else {
+            addLine(`${range} would give ${pluralize(-explanation.gain, 'more day')} off for the same leave.`);
+        }
+    }
+
+    const percent = Math.round(explanation.removal.share * 100);
+    addLine(`Without it: −${pluralize(explanation.removal.daysOff, 'day')} off (${percent}% of the plan) and ${leaveText} unspent.`);
+
+    section.appendChild(list);
+    return section;
+}
+
 /**
  * Renders the top 3 recommendation cards based on the current plan.
  */
 function renderRecommendations() {
+    renderPlanOptimality();
     const container = document.getElementById('recommendations');
     container.textContent = '';
 
@@ -2818,16 +6783,38 @@ function renderRecommendations() {
         return;
     }
 
+    // One candidate pool, sized for the largest card, serves every explanation.
+    let maxLeaveDays = 0;
+    let hasHalfDays = false;
+    top3.forEach(block => {
+        const leave = block.leaveDays + block.adjacentLeaveDays.previous + block.adjacentLeaveDays.next;
+        maxLeaveDays = Math.max(maxLeaveDays, Math.ceil(leave));
+        hasHalfDays = hasHalfDays || !Number.isInteger(leave);
+    });
+    const candidates = generateAllCandidates(currentYear, Math.max(1, maxLeaveDays), {
+        crossYear: crossYearPlanning,
+        halfDays: hasHalfDays,
+        // Locked days belong to their blocks here rather than being fixed days off.
+        lockedDates: new Set()
+    });
+    const monthlyLeave = leavePolicy.maxPerMonth > 0 ? getMonthlyLeaveDays() : null;
+
     top3.forEach((block, index) => {
         const card = document.createElement('div');
         card.className = 'rec-card';
 
-        const efficiency = block.leaveDays > 0 ? (block.totalDays / block.leaveDays).toFixed(1) : '∞';
+        const adjacent = block.adjacentLeaveDays;
+        const leaveDays = block.leaveDays + adjacent.previous + adjacent.next;
+        const efficiency = leaveDays > 0 ? (block.totalDays / leaveDays).toFixed(1) : '∞';
 
         const badge = document.createElement('div');
         badge.className = 'rec-badge';
         badge.textContent = `Break ${index + 1}`;
 
+        const objective = document.createElement('div');
+        objective.className = 'rec-objective';
+        objective.textContent = `Goal: ${PLAN_OBJECTIVES[currentObjective].label}`;
+
         const dates = document.createElement('div');
         dates.className = 'rec-dates';
         dates.textContent = `${formatDate(block.startDate)} - ${formatDate(block.endDate)}`;
@@ -2839,7 +6826,7 @@ function renderRecommendations() {
         leaveDaysItem.className = 'detail-item';
         const leaveDaysNum = document.createElement('span');
         leaveDaysNum.className = 'detail-num';
-        leaveDaysNum.textContent = block.leaveDays;
+        leaveDaysNum.textContent = leaveDays;
         const leaveDaysText = document.createElement('span');
         leaveDaysText.className = 'detail-text';
         leaveDaysText.textContent = 'Leave Days';
@@ -2873,9 +6860,32 @@ function renderRecommendations() {
         details.appendChild(efficiencyItem);
 
         card.appendChild(badge);
+        card.appendChild(objective);
         card.appendChild(dates);
         card.appendChild(details);
 
+        if (leaveDays !== block.leaveDays) {
+            // Say which leave year's allowance each part of a cross-year break comes from.
+            const splitParts = [];
+            if (adjacent.previous > 0) splitParts.push(`${adjacent.previous} from ${getLeaveYearLabel(currentYear - 1)}`);
+            if (block.leaveDays > 0) splitParts.push(`${block.leaveDays} from ${getLeaveYearLabel(currentYear)}`);
+            if (adjacent.next > 0) splitParts.push(`${adjacent.next} from ${getLeaveYearLabel(currentYear + 1)}`);
+            const split = document.createElement('div');
+            split.className = 'rec-year-split';
+            split.textContent = `Allowance: ${splitParts.join(' + ')}`;
+            card.appendChild(split);
+        }
+
+        const policyIssues = getLeavePolicyIssues(block, monthlyLeave);
+        if (policyIssues.length > 0) {
+            card.classList.add('over-policy');
+            const policyNote = document.createElement('div');
+            policyNote.className = 'rec-policy';
+            policyNote.textContent = `Over leave policy: ${policyIssues.join('; ')}`;
+            card.appendChild(policyNote);
+        }
+
+        card.appendChild(createBlockExplanation(explainPlanBlock(block, blocks, candidates)));
         container.appendChild(card);
     });
 }
@@ -2890,6 +6900,7 @@ let todayCache = new Date();
 let todayYear = todayCache.getFullYear();
 let todayMonth = todayCache.getMonth();
 let todayDate = todayCache.getDate();
+let todayISO = toLocalISOString(todayCache);
 
 /**
  * Updates the visual state of a day element.
@@ -2897,7 +6908,8 @@ let todayDate = todayCache.getDate();
  */
 function updateDayNode(el, date, dateStr = null) {
     const dStr = dateStr || toLocalISOString(date);
-    const isBooked = bookedDates.has(dStr);
+    const halfDay = halfDayBookings.get(dStr);
+    const isBooked = halfDay !== undefined || bookedDates.has(dStr);
 
     // Bolt Optimization: Construct full class string to avoid layout thrashing
     // from multiple el.classList.add() calls. ~3x faster rendering.
@@ -2907,13 +6919,20 @@ function updateDayNode(el, date, dateStr = null) {
     if (type === 'weekend') cls += ' weekend';
 
     let tooltipTitle = '';
+    // Bolt Optimization: Skip the range scan when no blackouts are set
+    const blackout = blackoutRanges.length > 0 ? getBlackoutRange(dStr) : null;
+    const isLocked = lockedDates.size > 0 && lockedDates.has(dStr);
+    const isOutsideEmployment = !isEmployedOn(dStr);
+    // String comparison works for ISO dates.
+    const isPast = remainingYearOnly && dStr < todayISO;
 
     let holidayName = null;
     // ⚡ Bolt Optimization: Gate getHolidayName behind type check to avoid Map lookup for the ~350 non-holidays per year
     if (type === 'holiday') {
         holidayName = getHolidayName(date, dStr);
         cls += ' holiday';
-        tooltipTitle = holidayName;
+        const holidayType = getHolidayTypeLabel(date, dStr);
+        tooltipTitle = holidayType ? `${holidayName} • ${holidayType}` : holidayName;
     }
 
     if (holidayName) {
@@ -2927,19 +6946,28 @@ function updateDayNode(el, date, dateStr = null) {
     }
 
     if (type === 'workday') {
-        const insight = getDayInsight(date, dStr);
+        // Past days can't be booked any more in remaining-year mode, so they get no heatmap.
+        const insight = isPast && !isBooked ? null : getDayInsight(date, dStr);
         if (insight) {
             const tier = getEfficiencyTier(insight.efficiency);
             cls += ` heat-${tier}`;
             if (insight.bridge) cls += ' bridge';
 
             if (tooltipTitle !== '') tooltipTitle += ' • ';
+            if (halfDay) {
+                tooltipTitle += `${HALF_DAY_PERIODS[halfDay].label} off (half day) • `;
+            }
             if (isBooked) {
                 tooltipTitle += `${insight.efficiency.toFixed(1)}x in current plan`;
             } else {
                 tooltipTitle += `${insight.efficiency.toFixed(1)}x if booked`;
             }
             if (insight.bridge) tooltipTitle += ' • Bridge day';
+            // Bolt Optimization: Skip the pool lookup while no day is booked from a pool
+            if (isBooked && bookedPools.size > 0 && bookedPools.has(dStr)) {
+                const pool = getLeavePool(bookedPools.get(dStr));
+                if (pool) tooltipTitle += ` • ${pool.name}`;
+            }
 
             // Bolt Optimization: Only update dataset properties if they changed
             const effStr = insight.efficiency.toFixed(1);
@@ -2959,7 +6987,12 @@ function updateDayNode(el, date, dateStr = null) {
 
         // Bolt Optimization: Manual array lookup and string concat is ~13-25x faster than Intl.DateTimeFormat in this hot loop
         const dateLabel = WEEKDAYS[date.getDay()] + ' ' + date.getDate() + ' ' + MONTHS[date.getMonth()];
-        const statusLabel = isBooked ? 'Booked' : 'Available';
+        let statusLabel = isBooked ? 'Booked' : 'Available';
+        if (halfDay) statusLabel = `Booked ${HALF_DAY_PERIODS[halfDay].label.toLowerCase()} half day`;
+        if (isLocked) statusLabel = 'Locked leave';
+        if (isOutsideEmployment) statusLabel += ', Outside employment';
+        if (isPast) statusLabel += isBooked ? ', Taken' : ', Past';
+        if (blackout) statusLabel += ', Blackout';
         let efficiencyLabel = '';
         if (insight) {
              efficiencyLabel = `, ${insight.efficiency.toFixed(1)}x efficiency`;
@@ -2980,6 +7013,7 @@ function updateDayNode(el, date, dateStr = null) {
         if (holidayName) {
              statusLabel = `Holiday: ${holidayName}`;
         }
+        if (blackout) statusLabel += ', Blackout';
         const fullLabel = `${dateLabel}, ${statusLabel}`;
         if (el.getAttribute('aria-label') !== fullLabel) {
             el.setAttribute('aria-label', fullLabel);
@@ -3006,9 +7040,28 @@ function updateDayNode(el, date, dateStr = null) {
         }
     }
 
-    if (isBooked) {
+    if (halfDay) {
+        cls += ' leave-half leave-' + halfDay;
+    } else if (isBooked) {
         cls += ' leave';
     }
+    if (isLocked) {
+        cls += ' locked';
+        tooltipTitle = tooltipTitle !== '' ? 'Locked • ' + tooltipTitle : 'Locked';
+    }
+    if (blackout) {
+        cls += ' blackout';
+        tooltipTitle = tooltipTitle !== '' ? 'Blackout • ' + tooltipTitle : 'Blackout';
+    }
+    if (isOutsideEmployment) {
+        cls += ' outside-employment';
+        tooltipTitle = tooltipTitle !== '' ? 'Not employed • ' + tooltipTitle : 'Not employed';
+    }
+    if (isPast) {
+        cls += ' past';
+    } else if (remainingYearOnly && isToday) {
+        cls += ' plan-start';
+    }
 
     // Apply class string once
     if (el.className !== cls) {
@@ -3029,29 +7082,123 @@ function updateDayNode(el, date, dateStr = null) {
 
 /**
  * Toggles a date booking.
+ * A full-day click books or unbooks the whole day; an AM/PM click books that half,
+ * or unbooks it when the same half is already booked. 'lock' and 'blackout' toggle the
+ * planning constraints instead. Locked days and blackout periods can't be booked directly.
+ * @param {string} dateStr The date (YYYY-MM-DD) to toggle.
+ * @param {'full'|'am'|'pm'|'lock'|'blackout'} [mode=currentBookingMode] What the click does.
  */
-function toggleDateBooking(dateStr) {
-    const prevCount = bookedDates.size;
-    if (bookedDates.has(dateStr)) {
+function toggleDateBooking(dateStr, mode = currentBookingMode) {
+    if (mode === 'lock') {
+        toggleLockedDate(dateStr);
+        return;
+    }
+    if (mode === 'blackout') {
+        toggleBlackoutDate(dateStr);
+        return;
+    }
+    if (lockedDates.has(dateStr)) {
+        showToast('This day is locked. Switch "Book As" to "Locked day" to unlock it.', 'info');
+        return;
+    }
+
+    const prevCount = getUsedLeaveDays();
+    const isHalfMode = isHalfDayPeriod(mode);
+    const isAlreadyBooked = isHalfMode
+        ? halfDayBookings.get(dateStr) === mode
+        : bookedDates.has(dateStr);
+    if (!isAlreadyBooked && !isEmployedOn(dateStr)) {
+        showToast('This day is outside your employment dates and cannot be booked.', 'error');
+        return;
+    }
+    if (!isAlreadyBooked && getBlackoutRange(dateStr)) {
+        showToast('Leave cannot be booked during a blackout period.', 'error');
+        return;
+    }
+    const pool = getLeavePool(currentBookingPool) || getLeavePool(ANNUAL_LEAVE_POOL_ID);
+    if (!isAlreadyBooked && pool.singleDaysOnly && (isHalfMode || !isStandaloneLeaveDay(dateStr))) {
+        showToast(`${pool.name} can only be taken as single full days, away from other leave.`, 'error');
+        return;
+    }
+    const neighbouringPool = isAlreadyBooked || bookedDates.has(dateStr) || halfDayBookings.has(dateStr)
+        ? null
+        : getNeighbouringSingleDayPool(dateStr);
+    if (neighbouringPool) {
+        showToast(`${neighbouringPool.name} can only be taken as single full days, away from other leave.`, 'error');
+        return;
+    }
+
+    const previousBooking = {
+        full: bookedDates.has(dateStr),
+        half: halfDayBookings.get(dateStr),
+        pool: bookedPools.get(dateStr)
+    };
+    if (isAlreadyBooked) {
         bookedDates.delete(dateStr);
+        halfDayBookings.delete(dateStr);
+        bookedPools.delete(dateStr);
     } else {
-        if (bookedDates.size >= MAX_BOOKED_DATES) {
+        const isBookedInOtherMode = bookedDates.has(dateStr) || halfDayBookings.has(dateStr);
+        if (!isBookedInOtherMode && bookedDates.size + halfDayBookings.size >= MAX_BOOKED_DATES) {
             showToast(`Maximum limit of ${MAX_BOOKED_DATES} booked dates reached.`, 'error');
             return;
         }
-        bookedDates.add(dateStr);
-    }
-    const newCount = bookedDates.size;
+        if (isHalfMode) {
+            bookedDates.delete(dateStr);
+            halfDayBookings.set(dateStr, mode);
+        } else {
+            halfDayBookings.delete(dateStr);
+            bookedDates.add(dateStr);
+        }
+        if (pool.id === ANNUAL_LEAVE_POOL_ID) {
+            bookedPools.delete(dateStr);
+        } else {
+            bookedPools.set(dateStr, pool.id);
+        }
 
-    if (prevCount < currentAllowance && newCount === currentAllowance) {
-        showToast(`Perfect! You've used all ${currentAllowance} days of your allowance.`, 'success');
-    } else if (prevCount <= currentAllowance && newCount > currentAllowance) {
-        showToast(`Note: You've exceeded your allowance (${newCount}/${currentAllowance}).`, 'info');
+        // With accrual, leave can't be taken before enough of it has been credited.
+        const balance = accrual ? getAccrualBalance(currentYear) : null;
+        const shortfallIdx = balance ? findAccrualShortfall(balance) : -1;
+        if (shortfallIdx !== -1) {
+            bookedDates.delete(dateStr);
+            halfDayBookings.delete(dateStr);
+            bookedPools.delete(dateStr);
+            if (previousBooking.full) bookedDates.add(dateStr);
+            if (previousBooking.half) halfDayBookings.set(dateStr, previousBooking.half);
+            if (previousBooking.pool) bookedPools.set(dateStr, previousBooking.pool);
+            const shortfallDate = formatDate(getLeaveYearDate(currentYear, shortfallIdx));
+            showToast(`Not enough leave accrued: your balance would fall to ${formatAccrualDays(balance[shortfallIdx])} on ${shortfallDate}.`, 'error');
+            return;
+        }
+    }
+    const newCount = getUsedLeaveDays();
+    const totalAllowance = getTotalAllowance();
+
+    if (prevCount < totalAllowance && newCount === totalAllowance) {
+        showToast(`Perfect! You've used all ${totalAllowance} days of your allowance.`, 'success');
+    } else if (prevCount <= totalAllowance && newCount > totalAllowance) {
+        showToast(`Note: You've exceeded your allowance (${newCount}/${totalAllowance}).`, 'info');
+    } else if (!isAlreadyBooked && leavePools.length > 0) {
+        const poolUsed = getPoolLeaveDays(currentYear)[pool.id];
+        if (poolUsed > pool.days) {
+            showToast(`Note: You've used more ${pool.name} than you have (${poolUsed}/${pool.days}).`, 'info');
+        }
     }
 
     // Bolt Optimization: Only invalidate caches affected by bookedDates
     // instead of triggering a full recalculation of year over year comparisons
     invalidateBookedDaysCaches();
+
+    // Over-policy leave is allowed (it may be approved), but say so.
+    if (!isAlreadyBooked && (leavePolicy.maxConsecutive > 0 || leavePolicy.maxPerMonth > 0)) {
+        const date = parseISODateString(dateStr);
+        const block = analyzeCurrentPlan().find(b => b.startDate <= date && date <= b.endDate);
+        const issues = block ? getLeavePolicyIssues(block) : [];
+        if (issues.length > 0) {
+            showToast(`Over your leave policy: ${issues.join(' and ')}. This may need approval.`, 'info');
+        }
+    }
+
     updateUI();
     saveState();
 }
@@ -3063,7 +7210,8 @@ function handleDayClick(e) {
     const dateStr = e.currentTarget.dataset.date;
     const dateObj = e.currentTarget._dateObj || parseISODateString(dateStr);
     if (dateStr) {
-        if (getDayType(dateObj, dateStr) === 'workday') {
+        // Blackouts may cover weekends and holidays too.
+        if (currentBookingMode === 'blackout' || getDayType(dateObj, dateStr) === 'workday') {
             toggleDateBooking(dateStr);
         } else if (e.currentTarget.title) {
             showToast(e.currentTarget.title, 'info');
@@ -3080,7 +7228,7 @@ function handleDayKeyDown(e) {
         const dateStr = e.currentTarget.dataset.date;
         const dateObj = e.currentTarget._dateObj || parseISODateString(dateStr);
         if (dateStr) {
-            if (getDayType(dateObj, dateStr) === 'workday') {
+            if (currentBookingMode === 'blackout' || getDayType(dateObj, dateStr) === 'workday') {
                 toggleDateBooking(dateStr);
             } else if (e.currentTarget.title) {
                 showToast(e.currentTarget.title, 'info');
@@ -3097,11 +7245,12 @@ function renderCalendar() {
     todayYear = todayCache.getFullYear();
     todayMonth = todayCache.getMonth();
     todayDate = todayCache.getDate();
+    todayISO = toLocalISOString(todayCache);
 
     // Bolt Optimization: Prevent DOM trashing.
     // Check if we are re-rendering the same year/region/holiday-state.
     const customCount = getCustomHolidaysForLocation(currentRegion).length;
-    const renderKey = `${currentYear}-${currentRegion}-${currentWeekendPattern}-${customCount}`;
+    const renderKey = `${currentYear}-${leaveYearStartMonth}-${leaveYearStartDay}-${currentRegion}-${currentScheduleKey}-${customCount}`;
     const isUpdate = container.getAttribute('data-render-key') === renderKey && container.children.length > 0;
 
     if (isUpdate) {
@@ -3127,18 +7276,25 @@ function renderCalendar() {
 
     const fragment = document.createDocumentFragment();
 
-    const months = [
-        "January", "February", "March", "April", "May", "June",
-        "July", "August", "September", "October", "November", "December"
-    ];
+    // The leave year runs for twelve months from its start date; when it starts mid-month,
+    // a thirteenth month is shown so the final days are visible, and days outside the
+    // leave year are rendered as inactive padding.
+    const windowStartDay = getEpochDay(currentYear, leaveYearStartMonth, leaveYearStartDay);
+    const windowEndDay = windowStartDay + getLeaveYearLength(currentYear) - 1;
+    const monthCount = leaveYearStartDay === 1 ? 12 : 13;
+    const showYearInTitle = !isCalendarLeaveYear();
+
+    for (let monthOffset = 0; monthOffset < monthCount; monthOffset++) {
+        const monthStart = new Date(currentYear, leaveYearStartMonth + monthOffset, 1);
+        const monthYear = monthStart.getFullYear();
+        const monthIndex = monthStart.getMonth();
 
-    months.forEach((monthName, monthIndex) => {
         const monthDiv = document.createElement('div');
         monthDiv.className = 'month';
 
         const title = document.createElement('div');
         title.className = 'month-name';
-        title.textContent = monthName;
+        title.textContent = showYearInTitle ? `${MONTHS[monthIndex]} ${monthYear}` : MONTHS[monthIndex];
         monthDiv.appendChild(title);
 
         const grid = document.createElement('div');
@@ -3163,8 +7319,8 @@ function renderCalendar() {
             grid.appendChild(h);
         });
 
-        const daysInMonth = new Date(currentYear, monthIndex + 1, 0).getDate();
-        const firstDay = new Date(currentYear, monthIndex, 1).getDay();
+        const daysInMonth = new Date(monthYear, monthIndex + 1, 0).getDate();
+        const firstDay = monthStart.getDay();
 
         for (let i = 0; i < firstDay; i++) {
             const emptyDiv = document.createElement('div');
@@ -3173,7 +7329,17 @@ function renderCalendar() {
         }
 
         for (let d = 1; d <= daysInMonth; d++) {
-            const date = new Date(currentYear, monthIndex, d);
+            const epochDay = getEpochDay(monthYear, monthIndex, d);
+            if (epochDay < windowStartDay || epochDay > windowEndDay) {
+                const outsideDiv = document.createElement('div');
+                outsideDiv.className = 'day outside-leave-year';
+                outsideDiv.setAttribute('aria-hidden', 'true');
+                outsideDiv.textContent = d;
+                grid.appendChild(outsideDiv);
+                continue;
+            }
+
+            const date = new Date(monthYear, monthIndex, d);
             const dateStr = toLocalISOString(date);
 
             const el = document.createElement('div');
@@ -3198,7 +7364,7 @@ function renderCalendar() {
 
         monthDiv.appendChild(grid);
         fragment.appendChild(monthDiv);
-    });
+    }
 
     container.appendChild(fragment);
 }
@@ -3240,13 +7406,23 @@ if (typeof window !== 'undefined' && typeof document !== 'undefined') {
     }
 }
 
+// Optimizer worker entry point: the worker loads this same script (see runOptimizer).
+if (typeof window === 'undefined' && typeof self !== 'undefined' && typeof importScripts === 'function') {
+    self.onmessage = (event) => {
+        const response = handleOptimizerMessage(event.data);
+        if (response) self.postMessage(response);
+    };
+}
+
 // --- EXPORTS FOR TESTING ---
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         REGIONS,
         toLocalISOString,
         getEasterDate,
-        getUKHolidays,
+        getRuleHolidays,
+        getHolidaysForYear,
+        sanitizeHolidayOverrides,
         isWeekend,
         isHoliday,
         getHolidayName,
@@ -3269,10 +7445,65 @@ if (typeof module !== 'undefined' && module.exports) {
         LOCATION_METADATA,
         LOCATION_CONFIG,
         WEEKEND_PRESETS,
+        CUSTOM_WEEKEND_KEY,
+        ROTATION_WEEKEND_KEY,
+        getLeaveYearLabel,
+        getLeaveYearLength,
+        sanitizeLeaveYearStart,
+        exportToICS,
+        createRotationFromMask,
+        handleRotationDayChange,
+        handleRotationLengthChange,
+        getWeekendMaskFromDays,
+        normalizeWeekendSetting,
+        renderWorkSchedule,
+        handleWorkScheduleChange,
+        handleWeekendSelectChange,
+        sanitizeBlackoutRanges,
+        sanitizeBlockRules,
+        renderPlanningRules,
+        renderPreferences,
+        renderLeavePools,
+        addLeavePool,
+        removeLeavePool,
+        sanitizeLeavePools,
+        sanitizeBookedPools,
+        getPoolLeaveDays,
+        getBankHolidaySummary,
+        HOLIDAY_TYPE_CATEGORIES,
+        getHolidayTypeCategory,
+        sanitizeHolidayTypes,
+        sanitizeHolidayTypesMap,
+        getHolidayTypeCategoriesForYear,
+        renderHolidayTypeSettings,
+        handleHolidayTypeChange,
+        sanitizeLeavePolicy,
+        getLeavePolicyIssues,
+        handleLeavePolicyChange,
+        getAccruedLeave,
+        getProRatedAllowance,
+        getEmploymentWindow,
+        sanitizeEmployment,
+        handleEmploymentChange,
+        getAccrualBalance,
+        sanitizeAccrual,
+        handleAccrualChange,
+        renderAccrualChart,
+        getUsedLeaveDays,
+        setBookingPoolForTests: (id) => {
+            currentBookingPool = id;
+        },
+        handleMonthWeightChange,
+        addPreferenceRange,
+        removePreferenceRange,
+        sanitizeMonthWeights,
+        sanitizePreferenceRanges,
+        getPreferenceWeight,
+        resetToOptimal,
       
     
         // Helper to set state for testing
-        setTestState: (year, region, holidays, booked, weekendPattern, allowance) => {
+        setTestState: (year, region, holidays, booked, weekendPattern, allowance, halfDays) => {
             currentYear = year;
             currentRegion = region;
             if (typeof allowance === 'number') {
@@ -3282,18 +7513,84 @@ if (typeof module !== 'undefined' && module.exports) {
             if (holidays) {
                 customHolidaysByLocation[region] = holidays;
             }
-            currentWeekendPattern = Object.prototype.hasOwnProperty.call(WEEKEND_PRESETS, weekendPattern)
-                ? weekendPattern
-                : getDefaultWeekendForLocation(region);
-            weekendByLocation = { [region]: currentWeekendPattern };
+            weekendByLocation = {};
+            holidayTypesByLocation = {};
+            applyWeekendSetting(weekendPattern);
             if (booked) {
                 bookedDates = new Set(booked);
             } else {
                 bookedDates = new Set();
             }
+            halfDayBookings = new Map(Object.entries(halfDays || {}));
+            currentBookingMode = 'full';
+            crossYearPlanning = false;
+            remainingYearOnly = false;
+            bankHolidaysInAllowance = false;
+            accrual = null;
+            employment = sanitizeEmployment(null);
+            currentObjective = DEFAULT_PLAN_OBJECTIVE;
+            applyPlanConstraints([], [], null);
+            leavePolicy = sanitizeLeavePolicy(null);
+            applyPreferences(null, null);
+            applyLeavePools([], {});
+            applyLeaveYearStart(null);
+            clearHolidaysCache();
+            invalidateInsightCaches();
+        },
+        setLeaveYearStartForTests: (start) => {
+            applyLeaveYearStart(start);
+            invalidateInsightCaches();
+        },
+        setPlanConstraintsForTests: (locked, blackouts, rules) => {
+            applyPlanConstraints(locked || [], sanitizeBlackoutRanges(blackouts), sanitizeBlockRules(rules));
+            invalidateInsightCaches();
+        },
+        setLeavePolicyForTests: (policy) => {
+            leavePolicy = sanitizeLeavePolicy(policy);
+            invalidateInsightCaches();
+        },
+        setLeavePoolsForTests: (pools, booked) => {
+            const safePools = sanitizeLeavePools(pools);
+            applyLeavePools(safePools, sanitizeBookedPools(booked, safePools));
+            invalidateInsightCaches();
+        },
+        setPreferencesForTests: (months, ranges) => {
+            applyPreferences(sanitizeMonthWeights(months), sanitizePreferenceRanges(ranges));
+            invalidateInsightCaches();
+        },
+        setObjectiveForTests: (objective) => {
+            currentObjective = isValidPlanObjective(objective) ? objective : DEFAULT_PLAN_OBJECTIVE;
+        },
+        setEmploymentForTests: (value) => {
+            employment = sanitizeEmployment(value);
+            invalidateInsightCaches();
+        },
+        setAccrualForTests: (value) => {
+            accrual = sanitizeAccrual(value);
+            invalidateInsightCaches();
+        },
+        setBankHolidaysInAllowanceForTests: (enabled) => {
+            bankHolidaysInAllowance = Boolean(enabled);
+            invalidateInsightCaches();
+        },
+        setHolidayTypesForTests: (location, types) => {
+            const safeTypes = sanitizeHolidayTypes(types);
+            if (safeTypes) {
+                holidayTypesByLocation[location] = safeTypes;
+            } else {
+                delete holidayTypesByLocation[location];
+            }
             clearHolidaysCache();
             invalidateInsightCaches();
         },
+        setRemainingYearOnlyForTests: (enabled) => {
+            remainingYearOnly = Boolean(enabled);
+            invalidateInsightCaches();
+        },
+        setCrossYearPlanningForTests: (enabled) => {
+            crossYearPlanning = Boolean(enabled);
+            invalidateInsightCaches();
+        },
         setHolidayDatasetForTests: (dataset) => {
             holidayDataset = dataset;
             holidayDatasetFromCache = false;
@@ -3313,4 +7610,20 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports.generateAllCandidates = generateAllCandidates;
     module.exports.selectTopCandidates = selectTopCandidates;
     module.exports.findBestCombination = findBestCombination;
+    module.exports.findAlternativePlans = findAlternativePlans;
+    module.exports.getCombinationOptimality = getCombinationOptimality;
+    module.exports.getPlanOptimality = getPlanOptimality;
+    module.exports.getCombinationTableSize = getCombinationTableSize;
+    module.exports.EXACT_PLAN_MAX_DP_CELLS = EXACT_PLAN_MAX_DP_CELLS;
+    module.exports.renderRecommendations = renderRecommendations;
+    module.exports.explainPlanBlock = explainPlanBlock;
+    module.exports.findCompletionPlan = findCompletionPlan;
+    module.exports.completeCurrentPlan = completeCurrentPlan;
+    module.exports.createOptimizerSnapshot = createOptimizerSnapshot;
+    module.exports.handleOptimizerMessage = handleOptimizerMessage;
+    module.exports.runOptimizer = runOptimizer;
+    module.exports.cancelOptimizerRuns = cancelOptimizerRuns;
+    module.exports.stepAlternativePlan = stepAlternativePlan;
+    module.exports.applyAlternativePlan = applyAlternativePlan;
+    module.exports.renderPlanBrowser = renderPlanBrowser;
 }
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The page and the optimizer worker load the holiday rules as a classic script, so the
+// evaluator in lib/ is copied next to app.js in the static assets.
+const ASSETS = [
+    { from: path.join(__dirname, '..', 'lib', 'holiday_rules.js'), to: path.join(__dirname, '..', 'public', 'holiday_rules.js') }
+];
+
+ASSETS.forEach(({ from, to }) => {
+    fs.copyFileSync(from, to);
+    console.log(`Copied ${path.relative(process.cwd(), from)} to ${path.relative(process.cwd(), to)}`);
+});
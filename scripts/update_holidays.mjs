@@ -9,7 +9,7 @@ import {
     fetchCalendarificHolidays as fetchCalendarificHolidaysFromBuilder,
     fetchTallyfyHolidays as fetchTallyfyHolidaysFromBuilder
 } from '../lib/holiday_dataset_builder.mjs';
-import { normalizeCalendarific, normalizeTallyfy, mergeHolidayLists } from '../lib/holiday_utils.mjs';
+import { normalizeCalendarific, normalizeTallyfy, normalizeGovUk, mergeHolidayLists } from '../lib/holiday_utils.mjs';
 import {
     COUNTRY_LEVEL_DATASET_LOCATIONS,
     DATASET_LOCATIONS
@@ -180,5 +180,6 @@ export {
     buildHolidayDataset,
     normalizeCalendarific,
     normalizeTallyfy,
+    normalizeGovUk,
     mergeHolidayLists
 };
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setAccrualForTests,
+    sanitizeAccrual,
+    getAccruedLeave,
+    findBestCombination,
+    findOptimalPlan,
+    renderCalendar,
+    renderAccrualChart,
+    toggleDateBooking,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+const MONTHLY = { rate: 2.5, period: 'month', start: null, negativeLimit: 0 };
+
+// 2.5 days are credited on the last day of each month.
+function accruedBy(dateStr) {
+    const [, month, day] = dateStr.split('-').map(Number);
+    const lastDay = new Date(2025, month, 0).getDate();
+    return 2.5 * (day === lastDay ? month : month - 1);
+}
+
+describe('Leave accrual', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+            <div id="accrual-chart" hidden></div>
+            <p id="accrual-summary"></p>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('the sanitizer keeps valid models only', () => {
+        expect(sanitizeAccrual({ rate: 2.083, period: 'week', start: '2025-03-15', negativeLimit: 2.5 }))
+            .toEqual({ rate: 2.08, period: 'week', start: '2025-03-15', negativeLimit: 2.5 });
+        expect(sanitizeAccrual({ rate: 2, period: 'year', start: 'soon', negativeLimit: -1 }))
+            .toEqual({ rate: 2, period: 'month', start: null, negativeLimit: 0 });
+        expect(sanitizeAccrual({ rate: 0 })).toBeNull();
+        expect(sanitizeAccrual({ rate: '2' })).toBeNull();
+        expect(sanitizeAccrual(null)).toBeNull();
+    });
+
+    test('leave is credited at the end of each period from the start date', () => {
+        setAccrualForTests({ rate: 2, period: 'month', start: '2025-03-15' });
+        const accrued = getAccruedLeave(2025);
+        // 13 and 14 April 2025 are days 102 and 103 of the year.
+        expect(accrued[102]).toBe(0);
+        expect(accrued[103]).toBe(2);
+        expect(accrued[364]).toBe(18);
+
+        setAccrualForTests({ rate: 1, period: 'fortnight' });
+        expect(getAccruedLeave(2025)[12]).toBe(0);
+        expect(getAccruedLeave(2025)[13]).toBe(1);
+        expect(getAccruedLeave(2025)[364]).toBe(26);
+    });
+
+    test('findBestCombination skips blocks taken before their leave has accrued', () => {
+        const candidates = [
+            { startDate: 0, endDate: 4, leaveDaysUsed: 2, totalDaysOff: 5, segmentIndex: 0 },
+            { startDate: 10, endDate: 18, leaveDaysUsed: 2, totalDaysOff: 9, segmentIndex: 1 },
+            { startDate: 20, endDate: 23, leaveDaysUsed: 2, totalDaysOff: 4, segmentIndex: 2 }
+        ];
+        expect(findBestCombination(candidates, 4, 3).map(c => c.startDate)).toEqual([0, 10]);
+
+        // The second break only fits when at most one day has been taken before it.
+        const limited = candidates.map((c, i) => ({ ...c, accrualHeadroom: [5, 1, 10][i] }));
+        expect(findBestCombination(limited, 4, 3).map(c => c.startDate)).toEqual([10, 20]);
+        limited[1].accrualHeadroom = -1;
+        expect(findBestCombination(limited, 4, 3).map(c => c.startDate)).toEqual([0, 20]);
+    });
+
+    test('the optimal plan never books leave before it has accrued', () => {
+        setAccrualForTests(MONTHLY);
+        const booked = findOptimalPlan(2025, 25)
+            .flatMap(block => block.bookedDates.map(toLocalISOString))
+            .sort();
+
+        expect(booked).toHaveLength(25);
+        booked.forEach((dateStr, i) => {
+            expect(i + 1).toBeLessThanOrEqual(accruedBy(dateStr));
+        });
+    });
+
+    test('calendar bookings are refused once the balance would go too far below zero', () => {
+        setAccrualForTests({ ...MONTHLY, negativeLimit: 2 });
+        renderCalendar();
+
+        toggleDateBooking('2025-01-06');
+        toggleDateBooking('2025-01-07');
+        toggleDateBooking('2025-01-08');
+        expect(getCurrentState().bookedDates).toEqual(['2025-01-06', '2025-01-07']);
+        expect(document.getElementById('toast-container').textContent)
+            .toContain('Not enough leave accrued: your balance would fall to -3 days on 8 Jan.');
+
+        toggleDateBooking('2025-02-03');
+        expect(getCurrentState().bookedDates).toContain('2025-02-03');
+    });
+
+    test('the chart shows the balance at the end of each month', () => {
+        renderAccrualChart();
+        expect(document.getElementById('accrual-chart').hidden).toBe(true);
+
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-01-06', '2025-01-07'], 'sat-sun', 25);
+        setAccrualForTests({ ...MONTHLY, negativeLimit: 2 });
+        renderAccrualChart();
+
+        const bars = document.querySelectorAll('#accrual-chart .accrual-bar');
+        expect(bars).toHaveLength(12);
+        expect(bars[0].querySelector('.accrual-bar-value').textContent).toBe('0.5');
+        expect(bars[0].className).toContain('negative');
+        expect(bars[11].querySelector('.accrual-bar-value').textContent).toBe('28');
+        expect(bars[11].className).not.toContain('negative');
+        expect(document.getElementById('accrual-summary').textContent)
+            .toBe('Accrues 30 days this leave year. Lowest balance: -2 days on 7 Jan.');
+
+        setAccrualForTests(MONTHLY);
+        renderAccrualChart();
+        expect(document.getElementById('accrual-summary').textContent).toContain('Some leave is booked before it has been accrued.');
+    });
+
+    test('the model is persisted and shared', () => {
+        setAccrualForTests(MONTHLY);
+        expect(getCurrentState().accrual).toEqual(MONTHLY);
+
+        expect(decodePlanString(encodePlanString({ accrual: MONTHLY })).accrual).toEqual(MONTHLY);
+        expect(decodePlanString(encodePlanString({ accrual: { rate: -1 } })).accrual).toBeNull();
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    findOptimalPlan,
+    findAlternativePlans,
+    stepAlternativePlan,
+    applyAlternativePlan,
+    renderPlanBrowser,
+    getCurrentState
+} = require('../public/app.js');
+
+function blockKeys(plan) {
+    return plan.map(block => `${toLocalISOString(block.startDate)}:${block.leaveDaysUsed}`);
+}
+
+describe('Alternative plans', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+            <button id="prev-plan-btn"></button>
+            <div id="plan-browser-label"></div>
+            <button id="next-plan-btn"></button>
+            <div id="plan-browser-summary"></div>
+            <ul id="plan-browser-blocks"></ul>
+            <button id="apply-plan-btn"></button>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('the best plan comes first and every alternative differs by at least one block', () => {
+        const plans = findAlternativePlans(2025, 25);
+        expect(plans.length).toBeGreaterThan(1);
+        expect(blockKeys(plans[0])).toEqual(blockKeys(findOptimalPlan(2025, 25)));
+
+        const signatures = plans.map(plan => blockKeys(plan).join('|'));
+        expect(new Set(signatures).size).toBe(plans.length);
+        plans.forEach(plan => {
+            expect(plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(25);
+        });
+    });
+
+    test('stepping through the browser shows totals and applying books the plan', () => {
+        renderPlanBrowser();
+        expect(document.getElementById('apply-plan-btn').disabled).toBe(true);
+
+        stepAlternativePlan(1);
+        jest.runOnlyPendingTimers();
+
+        const plans = findAlternativePlans(2025, 25);
+        const plan = plans[1];
+        const daysOff = plan.reduce((sum, block) => sum + block.totalDaysOff, 0);
+        expect(document.getElementById('plan-browser-label').textContent).toBe(`Plan 2 of ${plans.length}`);
+        expect(document.getElementById('plan-browser-summary').textContent)
+            .toBe(`${daysOff} days off · ${(daysOff / 25).toFixed(1)}x efficiency`);
+        expect(document.querySelectorAll('#plan-browser-blocks li')).toHaveLength(plan.length);
+
+        stepAlternativePlan(-5);
+        expect(document.getElementById('plan-browser-label').textContent).toBe(`Plan 1 of ${plans.length} (best)`);
+        expect(document.getElementById('prev-plan-btn').disabled).toBe(true);
+
+        stepAlternativePlan(1);
+        applyAlternativePlan();
+        const booked = plan.flatMap(block => block.bookedDates.map(toLocalISOString)).sort();
+        expect(getCurrentState().bookedDates.slice().sort()).toEqual(booked);
+        expect(document.getElementById('days-used').textContent).toBe('25');
+        // Applying keeps the browser on the chosen plan.
+        expect(document.getElementById('plan-browser-label').textContent).toBe(`Plan 2 of ${plans.length}`);
+    });
+});
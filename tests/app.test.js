@@ -2,7 +2,7 @@ const {
     REGIONS,
     toLocalISOString,
     getEasterDate,
-    getUKHolidays,
+    getRuleHolidays,
     isWeekend,
     isHoliday,
     getHolidayName,
@@ -85,8 +85,8 @@ describe('Holiday Calculations', () => {
         expect(easter2024.getMonth()).toBe(2); // March
     });
 
-    test('getUKHolidays returns correct holidays for England & Wales 2023', () => {
-        const holidays = getUKHolidays(2023, REGIONS.ENGLAND_WALES);
+    test('getRuleHolidays returns correct holidays for England & Wales 2023', () => {
+        const holidays = getRuleHolidays(2023, REGIONS.ENGLAND_WALES);
         const holidayDates = holidays.map(h => h.date);
 
         // New Year's Day 2023 was Sunday, substitute is Monday Jan 2
@@ -114,8 +114,8 @@ describe('Holiday Calculations', () => {
         expect(holidayDates).toContain('2023-12-26');
     });
 
-    test('getUKHolidays handles Scotland holidays correctly', () => {
-        const holidays = getUKHolidays(2023, REGIONS.SCOTLAND);
+    test('getRuleHolidays handles Scotland holidays correctly', () => {
+        const holidays = getRuleHolidays(2023, REGIONS.SCOTLAND);
         const holidayDates = holidays.map(h => h.date);
 
         // Jan 2nd is a holiday in Scotland
@@ -129,10 +129,10 @@ describe('Holiday Calculations', () => {
         expect(holidayDates).not.toContain('2023-04-10');
     });
 
-    test('getUKHolidays handles Scotland Jan 2nd weekend edge cases', () => {
+    test('getRuleHolidays handles Scotland Jan 2nd weekend edge cases', () => {
         // 2021: Jan 1 Fri, Jan 2 Sat.
         // Jan 2 Sat -> Substitute Mon Jan 4.
-        const holidays2021 = getUKHolidays(2021, REGIONS.SCOTLAND);
+        const holidays2021 = getRuleHolidays(2021, REGIONS.SCOTLAND);
         const dates2021 = holidays2021.map(h => h.date);
         expect(dates2021).toContain('2021-01-01'); // New Year's Day
         expect(dates2021).toContain('2021-01-04'); // 2nd January (Substitute)
@@ -142,7 +142,7 @@ describe('Holiday Calculations', () => {
         // 2022: Jan 1 Sat, Jan 2 Sun.
         // Jan 1 Sat -> Substitute Mon Jan 3.
         // Jan 2 Sun -> Substitute Tue Jan 4.
-        const holidays2022 = getUKHolidays(2022, REGIONS.SCOTLAND);
+        const holidays2022 = getRuleHolidays(2022, REGIONS.SCOTLAND);
         const dates2022 = holidays2022.map(h => h.date);
         expect(dates2022).toContain('2022-01-03'); // New Year's Day (Substitute)
         expect(dates2022).toContain('2022-01-04'); // 2nd January (Substitute)
@@ -152,14 +152,14 @@ describe('Holiday Calculations', () => {
         // 2023: Jan 1 Sun, Jan 2 Mon.
         // Jan 1 Sun -> Substitute Mon Jan 2.
         // Jan 2 Mon -> Substitute Tue Jan 3.
-        const holidays2023 = getUKHolidays(2023, REGIONS.SCOTLAND);
+        const holidays2023 = getRuleHolidays(2023, REGIONS.SCOTLAND);
         const dates2023 = holidays2023.map(h => h.date);
         expect(dates2023).toContain('2023-01-02'); // New Year's Day (Substitute)
         expect(dates2023).toContain('2023-01-03'); // 2nd January (Substitute)
     });
 
-    test('getUKHolidays handles Northern Ireland holidays correctly', () => {
-        const holidays = getUKHolidays(2023, REGIONS.NORTHERN_IRELAND);
+    test('getRuleHolidays handles Northern Ireland holidays correctly', () => {
+        const holidays = getRuleHolidays(2023, REGIONS.NORTHERN_IRELAND);
         const holidayDates = holidays.map(h => h.date);
 
         // St Patrick's Day (Mar 17)
@@ -169,15 +169,15 @@ describe('Holiday Calculations', () => {
         expect(holidayDates).toContain('2023-07-12');
     });
 
-    test('getUKHolidays substitutes St Patrick\'s Day on weekends in NI', () => {
+    test('getRuleHolidays substitutes St Patrick\'s Day on weekends in NI', () => {
         // 2024: Mar 17 is Sunday -> Substitute is Mon Mar 18
-        const holidays2024 = getUKHolidays(2024, REGIONS.NORTHERN_IRELAND);
+        const holidays2024 = getRuleHolidays(2024, REGIONS.NORTHERN_IRELAND);
         const dates2024 = holidays2024.map(h => h.date);
         expect(dates2024).toContain('2024-03-18');
         expect(dates2024).not.toContain('2024-03-17');
 
         // 2029: Mar 17 is Saturday -> Substitute is Mon Mar 19
-        const holidays2029 = getUKHolidays(2029, REGIONS.NORTHERN_IRELAND);
+        const holidays2029 = getRuleHolidays(2029, REGIONS.NORTHERN_IRELAND);
         const dates2029 = holidays2029.map(h => h.date);
         expect(dates2029).toContain('2029-03-19');
         expect(dates2029).not.toContain('2029-03-17');
@@ -187,7 +187,7 @@ describe('Holiday Calculations', () => {
         // 2021: Xmas (Sat), Boxing (Sun).
         // Xmas Sub -> Mon Dec 27.
         // Boxing Sub -> Tue Dec 28.
-        const holidays2021 = getUKHolidays(2021, REGIONS.ENGLAND_WALES);
+        const holidays2021 = getRuleHolidays(2021, REGIONS.ENGLAND_WALES);
         const dates2021 = holidays2021.map(h => h.date);
 
         expect(dates2021).toContain('2021-12-27'); // Xmas Sub
@@ -196,7 +196,7 @@ describe('Holiday Calculations', () => {
         // 2022: Xmas (Sun), Boxing (Mon).
         // Xmas Sub -> Tue Dec 27.
         // Boxing Day -> Mon Dec 26.
-        const holidays2022 = getUKHolidays(2022, REGIONS.ENGLAND_WALES);
+        const holidays2022 = getRuleHolidays(2022, REGIONS.ENGLAND_WALES);
         const dates2022 = holidays2022.map(h => h.date);
 
         expect(dates2022).toContain('2022-12-26'); // Boxing Day
@@ -221,10 +221,10 @@ describe('Holiday Calculations', () => {
         expect(notLeapDay.getDate()).toBe(1);
     });
 
-    test('getUKHolidays handles leap year correctly (2024)', () => {
+    test('getRuleHolidays handles leap year correctly (2024)', () => {
         // 2024 is a leap year. Easter Sunday is March 31.
         // Good Friday should be March 29.
-        const holidays = getUKHolidays(2024, REGIONS.ENGLAND_WALES);
+        const holidays = getRuleHolidays(2024, REGIONS.ENGLAND_WALES);
         const holidayDates = holidays.map(h => h.date);
 
         expect(holidayDates).toContain('2024-03-29'); // Good Friday
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setCrossYearPlanningForTests,
+    analyzeCurrentPlan,
+    generateAllCandidates,
+    explainPlanBlock,
+    renderRecommendations
+} = require('../public/app.js');
+
+// Tue 22 – Fri 25 April 2025 joins Easter (Good Friday 18 April – Easter Monday 21 April)
+// to the following weekend.
+const EASTER_WEEK = ['2025-04-22', '2025-04-23', '2025-04-24', '2025-04-25'];
+
+describe('Recommendation explanations', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="recommendations"></div>
+        `;
+    });
+
+    test('an Easter block bridges both bank holidays and two weekends', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], EASTER_WEEK, 'sat-sun', 25);
+        const blocks = analyzeCurrentPlan();
+        const explanation = explainPlanBlock(blocks[0], blocks, generateAllCandidates(2025, 4));
+
+        expect(explanation.holidays.map(h => h.name)).toEqual(['Good Friday', 'Easter Monday']);
+        expect(explanation.weekends).toBe(2);
+        expect(explanation.removal).toEqual({ daysOff: 10, leaveDays: 4, share: 1 });
+        // 14–17 April bridges the same holidays from the other side.
+        expect(explanation.alternative.totalDays).toBe(10);
+        expect(explanation.gain).toBe(0);
+    });
+
+    test('alternatives must fit around the rest of the plan', () => {
+        // Easter stays booked, so 14–17 April (which would join it) is not an alternative.
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06', ...EASTER_WEEK], 'sat-sun', 25);
+        const blocks = analyzeCurrentPlan();
+        const june = blocks.find(block => block.startDate.getMonth() === 5);
+        const explanation = explainPlanBlock(june, blocks, generateAllCandidates(2025, 4));
+
+        expect(explanation.holidays).toEqual([]);
+        expect(explanation.weekends).toBe(1);
+        // Tue 3 – Sun 8 June is 6 days off; four days next to a bank holiday give more.
+        expect(explanation.gain).toBeLessThan(0);
+        expect(explanation.alternative.startDate.getMonth()).not.toBe(3);
+        expect(explanation.removal.share).toBeCloseTo(6 / 16);
+    });
+
+    test('cross-year breaks are compared by all of their leave and days off', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], EASTER_WEEK, 'sat-sun', 25);
+        setCrossYearPlanningForTests(true);
+        const blocks = analyzeCurrentPlan();
+        const candidates = generateAllCandidates(2025, 4, { crossYear: true, lockedDates: new Set() });
+        const explanation = explainPlanBlock(blocks[0], blocks, candidates);
+
+        // 29–31 Dec 2025 and 2 Jan 2026 also use four leave days, one from 2026, for 11 days off.
+        expect(explanation.alternative.startDate).toEqual(new Date(2025, 11, 25));
+        expect(explanation.alternative.endDate).toEqual(new Date(2026, 0, 4));
+        expect(explanation.alternative.totalDays).toBe(11);
+        expect(explanation.gain).toBe(-1);
+
+        // The New Year break itself is measured across both years too.
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-12-29', '2025-12-30', '2025-12-31', '2026-01-02'], 'sat-sun', 25);
+        setCrossYearPlanningForTests(true);
+        const [newYear] = analyzeCurrentPlan();
+        const newYearExplanation = explainPlanBlock(newYear, [newYear], candidates);
+        expect(newYearExplanation.removal.leaveDays).toBe(4);
+        expect(newYearExplanation.alternative.totalDays).toBe(10);
+        expect(newYearExplanation.gain).toBe(1);
+    });
+
+    test('half-day breaks are compared with whole-day breaks plus a half day', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-06-04', '2025-06-05'], 'sat-sun', 25, { '2025-06-03': 'pm' });
+        const blocks = analyzeCurrentPlan();
+        const explanation = explainPlanBlock(blocks[0], blocks, generateAllCandidates(2025, 3, { halfDays: true }));
+
+        expect(explanation.removal.leaveDays).toBe(2.5);
+        // 17 and 22 April bridge Easter; the afternoon of 16 April adds half a day.
+        expect(explanation.alternative.totalDays).toBe(6.5);
+        expect(explanation.gain).toBe(-4);
+    });
+
+    test('each recommendation card has a "Why this break?" section', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], EASTER_WEEK, 'sat-sun', 25);
+        renderRecommendations();
+
+        const explain = document.querySelector('.rec-card .rec-explain');
+        expect(explain.querySelector('summary').textContent).toBe('Why this break?');
+        const lines = Array.from(explain.querySelectorAll('li')).map(li => li.textContent);
+        expect(lines[0]).toBe('Bridges Good Friday (18 Apr), Easter Monday (21 Apr) and 2 weekends.');
+        expect(lines[1]).toBe('Ties with 12 Apr - 21 Apr, which also gives 10 days off.');
+        expect(lines[2]).toBe('Without it: −10 days off (100% of the plan) and 4 leave days unspent.');
+    });
+});
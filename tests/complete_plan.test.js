@@ -0,0 +1,62 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    findCompletionPlan,
+    completeCurrentPlan,
+    getCurrentState
+} = require('../public/app.js');
+
+const TRIP = ['2025-08-04', '2025-08-05', '2025-08-06', '2025-08-07', '2025-08-08'];
+
+describe('Complete my plan', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], TRIP, 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('only the leftover allowance is planned, around the existing bookings', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], TRIP, 'sat-sun', 25, { '2025-10-10': 'am' });
+        const plan = findCompletionPlan(2025, 25);
+        const booked = plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+
+        expect(plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(19.5);
+        expect(booked).not.toContain('2025-10-10');
+        TRIP.forEach(dateStr => expect(booked).not.toContain(dateStr));
+    });
+
+    test('completing the plan keeps the manual bookings and fills the allowance', () => {
+        completeCurrentPlan();
+        jest.runOnlyPendingTimers();
+
+        const state = getCurrentState();
+        TRIP.forEach(dateStr => expect(state.bookedDates).toContain(dateStr));
+        expect(state.bookedDates).toHaveLength(25);
+        expect(document.getElementById('days-used').textContent).toBe('25');
+        expect(document.getElementById('toast-container').textContent).toContain('Added 20 leave days');
+
+        completeCurrentPlan();
+        expect(document.getElementById('toast-container').textContent).toContain('already fully booked');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setCrossYearPlanningForTests,
+    generateAllCandidates,
+    findOptimalPlan,
+    getUsedLeaveDays,
+    analyzeCurrentPlan,
+    toggleDateBooking,
+    renderCalendar,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+describe('Cross-year planning', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-used-split" hidden></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    test('candidates are clipped to the leave year unless cross-year mode is on', () => {
+        // 29–31 Dec 2025 bridge Christmas to New Year's Day 2026.
+        const findChristmasBridge = candidates => candidates.find(c => c.leaveDaysUsed === 3 && c.startIdx === 357);
+
+        const clipped = findChristmasBridge(generateAllCandidates(2025, 25));
+        expect(clipped.totalDaysOff).toBe(7);
+        expect(clipped.adjacentLeaveDays).toBeUndefined();
+
+        const whole = generateAllCandidates(2025, 25, { crossYear: true })
+            .find(c => c.startIdx === 358 && c.leaveDaysUsed === 3 && c.adjacentLeaveDays === 1);
+        // Thu 25 Dec – Sun 4 Jan, booking 29–31 Dec and 2 Jan; only the 2025 days are charged.
+        expect(whole.totalDaysOff).toBe(11);
+        expect(whole.efficiency).toBeCloseTo(11 / 4);
+    });
+
+    test('the optimizer books both years of a block spanning New Year', () => {
+        setCrossYearPlanningForTests(true);
+        const plan = findOptimalPlan(2025, 25);
+        const booked = plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+
+        expect(plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(25);
+        const spanning = plan.filter(block => block.adjacentLeaveDays.previous + block.adjacentLeaveDays.next > 0);
+        expect(spanning.length).toBeGreaterThan(0);
+        expect(booked.some(dateStr => dateStr < '2025-01-01' || dateStr > '2025-12-31')).toBe(true);
+        spanning.forEach(block => {
+            const adjacent = block.adjacentLeaveDays.previous + block.adjacentLeaveDays.next;
+            expect(block.bookedDates.length).toBe(block.leaveDaysUsed + adjacent);
+        });
+    });
+
+    test('a block spanning the year boundary only spends this year\'s allowance on this year\'s days', () => {
+        setCrossYearPlanningForTests(true);
+        const booked = findOptimalPlan(2025, 25).flatMap(block => block.bookedDates.map(toLocalISOString));
+        const inYear = booked.filter(dateStr => dateStr >= '2025-01-01' && dateStr <= '2025-12-31');
+
+        expect(booked.length).toBeGreaterThan(inYear.length);
+        expect(inYear).toHaveLength(25);
+
+        // The stats count the same days.
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], booked, 'sat-sun', 25);
+        expect(getUsedLeaveDays()).toBe(25);
+    });
+
+    test('plan analysis and stats report which allowance each day comes from', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-12-29', '2025-12-30', '2025-12-31', '2026-01-02'], 'sat-sun', 25);
+        expect(analyzeCurrentPlan()[0].totalDays).toBe(7);
+
+        setCrossYearPlanningForTests(true);
+        const blocks = analyzeCurrentPlan();
+        expect(blocks).toHaveLength(1);
+        expect(toLocalISOString(blocks[0].startDate)).toBe('2025-12-25');
+        expect(toLocalISOString(blocks[0].endDate)).toBe('2026-01-04');
+        expect(blocks[0].totalDays).toBe(11);
+        expect(blocks[0].leaveDays).toBe(3);
+        expect(blocks[0].adjacentLeaveDays).toEqual({ previous: 0, next: 1 });
+
+        renderCalendar();
+        toggleDateBooking('2025-12-22');
+        expect(document.getElementById('days-used').textContent).toBe('4');
+        const split = document.getElementById('days-used-split');
+        expect(split.hidden).toBe(false);
+        expect(split.textContent).toBe('+1 from 2026');
+        expect(document.querySelector('.rec-year-split').textContent).toBe('Allowance: 3 from 2025 + 1 from 2026');
+    });
+
+    test('leave booked at the end of the previous year joins a January block', () => {
+        setTestState(2026, REGIONS.ENGLAND_WALES, [], ['2025-12-29', '2025-12-30', '2025-12-31', '2026-01-02'], 'sat-sun', 25);
+        setCrossYearPlanningForTests(true);
+
+        const blocks = analyzeCurrentPlan();
+        expect(blocks).toHaveLength(1);
+        expect(blocks[0].leaveDays).toBe(1);
+        expect(blocks[0].adjacentLeaveDays).toEqual({ previous: 3, next: 0 });
+        expect(blocks[0].totalDays).toBe(11);
+    });
+
+    test('the mode is persisted and shared', () => {
+        setCrossYearPlanningForTests(true);
+        expect(getCurrentState().crossYearPlanning).toBe(true);
+
+        expect(decodePlanString(encodePlanString({ crossYearPlanning: true })).crossYearPlanning).toBe(true);
+        expect(decodePlanString(encodePlanString({ crossYearPlanning: 'yes' })).crossYearPlanning).toBe(false);
+    });
+});
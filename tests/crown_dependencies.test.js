@@ -0,0 +1,68 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    LOCATION_GROUPS,
+    setTestState,
+    getHolidaysForYear
+} = require('../public/app.js');
+
+function holidayOn(year, region, dateStr) {
+    const holiday = getHolidaysForYear(year, region).lookup.get(dateStr);
+    return holiday ? holiday.name : null;
+}
+
+describe('Crown Dependencies', () => {
+    beforeEach(() => {
+        setTestState(2026, REGIONS.ISLE_OF_MAN, []);
+    });
+
+    test('they are listed under United Kingdom', () => {
+        const uk = LOCATION_GROUPS.find(group => group.label === 'United Kingdom');
+        expect(uk.options.map(option => option.label)).toEqual([
+            'England & Wales', 'Scotland', 'Northern Ireland', 'Isle of Man', 'Jersey', 'Guernsey'
+        ]);
+    });
+
+    test('the Isle of Man has TT Senior Race Day and moves Tynwald Day off weekends', () => {
+        expect(holidayOn(2026, REGIONS.ISLE_OF_MAN, '2026-06-05')).toBe('TT Senior Race Day');
+        // 5 July 2026 is a Sunday.
+        expect(holidayOn(2026, REGIONS.ISLE_OF_MAN, '2026-07-06')).toBe('Tynwald Day (Substitute)');
+        expect(holidayOn(2027, REGIONS.ISLE_OF_MAN, '2027-07-05')).toBe('Tynwald Day');
+        expect(holidayOn(2026, REGIONS.ISLE_OF_MAN, '2026-08-31')).toBe('Late Summer Bank Holiday');
+    });
+
+    test('TT Senior Race Day follows the race schedule where it missed the first Friday', () => {
+        expect(holidayOn(2022, REGIONS.ISLE_OF_MAN, '2022-06-10')).toBe('TT Senior Race Day');
+        expect(holidayOn(2022, REGIONS.ISLE_OF_MAN, '2022-06-03')).toBe('Platinum Jubilee Bank Holiday');
+        expect(holidayOn(2023, REGIONS.ISLE_OF_MAN, '2023-06-09')).toBe('TT Senior Race Day');
+        expect(holidayOn(2023, REGIONS.ISLE_OF_MAN, '2023-06-02')).toBeNull();
+        expect(holidayOn(2024, REGIONS.ISLE_OF_MAN, '2024-06-07')).toBe('TT Senior Race Day');
+    });
+
+    test('every island moved the 2020 Early May bank holiday to VE Day', () => {
+        [REGIONS.ISLE_OF_MAN, REGIONS.JERSEY, REGIONS.GUERNSEY].forEach(region => {
+            expect(holidayOn(2020, region, '2020-05-04')).toBeNull();
+            expect(holidayOn(2020, region, '2020-05-08')).toBe('Early May Bank Holiday (VE Day)');
+        });
+    });
+
+    test('Jersey and Guernsey keep Liberation Day on 9 May', () => {
+        [REGIONS.JERSEY, REGIONS.GUERNSEY].forEach(region => {
+            expect(holidayOn(2025, region, '2025-05-09')).toBe('Liberation Day');
+            // A Saturday in 2026, with no substitute.
+            expect(holidayOn(2026, region, '2026-05-09')).toBe('Liberation Day');
+            expect(holidayOn(2026, region, '2026-05-11')).toBeNull();
+            expect(holidayOn(2023, region, '2023-05-08')).toBe('Coronation of King Charles III');
+        });
+        expect(holidayOn(2025, REGIONS.ENGLAND_WALES, '2025-05-09')).toBeNull();
+    });
+
+    test('the 2022 Platinum Jubilee moves the spring bank holiday and adds a day', () => {
+        expect(holidayOn(2022, REGIONS.JERSEY, '2022-05-30')).toBeNull();
+        expect(holidayOn(2022, REGIONS.JERSEY, '2022-06-02')).toBe('Spring Bank Holiday');
+        expect(holidayOn(2022, REGIONS.JERSEY, '2022-06-03')).toBe('Platinum Jubilee Bank Holiday');
+    });
+});
@@ -62,8 +62,8 @@ describe('decodePlanString Defaults and Recovery', () => {
         decoded = decodePlanString(encoded);
         expect(decoded.currentAllowance).toBe(25);
 
-        // Case 4: fractional allowance would break integer-indexed DP arrays
-        encoded = encode({ currentAllowance: 1.5 });
+        // Case 4: allowances finer than half days would break half-day-indexed DP arrays
+        encoded = encode({ currentAllowance: 1.25 });
         decoded = decodePlanString(encoded);
         expect(decoded.currentAllowance).toBe(25);
     });
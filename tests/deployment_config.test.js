@@ -11,6 +11,16 @@ describe('Cloudflare deployment configuration', () => {
         expect(buildSection).not.toMatch(/--remote/);
     });
 
+    test('deploys copy the shared holiday rules into the static assets', () => {
+        const config = fs.readFileSync(path.join(__dirname, '..', 'wrangler.toml'), 'utf8');
+        const buildSection = config.match(/^\[build\](?:\r?\n(?!\[).*)*/m)?.[0] || '';
+        const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+
+        expect(buildSection).toMatch(/command = "npm run build"/);
+        expect(pkg.scripts.build).toBe('node scripts/build_assets.mjs');
+        expect(fs.lstatSync(path.join(__dirname, '..', 'lib', 'holiday_rules.js')).isFile()).toBe(true);
+    });
+
     test('manual KV population requires a Calendarific key before remote write', () => {
         const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
         const populateCommand = pkg.scripts['populate-kv'];
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setEmploymentForTests,
+    sanitizeEmployment,
+    getProRatedAllowance,
+    generateAllCandidates,
+    findOptimalPlan,
+    renderCalendar,
+    toggleDateBooking,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+// 1 July 2025 is day 181 of the year; 184 of its 365 days are left.
+const JOINS_IN_JULY = { start: '2025-07-01', end: null, rounding: 'up-half' };
+
+describe('Employment dates', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="allowance-pro-rata" hidden></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    test('the sanitizer drops invalid dates and unknown rounding rules', () => {
+        expect(sanitizeEmployment({ start: '2025-07-01', end: '2025-03-31', rounding: 'up' }))
+            .toEqual({ start: '2025-07-01', end: null, rounding: 'up' });
+        expect(sanitizeEmployment({ start: 'July', rounding: 'sideways' }))
+            .toEqual({ start: null, end: null, rounding: 'up-half' });
+    });
+
+    test('the allowance is pro-rated and rounded by the chosen rule', () => {
+        expect(getProRatedAllowance(2025, 25)).toBe(25);
+
+        // 25 × 184 / 365 = 12.6 days
+        setEmploymentForTests(JOINS_IN_JULY);
+        expect(getProRatedAllowance(2025, 25)).toBe(13);
+        setEmploymentForTests({ ...JOINS_IN_JULY, rounding: 'nearest-half' });
+        expect(getProRatedAllowance(2025, 25)).toBe(12.5);
+        setEmploymentForTests({ ...JOINS_IN_JULY, rounding: 'down' });
+        expect(getProRatedAllowance(2025, 25)).toBe(12);
+
+        // Leaving on 31 March: 25 × 90 / 365 = 6.2 days
+        setEmploymentForTests({ start: '2020-01-06', end: '2025-03-31' });
+        expect(getProRatedAllowance(2025, 25)).toBe(6.5);
+        expect(getProRatedAllowance(2024, 25)).toBe(25);
+        expect(getProRatedAllowance(2026, 25)).toBe(0);
+    });
+
+    test('candidates and plans stay inside the employment dates', () => {
+        setEmploymentForTests(JOINS_IN_JULY);
+        generateAllCandidates(2025, 13).forEach(c => {
+            expect(c.displayStartIdx).toBeGreaterThanOrEqual(181);
+        });
+
+        const booked = findOptimalPlan(2025, 25).flatMap(block => block.bookedDates.map(toLocalISOString));
+        expect(booked).toHaveLength(13);
+        booked.forEach(dateStr => expect(dateStr >= '2025-07-01').toBe(true));
+
+        setEmploymentForTests({ start: '2026-02-01' });
+        expect(generateAllCandidates(2025, 25)).toEqual([]);
+    });
+
+    test('days outside employment are greyed out and cannot be booked', () => {
+        setEmploymentForTests(JOINS_IN_JULY);
+        renderCalendar();
+        expect(document.querySelector('.day[data-date="2025-06-30"]').className).toContain('outside-employment');
+        expect(document.querySelector('.day[data-date="2025-07-01"]').className).not.toContain('outside-employment');
+
+        toggleDateBooking('2025-06-30');
+        expect(getCurrentState().bookedDates).toEqual([]);
+        expect(document.getElementById('toast-container').textContent).toContain('outside your employment dates');
+
+        toggleDateBooking('2025-07-01');
+        expect(getCurrentState().bookedDates).toEqual(['2025-07-01']);
+        const note = document.getElementById('allowance-pro-rata');
+        expect(note.hidden).toBe(false);
+        expect(note.textContent).toBe('Pro-rated: 13');
+    });
+
+    test('employment dates are persisted and shared', () => {
+        setEmploymentForTests(JOINS_IN_JULY);
+        expect(getCurrentState().employment).toEqual(JOINS_IN_JULY);
+
+        expect(decodePlanString(encodePlanString({ employment: JOINS_IN_JULY })).employment).toEqual(JOINS_IN_JULY);
+        expect(decodePlanString(encodePlanString({})).employment).toEqual({ start: null, end: null, rounding: 'up-half' });
+    });
+});
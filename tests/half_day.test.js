@@ -0,0 +1,137 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const app = require('../public/app.js');
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    analyzeCurrentPlan,
+    toggleDateBooking,
+    findOptimalPlan,
+    decodePlanString,
+    encodePlanString,
+    getCurrentState,
+    exportToICS
+} = app;
+
+describe('Half-day leave', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2023, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    test('Friday afternoon off joins the following weekend as a 2.5-day block', () => {
+        setTestState(2023, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25, { '2023-06-02': 'pm' });
+
+        const blocks = analyzeCurrentPlan();
+        expect(blocks).toHaveLength(1);
+        expect(blocks[0].leaveDays).toBe(0.5);
+        expect(blocks[0].totalDays).toBe(2.5);
+        expect(toLocalISOString(blocks[0].startDate)).toBe('2023-06-02');
+        expect(toLocalISOString(blocks[0].endDate)).toBe('2023-06-04');
+    });
+
+    test('Friday morning off does not join the following weekend', () => {
+        setTestState(2023, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25, { '2023-06-02': 'am' });
+
+        const blocks = analyzeCurrentPlan();
+        expect(blocks).toHaveLength(1);
+        expect(blocks[0].totalDays).toBe(0.5);
+        expect(toLocalISOString(blocks[0].endDate)).toBe('2023-06-02');
+    });
+
+    test('toggleDateBooking switches between full and half days and counts fractional usage', () => {
+        app.renderCalendar();
+
+        toggleDateBooking('2023-06-02', 'pm');
+        expect(document.getElementById('days-used').textContent).toBe('0.5');
+        expect(getCurrentState().halfDays).toEqual({ '2023-06-02': 'pm' });
+
+        const cell = document.querySelector('.day[data-date="2023-06-02"]');
+        expect(cell.className).toContain('leave-pm');
+        expect(cell.getAttribute('aria-label')).toContain('Booked afternoon half day');
+
+        toggleDateBooking('2023-06-02', 'full');
+        expect(getCurrentState().halfDays).toEqual({});
+        expect(getCurrentState().bookedDates).toEqual(['2023-06-02']);
+        expect(document.getElementById('days-used').textContent).toBe('1');
+
+        toggleDateBooking('2023-06-02', 'am');
+        toggleDateBooking('2023-06-02', 'am');
+        expect(getCurrentState().bookedDates).toEqual([]);
+        expect(getCurrentState().halfDays).toEqual({});
+    });
+
+    test('findOptimalPlan spends a leftover half day', () => {
+        const plan = findOptimalPlan(2023, 2.5);
+        const totalLeaveUsed = plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0);
+        const halfBlocks = plan.filter(block => block.halfDay);
+
+        expect(totalLeaveUsed).toBe(2.5);
+        expect(halfBlocks.length).toBeGreaterThan(0);
+        halfBlocks.forEach(block => {
+            expect(block.bookedDates).toHaveLength(1);
+            expect(block.totalDaysOff % 1).toBe(0.5);
+        });
+    });
+
+    test('whole-day allowances never produce half-day blocks', () => {
+        const plan = findOptimalPlan(2023, 25);
+        expect(plan.some(block => block.halfDay)).toBe(false);
+    });
+
+    test('shared plans round-trip half days and half-day allowances', () => {
+        const encoded = encodePlanString({
+            currentAllowance: 22.5,
+            currentYear: 2023,
+            currentRegion: REGIONS.ENGLAND_WALES,
+            bookedDates: ['2023-06-05'],
+            halfDays: { '2023-06-02': 'pm', '2023-06-06': 'evening', 'not-a-date': 'am' }
+        });
+
+        const decoded = decodePlanString(encoded);
+        expect(decoded.currentAllowance).toBe(22.5);
+        expect(decoded.halfDays).toEqual({ '2023-06-02': 'pm' });
+    });
+
+    test('ICS export names half days and counts single days', () => {
+        setTestState(2023, REGIONS.ENGLAND_WALES, [], ['2023-06-05', '2023-07-03'], 'sat-sun', 25, { '2023-06-02': 'pm' });
+
+        const OriginalBlob = global.Blob;
+        let icsText = null;
+        global.Blob = class {
+            constructor(parts) {
+                icsText = parts.join('');
+            }
+        };
+        global.URL.createObjectURL = jest.fn(() => 'blob:test');
+        global.URL.revokeObjectURL = jest.fn();
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        try {
+            exportToICS();
+        } finally {
+            global.Blob = OriginalBlob;
+            clickSpy.mockRestore();
+        }
+
+        expect(icsText).toContain('SUMMARY:Annual Leave (1.5 days)');
+        expect(icsText).toContain('DESCRIPTION:3.5 days off using 1.5 days of leave\\nHalf day: Afternoon of 2 Jun\\nGenerated by Vacation Maximiser');
+        expect(icsText).toContain('SUMMARY:Annual Leave (1 day)');
+        expect(icsText).toContain('DESCRIPTION:3 days off using 1 day of leave\\nGenerated by Vacation Maximiser');
+    });
+});
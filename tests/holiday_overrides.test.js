@@ -0,0 +1,77 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setHolidayDatasetForTests,
+    getHolidaysForYear,
+    sanitizeHolidayOverrides
+} = require('../public/app.js');
+
+function holidayOn(year, region, dateStr) {
+    return getHolidaysForYear(year, region).lookup.get(dateStr);
+}
+
+describe('UK holiday overrides', () => {
+    beforeEach(() => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, []);
+        setHolidayDatasetForTests(null);
+    });
+
+    test('one-off bank holidays are added in every region', () => {
+        [REGIONS.ENGLAND_WALES, REGIONS.SCOTLAND, REGIONS.NORTHERN_IRELAND].forEach(region => {
+            expect(holidayOn(2022, region, '2022-09-19').name).toBe('State Funeral of Queen Elizabeth II');
+            expect(holidayOn(2023, region, '2023-05-08').name).toBe('Coronation of King Charles III');
+        });
+    });
+
+    test('moved bank holidays leave their usual date', () => {
+        expect(holidayOn(2020, REGIONS.ENGLAND_WALES, '2020-05-04')).toBeUndefined();
+        expect(holidayOn(2020, REGIONS.ENGLAND_WALES, '2020-05-08').name).toBe('Early May Bank Holiday (VE Day)');
+
+        expect(holidayOn(2022, REGIONS.SCOTLAND, '2022-05-30')).toBeUndefined();
+        expect(holidayOn(2022, REGIONS.SCOTLAND, '2022-06-02').name).toBe('Spring Bank Holiday');
+        expect(holidayOn(2022, REGIONS.SCOTLAND, '2022-06-03').name).toBe('Platinum Jubilee Bank Holiday');
+    });
+
+    test('overrides shipped in the dataset are applied after the built-in table', () => {
+        setHolidayDatasetForTests({
+            updatedAt: '2026-10-01',
+            locations: {
+                'GB-EAW': {
+                    overrides: [
+                        { action: 'add', date: '2027-06-07', name: 'Proclaimed Bank Holiday' },
+                        { action: 'cancel', date: '2023-05-08' },
+                        { action: 'move', from: '2027-05-31', date: '2027-06-01' },
+                        { action: 'explode', date: '2027-01-01' }
+                    ]
+                }
+            }
+        });
+
+        expect(holidayOn(2027, REGIONS.ENGLAND_WALES, '2027-06-07').name).toBe('Proclaimed Bank Holiday');
+        expect(holidayOn(2027, REGIONS.ENGLAND_WALES, '2027-06-01').name).toBe('Spring Bank Holiday');
+        expect(holidayOn(2027, REGIONS.ENGLAND_WALES, '2027-05-31')).toBeUndefined();
+        expect(holidayOn(2023, REGIONS.ENGLAND_WALES, '2023-05-08')).toBeUndefined();
+        expect(holidayOn(2027, REGIONS.SCOTLAND, '2027-06-07')).toBeUndefined();
+    });
+
+    test('the sanitizer drops malformed overrides', () => {
+        expect(sanitizeHolidayOverrides([
+            { action: 'add', date: '2027-02-30', name: 'Not a date' },
+            { action: 'add', date: '2027-06-07' },
+            { action: 'move', date: '2027-06-01' },
+            { action: 'cancel', date: '2027-12-25', name: 'ignored' },
+            { action: 'move', from: '2027-05-31', date: '2027-06-01', name: 'Spring' },
+            { action: 'rename', date: '2027-08-30' },
+            { action: 'rename', date: '2027-08-30', name: 'Summer' }
+        ])).toEqual([
+            { action: 'cancel', date: '2027-12-25' },
+            { action: 'move', from: '2027-05-31', date: '2027-06-01', name: 'Spring' },
+            { action: 'rename', date: '2027-08-30', name: 'Summer' }
+        ]);
+        expect(sanitizeHolidayOverrides('nope')).toEqual([]);
+    });
+});
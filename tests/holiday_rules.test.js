@@ -0,0 +1,72 @@
+const {
+    HOLIDAY_RULE_SETS,
+    HOLIDAY_OVERRIDES,
+    findDayInMonth,
+    evaluateHolidayRules,
+    applyHolidayOverrides
+} = require('../lib/holiday_rules.js');
+
+function datesOf(rules, year) {
+    return evaluateHolidayRules(rules, year).map(h => h.date);
+}
+
+describe('Holiday rules', () => {
+    test('findDayInMonth finds the nth or last weekday of a month', () => {
+        expect(findDayInMonth(2025, 4, 1, 'first').getDate()).toBe(5);
+        expect(findDayInMonth(2025, 4, 1, 'last').getDate()).toBe(26);
+        expect(findDayInMonth(2025, 10, 4, 4).getDate()).toBe(27); // Thanksgiving
+        expect(findDayInMonth(2025, 4, 1, -2).getDate()).toBe(19);
+        expect(findDayInMonth(2025, 4, 1, 5)).toBeNull();
+    });
+
+    test('each kind of rule is evaluated', () => {
+        const rules = [
+            { name: 'Fixed', month: 7, day: 4 },
+            { name: 'Nth weekday', month: 9, weekday: 1, nth: 1 },
+            { name: 'Easter offset', easterOffset: 39 },
+            { name: 'Not yet', month: 2, day: 1, from: 2030 }
+        ];
+        expect(evaluateHolidayRules(rules, 2025)).toEqual([
+            { date: '2025-07-04', name: 'Fixed' },
+            { date: '2025-09-01', name: 'Nth weekday' },
+            { date: '2025-05-29', name: 'Easter offset' }
+        ]);
+    });
+
+    test('substitutes skip weekends and days already taken by other holidays', () => {
+        const christmas = HOLIDAY_RULE_SETS['england-wales'].slice(-2);
+        // Saturday and Sunday: both move, in order.
+        expect(datesOf(christmas, 2021)).toEqual(['2021-12-27', '2021-12-28']);
+        // Sunday and Monday: Christmas moves past Boxing Day.
+        expect(evaluateHolidayRules(christmas, 2022)).toEqual([
+            { date: '2022-12-27', name: 'Christmas Day (Substitute)', type: 'bank holiday' },
+            { date: '2022-12-26', name: 'Boxing Day', type: 'bank holiday' }
+        ]);
+        // A weekday holiday without a substitute rule stays put, even on a weekend.
+        expect(datesOf([{ name: 'No substitute', month: 7, day: 5 }], 2025)).toEqual(['2025-07-05']);
+    });
+
+    test('a conditional rule falls back to its other date', () => {
+        const brigid = HOLIDAY_RULE_SETS.ireland.find(rule => rule.name === "St Brigid's Day");
+        expect(datesOf([brigid], 2030)).toEqual(['2030-02-01']);
+        expect(datesOf([brigid], 2025)).toEqual(['2025-02-03']);
+        expect(datesOf([brigid], 2022)).toEqual([]);
+    });
+
+    test('UK rule sets differ by region', () => {
+        expect(evaluateHolidayRules(HOLIDAY_RULE_SETS['england-wales'], 2025)).toHaveLength(8);
+        expect(datesOf(HOLIDAY_RULE_SETS.scotland, 2025)).toEqual(expect.arrayContaining(['2025-01-02', '2025-08-04', '2025-12-01']));
+        expect(datesOf(HOLIDAY_RULE_SETS['northern-ireland'], 2025)).toEqual(expect.arrayContaining(['2025-03-17', '2025-07-14']));
+    });
+
+    test("Scotland's 2023 New Year substitutes follow GOV.UK", () => {
+        const holidays = applyHolidayOverrides(
+            evaluateHolidayRules(HOLIDAY_RULE_SETS.scotland, 2023), HOLIDAY_OVERRIDES.scotland, 2023
+        );
+        const newYear = holidays.filter(h => h.date < '2023-01-10').sort((a, b) => a.date.localeCompare(b.date));
+        expect(newYear).toEqual([
+            { date: '2023-01-02', name: "New Year's Day (Substitute)", type: 'bank holiday' },
+            { date: '2023-01-03', name: '2nd January (Substitute)', type: 'bank holiday' }
+        ]);
+    });
+});
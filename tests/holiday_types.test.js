@@ -0,0 +1,181 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setHolidayDatasetForTests,
+    setHolidayTypesForTests,
+    getHolidayTypeCategory,
+    sanitizeHolidayTypes,
+    sanitizeHolidayTypesMap,
+    getHolidayTypeCategoriesForYear,
+    getHolidaysForYear,
+    getDayType,
+    generateAllCandidates,
+    renderCalendar,
+    renderHolidayTypeSettings,
+    handleHolidayTypeChange,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+const DATASET = {
+    updatedAt: '2026-02-17',
+    locations: {
+        'US-CA': {
+            name: 'California',
+            years: {
+                '2026': [
+                    { date: '2026-01-01', name: "New Year's Day", type: 'National holiday', source: 'calendarific' },
+                    { date: '2026-02-02', name: 'Groundhog Day', type: 'Observance', source: 'calendarific' },
+                    { date: '2026-03-31', name: 'Cesar Chavez Day', type: 'Local holiday', source: 'calendarific' },
+                    { date: '2026-04-03', name: 'Good Friday', type: 'Christian', source: 'calendarific' }
+                ]
+            }
+        }
+    }
+};
+
+function holidayDates() {
+    return getHolidaysForYear(2026, REGIONS.US_CA).holidays.map(h => h.date).sort();
+}
+
+describe('Holiday types', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+            <div id="holiday-type-settings" hidden>
+                <div id="holiday-type-toggles"></div>
+            </div>
+        `;
+        setHolidayDatasetForTests(DATASET);
+        setTestState(2026, REGIONS.US_CA, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        setHolidayDatasetForTests(null);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('published types map onto a small set of categories', () => {
+        expect(getHolidayTypeCategory('National holiday')).toBe('national');
+        expect(getHolidayTypeCategory('bank holiday')).toBe('national');
+        expect(getHolidayTypeCategory(undefined)).toBe('national');
+        expect(getHolidayTypeCategory('Orthodox')).toBe('religious');
+        expect(getHolidayTypeCategory('Common local holiday')).toBe('local');
+        expect(getHolidayTypeCategory('Local observance')).toBe('observance');
+        expect(getHolidayTypeCategory('Clock change/Daylight Saving Time')).toBe('observance');
+
+        expect(getHolidayTypeCategoriesForYear(2026, REGIONS.US_CA)).toEqual(['national', 'religious', 'local', 'observance']);
+        expect(getHolidayTypeCategoriesForYear(2026, REGIONS.ENGLAND_WALES)).toEqual(['national']);
+    });
+
+    test('the sanitizers keep known categories and supported locations', () => {
+        expect(sanitizeHolidayTypes(['local', 'national', 'bogus', 'local'])).toEqual(['national', 'local']);
+        expect(sanitizeHolidayTypes([])).toEqual([]);
+        expect(sanitizeHolidayTypes('national')).toBeNull();
+        expect(sanitizeHolidayTypesMap({ [REGIONS.US_CA]: ['national'], Atlantis: ['national'], [REGIONS.US_TX]: 'all' }))
+            .toEqual({ [REGIONS.US_CA]: ['national'] });
+    });
+
+    test('every type counts until the location turns some off; custom holidays always count', () => {
+        expect(holidayDates()).toEqual(['2026-01-01', '2026-02-02', '2026-03-31', '2026-04-03']);
+        expect(getHolidaysForYear(2026, REGIONS.US_CA).lookup.get('2026-04-03').type).toBe('Christian');
+
+        setTestState(2026, REGIONS.US_CA, [{ date: '2026-02-02', name: 'Team day' }], [], 'sat-sun', 25);
+        setHolidayTypesForTests(REGIONS.US_CA, ['national', 'local']);
+        expect(holidayDates()).toEqual(['2026-01-01', '2026-02-02', '2026-03-31']);
+        expect(getHolidaysForYear(2026, REGIONS.US_CA).lookup.get('2026-02-02').name).toBe('Team day');
+
+        // Other locations are unaffected.
+        expect(getHolidaysForYear(2026, REGIONS.ENGLAND_WALES).holidays).toHaveLength(8);
+    });
+
+    test('the optimizer and heatmap treat uncounted holidays as workdays', () => {
+        const goodFriday = new Date(2026, 3, 3);
+        expect(getDayType(goodFriday)).toBe('holiday');
+        // The same break over Easter costs one more leave day once Good Friday is a workday.
+        const leaveOverEaster = () => {
+            const leave = new Map();
+            generateAllCandidates(2026, 25).forEach(c => {
+                if (c.startIdx <= 92 && c.endIdx >= 92) leave.set(`${c.startIdx}-${c.endIdx}`, c.leaveDaysUsed);
+            });
+            return leave;
+        };
+
+        const before = leaveOverEaster();
+        setHolidayTypesForTests(REGIONS.US_CA, ['national', 'local', 'observance']);
+        expect(getDayType(goodFriday)).toBe('workday');
+        const after = leaveOverEaster();
+        const shared = Array.from(after.keys()).filter(key => before.has(key));
+        expect(shared.length).toBeGreaterThan(0);
+        shared.forEach(key => expect(after.get(key)).toBe(before.get(key) + 1));
+
+        renderCalendar();
+        const day = document.querySelector('.day[data-date="2026-04-03"]');
+        expect(day.className).not.toContain('holiday');
+    });
+
+    test('tooltips show the holiday type', () => {
+        renderCalendar();
+        expect(document.querySelector('.day[data-date="2026-04-03"]').title).toContain('Good Friday • Christian');
+        expect(document.querySelector('.day[data-date="2026-03-31"]').title).toContain('Cesar Chavez Day • Local holiday');
+
+        setTestState(2026, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+        renderCalendar();
+        expect(document.querySelector('.day[data-date="2026-12-25"]').title).toContain('Christmas Day • Bank holiday');
+    });
+
+    test('toggling a type re-plans and is remembered for the location', () => {
+        renderHolidayTypeSettings();
+        expect(document.getElementById('holiday-type-settings').hidden).toBe(false);
+        const toggles = document.querySelectorAll('#holiday-type-toggles input');
+        expect(Array.from(toggles).map(input => input.value)).toEqual(['national', 'religious', 'local', 'observance']);
+        expect(Array.from(toggles).every(input => input.checked)).toBe(true);
+
+        const toggleContainer = document.getElementById('holiday-type-toggles');
+        toggleContainer.addEventListener('change', handleHolidayTypeChange);
+        const religious = toggles[1];
+        religious.checked = false;
+        religious.dispatchEvent(new Event('change', { bubbles: true }));
+        jest.runOnlyPendingTimers();
+
+        expect(getCurrentState().holidayTypesByLocation).toEqual({ [REGIONS.US_CA]: ['national', 'local', 'observance'] });
+        expect(holidayDates()).not.toContain('2026-04-03');
+        expect(getCurrentState().bookedDates).toHaveLength(25);
+
+        // Turning it back on returns to counting everything.
+        const restored = document.querySelectorAll('#holiday-type-toggles input')[1];
+        restored.checked = true;
+        restored.dispatchEvent(new Event('change', { bubbles: true }));
+        jest.runOnlyPendingTimers();
+        expect(getCurrentState().holidayTypesByLocation).toEqual({});
+    });
+
+    test('the toggles stay hidden for locations with a single holiday type', () => {
+        setTestState(2026, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+        renderHolidayTypeSettings();
+        expect(document.getElementById('holiday-type-settings').hidden).toBe(true);
+        expect(document.querySelectorAll('#holiday-type-toggles input')).toHaveLength(0);
+    });
+
+    test("the current location's types are shared", () => {
+        expect(decodePlanString(encodePlanString({ holidayTypes: ['religious', 'national'] })).holidayTypes)
+            .toEqual(['national', 'religious']);
+        expect(decodePlanString(encodePlanString({})).holidayTypes).toBeNull();
+    });
+});
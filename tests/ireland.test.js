@@ -0,0 +1,41 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    getHolidaysForYear,
+    findOptimalPlan
+} = require('../public/app.js');
+
+function holidayDates(year) {
+    return getHolidaysForYear(year, REGIONS.IRELAND).holidays.map(h => h.date).sort();
+}
+
+describe('Ireland', () => {
+    beforeEach(() => {
+        setTestState(2026, REGIONS.IRELAND, []);
+    });
+
+    test('public holidays are computed offline from the Irish rules', () => {
+        expect(holidayDates(2026)).toEqual([
+            '2026-01-01', '2026-02-02', '2026-03-17', '2026-04-06', '2026-05-04',
+            '2026-06-01', '2026-08-03', '2026-10-26', '2026-12-25', '2026-12-28'
+        ]);
+        expect(getHolidaysForYear(2026, REGIONS.IRELAND).lookup.get('2026-12-28').name).toBe("St Stephen's Day (Substitute)");
+    });
+
+    test("St Brigid's Day falls on 1 February when that is a Friday", () => {
+        expect(holidayDates(2030)).toContain('2030-02-01');
+        expect(holidayDates(2030)).not.toContain('2030-02-04');
+        // Not a public holiday before 2023; the one-off 2022 holiday is.
+        expect(holidayDates(2022)).not.toContain('2022-02-07');
+        expect(holidayDates(2022)).toContain('2022-03-18');
+    });
+
+    test('the optimizer plans around Irish holidays', () => {
+        const plan = findOptimalPlan(2026, 20);
+        expect(plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(20);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setLeavePolicyForTests,
+    setPlanConstraintsForTests,
+    sanitizeLeavePolicy,
+    generateAllCandidates,
+    findOptimalPlan,
+    findAlternativePlans,
+    renderCalendar,
+    renderRecommendations,
+    toggleDateBooking,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+// Mon 2 – Fri 6 June 2025 (days 152–156 of the year).
+const LOCKED_WEEK = ['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06'];
+// Tue 22 – Fri 25 April 2025, after Easter Monday.
+const EASTER_WEEK = ['2025-04-22', '2025-04-23', '2025-04-24', '2025-04-25'];
+
+describe('Leave policy', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    test('the sanitizer turns invalid limits into no limit', () => {
+        expect(sanitizeLeavePolicy({ maxConsecutive: 10, maxPerMonth: 5 })).toEqual({ maxConsecutive: 10, maxPerMonth: 5 });
+        expect(sanitizeLeavePolicy({ maxConsecutive: 2.5, maxPerMonth: 40 })).toEqual({ maxConsecutive: 0, maxPerMonth: 0 });
+        expect(sanitizeLeavePolicy(null)).toEqual({ maxConsecutive: 0, maxPerMonth: 0 });
+    });
+
+    test('candidates keep to the consecutive limit, counting locked leave they run into', () => {
+        setLeavePolicyForTests({ maxConsecutive: 5 });
+        generateAllCandidates(2025, 25).forEach(c => expect(c.leaveDaysUsed).toBeLessThanOrEqual(5));
+        findOptimalPlan(2025, 25).forEach(block => expect(block.leaveDaysUsed).toBeLessThanOrEqual(5));
+
+        const touchesLockedWeek = c => c.startIdx <= 156 && c.endIdx >= 152;
+        setPlanConstraintsForTests(LOCKED_WEEK);
+        setLeavePolicyForTests(null);
+        expect(generateAllCandidates(2025, 25).some(touchesLockedWeek)).toBe(true);
+        setLeavePolicyForTests({ maxConsecutive: 5 });
+        expect(generateAllCandidates(2025, 25).some(touchesLockedWeek)).toBe(false);
+    });
+
+    test('candidates keep to the monthly limit, counting locked leave in the month', () => {
+        setLeavePolicyForTests({ maxPerMonth: 3 });
+        generateAllCandidates(2025, 25).forEach(c => expect(c.leaveDaysUsed).toBeLessThanOrEqual(6));
+        expect(generateAllCandidates(2025, 25).some(c => c.leaveDaysUsed === 4 && c.startIdx >= 151 && c.endIdx <= 180)).toBe(false);
+
+        // Two locked days leave one for any June-only break.
+        setPlanConstraintsForTests(['2025-06-02', '2025-06-03']);
+        const juneOnly = generateAllCandidates(2025, 25).filter(c => c.startIdx >= 151 && c.endIdx <= 180);
+        expect(juneOnly.length).toBeGreaterThan(0);
+        juneOnly.forEach(c => expect(c.leaveDaysUsed).toBe(1));
+    });
+
+    test('no generated plan goes over the monthly limit across its breaks', () => {
+        const monthlyTotals = plan => {
+            const totals = new Map();
+            plan.forEach(block => block.bookedDates.forEach(date => {
+                const key = `${date.getFullYear()}-${date.getMonth()}`;
+                totals.set(key, (totals.get(key) || 0) + 1);
+            }));
+            return Array.from(totals.values());
+        };
+
+        [3, 4].forEach(maxPerMonth => {
+            setLeavePolicyForTests({ maxPerMonth });
+            const plan = findOptimalPlan(2025, 25);
+            expect(plan.length).toBeGreaterThan(0);
+            monthlyTotals(plan).forEach(days => expect(days).toBeLessThanOrEqual(maxPerMonth));
+            findAlternativePlans(2025, 25).forEach(alternative => {
+                monthlyTotals(alternative).forEach(days => expect(days).toBeLessThanOrEqual(maxPerMonth));
+            });
+        });
+
+        // Locked leave counts towards the month it is in.
+        setPlanConstraintsForTests(['2025-06-02', '2025-06-03']);
+        setLeavePolicyForTests({ maxPerMonth: 3 });
+        const june = findOptimalPlan(2025, 25)
+            .flatMap(block => block.bookedDates)
+            .filter(date => date.getFullYear() === 2025 && date.getMonth() === 5);
+        expect(june.length).toBeLessThanOrEqual(1);
+    });
+
+    test('manual bookings over the policy are kept but flagged', () => {
+        setLeavePolicyForTests({ maxConsecutive: 3 });
+        renderCalendar();
+        ['2025-06-02', '2025-06-03', '2025-06-04'].forEach(dateStr => toggleDateBooking(dateStr));
+        expect(document.getElementById('toast-container').textContent).not.toContain('leave policy');
+
+        toggleDateBooking('2025-06-05');
+        expect(getCurrentState().bookedDates).toContain('2025-06-05');
+        expect(document.getElementById('toast-container').textContent)
+            .toContain('Over your leave policy: 4 consecutive leave days (max 3). This may need approval.');
+    });
+
+    test('recommendation cards flag blocks that break the policy', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-04-01', '2025-04-02', ...EASTER_WEEK], 'sat-sun', 25);
+        setLeavePolicyForTests({ maxConsecutive: 3, maxPerMonth: 5 });
+        renderRecommendations();
+
+        const cards = document.querySelectorAll('.rec-card');
+        expect(cards[0].querySelector('.rec-policy').textContent)
+            .toBe('Over leave policy: 6 leave days in April 2025 (max 5)');
+        expect(cards[1].className).toContain('over-policy');
+        expect(cards[1].querySelector('.rec-policy').textContent)
+            .toBe('Over leave policy: 4 consecutive leave days (max 3); 6 leave days in April 2025 (max 5)');
+
+        setLeavePolicyForTests({ maxConsecutive: 4 });
+        renderRecommendations();
+        expect(document.querySelector('.rec-policy')).toBeNull();
+    });
+
+    test('the policy is persisted and shared', () => {
+        setLeavePolicyForTests({ maxConsecutive: 10, maxPerMonth: 8 });
+        expect(getCurrentState().leavePolicy).toEqual({ maxConsecutive: 10, maxPerMonth: 8 });
+
+        const decoded = decodePlanString(encodePlanString({ leavePolicy: { maxConsecutive: 10, maxPerMonth: -1 } }));
+        expect(decoded.leavePolicy).toEqual({ maxConsecutive: 10, maxPerMonth: 0 });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setLeavePoolsForTests,
+    setBookingPoolForTests,
+    findOptimalPlan,
+    findCompletionPlan,
+    resetToOptimal,
+    toggleDateBooking,
+    renderCalendar,
+    getPoolLeaveDays,
+    addLeavePool,
+    removeLeavePool,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString,
+    sanitizeLeavePools,
+    sanitizeBookedPools
+} = require('../public/app.js');
+
+const TOIL = { id: 'pool-1', name: 'TOIL', days: 5, singleDaysOnly: false };
+const FLOATING = { id: 'pool-2', name: 'Floating', days: 2, singleDaysOnly: true };
+
+function leaveDays(plan) {
+    return plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0);
+}
+
+describe('Leave pools', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="pool-usage" hidden></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+            <div class="control-group" hidden><select id="booking-pool-select"></select></div>
+            <div id="leave-pool-list"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('sanitizers keep named pools with valid balances and known pool ids', () => {
+        const pools = sanitizeLeavePools([
+            TOIL,
+            { id: 'pool-1', name: 'Duplicate', days: 1 },
+            { id: 'annual', name: 'Annual', days: 1 },
+            { id: 'pool-3', name: '   ', days: 1 },
+            { id: 'pool-4', name: 'Birthday', days: 0.3 },
+            { id: 'pool-5', name: 'Birthday', days: 1, singleDaysOnly: 'yes' }
+        ]);
+        expect(pools).toEqual([TOIL, { id: 'pool-5', name: 'Birthday', days: 1, singleDaysOnly: false }]);
+
+        expect(sanitizeBookedPools({ '2025-06-02': 'pool-1', '2025-06-03': 'pool-9', nope: 'pool-1' }, pools))
+            .toEqual({ '2025-06-02': 'pool-1' });
+    });
+
+    test('flexible pools add to the optimizer budget', () => {
+        setLeavePoolsForTests([TOIL]);
+        expect(leaveDays(findOptimalPlan(2025, 25))).toBe(30);
+    });
+
+    test('single-day pools are planned as separate one-day breaks', () => {
+        setLeavePoolsForTests([FLOATING]);
+        const plan = findOptimalPlan(2025, 25);
+        const singles = plan.filter(block => block.singleDayPool);
+
+        expect(leaveDays(plan)).toBe(27);
+        expect(singles).toHaveLength(2);
+        singles.forEach(single => {
+            expect(single.leaveDaysUsed).toBe(1);
+            plan.filter(block => block !== single).forEach(block => {
+                const apart = single.endDate < block.startDate
+                    ? (block.startDate - single.endDate) / 86400000
+                    : (single.startDate - block.endDate) / 86400000;
+                expect(apart).toBeGreaterThan(1);
+            });
+        });
+    });
+
+    test('the optimal plan records which pool pays for each day', () => {
+        setLeavePoolsForTests([TOIL, FLOATING]);
+        resetToOptimal();
+        jest.runOnlyPendingTimers();
+
+        expect(getPoolLeaveDays(2025)).toEqual({ annual: 25, 'pool-1': 5, 'pool-2': 2 });
+        expect(document.getElementById('days-used').textContent).toBe('32');
+        expect(document.getElementById('pool-usage').textContent).toBe('Annual Leave 25/25TOIL 5/5Floating 2/2');
+        expect(Object.values(getCurrentState().bookedPools).filter(id => id === 'pool-2')).toHaveLength(2);
+    });
+
+    test('calendar bookings use the selected pool and follow its rules', () => {
+        setLeavePoolsForTests([FLOATING]);
+        renderCalendar();
+        setBookingPoolForTests('pool-2');
+
+        toggleDateBooking('2025-06-06');
+        expect(getCurrentState().bookedPools).toEqual({ '2025-06-06': 'pool-2' });
+        expect(getPoolLeaveDays(2025)['pool-2']).toBe(1);
+        expect(document.querySelector('.day[data-date="2025-06-06"]').title).toContain('Floating');
+
+        // Monday 9 June would join Friday's break over the weekend.
+        toggleDateBooking('2025-06-09');
+        expect(getCurrentState().bookedDates).not.toContain('2025-06-09');
+        expect(document.getElementById('toast-container').textContent).toContain('single full days');
+
+        toggleDateBooking('2025-06-06');
+        expect(getCurrentState().bookedPools).toEqual({});
+
+        setBookingPoolForTests('annual');
+        toggleDateBooking('2025-06-10');
+        expect(getPoolLeaveDays(2025)).toEqual({ annual: 1, 'pool-2': 0 });
+    });
+
+    test('later bookings and completed plans keep single-day pool days apart', () => {
+        setLeavePoolsForTests([FLOATING]);
+        renderCalendar();
+        setBookingPoolForTests('pool-2');
+        toggleDateBooking('2025-06-06');
+
+        // Annual leave on Monday 9 June would join Friday's pool day over the weekend.
+        setBookingPoolForTests('annual');
+        toggleDateBooking('2025-06-09');
+        expect(getCurrentState().bookedDates).toEqual(['2025-06-06']);
+        expect(document.getElementById('toast-container').textContent).toContain('Floating can only be taken as single full days');
+        toggleDateBooking('2025-06-11');
+        expect(getCurrentState().bookedDates).toEqual(['2025-06-06', '2025-06-11']);
+
+        // No completed block reaches the pool day or the days around it.
+        const plan = findCompletionPlan(2025, 25);
+        expect(leaveDays(plan)).toBeGreaterThan(0);
+        const poolDay = new Date(2025, 5, 6);
+        plan.forEach(block => {
+            const apart = poolDay < block.startDate
+                ? (block.startDate - poolDay) / 86400000
+                : (poolDay - block.endDate) / 86400000;
+            expect(apart).toBeGreaterThan(1);
+        });
+    });
+
+    test('pools can be added and removed from the editor', () => {
+        expect(addLeavePool('  ', 2, false)).toBe(false);
+        expect(addLeavePool('Birthday', 1, true)).toBe(true);
+        expect(getCurrentState().leavePools).toEqual([{ id: 'pool-1', name: 'Birthday', days: 1, singleDaysOnly: true }]);
+        expect(document.getElementById('leave-pool-list').textContent).toContain('Birthday: 1 day · single days only');
+        const poolSelect = document.getElementById('booking-pool-select');
+        expect(Array.from(poolSelect.options).map(o => o.textContent)).toEqual(['Annual Leave', 'Birthday']);
+        expect(poolSelect.closest('.control-group').hidden).toBe(false);
+
+        removeLeavePool('pool-1');
+        expect(getCurrentState().leavePools).toEqual([]);
+        expect(poolSelect.closest('.control-group').hidden).toBe(true);
+    });
+
+    test('pools and pool bookings are shared and sanitized', () => {
+        const decoded = decodePlanString(encodePlanString({
+            leavePools: [TOIL, { id: 'x', name: 'Bad', days: 1 }],
+            bookedPools: { '2025-06-02': 'pool-1', '2025-06-03': 'x' }
+        }));
+        expect(decoded.leavePools).toEqual([TOIL]);
+        expect(decoded.bookedPools).toEqual({ '2025-06-02': 'pool-1' });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setLeaveYearStartForTests,
+    getLeaveYearLabel,
+    getLeaveYearLength,
+    sanitizeLeaveYearStart,
+    getDayType,
+    analyzeCurrentPlan,
+    findOptimalPlan,
+    renderCalendar,
+    toggleDateBooking,
+    exportToICS,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+describe('Leave year not starting on 1 January', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        setLeaveYearStartForTests(null);
+    });
+
+    test('sanitizeLeaveYearStart accepts real month/day pairs only', () => {
+        expect(sanitizeLeaveYearStart({ month: 4, day: 1 })).toEqual({ month: 4, day: 1 });
+        expect(sanitizeLeaveYearStart({ month: 2, day: 29 })).toBeNull();
+        expect(sanitizeLeaveYearStart({ month: 13, day: 1 })).toBeNull();
+        expect(sanitizeLeaveYearStart({ month: 4, day: 31 })).toBeNull();
+        expect(sanitizeLeaveYearStart('04-01')).toBeNull();
+    });
+
+    test('April–March leave years are labelled and sized by their window', () => {
+        setLeaveYearStartForTests({ month: 4, day: 1 });
+        expect(getLeaveYearLabel(2025)).toBe('2025/26');
+        expect(getLeaveYearLabel(2099)).toBe('2099/00');
+        // 1 Apr 2027 – 31 Mar 2028 contains 29 Feb 2028.
+        expect(getLeaveYearLength(2025)).toBe(365);
+        expect(getLeaveYearLength(2027)).toBe(366);
+    });
+
+    test('day types span both calendar years of the window', () => {
+        setLeaveYearStartForTests({ month: 4, day: 1 });
+        // Good Friday 2026 (3 April) belongs to leave year 2026/27; New Year's Day 2026 to 2025/26.
+        expect(getDayType(new Date(2026, 0, 1), '2026-01-01')).toBe('holiday');
+        expect(getDayType(new Date(2026, 3, 3), '2026-04-03')).toBe('holiday');
+        expect(getDayType(new Date(2026, 0, 2), '2026-01-02')).toBe('workday');
+    });
+
+    test('the optimizer only books days inside the leave-year window', () => {
+        setLeaveYearStartForTests({ month: 4, day: 1 });
+        const plan = findOptimalPlan(2025, 25);
+        const booked = plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+
+        expect(booked).toHaveLength(25);
+        booked.forEach(dateStr => {
+            expect(dateStr >= '2025-04-01' && dateStr <= '2026-03-31').toBe(true);
+        });
+        // Christmas 2025 is inside the 2025/26 window, so it should be used.
+        expect(booked.some(dateStr => dateStr.startsWith('2025-12'))).toBe(true);
+    });
+
+    test('plan analysis and stats follow the window across New Year', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-12-29', '2025-12-30', '2025-12-31', '2026-01-02', '2025-03-31'], 'sat-sun', 25);
+        setLeaveYearStartForTests({ month: 4, day: 1 });
+
+        const blocks = analyzeCurrentPlan();
+        expect(blocks).toHaveLength(1);
+        expect(toLocalISOString(blocks[0].startDate)).toBe('2025-12-25');
+        expect(toLocalISOString(blocks[0].endDate)).toBe('2026-01-04');
+        expect(blocks[0].leaveDays).toBe(4);
+
+        document.body.innerHTML += `
+            <div id="stats-announcer"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        toggleDateBooking('2026-01-05');
+        // 31 March 2025 belongs to the previous leave year and is not counted.
+        expect(document.getElementById('days-used').textContent).toBe('5');
+        expect(document.getElementById('calendar-year-title').textContent).toBe('2025/26 Calendar');
+    });
+
+    test('the calendar renders the leave-year months and pads days outside the window', () => {
+        setLeaveYearStartForTests({ month: 4, day: 6 });
+        renderCalendar();
+
+        const monthNames = Array.from(document.querySelectorAll('.month-name')).map(el => el.textContent);
+        expect(monthNames).toHaveLength(13);
+        expect(monthNames[0]).toBe('April 2025');
+        expect(monthNames[12]).toBe('April 2026');
+
+        const days = document.querySelectorAll('.day[data-date]');
+        expect(days).toHaveLength(365);
+        expect(days[0].dataset.date).toBe('2025-04-06');
+        expect(days[days.length - 1].dataset.date).toBe('2026-04-05');
+        expect(document.querySelectorAll('.day.outside-leave-year').length).toBeGreaterThan(0);
+    });
+
+    test('ICS export covers leave booked after New Year', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2026-02-02'], 'sat-sun', 25);
+        setLeaveYearStartForTests({ month: 4, day: 1 });
+
+        const OriginalBlob = global.Blob;
+        let icsText = null;
+        global.Blob = class {
+            constructor(parts) {
+                icsText = parts.join('');
+            }
+        };
+        global.URL.createObjectURL = jest.fn(() => 'blob:test');
+        global.URL.revokeObjectURL = jest.fn();
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        try {
+            exportToICS();
+        } finally {
+            global.Blob = OriginalBlob;
+            clickSpy.mockRestore();
+        }
+
+        expect(icsText).toContain('DTSTART;VALUE=DATE:20260131');
+        expect(icsText).toContain('DTEND;VALUE=DATE:20260203');
+    });
+
+    test('the leave-year start is persisted and shared', () => {
+        setLeaveYearStartForTests({ month: 4, day: 6 });
+        expect(getCurrentState().leaveYearStart).toEqual({ month: 4, day: 6 });
+
+        const decoded = decodePlanString(encodePlanString({ leaveYearStart: { month: 4, day: 6 } }));
+        expect(decoded.leaveYearStart).toEqual({ month: 4, day: 6 });
+        expect(decodePlanString(encodePlanString({ leaveYearStart: { month: 2, day: 30 } })).leaveYearStart).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setObjectiveForTests,
+    findOptimalPlan,
+    findBestCombination,
+    getYearComparison,
+    renderCalendar,
+    toggleDateBooking,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+function planSummary(plan) {
+    return {
+        leave: plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0),
+        daysOff: plan.reduce((sum, block) => sum + block.totalDaysOff, 0),
+        longest: Math.max(...plan.map(block => block.totalDaysOff))
+    };
+}
+
+describe('Optimization objectives', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    test('longest single break puts the allowance into one block', () => {
+        const defaultPlan = planSummary(findOptimalPlan(2025, 25));
+        setObjectiveForTests('longest');
+        const plan = findOptimalPlan(2025, 25);
+
+        expect(plan).toHaveLength(1);
+        expect(plan[0].leaveDaysUsed).toBe(25);
+        expect(plan[0].totalDaysOff).toBeGreaterThan(defaultPlan.longest);
+    });
+
+    test('most long weekends books many 3–4 day breaks', () => {
+        setObjectiveForTests('long-weekends');
+        const plan = findOptimalPlan(2025, 25);
+        const longWeekends = plan.filter(block => block.totalDaysOff >= 3 && block.totalDaysOff <= 4);
+
+        expect(planSummary(plan).leave).toBe(25);
+        expect(longWeekends.length).toBeGreaterThan(6);
+    });
+
+    test('best average efficiency spends the allowance, then maximises days off per leave day', () => {
+        const defaultPlan = planSummary(findOptimalPlan(2025, 25));
+        setObjectiveForTests('efficiency');
+        const plan = planSummary(findOptimalPlan(2025, 25));
+
+        expect(plan.leave).toBe(25);
+        expect(plan.daysOff / plan.leave).toBeGreaterThanOrEqual(defaultPlan.daysOff / defaultPlan.leave);
+
+        const candidates = [
+            { startDate: 0, endDate: 3, leaveDaysUsed: 1, totalDaysOff: 4, segmentIndex: 0 },
+            { startDate: 10, endDate: 14, leaveDaysUsed: 3, totalDaysOff: 5, segmentIndex: 0 },
+            { startDate: 20, endDate: 28, leaveDaysUsed: 3, totalDaysOff: 9, segmentIndex: 1 }
+        ];
+        expect(findBestCombination(candidates, 4, 2, { objective: 'efficiency' }).map(c => c.startDate)).toEqual([0, 20]);
+    });
+
+    test('evenly spread breaks share the allowance across the year', () => {
+        setObjectiveForTests('even');
+        const plan = findOptimalPlan(2025, 25);
+
+        expect(plan).toHaveLength(6);
+        expect(planSummary(plan).leave).toBe(25);
+        plan.forEach(block => expect(block.leaveDaysUsed).toBeLessThanOrEqual(5));
+        const months = new Set(plan.map(block => Math.floor(block.startDate.getMonth() / 2)));
+        expect(months.size).toBe(6);
+    });
+
+    test('findBestCombination scores by the requested objective', () => {
+        const candidates = [
+            { startDate: 0, endDate: 3, leaveDaysUsed: 1, totalDaysOff: 4, segmentIndex: 0 },
+            { startDate: 10, endDate: 13, leaveDaysUsed: 1, totalDaysOff: 4, segmentIndex: 0 },
+            { startDate: 20, endDate: 29, leaveDaysUsed: 2, totalDaysOff: 10, segmentIndex: 1 }
+        ];
+        expect(findBestCombination(candidates, 2, 2, { objective: 'long-weekends' }).map(c => c.startDate)).toEqual([0, 10]);
+        expect(findBestCombination(candidates, 2, 2, { objective: 'longest' }).map(c => c.startDate)).toEqual([20]);
+    });
+
+    test('the year-over-year comparison follows the objective', () => {
+        const defaultComparison = getYearComparison(2025, 25);
+        setObjectiveForTests('longest');
+        const longestComparison = getYearComparison(2025, 25);
+
+        expect(longestComparison.currentBest).toBeGreaterThan(defaultComparison.currentBest);
+    });
+
+    test('recommendation cards name the objective and the choice is persisted', () => {
+        setObjectiveForTests('long-weekends');
+        renderCalendar();
+        toggleDateBooking('2025-06-06');
+
+        expect(document.querySelector('.rec-objective').textContent).toBe('Goal: Most long weekends');
+        expect(getCurrentState().currentObjective).toBe('long-weekends');
+        expect(decodePlanString(encodePlanString({ currentObjective: 'longest' })).currentObjective).toBe('longest');
+        expect(decodePlanString(encodePlanString({ currentObjective: 'toString' })).currentObjective).toBe('days-off');
+    });
+});
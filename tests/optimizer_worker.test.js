@@ -0,0 +1,200 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setPlanConstraintsForTests,
+    setCrossYearPlanningForTests,
+    setRemainingYearOnlyForTests,
+    findOptimalPlan,
+    findCompletionPlan,
+    createOptimizerSnapshot,
+    resetToOptimal,
+    cancelOptimizerRuns,
+    getCurrentState
+} = require('../public/app.js');
+
+const APP_SOURCE = fs.readFileSync(path.join(__dirname, '../public/app.js'), 'utf8');
+
+// Loads app.js the way the optimizer worker does, in its own global scope.
+function startWorkerScope() {
+    const replies = [];
+    const importScripts = (...urls) => urls.forEach(url => {
+        // holiday_rules.js is copied into public/ from lib/ by the build.
+        const dir = url === 'holiday_rules.js' ? '../lib' : '../public';
+        vm.runInContext(fs.readFileSync(path.join(__dirname, dir, url), 'utf8'), scope);
+    });
+    const scope = { console, importScripts, postMessage: reply => replies.push(reply) };
+    scope.self = scope;
+    vm.createContext(scope);
+    vm.runInContext(APP_SOURCE, scope);
+    return {
+        send: data => {
+            scope.self.onmessage({ data });
+            return replies.pop();
+        },
+        run: code => vm.runInContext(code, scope)
+    };
+}
+
+function bookedISODates(plan) {
+    return plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+}
+
+describe('Optimizer worker', () => {
+    let workerScope;
+
+    beforeAll(() => {
+        workerScope = startWorkerScope();
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.SCOTLAND, [{ date: '2025-08-15', name: 'Company Day' }], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        cancelOptimizerRuns();
+        delete global.Worker;
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('the worker script returns the same plan as the main thread', () => {
+        setPlanConstraintsForTests(['2025-07-14'], [{ start: '2025-03-24', end: '2025-04-04' }], { minGap: 7 });
+        setCrossYearPlanningForTests(true);
+        const expected = bookedISODates(findOptimalPlan(2025, 25));
+
+        const reply = workerScope.send({
+            type: 'optimize',
+            id: 7,
+            kind: 'optimal',
+            snapshot: createOptimizerSnapshot(2025, 25)
+        });
+        expect(reply.type).toBe('result');
+        expect(reply.id).toBe(7);
+        expect(bookedISODates(reply.plans)).toEqual(expected);
+
+        const alternatives = workerScope.send({
+            type: 'optimize',
+            id: 8,
+            kind: 'alternatives',
+            snapshot: createOptimizerSnapshot(2025, 25)
+        });
+        expect(alternatives.plans.length).toBeGreaterThan(1);
+        expect(bookedISODates(alternatives.plans[0])).toEqual(expected);
+
+        // Completion runs see the bookings made on the main thread.
+        setTestState(2025, REGIONS.SCOTLAND, [], ['2025-08-04', '2025-08-05'], 'sat-sun', 10, { '2025-10-10': 'pm' });
+        const completion = workerScope.send({
+            type: 'optimize',
+            id: 9,
+            kind: 'complete',
+            snapshot: createOptimizerSnapshot(2025, 10)
+        });
+        expect(bookedISODates(completion.plans)).toEqual(bookedISODates(findCompletionPlan(2025, 10)));
+    });
+
+    test('toasts are skipped in the worker scope, which has no document', () => {
+        expect(() => workerScope.run("showToast('Optimizing…', 'info')")).not.toThrow();
+    });
+
+    test('in remaining-year mode the worker only limits the year selected on the page', () => {
+        jest.setSystemTime(new Date(2025, 9, 15, 12));
+        setRemainingYearOnlyForTests(true);
+
+        // The year-over-year comparison plans the previous year in the worker.
+        const previous = workerScope.send({
+            type: 'optimize',
+            id: 10,
+            kind: 'optimal',
+            snapshot: createOptimizerSnapshot(2024, 25)
+        });
+        expect(previous.plans.length).toBeGreaterThan(0);
+        expect(bookedISODates(previous.plans)).toEqual(bookedISODates(findOptimalPlan(2024, 25)));
+
+        const selected = workerScope.send({
+            type: 'optimize',
+            id: 11,
+            kind: 'optimal',
+            snapshot: createOptimizerSnapshot(2025, 25)
+        });
+        expect(bookedISODates(selected.plans).every(dateStr => dateStr >= '2025-10-15')).toBe(true);
+        expect(bookedISODates(selected.plans)).toEqual(bookedISODates(findOptimalPlan(2025, 25)));
+    });
+
+    test('resetToOptimal books the plan the worker sends back', () => {
+        const posted = [];
+        global.Worker = class {
+            postMessage(message) {
+                posted.push(message);
+                // Reply asynchronously, like a real worker.
+                setTimeout(() => this.onmessage({ data: workerScope.send(message) }), 0);
+            }
+            terminate() {}
+        };
+
+        resetToOptimal();
+        expect(posted).toHaveLength(1);
+        expect(posted[0]).toMatchObject({ type: 'optimize', kind: 'optimal', snapshot: { year: 2025, allowance: 25 } });
+        expect(document.getElementById('loading-overlay').classList.contains('background')).toBe(true);
+
+        jest.runOnlyPendingTimers();
+        expect(getCurrentState().bookedDates).toHaveLength(25);
+        expect(document.getElementById('days-used').textContent).toBe('25');
+        expect(document.getElementById('loading-overlay').style.display).toBe('none');
+    });
+
+    test('starting a new run cancels the one in flight', () => {
+        const workers = [];
+        global.Worker = class {
+            constructor() {
+                this.posted = [];
+                this.terminated = false;
+                workers.push(this);
+            }
+            postMessage(message) {
+                this.posted.push(message);
+            }
+            terminate() {
+                this.terminated = true;
+            }
+        };
+
+        resetToOptimal();
+        setTestState(2026, REGIONS.SCOTLAND, [], [], 'sat-sun', 20);
+        resetToOptimal();
+
+        expect(workers).toHaveLength(2);
+        expect(workers[0].terminated).toBe(true);
+        expect(workers[1].posted[0].snapshot).toMatchObject({ year: 2026, allowance: 20 });
+
+        // A late reply from the cancelled run is ignored.
+        const stale = workerScope.send(workers[0].posted[0]);
+        workers[0].onmessage({ data: stale });
+        expect(getCurrentState().bookedDates).toHaveLength(0);
+
+        workers[1].onmessage({ data: workerScope.send(workers[1].posted[0]) });
+        const booked = getCurrentState().bookedDates;
+        expect(booked).toHaveLength(20);
+        booked.forEach(dateStr => expect(dateStr >= '2025-12-01').toBe(true));
+    });
+});
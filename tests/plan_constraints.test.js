@@ -0,0 +1,199 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setPlanConstraintsForTests,
+    generateAllCandidates,
+    findBestCombination,
+    findOptimalPlan,
+    resetToOptimal,
+    toggleDateBooking,
+    renderCalendar,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString,
+    sanitizeBlackoutRanges,
+    sanitizeBlockRules
+} = require('../public/app.js');
+
+const LOCKED_WEEK = ['2025-07-14', '2025-07-15', '2025-07-16', '2025-07-17', '2025-07-18'];
+
+function bookedISODates(plan) {
+    return plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+}
+
+describe('Optimizer constraints', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+            <div id="blackout-list"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('sanitizers merge blackout ranges and cap block rules', () => {
+        expect(sanitizeBlackoutRanges([
+            { start: '2025-04-07', end: '2025-04-11' },
+            { start: '2025-03-31', end: '2025-04-06' },
+            { start: '2025-06-10', end: '2025-06-01' },
+            { start: 'bad', end: '2025-06-01' },
+            null
+        ])).toEqual([{ start: '2025-03-31', end: '2025-04-11' }]);
+
+        expect(sanitizeBlockRules({ minLength: 12, maxLength: 9, minGap: -1 })).toEqual({ minLength: 9, maxLength: 9, minGap: 0 });
+        expect(sanitizeBlockRules({ minLength: 2.5, maxLength: 400, minGap: 14 })).toEqual({ minLength: 0, maxLength: 0, minGap: 14 });
+    });
+
+    test('no leave is planned inside a blackout range', () => {
+        setPlanConstraintsForTests([], [{ start: '2025-03-24', end: '2025-04-30' }]);
+
+        // 24 March 2025 (a Monday) is index 82 and 30 April (a Wednesday) is index 119,
+        // so every candidate has to end by the weekend before or start after the range.
+        generateAllCandidates(2025, 25).forEach(c => {
+            expect(c.endIdx < 82 || c.startIdx > 119).toBe(true);
+        });
+
+        const booked = bookedISODates(findOptimalPlan(2025, 25));
+        expect(booked).toHaveLength(25);
+        booked.forEach(dateStr => {
+            expect(dateStr >= '2025-03-24' && dateStr <= '2025-04-30').toBe(false);
+        });
+    });
+
+    test('locked days stay booked and come out of the allowance', () => {
+        setPlanConstraintsForTests(LOCKED_WEEK);
+
+        const plan = findOptimalPlan(2025, 25);
+        const booked = bookedISODates(plan);
+        expect(plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(20);
+        LOCKED_WEEK.forEach(dateStr => expect(booked).not.toContain(dateStr));
+
+        resetToOptimal();
+        jest.runOnlyPendingTimers();
+        const state = getCurrentState();
+        LOCKED_WEEK.forEach(dateStr => expect(state.bookedDates).toContain(dateStr));
+        expect(state.bookedDates).toHaveLength(25);
+        expect(document.getElementById('days-used').textContent).toBe('25');
+    });
+
+    test('block length limits apply to every suggested break', () => {
+        setPlanConstraintsForTests([], [], { minLength: 9, maxLength: 10 });
+
+        generateAllCandidates(2025, 25).forEach(c => {
+            expect(c.totalDaysOff).toBeGreaterThanOrEqual(9);
+            expect(c.totalDaysOff).toBeLessThanOrEqual(10);
+        });
+        const plan = findOptimalPlan(2025, 25);
+        expect(plan.length).toBeGreaterThan(0);
+        plan.forEach(block => {
+            expect(block.totalDaysOff).toBeGreaterThanOrEqual(9);
+            expect(block.totalDaysOff).toBeLessThanOrEqual(10);
+        });
+    });
+
+    test('chosen blocks keep the minimum gap between each other and locked leave', () => {
+        setPlanConstraintsForTests(LOCKED_WEEK, [], { minGap: 21 });
+
+        const plan = findOptimalPlan(2025, 25);
+        const lockedStart = new Date(2025, 6, 12);
+        const lockedEnd = new Date(2025, 6, 20);
+        for (let i = 0; i < plan.length; i++) {
+            if (i > 0) {
+                const gap = Math.round((plan[i].startDate - plan[i - 1].endDate) / 86400000) - 1;
+                expect(gap).toBeGreaterThanOrEqual(21);
+            }
+            const includesLocked = plan[i].startDate <= lockedStart && plan[i].endDate >= lockedEnd;
+            if (!includesLocked) {
+                const gapAfter = Math.round((lockedStart - plan[i].endDate) / 86400000) - 1;
+                const gapBefore = Math.round((plan[i].startDate - lockedEnd) / 86400000) - 1;
+                expect(Math.max(gapAfter, gapBefore)).toBeGreaterThanOrEqual(21);
+            }
+        }
+    });
+
+    test('findBestCombination honours an explicit minimum gap', () => {
+        const candidates = [
+            { startDate: 0, endDate: 4, leaveDaysUsed: 2, totalDaysOff: 5, segmentIndex: 0 },
+            { startDate: 7, endDate: 11, leaveDaysUsed: 2, totalDaysOff: 5, segmentIndex: 1 },
+            { startDate: 20, endDate: 23, leaveDaysUsed: 2, totalDaysOff: 4, segmentIndex: 2 }
+        ];
+        expect(findBestCombination(candidates, 4, 3, { minGapDays: 0 }).map(c => c.startDate)).toEqual([0, 7]);
+        expect(findBestCombination(candidates, 4, 3, { minGapDays: 5 }).map(c => c.startDate)).toEqual([0, 20]);
+    });
+
+    test('calendar modes lock days and mark blackouts', () => {
+        renderCalendar();
+
+        toggleDateBooking('2025-06-02', 'lock');
+        let cell = document.querySelector('.day[data-date="2025-06-02"]');
+        expect(cell.className).toContain('locked');
+        expect(cell.className).toContain('leave');
+        expect(getCurrentState().lockedDates).toEqual(['2025-06-02']);
+
+        // A locked day can't be unbooked by a plain click.
+        toggleDateBooking('2025-06-02', 'full');
+        expect(getCurrentState().bookedDates).toContain('2025-06-02');
+
+        toggleDateBooking('2025-06-10', 'blackout');
+        toggleDateBooking('2025-06-11', 'blackout');
+        expect(getCurrentState().blackoutRanges).toEqual([{ start: '2025-06-10', end: '2025-06-11' }]);
+        cell = document.querySelector('.day[data-date="2025-06-11"]');
+        expect(cell.className).toContain('blackout');
+        expect(document.getElementById('blackout-list').textContent).toContain('2025-06-10 – 2025-06-11');
+
+        toggleDateBooking('2025-06-11', 'full');
+        expect(getCurrentState().bookedDates).not.toContain('2025-06-11');
+        expect(document.getElementById('toast-container').textContent).toContain('blackout period');
+
+        toggleDateBooking('2025-06-10', 'blackout');
+        expect(getCurrentState().blackoutRanges).toEqual([]);
+    });
+
+    test('adding a blackout or lock re-plans the bookings around it', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], ['2025-06-02', '2025-06-03', '2025-06-04'], 'sat-sun', 25);
+        renderCalendar();
+
+        toggleDateBooking('2025-06-03', 'blackout');
+        jest.runOnlyPendingTimers();
+        let booked = getCurrentState().bookedDates;
+        expect(booked).not.toContain('2025-06-03');
+        expect(booked).toHaveLength(25);
+
+        toggleDateBooking('2025-09-01', 'lock');
+        jest.runOnlyPendingTimers();
+        booked = getCurrentState().bookedDates;
+        expect(booked).toContain('2025-09-01');
+        expect(booked).not.toContain('2025-06-03');
+        expect(booked).toHaveLength(25);
+    });
+
+    test('constraints are shared and sanitized', () => {
+        const decoded = decodePlanString(encodePlanString({
+            lockedDates: ['2025-07-14', 'nope'],
+            blackoutRanges: [{ start: '2025-03-24', end: '2025-04-04' }, { start: '2025-05-01' }],
+            blockRules: { minLength: 4, maxLength: 16, minGap: 30 }
+        }));
+        expect(decoded.lockedDates).toEqual(['2025-07-14']);
+        expect(decoded.blackoutRanges).toEqual([{ start: '2025-03-24', end: '2025-04-04' }]);
+        expect(decoded.blockRules).toEqual({ minLength: 4, maxLength: 16, minGap: 30 });
+    });
+});
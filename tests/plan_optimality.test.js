@@ -0,0 +1,80 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    generateAllCandidates,
+    selectTopCandidates,
+    findBestCombination,
+    findOptimalPlan,
+    getCombinationOptimality,
+    getPlanOptimality,
+    getCombinationTableSize,
+    EXACT_PLAN_MAX_DP_CELLS,
+    renderRecommendations
+} = require('../public/app.js');
+
+function totalDaysOff(blocks) {
+    return blocks.reduce((sum, block) => sum + block.totalDaysOff, 0);
+}
+
+describe('Plan optimality', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <h2>Top 3 Smartest Breaks <span id="plan-optimality" hidden></span></h2>
+            <div id="recommendations"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 48);
+    });
+
+    test('large allowances are solved over every candidate when the DP fits', () => {
+        const plan = findOptimalPlan(2025, 48);
+        expect(getPlanOptimality(2025, 48)).toEqual({ optimal: true, gap: 0 });
+
+        // The old path only searched the pruned candidates.
+        const candidates = generateAllCandidates(2025, 48, { maxLeaveDaysPerBlock: 10, segmentCount: 6 });
+        const pruned = findBestCombination(selectTopCandidates(candidates, 48), 48, 6, { objective: 'days-off' });
+        expect(plan.reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(48);
+        expect(totalDaysOff(plan)).toBeGreaterThanOrEqual(totalDaysOff(pruned));
+    });
+
+    test('oversized problems are pruned and report their gap to the bound', () => {
+        findOptimalPlan(2025, 200);
+        const optimality = getPlanOptimality(2025, 200);
+        expect(optimality.optimal).toBe(false);
+        expect(optimality.gap).toBeGreaterThan(0);
+        expect(optimality.gap).toBeLessThan(0.1);
+    });
+
+    test('the exact search stops well before the DP table outgrows a phone', () => {
+        expect(getCombinationTableSize(2485, 48, 6, 'days-off')).toBeLessThanOrEqual(EXACT_PLAN_MAX_DP_CELLS);
+        expect(EXACT_PLAN_MAX_DP_CELLS * Int32Array.BYTES_PER_ELEMENT).toBeLessThanOrEqual(32 * 1024 * 1024);
+        // 60 days no longer fits, so those plans come from the pruned candidates.
+        expect(getCombinationTableSize(2485, 60, 6, 'days-off')).toBeGreaterThan(EXACT_PLAN_MAX_DP_CELLS);
+    });
+
+    test('getCombinationOptimality measures the shortfall against the relaxed bound', () => {
+        const a = { startDate: 0, endDate: 3, leaveDaysUsed: 1, totalDaysOff: 4, segmentIndex: 0 };
+        const b = { startDate: 2, endDate: 7, leaveDaysUsed: 1, totalDaysOff: 6, segmentIndex: 0 };
+
+        expect(getCombinationOptimality([a, b], [b], 1, 1, 'days-off')).toEqual({ optimal: true, gap: 0 });
+        const approx = getCombinationOptimality([a, b], [a], 1, 1, 'days-off');
+        expect(approx.optimal).toBe(false);
+        expect(approx.gap).toBeCloseTo(1 / 3);
+        // A plan spending more allowance might exist, so no gap can be given.
+        expect(getCombinationOptimality([a, b], [a], 2, 2, 'longest')).toEqual({ optimal: false, gap: null });
+    });
+
+    test('the recommendations heading shows the label once a plan is computed', () => {
+        renderRecommendations();
+        expect(document.getElementById('plan-optimality').hidden).toBe(true);
+
+        findOptimalPlan(2025, 48);
+        renderRecommendations();
+        const badge = document.getElementById('plan-optimality');
+        expect(badge.hidden).toBe(false);
+        expect(badge.textContent).toBe('Optimal');
+    });
+});
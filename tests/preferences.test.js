@@ -0,0 +1,138 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setObjectiveForTests,
+    setPreferencesForTests,
+    generateAllCandidates,
+    findOptimalPlan,
+    getPreferenceWeight,
+    sanitizeMonthWeights,
+    sanitizePreferenceRanges,
+    renderPreferences,
+    handleMonthWeightChange,
+    addPreferenceRange,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+function bookedISODates(plan) {
+    return plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+}
+
+// Weights for January–December.
+const AVOID_DECEMBER = [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0];
+
+describe('Preferred times', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+            <div id="month-weights"></div>
+            <select id="preference-weight-select"></select>
+            <div id="preference-list"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('sanitizers keep known levels and valid ranges only', () => {
+        expect(sanitizeMonthWeights([2, 0.5, 3, 'x', 0])).toEqual([2, 0.5, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1]);
+        expect(sanitizeMonthWeights(null)).toHaveLength(12);
+
+        expect(sanitizePreferenceRanges([
+            { start: '2025-08-01', end: '2025-08-31', weight: 2 },
+            { start: '2025-05-01', end: '2025-05-10', weight: 0 },
+            { start: '2025-06-10', end: '2025-06-01', weight: 2 },
+            { start: '2025-07-01', end: '2025-07-02', weight: 7 },
+            null
+        ])).toEqual([
+            { start: '2025-05-01', end: '2025-05-10', weight: 0 },
+            { start: '2025-08-01', end: '2025-08-31', weight: 2 }
+        ]);
+    });
+
+    test('date ranges override the month weight', () => {
+        setPreferencesForTests([1, 1, 1, 1, 1, 1, 1, 2], [
+            { start: '2025-08-01', end: '2025-08-31', weight: 0.5 },
+            { start: '2025-08-10', end: '2025-08-15', weight: 0 }
+        ]);
+
+        expect(getPreferenceWeight(new Date(2025, 6, 31))).toBe(1);
+        expect(getPreferenceWeight(new Date(2026, 7, 3))).toBe(2);
+        expect(getPreferenceWeight(new Date(2025, 7, 3))).toBe(0.5);
+        expect(getPreferenceWeight(new Date(2025, 7, 12))).toBe(0);
+    });
+
+    test('candidates carry weighted days off only when preferences are set', () => {
+        const findChristmasBridge = candidates => candidates.find(c => c.leaveDaysUsed === 3 && c.startIdx === 357);
+        expect(findChristmasBridge(generateAllCandidates(2025, 25)).preferenceDaysOff).toBeUndefined();
+
+        setPreferencesForTests(AVOID_DECEMBER);
+        // 24–31 Dec 2025 fall in December, so the whole bridge is worth nothing.
+        const bridge = findChristmasBridge(generateAllCandidates(2025, 25));
+        expect(bridge.totalDaysOff).toBe(7);
+        expect(bridge.preferenceDaysOff).toBe(0);
+    });
+
+    test('the optimizer avoids disliked months and favours preferred ones', () => {
+        const defaultBooked = bookedISODates(findOptimalPlan(2025, 25));
+        expect(defaultBooked.some(dateStr => dateStr.startsWith('2025-12'))).toBe(true);
+
+        setPreferencesForTests(AVOID_DECEMBER);
+        const booked = bookedISODates(findOptimalPlan(2025, 25));
+        expect(booked).toHaveLength(25);
+        expect(booked.some(dateStr => dateStr.startsWith('2025-12'))).toBe(false);
+
+        setObjectiveForTests('longest');
+        setPreferencesForTests(null, [{ start: '2025-08-01', end: '2025-08-31', weight: 2 }]);
+        const plan = findOptimalPlan(2025, 10);
+        expect(plan).toHaveLength(1);
+        bookedISODates(plan).forEach(dateStr => expect(dateStr.startsWith('2025-08')).toBe(true));
+    });
+
+    test('the editor stores month weights and preferred periods', () => {
+        renderPreferences();
+        const selects = document.querySelectorAll('#month-weights select');
+        expect(selects).toHaveLength(12);
+        expect(selects[0].getAttribute('aria-label')).toBe('Preference for January');
+        expect(document.getElementById('preference-weight-select').value).toBe('2');
+
+        selects[6].value = '2';
+        handleMonthWeightChange({ target: selects[6] });
+        expect(getCurrentState().monthWeights[6]).toBe(2);
+        expect(selects[6].className).toContain('changed');
+
+        expect(addPreferenceRange('2025-05-10', '2025-05-01', 2)).toBe(false);
+        expect(addPreferenceRange('2025-10-20', '2025-10-31', 0)).toBe(true);
+        expect(getCurrentState().preferenceRanges).toEqual([{ start: '2025-10-20', end: '2025-10-31', weight: 0 }]);
+        expect(document.getElementById('preference-list').textContent).toContain('Avoid (2025-10-20 – 2025-10-31)');
+    });
+
+    test('preferences are shared and sanitized', () => {
+        const decoded = decodePlanString(encodePlanString({
+            monthWeights: [0, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 9],
+            preferenceRanges: [{ start: '2025-08-01', end: '2025-08-15', weight: 1.5 }, { start: '2025-09-01' }]
+        }));
+        expect(decoded.monthWeights).toEqual([0, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]);
+        expect(decoded.preferenceRanges).toEqual([{ start: '2025-08-01', end: '2025-08-15', weight: 1.5 }]);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setBankHolidaysInAllowanceForTests,
+    getWeekendMaskFromDays,
+    getBankHolidaySummary,
+    getUsedLeaveDays,
+    findOptimalPlan,
+    renderCalendar,
+    toggleDateBooking,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+// Days off for someone working Monday–Wednesday and Wednesday–Friday.
+const MON_WED_MASK = getWeekendMaskFromDays([4, 5, 6, 0]);
+const WED_FRI_MASK = getWeekendMaskFromDays([6, 0, 1, 2]);
+
+describe('Pro-rata bank holidays', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="bank-holiday-note" hidden></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], MON_WED_MASK, 15);
+    });
+
+    test('holidays on working days are counted against the pro-rata share', () => {
+        // England & Wales 2025 has 8 weekday bank holidays; 5 fall on a Monday–Wednesday.
+        expect(getBankHolidaySummary(2025)).toEqual({ onWorkingDays: 5, fullTime: 8, proRataShare: 4.8, adjustment: -0.2 });
+
+        // Good Friday and both Christmas holidays land on a Wednesday–Friday worker's days.
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], WED_FRI_MASK, 15);
+        expect(getBankHolidaySummary(2025)).toEqual({ onWorkingDays: 4, fullTime: 8, proRataShare: 4.8, adjustment: 0.8 });
+    });
+
+    test('custom holidays are not counted as bank holidays', () => {
+        // Tuesday 10 June 2025 is a company day off on a Monday–Wednesday worker's day.
+        setTestState(2025, REGIONS.ENGLAND_WALES, [{ date: '2025-06-10', name: 'Company day' }], [], MON_WED_MASK, 15);
+        expect(getBankHolidaySummary(2025)).toEqual({ onWorkingDays: 5, fullTime: 8, proRataShare: 4.8, adjustment: -0.2 });
+
+        setBankHolidaysInAllowanceForTests(true);
+        expect(getUsedLeaveDays()).toBe(5);
+    });
+
+    test('bank holidays only use allowance once the mode is on', () => {
+        expect(getUsedLeaveDays()).toBe(0);
+        expect(findOptimalPlan(2025, 15).reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(15);
+
+        setBankHolidaysInAllowanceForTests(true);
+        expect(getUsedLeaveDays()).toBe(5);
+        expect(findOptimalPlan(2025, 15).reduce((sum, block) => sum + block.leaveDaysUsed, 0)).toBe(10);
+    });
+
+    test('stats show the deducted holidays and the entitlement adjustment', () => {
+        renderCalendar();
+        toggleDateBooking('2025-06-02');
+        expect(document.getElementById('days-used').textContent).toBe('1');
+        expect(document.getElementById('bank-holiday-note').hidden).toBe(true);
+
+        setBankHolidaysInAllowanceForTests(true);
+        toggleDateBooking('2025-06-03');
+        expect(document.getElementById('days-used').textContent).toBe('7');
+        const note = document.getElementById('bank-holiday-note');
+        expect(note.hidden).toBe(false);
+        expect(note.textContent).toBe('Incl. 5 bank holidays on working days · −0.2 vs your pro-rata share');
+        expect(document.getElementById('stats-announcer').textContent).toContain('This includes 5 bank holidays');
+
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], WED_FRI_MASK, 15);
+        setBankHolidaysInAllowanceForTests(true);
+        renderCalendar();
+        toggleDateBooking('2025-06-04');
+        expect(note.textContent).toBe('Incl. 4 bank holidays on working days · +0.8 for holidays on your days off');
+    });
+
+    test('the mode is persisted and shared', () => {
+        setBankHolidaysInAllowanceForTests(true);
+        expect(getCurrentState().bankHolidaysInAllowance).toBe(true);
+
+        expect(decodePlanString(encodePlanString({ bankHolidaysInAllowance: true })).bankHolidaysInAllowance).toBe(true);
+        expect(decodePlanString(encodePlanString({ bankHolidaysInAllowance: 1 })).bankHolidaysInAllowance).toBe(false);
+    });
+});
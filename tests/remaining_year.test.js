@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    toLocalISOString,
+    setTestState,
+    setRemainingYearOnlyForTests,
+    generateAllCandidates,
+    findOptimalPlan,
+    resetToOptimal,
+    renderCalendar,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString
+} = require('../public/app.js');
+
+// Wed 15 October 2025 is day 287 of the year.
+const TODAY = new Date(2025, 9, 15, 12);
+const TODAY_IDX = 287;
+// Mon 3 – Fri 7 February 2025, already taken.
+const FEBRUARY_WEEK = ['2025-02-03', '2025-02-04', '2025-02-05', '2025-02-06', '2025-02-07'];
+
+function bookedISODates(plan) {
+    return plan.flatMap(block => block.bookedDates.map(toLocalISOString));
+}
+
+describe('Remaining-year planning', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: TODAY });
+        document.body.innerHTML = `
+            <div id="stats-announcer"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="days-used"></div>
+            <div id="days-off"></div>
+            <div id="calendar-year-title"></div>
+            <div id="recommendations"></div>
+            <div id="yoy-main"></div>
+            <div id="yoy-sub"></div>
+            <div id="holiday-data-status"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], FEBRUARY_WEEK, 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('only future workdays are candidates', () => {
+        expect(generateAllCandidates(2025, 25).some(c => c.displayStartIdx < TODAY_IDX)).toBe(true);
+
+        setRemainingYearOnlyForTests(true);
+        const candidates = generateAllCandidates(2025, 25);
+        expect(candidates.length).toBeGreaterThan(0);
+        candidates.forEach(c => expect(c.displayStartIdx).toBeGreaterThanOrEqual(TODAY_IDX));
+    });
+
+    test('leave already taken comes out of the allowance', () => {
+        setRemainingYearOnlyForTests(true);
+        const booked = bookedISODates(findOptimalPlan(2025, 25));
+        expect(booked).toHaveLength(20);
+        booked.forEach(dateStr => expect(dateStr >= '2025-10-15').toBe(true));
+
+        // Other leave years are still planned in full.
+        expect(bookedISODates(findOptimalPlan(2024, 25))).toHaveLength(25);
+    });
+
+    test('resetting the plan keeps the leave already taken', () => {
+        setRemainingYearOnlyForTests(true);
+        resetToOptimal();
+        jest.runOnlyPendingTimers();
+
+        const bookedDates = getCurrentState().bookedDates;
+        expect(bookedDates).toHaveLength(25);
+        expect(bookedDates).toEqual(expect.arrayContaining(FEBRUARY_WEEK));
+        expect(bookedDates.filter(dateStr => dateStr >= '2025-10-15')).toHaveLength(20);
+    });
+
+    test('the calendar separates past days from future ones', () => {
+        renderCalendar();
+        expect(document.querySelector('.day.past')).toBeNull();
+
+        setRemainingYearOnlyForTests(true);
+        renderCalendar();
+        const day = dateStr => document.querySelector(`.day[data-date="${dateStr}"]`);
+        expect(day('2025-10-14').className).toContain('past');
+        expect(day('2025-10-15').className).toContain('plan-start');
+        expect(day('2025-10-16').className).not.toContain('past');
+        expect(day('2025-02-03').getAttribute('aria-label')).toContain('Monday 3 February, Booked, Taken');
+        expect(day('2025-03-03').getAttribute('aria-label')).toBe('Monday 3 March, Available, Past');
+    });
+
+    test('the mode is persisted and shared', () => {
+        setRemainingYearOnlyForTests(true);
+        expect(getCurrentState().remainingYearOnly).toBe(true);
+
+        expect(decodePlanString(encodePlanString({ remainingYearOnly: true })).remainingYearOnly).toBe(true);
+        expect(decodePlanString(encodePlanString({ remainingYearOnly: 'yes' })).remainingYearOnly).toBe(false);
+    });
+});
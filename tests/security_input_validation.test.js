@@ -54,7 +54,7 @@ describe('Security Input Validation', () => {
             ? Array.from(northAmericaGroup.querySelectorAll('option')).map((option) => option.textContent)
             : [];
 
-        expect(options).toHaveLength(57);
+        expect(options).toHaveLength(61);
         expect(options.map((option) => option.value)).toEqual(
             expect.arrayContaining(['canada', 'us-california', 'us-new-york', 'us-wyoming'])
         );
@@ -306,9 +306,9 @@ describe('Security Input Validation', () => {
         });
     });
 
-    test('ignores fractional currentAllowance from localStorage to protect integer DP indexing', () => {
+    test('ignores non-half-day currentAllowance from localStorage to protect DP indexing', () => {
         const maliciousState = {
-            currentAllowance: 1.5,
+            currentAllowance: 1.25,
             currentYear: 2025,
             currentRegion: 'england-wales',
             bookedDates: []
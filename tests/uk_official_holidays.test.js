@@ -0,0 +1,57 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    setTestState,
+    setHolidayDatasetForTests,
+    getHolidaysForYear
+} = require('../public/app.js');
+
+function datasetWith(years) {
+    return { updatedAt: '2026-10-01', locations: { 'GB-EAW': { name: 'England & Wales', years } } };
+}
+
+describe('Official UK bank holidays', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        setTestState(2027, REGIONS.ENGLAND_WALES, []);
+    });
+
+    afterEach(() => {
+        setHolidayDatasetForTests(null);
+        warnSpy.mockRestore();
+    });
+
+    test('official dates replace the computed ones without logging the differences', () => {
+        setHolidayDatasetForTests(datasetWith({
+            2027: [
+                { date: '2027-01-01', name: "New Year's Day", source: 'govuk' },
+                { date: '2027-06-07', name: 'Proclaimed Bank Holiday', source: 'govuk' }
+            ]
+        }));
+
+        const { holidays, lookup } = getHolidaysForYear(2027, REGIONS.ENGLAND_WALES);
+        expect(holidays).toEqual([
+            { date: '2027-01-01', name: "New Year's Day" },
+            { date: '2027-06-07', name: 'Proclaimed Bank Holiday' }
+        ]);
+        expect(lookup.has('2027-12-27')).toBe(false);
+
+        getHolidaysForYear(2027, REGIONS.SCOTLAND);
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('the rules are used for years without official dates', () => {
+        setHolidayDatasetForTests(datasetWith({
+            2027: [{ date: '2027-01-01', name: "New Year's Day", source: 'rules' }]
+        }));
+
+        expect(getHolidaysForYear(2027, REGIONS.ENGLAND_WALES).holidays).toHaveLength(8);
+        expect(getHolidaysForYear(2030, REGIONS.ENGLAND_WALES).holidays).toHaveLength(8);
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+});
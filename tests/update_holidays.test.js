@@ -293,6 +293,98 @@ describe('update_holidays.mjs', () => {
         );
     });
 
+    test('buildHolidayDataset builds rule-based locations from the rules when GOV.UK has no data', async () => {
+        const fetchJsonMock = jest.fn(async (urlString) => {
+            const url = new URL(urlString);
+            return url.hostname === 'calendarific.com' ? { response: { holidays: [] } } : { holidays: [] };
+        });
+
+        const dataset = await buildHolidayDataset({
+            fetchJson: fetchJsonMock,
+            logger: { log() {}, warn() {}, error() {} },
+            years: [2026]
+        });
+
+        expect(fetchJsonMock.mock.calls.some(([url]) => url.includes('GB'))).toBe(false);
+        expect(dataset.sources.rules).toEqual({ enabled: true });
+        expect(dataset.locations['GB-SCT'].name).toBe('Scotland');
+        expect(dataset.locations['GB-SCT'].years['2026']).toEqual(expect.arrayContaining([
+            { date: '2026-01-02', name: '2nd January', type: 'bank holiday', source: 'rules' },
+            { date: '2026-12-28', name: 'Boxing Day (Substitute)', type: 'bank holiday', source: 'rules' }
+        ]));
+        expect(dataset.locations['GB-EAW'].years['2026']).toHaveLength(8);
+        expect(dataset.locations.IE.years['2026']).toEqual(expect.arrayContaining([
+            { date: '2026-02-02', name: "St Brigid's Day", type: 'public holiday', source: 'rules' }
+        ]));
+        expect(dataset.locations.JE.years['2026']).toEqual(expect.arrayContaining([
+            { date: '2026-05-09', name: 'Liberation Day', type: 'bank holiday', source: 'rules' }
+        ]));
+    });
+
+    test('buildHolidayDataset prefers the official GOV.UK dates for UK regions', async () => {
+        const fetchJsonMock = jest.fn(async (urlString) => {
+            if (urlString === 'https://www.gov.uk/bank-holidays.json') {
+                return {
+                    'england-and-wales': {
+                        division: 'england-and-wales',
+                        events: [
+                            { title: "New Year's Day", date: '2027-01-01', notes: '', bunting: true },
+                            { title: 'Boxing Day', date: '2027-12-28', notes: 'Substitute day', bunting: true }
+                        ]
+                    },
+                    scotland: { division: 'scotland', events: [{ title: 'Bad date', date: '2027-02-30' }] }
+                };
+            }
+            return {};
+        });
+
+        const dataset = await buildHolidayDataset({
+            fetchJson: fetchJsonMock,
+            logger: { log() {}, warn() {}, error() {} },
+            years: [2027, 2028]
+        });
+
+        expect(dataset.sources.govuk).toEqual({ enabled: true });
+        expect(dataset.locations['GB-EAW'].years['2027']).toEqual([
+            { date: '2027-01-01', name: "New Year's Day", type: 'bank holiday', source: 'govuk' },
+            { date: '2027-12-28', name: 'Boxing Day (Substitute)', type: 'bank holiday', source: 'govuk' }
+        ]);
+        // Years and divisions GOV.UK doesn't cover come from the rules.
+        expect(dataset.locations['GB-EAW'].years['2028'][0].source).toBe('rules');
+        expect(dataset.locations['GB-SCT'].years['2027'][0].source).toBe('rules');
+    });
+
+    test('buildHolidayDataset falls back to the rules when GOV.UK cannot be fetched', async () => {
+        const logger = { log() {}, warn: jest.fn(), error() {} };
+        const dataset = await buildHolidayDataset({
+            fetchJson: async (urlString) => {
+                if (urlString.includes('gov.uk')) throw new Error('offline');
+                return {};
+            },
+            logger,
+            years: [2027]
+        });
+
+        expect(logger.warn).toHaveBeenCalledWith('Failed to fetch GOV.UK bank holidays. UK regions use the holiday rules.');
+        expect(dataset.locations['GB-NIR'].years['2027']).toHaveLength(10);
+    });
+
+    test('buildHolidayDataset applies and ships the one-off override table', async () => {
+        const dataset = await buildHolidayDataset({
+            fetchJson: async () => ({}),
+            logger: { log() {}, warn() {}, error() {} },
+            years: [2022]
+        });
+
+        const entry = dataset.locations['GB-NIR'];
+        const dates = entry.years['2022'].map((holiday) => holiday.date);
+        expect(dates).toEqual(expect.arrayContaining(['2022-06-02', '2022-06-03', '2022-09-19']));
+        expect(dates).not.toContain('2022-05-30');
+        expect(entry.overrides).toEqual(expect.arrayContaining([
+            { action: 'add', date: '2023-05-08', name: 'Coronation of King Charles III', type: 'bank holiday' }
+        ]));
+    });
+
     test('buildHolidayDataset keeps U.S. national holidays when a state overlay fetch fails', async () => {
         const year = 2026;
 
@@ -0,0 +1,262 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const {
+    REGIONS,
+    CUSTOM_WEEKEND_KEY,
+    ROTATION_WEEKEND_KEY,
+    setTestState,
+    isWeekend,
+    getDayType,
+    getDayInsight,
+    findOptimalPlan,
+    getCurrentState,
+    encodePlanString,
+    decodePlanString,
+    getWeekendMaskFromDays,
+    normalizeWeekendSetting,
+    renderWorkSchedule,
+    handleWorkScheduleChange,
+    handleWeekendSelectChange,
+    createRotationFromMask,
+    handleRotationDayChange,
+    handleRotationLengthChange
+} = require('../public/app.js');
+
+// Friday, Saturday and Sunday off: a Monday–Thursday worker.
+const MON_THU_MASK = getWeekendMaskFromDays([5, 6, 0]);
+
+describe('Custom work schedule', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <select id="weekend-select">
+                <option value="sat-sun">Sat/Sun</option>
+                <option value="fri-sat">Fri/Sat</option>
+                <option value="custom">Custom</option>
+            </select>
+            <div id="work-schedule-days"></div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="recommendations"></div>
+        `;
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], 'sat-sun', 25);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('normalizeWeekendSetting collapses preset masks and rejects impossible schedules', () => {
+        expect(normalizeWeekendSetting(getWeekendMaskFromDays([6, 0]))).toBe('sat-sun');
+        expect(normalizeWeekendSetting(getWeekendMaskFromDays([5, 6]))).toBe('fri-sat');
+        expect(normalizeWeekendSetting(MON_THU_MASK)).toBe(MON_THU_MASK);
+        expect(normalizeWeekendSetting(0x7f)).toBeNull();
+        expect(normalizeWeekendSetting(-1)).toBeNull();
+        expect(normalizeWeekendSetting('__proto__')).toBeNull();
+    });
+
+    test('a Monday–Thursday mask treats Fridays as non-working days', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], MON_THU_MASK, 25);
+
+        const friday = new Date(2025, 5, 6);
+        expect(isWeekend(friday)).toBe(true);
+        expect(getDayType(friday, '2025-06-06')).toBe('weekend');
+        expect(getDayType(new Date(2025, 5, 5), '2025-06-05')).toBe('workday');
+
+        const state = getCurrentState();
+        expect(state.currentWeekendPattern).toBe(CUSTOM_WEEKEND_KEY);
+        expect(state.weekendByLocation[REGIONS.ENGLAND_WALES]).toBe(MON_THU_MASK);
+    });
+
+    test('efficiencies and plans follow the custom mask', () => {
+        // Thursday before a 3-day weekend: 1 leave day yields 4 days off.
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], MON_THU_MASK, 25);
+        expect(getDayInsight(new Date(2025, 5, 12)).efficiency).toBeGreaterThanOrEqual(4);
+
+        const plan = findOptimalPlan(2025, 10);
+        const bookedDays = plan.flatMap(block => block.bookedDates);
+        expect(bookedDays.length).toBe(10);
+        bookedDays.forEach(date => {
+            expect([1, 2, 3, 4]).toContain(date.getDay());
+        });
+    });
+
+    test('toggling weekdays in the editor stores a custom mask for the location', () => {
+        renderWorkSchedule();
+        const toggles = document.querySelectorAll('#work-schedule-days input');
+        expect(toggles).toHaveLength(7);
+
+        const friday = document.querySelector('#work-schedule-days input[value="5"]');
+        expect(friday.checked).toBe(true);
+        friday.checked = false;
+        handleWorkScheduleChange({ target: friday });
+
+        const state = getCurrentState();
+        expect(state.currentWeekendPattern).toBe(CUSTOM_WEEKEND_KEY);
+        expect(state.weekendByLocation[REGIONS.ENGLAND_WALES]).toBe(MON_THU_MASK);
+        expect(document.getElementById('weekend-select').value).toBe(CUSTOM_WEEKEND_KEY);
+    });
+
+    test('choosing Custom opens the weekday toggles on the current days', () => {
+        renderWorkSchedule();
+        const select = document.getElementById('weekend-select');
+        select.value = CUSTOM_WEEKEND_KEY;
+        handleWeekendSelectChange({ target: select });
+
+        expect(select.value).toBe(CUSTOM_WEEKEND_KEY);
+        expect(document.activeElement).toBe(document.querySelector('#work-schedule-days input'));
+        // Nothing changes until a day is toggled.
+        expect(getCurrentState().currentWeekendPattern).toBe('sat-sun');
+
+        const friday = document.querySelector('#work-schedule-days input[value="5"]');
+        friday.checked = false;
+        handleWorkScheduleChange({ target: friday });
+        expect(getCurrentState().weekendByLocation[REGIONS.ENGLAND_WALES]).toBe(MON_THU_MASK);
+    });
+
+    test('choosing Custom on a rotating cycle returns to the weekly days kept from before it', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], MON_THU_MASK, 25);
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], createRotationFromMask(MON_THU_MASK, 2025), 25);
+        const select = document.getElementById('weekend-select');
+        select.value = CUSTOM_WEEKEND_KEY;
+        handleWeekendSelectChange({ target: select });
+
+        expect(getCurrentState().weekendByLocation[REGIONS.ENGLAND_WALES]).toBe(MON_THU_MASK);
+        expect(select.value).toBe(CUSTOM_WEEKEND_KEY);
+        const toggles = document.querySelectorAll('#work-schedule-days input');
+        expect(toggles).toHaveLength(7);
+        expect(document.getElementById('work-schedule-days').hidden).toBe(false);
+        expect(document.activeElement).toBe(toggles[0]);
+    });
+
+    test('the editor refuses to remove the last working day', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], getWeekendMaskFromDays([0, 2, 3, 4, 5, 6]), 25);
+        renderWorkSchedule();
+
+        const monday = document.querySelector('#work-schedule-days input[value="1"]');
+        monday.checked = false;
+        handleWorkScheduleChange({ target: monday });
+
+        expect(monday.checked).toBe(true);
+        expect(document.getElementById('toast-container').textContent).toContain('at least one working day');
+    });
+
+    test('shared plans carry the custom mask and reject invalid masks', () => {
+        const decoded = decodePlanString(encodePlanString({
+            currentWeekendPattern: CUSTOM_WEEKEND_KEY,
+            weekendMask: MON_THU_MASK
+        }));
+        expect(decoded.currentWeekendPattern).toBe(CUSTOM_WEEKEND_KEY);
+        expect(decoded.weekendMask).toBe(MON_THU_MASK);
+
+        const invalid = decodePlanString(encodePlanString({
+            currentWeekendPattern: CUSTOM_WEEKEND_KEY,
+            weekendMask: 0x7f
+        }));
+        expect(invalid.currentWeekendPattern).toBeNull();
+        expect(invalid.weekendMask).toBeNull();
+    });
+});
+
+describe('Rotating schedules', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <select id="weekend-select"></select>
+            <div id="work-schedule-days"></div>
+            <div id="rotation-editor" hidden>
+                <input type="date" id="rotation-anchor-input">
+                <input type="number" id="rotation-length-input">
+                <div id="rotation-days"></div>
+            </div>
+            <div id="toast-container"></div>
+            <div id="calendar"></div>
+            <div id="recommendations"></div>
+        `;
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    // 9-day fortnight: a Mon–Fri fortnight with the second Friday off.
+    const NINE_DAY_FORTNIGHT = { anchor: '2025-01-06', length: 14, offDays: [5, 6, 11, 12, 13] };
+
+    test('every other Friday is a non-working day', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], NINE_DAY_FORTNIGHT, 25);
+
+        expect(getDayType(new Date(2025, 0, 10), '2025-01-10')).toBe('workday');
+        expect(getDayType(new Date(2025, 0, 17), '2025-01-17')).toBe('weekend');
+        expect(getDayType(new Date(2025, 0, 24), '2025-01-24')).toBe('workday');
+        expect(getDayType(new Date(2025, 0, 31), '2025-01-31')).toBe('weekend');
+        // Days before the anchor follow the same cycle.
+        expect(getDayType(new Date(2025, 0, 3), '2025-01-03')).toBe('weekend');
+        expect(isWeekend(new Date(2024, 11, 27))).toBe(false);
+        expect(getCurrentState().currentWeekendPattern).toBe(ROTATION_WEEKEND_KEY);
+    });
+
+    test('4-on/4-off shifts plan leave only on shift days', () => {
+        const rotation = { anchor: '2025-01-01', length: 8, offDays: [4, 5, 6, 7] };
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], rotation, 25);
+
+        expect(getDayType(new Date(2025, 0, 4), '2025-01-04')).toBe('workday');
+        expect(getDayType(new Date(2025, 0, 5), '2025-01-05')).toBe('weekend');
+        expect(getDayType(new Date(2025, 0, 9), '2025-01-09')).toBe('workday');
+
+        const plan = findOptimalPlan(2025, 8);
+        const bookedDays = plan.flatMap(block => block.bookedDates);
+        expect(bookedDays.length).toBe(8);
+        bookedDays.forEach(date => {
+            const daysFromAnchor = Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(2025, 0, 1)) / 86400000);
+            expect(daysFromAnchor % 8).toBeLessThan(4);
+        });
+        // Four leave days bridge two 4-day rest periods.
+        expect(Math.max(...plan.map(block => block.totalDaysOff))).toBeGreaterThanOrEqual(12);
+    });
+
+    test('createRotationFromMask reproduces the weekly schedule over two weeks', () => {
+        const rotation = createRotationFromMask(getWeekendMaskFromDays([6, 0]), 2025);
+        expect(rotation).toEqual({ anchor: '2024-12-30', length: 14, offDays: [5, 6, 12, 13] });
+    });
+
+    test('editor toggles and length changes update the stored rotation', () => {
+        setTestState(2025, REGIONS.ENGLAND_WALES, [], [], { anchor: '2025-01-06', length: 7, offDays: [5, 6] }, 25);
+        renderWorkSchedule();
+
+        expect(document.getElementById('rotation-editor').hidden).toBe(false);
+        expect(document.getElementById('work-schedule-days').hidden).toBe(true);
+
+        const lengthInput = document.getElementById('rotation-length-input');
+        lengthInput.value = '14';
+        handleRotationLengthChange({ target: lengthInput });
+        expect(getCurrentState().weekendByLocation[REGIONS.ENGLAND_WALES]).toEqual({
+            anchor: '2025-01-06', length: 14, offDays: [5, 6, 12, 13]
+        });
+
+        const secondFriday = document.querySelector('#rotation-days input[value="11"]');
+        expect(secondFriday.getAttribute('aria-label')).toContain('Fri 17 Jan');
+        secondFriday.checked = false;
+        handleRotationDayChange({ target: secondFriday });
+        expect(getCurrentState().weekendByLocation[REGIONS.ENGLAND_WALES]).toEqual(NINE_DAY_FORTNIGHT);
+    });
+
+    test('shared plans carry rotations and reject cycles without working days', () => {
+        const decoded = decodePlanString(encodePlanString({
+            currentWeekendPattern: ROTATION_WEEKEND_KEY,
+            rotation: NINE_DAY_FORTNIGHT
+        }));
+        expect(decoded.currentWeekendPattern).toBe(ROTATION_WEEKEND_KEY);
+        expect(decoded.rotation).toEqual(NINE_DAY_FORTNIGHT);
+
+        const invalid = decodePlanString(encodePlanString({
+            currentWeekendPattern: ROTATION_WEEKEND_KEY,
+            rotation: { anchor: '2025-01-06', length: 2, offDays: [0, 1] }
+        }));
+        expect(invalid.currentWeekendPattern).toBeNull();
+        expect(invalid.rotation).toBeNull();
+    });
+});
@@ -115,6 +115,15 @@ describe('Cloudflare Worker Logic', () => {
         expect(response.headers.get('Cache-Control')).toBe('public, max-age=0, must-revalidate');
     });
 
+    test('should set Cache-Control for holiday_rules.js (no-cache)', async () => {
+        const request = createRequest('https://example.com/holiday_rules.js');
+        mockFetch.mockResolvedValue(createResponse());
+
+        const response = await worker.fetch(request, env);
+
+        expect(response.headers.get('Cache-Control')).toBe('public, max-age=0, must-revalidate');
+    });
+
     test('should set Cache-Control for CSS files (long cache)', async () => {
         const request = createRequest('https://example.com/style.css');
         mockFetch.mockResolvedValue(createResponse());
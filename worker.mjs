@@ -2,6 +2,8 @@ import { buildHolidayDataset as buildSharedHolidayDataset, redactUrl } from './l
 
 const IMAGE_EXTENSIONS_REGEX = /\.(ico|png|jpg|jpeg|svg|webp)$/;
 const JSON_EXTENSIONS_REGEX = /\.json$/;
+// Scripts served under a fixed name must be revalidated so the app and its holiday rules stay in step.
+const UNVERSIONED_SCRIPTS = ['app.js', 'holiday_rules.js'];
 const HOLIDAY_DATA_KEY = 'holidays';
 const CALENDARIFIC_ENV_KEYS = [
     'calendarific',
@@ -11,7 +13,7 @@ const CALENDARIFIC_ENV_KEYS = [
 ];
 
 function getCacheControl(pathname) {
-    if (pathname.endsWith('app.js')) {
+    if (UNVERSIONED_SCRIPTS.some((script) => pathname.endsWith(script))) {
         return 'public, max-age=0, must-revalidate';
     }
     if (pathname.endsWith('.css') || pathname.endsWith('.js')) {